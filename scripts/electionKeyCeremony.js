@@ -0,0 +1,66 @@
+const fs = require("fs");
+const path = require("path");
+const { generateElectionKeys } = require("../src/utils/electionCrypto");
+
+// Run on an offline machine. Writes one private share file per trustee and a
+// public file whose contents go to PUT /api/admin/sessions/:id/encryption.
+// The election secret only exists in memory while this script runs.
+const THRESHOLD = Number(process.env.TRUSTEE_THRESHOLD || 2);
+const TRUSTEE_COUNT = Number(process.env.TRUSTEE_COUNT || 3);
+const OUTPUT_DIR = path.resolve(process.env.KEY_OUTPUT_DIR || "election-keys");
+
+function main() {
+  const keys = generateElectionKeys(THRESHOLD, TRUSTEE_COUNT);
+
+  fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+
+  keys.trustees.forEach((trustee) => {
+    const file = path.join(OUTPUT_DIR, `trustee-${trustee.index}.json`);
+    fs.writeFileSync(
+      file,
+      JSON.stringify(
+        {
+          group: keys.group.name,
+          index: trustee.index,
+          share: trustee.share,
+          verification_key: trustee.verification_key,
+          public_key: keys.public_key,
+        },
+        null,
+        2,
+      ),
+      { mode: 0o600 },
+    );
+  });
+
+  fs.writeFileSync(
+    path.join(OUTPUT_DIR, "election-public.json"),
+    JSON.stringify(
+      {
+        enabled: true,
+        threshold: keys.threshold,
+        public_key: keys.public_key,
+        trustees: keys.trustees.map((trustee) => ({
+          admin_id: null,
+          index: trustee.index,
+          verification_key: trustee.verification_key,
+        })),
+      },
+      null,
+      2,
+    ),
+  );
+
+  console.log(
+    `Generated a ${keys.threshold}-of-${keys.trustees.length} election key in ${OUTPUT_DIR}`,
+  );
+  console.log("Hand each trustee-<n>.json to exactly one trustee, then delete it here.");
+  console.log("Fill in admin_id for every trustee in election-public.json before uploading it.");
+}
+
+try {
+  main();
+} catch (error) {
+  console.error("Key ceremony failed:", error.message);
+  process.exit(1);
+}
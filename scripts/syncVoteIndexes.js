@@ -0,0 +1,26 @@
+require("dotenv").config();
+const connectDB = require("../src/config/database");
+const Vote = require("../src/models/Vote");
+
+async function syncVoteIndexes() {
+  await connectDB();
+
+  // Drops indexes no longer declared on the schema (e.g. the per-position
+  // unique index replaced by the selection-aware one, or the version that
+  // also covered superseded revote rows) and builds new ones.
+  const dropped = await Vote.syncIndexes();
+
+  if (dropped.length) {
+    console.log(`Dropped index(es): ${dropped.join(", ")}`);
+  }
+
+  const indexes = await Vote.listIndexes();
+  console.log(`Vote indexes in sync (${indexes.length} total).`);
+}
+
+syncVoteIndexes()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("Index sync failed:", error);
+    process.exit(1);
+  });
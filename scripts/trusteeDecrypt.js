@@ -0,0 +1,51 @@
+const fs = require("fs");
+const path = require("path");
+const { createPartialDecryption } = require("../src/utils/electionCrypto");
+
+// Run by a trustee on their own machine. Reads the response of
+// GET /api/admin/sessions/:id/encryption/aggregate and writes the body for
+// POST /api/admin/sessions/:id/encryption/shares. The share never leaves it.
+const SHARE_FILE = process.env.TRUSTEE_SHARE_FILE || "";
+const AGGREGATE_FILE = process.env.AGGREGATE_FILE || "";
+const OUTPUT_FILE = path.resolve(process.env.SHARES_OUTPUT_FILE || "decryption-share.json");
+
+function readJson(file, label) {
+  if (!file) {
+    throw new Error(`${label} is required`);
+  }
+  return JSON.parse(fs.readFileSync(path.resolve(file), "utf8"));
+}
+
+function main() {
+  const trustee = readJson(SHARE_FILE, "TRUSTEE_SHARE_FILE");
+  const aggregate = readJson(AGGREGATE_FILE, "AGGREGATE_FILE");
+
+  const partials = aggregate.ciphertexts.map((entry) => ({
+    position: entry.position,
+    option: entry.option,
+    ...createPartialDecryption(trustee.share, entry.c1, entry.proof_context),
+  }));
+
+  fs.writeFileSync(
+    OUTPUT_FILE,
+    JSON.stringify(
+      {
+        aggregate_digest: aggregate.digest,
+        partials,
+      },
+      null,
+      2,
+    ),
+  );
+
+  console.log(
+    `Trustee ${trustee.index}: wrote ${partials.length} partial decryption(s) to ${OUTPUT_FILE}`,
+  );
+}
+
+try {
+  main();
+} catch (error) {
+  console.error("Trustee decryption failed:", error.message);
+  process.exit(1);
+}
@@ -11,6 +11,20 @@ const { createRedisClient, pingRedis } = require("./config/redis");
 const authRoutes = require("./routes/authRoutes");
 const adminRoutes = require("./routes/adminRoutes");
 const collegeRoutes = require("./routes/collegeRoutes");
+const encryptionRoutes = require("./routes/encryptionRoutes");
+const nominationRoutes = require("./routes/nominationRoutes");
+const ticketRoutes = require("./routes/ticketRoutes");
+const tieBreakRoutes = require("./routes/tieBreakRoutes");
+const sessionLifecycleRoutes = require("./routes/sessionLifecycleRoutes");
+const sessionTemplateRoutes = require("./routes/sessionTemplateRoutes");
+const electionSeriesRoutes = require("./routes/electionSeriesRoutes");
+const certificationRoutes = require("./routes/certificationRoutes");
+const recountRoutes = require("./routes/recountRoutes");
+const voteInvalidationRoutes = require("./routes/voteInvalidationRoutes");
+const petitionRoutes = require("./routes/petitionRoutes");
+const pollingLocationRoutes = require("./routes/pollingLocationRoutes");
+const presenceRoutes = require("./routes/presenceRoutes");
+const kioskRoutes = require("./routes/kioskRoutes");
 const sessionRoutes = require("./routes/sessionRoutes");
 const voteRoutes = require("./routes/voteRoutes");
 const resultRoutes = require("./routes/resultRoutes");
@@ -167,6 +181,20 @@ app.use("/api/health", healthRoutes);
 app.use("/api/auth", authRoutes);
 app.use("/api/admin", adminRoutes);
 app.use("/api/admin", collegeRoutes);
+app.use("/api/admin", encryptionRoutes);
+app.use("/api/admin", nominationRoutes);
+app.use("/api/admin", ticketRoutes);
+app.use("/api/admin", tieBreakRoutes);
+app.use("/api/admin", sessionLifecycleRoutes);
+app.use("/api/admin", sessionTemplateRoutes);
+app.use("/api/admin", electionSeriesRoutes);
+app.use("/api/admin", certificationRoutes);
+app.use("/api/admin", recountRoutes);
+app.use("/api/admin", voteInvalidationRoutes);
+app.use("/api/admin", petitionRoutes);
+app.use("/api/admin", pollingLocationRoutes);
+app.use("/api/admin", presenceRoutes);
+app.use("/api/admin", kioskRoutes);
 // Settings routes include tenant testing endpoints under /api/admin/settings/testing/*
 app.use("/api/admin/settings", settingsRoutes);
 app.use("/api/platform", platformRoutes);
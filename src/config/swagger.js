@@ -206,9 +206,46 @@ const options = {
             description: { type: "string" },
             start_time: { type: "string", format: "date-time" },
             end_time: { type: "string", format: "date-time" },
-            status: { type: "string", enum: ["upcoming", "active", "ended"] },
+            status: {
+              type: "string",
+              enum: ["draft", "upcoming", "active", "paused", "ended", "cancelled"],
+              description:
+                "draft, paused and cancelled are set by admins; the other statuses follow start_time and end_time",
+            },
+            lifecycle: {
+              type: "object",
+              properties: {
+                paused_at: { type: "string", format: "date-time", nullable: true },
+                paused_by: { type: "string", nullable: true },
+                pause_reason: { type: "string", nullable: true },
+                cancelled_at: { type: "string", format: "date-time", nullable: true },
+                cancelled_by: { type: "string", nullable: true },
+                cancellation_reason: { type: "string", nullable: true },
+                extensions: {
+                  type: "array",
+                  items: {
+                    type: "object",
+                    properties: {
+                      previous_end_time: { type: "string", format: "date-time" },
+                      new_end_time: { type: "string", format: "date-time" },
+                      reason: { type: "string", nullable: true },
+                      extended_by: { type: "string" },
+                      extended_at: { type: "string", format: "date-time" },
+                    },
+                  },
+                },
+              },
+            },
             categories: { type: "array", items: { type: "string" } },
+            position_settings: {
+              type: "array",
+              items: { $ref: "#/components/schemas/PositionSettings" },
+            },
             location: { $ref: "#/components/schemas/Location" },
+            polling_zones: {
+              type: "array",
+              items: { $ref: "#/components/schemas/PollingZone" },
+            },
             eligible_college: { type: "string", nullable: true },
             eligible_departments: {
               type: "array",
@@ -221,10 +258,437 @@ const options = {
               nullable: true,
             },
             is_off_campus_allowed: { type: "boolean", default: false },
+            location_integrity: {
+              $ref: "#/components/schemas/LocationIntegritySettings",
+            },
+            presence: { $ref: "#/components/schemas/PresenceSettings" },
+            secret_ballot: { type: "boolean", default: false },
+            allow_revote: { type: "boolean", default: false },
+            nomination: { $ref: "#/components/schemas/NominationSettings" },
+            tie_break: { $ref: "#/components/schemas/TieBreakSettings" },
+            quorum: { $ref: "#/components/schemas/QuorumSettings" },
+            quorum_result: {
+              type: "object",
+              description: "Quorum verdict recorded when the election ended",
+              properties: {
+                checked_at: { type: "string", format: "date-time", nullable: true },
+                met: { type: "boolean", nullable: true },
+                failures: {
+                  type: "array",
+                  items: {
+                    type: "object",
+                    properties: {
+                      scope: { type: "string", enum: ["overall", "position", "college"] },
+                      name: { type: "string", nullable: true },
+                      eligible: { type: "integer" },
+                      voted: { type: "integer" },
+                      turnout_percentage: { type: "number" },
+                      required_percentage: { type: "number" },
+                    },
+                  },
+                },
+              },
+            },
+            petitions: { $ref: "#/components/schemas/PetitionSettings" },
+            results_hold: {
+              type: "object",
+              nullable: true,
+              description: "Set while an upheld petition keeps the results unpublished",
+              properties: {
+                petition_id: { type: "string" },
+                reason: { type: "string" },
+                held_at: { type: "string", format: "date-time" },
+              },
+            },
+            rerun_of: {
+              type: "string",
+              nullable: true,
+              description: "Election this one re-runs on the order of a petition",
+            },
+            certification: {
+              type: "object",
+              description:
+                "Result sign-off. With required_approvals above 0 the final counts are frozen and hashed when the election ends and published only once enough admins approve them.",
+              properties: {
+                required_approvals: { type: "integer", minimum: 0, maximum: 10, default: 0 },
+                status: {
+                  type: "string",
+                  enum: ["not_required", "pending", "certified"],
+                },
+                snapshot_hash: { type: "string", nullable: true },
+                snapshot_taken_at: { type: "string", format: "date-time", nullable: true },
+                certified_at: { type: "string", format: "date-time", nullable: true },
+                approvals: {
+                  type: "array",
+                  items: {
+                    type: "object",
+                    properties: {
+                      admin_id: { type: "string" },
+                      signed_by: { type: "string" },
+                      signature: { type: "string" },
+                      comment: { type: "string" },
+                      approved_at: { type: "string", format: "date-time" },
+                      digest: {
+                        type: "string",
+                        description: "SHA-256 over the snapshot hash, approver, signature, comment and time",
+                      },
+                    },
+                  },
+                },
+              },
+            },
+            results_release_at: {
+              type: "string",
+              format: "date-time",
+              nullable: true,
+              description: "Results embargo. Null releases results when voting closes.",
+            },
+            results_reveal: { $ref: "#/components/schemas/ResultRevealSettings" },
+            close_processed_at: {
+              type: "string",
+              format: "date-time",
+              nullable: true,
+              description: "When the quorum check and certification snapshot ran after voting closed",
+            },
+            outcomes_settled_at: {
+              type: "string",
+              format: "date-time",
+              nullable: true,
+              description: "When ties, runoffs and series promotion were settled on the final results",
+            },
+            results_released_at: {
+              type: "string",
+              format: "date-time",
+              nullable: true,
+              description: "When the results were announced",
+            },
+            runoff_of: {
+              type: "string",
+              nullable: true,
+              description: "Election whose tie this runoff settles",
+            },
+            series_id: {
+              type: "string",
+              nullable: true,
+              description: "Multi-stage series this election is a stage of",
+            },
+            encryption: {
+              type: "object",
+              description:
+                "Encrypted-ballot mode. Counts stay hidden until a threshold of trustees decrypt the tally.",
+              properties: {
+                enabled: { type: "boolean", default: false },
+                threshold: { type: "integer" },
+                public_key: { type: "string" },
+                trustees: {
+                  type: "array",
+                  items: {
+                    type: "object",
+                    properties: {
+                      admin_id: { type: "string" },
+                      index: { type: "integer" },
+                      verification_key: { type: "string" },
+                    },
+                  },
+                },
+              },
+            },
             results_public: { type: "boolean" },
             candidates: { type: "array", items: { type: "string" } },
           },
         },
+        PositionSettings: {
+          type: "object",
+          properties: {
+            position: { type: "string", example: "President" },
+            ballot_type: {
+              type: "string",
+              enum: [
+                "plurality",
+                "ranked_choice",
+                "approval",
+                "referendum",
+                "confirmation",
+              ],
+              default: "plurality",
+            },
+            seats: {
+              type: "integer",
+              minimum: 1,
+              default: 1,
+              description: "Number of candidates elected for the position",
+            },
+            max_selections: {
+              type: "integer",
+              minimum: 1,
+              description:
+                "Approval ballots only: most candidates a voter may select (defaults to seats)",
+            },
+            question: {
+              type: "string",
+              description:
+                "Referendum / confirmation only: the question voters answer. Required for referendums.",
+              example: "Adopt the amended SU constitution?",
+            },
+            pass_threshold: {
+              type: "string",
+              enum: ["simple_majority", "two_thirds"],
+              default: "simple_majority",
+              description:
+                "Referendum / confirmation only. Abstentions do not count towards the threshold.",
+            },
+            eligibility: {
+              type: "object",
+              description:
+                "Restricts who may vote on this position, on top of the session-wide eligibility. Students only see and may only vote on positions they match.",
+              properties: {
+                college: { type: "string", example: "College of Science" },
+                departments: {
+                  type: "array",
+                  items: { type: "string" },
+                  description: "Department IDs",
+                },
+                levels: {
+                  type: "array",
+                  items: { type: "string", enum: ["100", "200", "300", "400", "500", "600"] },
+                },
+              },
+            },
+          },
+          required: ["position"],
+        },
+        NominationSettings: {
+          type: "object",
+          description:
+            "Optional self-nomination phase. The window must close before voting starts.",
+          properties: {
+            enabled: { type: "boolean", default: false },
+            opens_at: { type: "string", format: "date-time" },
+            closes_at: { type: "string", format: "date-time" },
+            seconders_required: {
+              type: "integer",
+              minimum: 0,
+              default: 0,
+              description: "Eligible voters who must second a nomination before it is reviewed",
+            },
+          },
+        },
+        Ticket: {
+          type: "object",
+          description:
+            "Candidates who stand together across linked single-seat positions. One selection counts for every member.",
+          properties: {
+            id: { type: "string" },
+            name: { type: "string", example: "Unity" },
+            positions: {
+              type: "array",
+              items: { type: "string" },
+              example: ["President", "Vice President"],
+            },
+            members: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  candidate_id: { type: "string" },
+                  position: { type: "string" },
+                  name: { type: "string" },
+                  photo_url: { type: "string", nullable: true },
+                  bio: { type: "string" },
+                  manifesto: { type: "string" },
+                },
+              },
+            },
+          },
+        },
+        QuorumSettings: {
+          type: "object",
+          description:
+            "Minimum turnout, as a percentage of the eligible roll, for results to stand. If any threshold is missed when the election ends, results are held and tenant admins are notified. Only editable before voting starts.",
+          properties: {
+            overall_percentage: { type: "number", nullable: true, example: 30 },
+            position_percentage: {
+              type: "number",
+              nullable: true,
+              description: "Applies to every position, measured against that position's electorate",
+            },
+            college_percentage: {
+              type: "number",
+              nullable: true,
+              description: "Applies to every college with eligible students",
+            },
+          },
+        },
+        ResultRevealSettings: {
+          type: "object",
+          description:
+            "Reveal positions one at a time once results are released. Listed positions come out in order, one per interval; unlisted ones are shown at release. The results email goes out after the last reveal.",
+          properties: {
+            order: {
+              type: "array",
+              items: { type: "string" },
+              example: ["Treasurer", "Secretary", "President"],
+            },
+            interval_minutes: { type: "integer", minimum: 0, maximum: 1440, example: 15 },
+          },
+        },
+        CertificationSettings: {
+          type: "object",
+          description:
+            "Number of admins holding the results.certify permission who must approve the results before they are published. 0 publishes them as soon as the election ends. Only editable before voting starts.",
+          properties: {
+            required_approvals: { type: "integer", minimum: 0, maximum: 10, example: 2 },
+          },
+        },
+        PetitionSettings: {
+          type: "object",
+          description:
+            "Election petitions. When enabled, students who voted and candidates can challenge the outcome for window_hours after the election ends.",
+          properties: {
+            enabled: { type: "boolean", default: false },
+            window_hours: { type: "integer", minimum: 1, maximum: 720, example: 72 },
+          },
+        },
+        Petition: {
+          type: "object",
+          properties: {
+            id: { type: "string" },
+            session_id: { type: "string" },
+            petitioner: {
+              type: "object",
+              properties: {
+                id: { type: "string" },
+                full_name: { type: "string" },
+                matric_no: { type: "string" },
+              },
+            },
+            positions: { type: "array", items: { type: "string" } },
+            candidate_ids: { type: "array", items: { type: "string" } },
+            grounds: { type: "string" },
+            relief_sought: { type: "string" },
+            evidence: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  url: { type: "string" },
+                  label: { type: "string" },
+                  added_by_type: { type: "string", enum: ["student", "admin"] },
+                  added_at: { type: "string", format: "date-time" },
+                },
+              },
+            },
+            status: {
+              type: "string",
+              enum: ["filed", "under_review", "hearing_scheduled", "upheld", "dismissed", "withdrawn"],
+            },
+            committee: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  admin_id: { type: "string" },
+                  name: { type: "string" },
+                  assigned_at: { type: "string", format: "date-time" },
+                },
+              },
+            },
+            hearings: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  scheduled_for: { type: "string", format: "date-time" },
+                  location: { type: "string" },
+                  notes: { type: "string" },
+                },
+              },
+            },
+            outcome: {
+              type: "object",
+              nullable: true,
+              properties: {
+                decision: { type: "string", enum: ["upheld", "dismissed"] },
+                remedies: {
+                  type: "array",
+                  items: { type: "string", enum: ["hold_results", "recount", "rerun"] },
+                },
+                summary: { type: "string" },
+                decided_at: { type: "string", format: "date-time" },
+                recount_id: { type: "string", nullable: true },
+                rerun_session_id: { type: "string", nullable: true },
+              },
+            },
+            filed_at: { type: "string", format: "date-time" },
+          },
+        },
+        SessionTemplate: {
+          type: "object",
+          properties: {
+            id: { type: "string" },
+            name: { type: "string", example: "SRC General Elections" },
+            notes: { type: "string" },
+            source_session_id: { type: "string", nullable: true },
+            settings: {
+              type: "object",
+              description:
+                "Positions, ballot rules, eligibility, geofence, nomination, tie-break and quorum settings and descriptions. duration_minutes and the nomination window's *_minutes_before_start are relative to the start time.",
+            },
+            created_by: { type: "string", nullable: true },
+            created_at: { type: "string", format: "date-time" },
+            updated_at: { type: "string", format: "date-time" },
+          },
+        },
+        NewSessionFromTemplate: {
+          type: "object",
+          required: ["start_time"],
+          properties: {
+            title: { type: "string", description: "Defaults to the template's title" },
+            description: { type: "string" },
+            start_time: { type: "string", format: "date-time" },
+            end_time: {
+              type: "string",
+              format: "date-time",
+              description: "Defaults to the start time plus the template's duration",
+            },
+            draft: {
+              type: "boolean",
+              default: false,
+              description: "Create the election as a draft hidden from students",
+            },
+          },
+        },
+        TieBreakSettings: {
+          type: "object",
+          description:
+            "How a tie for the last seat is settled. Only editable before voting starts.",
+          properties: {
+            policy: {
+              type: "string",
+              enum: ["committee", "runoff", "lot"],
+              default: "committee",
+              description:
+                "committee: admins record the decision; runoff: a follow-up election with only the tied candidates is scheduled automatically; lot: drawn from a seed committed when the policy is set",
+            },
+            runoff_delay_minutes: {
+              type: "integer",
+              minimum: 0,
+              default: 1440,
+              description: "Minutes after this election ends that the runoff opens",
+            },
+            runoff_duration_minutes: {
+              type: "integer",
+              minimum: 15,
+              nullable: true,
+              description: "Runoff length; defaults to this election's length",
+            },
+            lot_seed_commitment: {
+              type: "string",
+              readOnly: true,
+              description: "SHA-256 of the lot seed, published before voting",
+            },
+          },
+        },
         Location: {
           type: "object",
           properties: {
@@ -234,6 +698,131 @@ const options = {
           },
           required: ["lat", "lng"],
         },
+        PollingZone: {
+          type: "object",
+          description:
+            "A named polling site: a circle (center and radius_meters) or a GeoJSON polygon whose positions are [lng, lat]. Holes are allowed.",
+          properties: {
+            _id: { type: "string" },
+            location_id: {
+              type: "string",
+              nullable: true,
+              description:
+                "Saved polling location the zone follows. On input, { location_id } alone fills in the rest.",
+            },
+            name: { type: "string", example: "Teaching Hospital" },
+            shape: { type: "string", enum: ["circle", "polygon"] },
+            center: {
+              type: "object",
+              properties: {
+                lat: { type: "number", format: "double", example: 7.8525 },
+                lng: { type: "number", format: "double", example: 4.2811 },
+              },
+            },
+            radius_meters: { type: "number", minimum: 10, maximum: 50000, example: 400 },
+            polygon: {
+              type: "object",
+              properties: {
+                type: { type: "string", enum: ["Polygon"] },
+                coordinates: {
+                  type: "array",
+                  items: {
+                    type: "array",
+                    items: { type: "array", items: { type: "number" } },
+                  },
+                  example: [[[4.28, 7.85], [4.29, 7.85], [4.29, 7.86], [4.28, 7.86], [4.28, 7.85]]],
+                },
+              },
+            },
+          },
+        },
+        LocationIntegritySettings: {
+          type: "object",
+          description:
+            "What happens to location fixes that look spoofed. Fixes scoring below min_score are flagged on the verification log; with the reject policy they are also refused while the geofence applies.",
+          properties: {
+            policy: { type: "string", enum: ["flag", "reject"], default: "flag" },
+            min_score: { type: "integer", minimum: 1, maximum: 100, default: 60 },
+          },
+        },
+        PresenceSettings: {
+          type: "object",
+          description:
+            "How voters prove they are at a polling station: the GPS geofence, a rotating QR code shown at the station instead (qr), or both (geofence_and_qr). Each polling zone is a station.",
+          properties: {
+            mode: {
+              type: "string",
+              enum: ["geofence", "qr", "geofence_and_qr"],
+              default: "geofence",
+            },
+            rotation_seconds: {
+              type: "integer",
+              minimum: 10,
+              maximum: 300,
+              default: 30,
+              description: "How often station codes change",
+            },
+            grace_seconds: {
+              type: "integer",
+              minimum: 0,
+              maximum: 600,
+              default: 90,
+              description: "How long a code is still accepted after it rotates off the display",
+            },
+          },
+        },
+        LocationMeta: {
+          type: "object",
+          description:
+            "Details of the device's location fix, used to score its plausibility. Omitting it lowers the score.",
+          properties: {
+            accuracy_meters: { type: "number", example: 12.4 },
+            altitude_meters: { type: "number", example: 311 },
+            captured_at: {
+              type: "string",
+              format: "date-time",
+              description: "When the fix was taken. Epoch milliseconds are also accepted.",
+            },
+            is_mock: {
+              type: "boolean",
+              description: "The platform reported a mock or simulated location",
+            },
+          },
+        },
+        PollingLocation: {
+          type: "object",
+          description:
+            "A saved polling site. Elections reference it by listing { location_id } in polling_zones.",
+          properties: {
+            id: { type: "string" },
+            name: { type: "string", example: "Main Campus" },
+            description: { type: "string" },
+            shape: { type: "string", enum: ["circle", "polygon"] },
+            center: {
+              type: "object",
+              nullable: true,
+              properties: {
+                lat: { type: "number", format: "double", example: 7.8525 },
+                lng: { type: "number", format: "double", example: 4.2811 },
+              },
+            },
+            radius_meters: { type: "number", nullable: true, minimum: 10, maximum: 50000 },
+            polygon: {
+              type: "object",
+              nullable: true,
+              properties: {
+                type: { type: "string", enum: ["Polygon"] },
+                coordinates: {
+                  type: "array",
+                  items: {
+                    type: "array",
+                    items: { type: "array", items: { type: "number" } },
+                  },
+                },
+              },
+            },
+          },
+        },
         Candidate: {
           type: "object",
           properties: {
@@ -245,16 +834,74 @@ const options = {
             manifesto: { type: "string" },
             vote_count: { type: "integer", default: 0 },
             session_id: { type: "string" },
+            promoted_from: {
+              type: "string",
+              nullable: true,
+              description: "Candidate in the previous stage of a series this candidate advanced from",
+            },
+            disqualification: {
+              type: "object",
+              nullable: true,
+              description: "Set when an admin disqualified the candidate",
+              properties: {
+                disqualified_at: { type: "string", format: "date-time" },
+                disqualified_by: { type: "string" },
+                reason: { type: "string" },
+                reference: { type: "string" },
+                votes_invalidated: { type: "integer" },
+              },
+            },
           },
         },
         Vote: {
           type: "object",
           properties: {
             _id: { type: "string" },
-            student_id: { type: "string" },
+            student_id: {
+              type: "string",
+              nullable: true,
+              description: "Not recorded for secret-ballot sessions",
+            },
+            is_anonymous: { type: "boolean" },
             session_id: { type: "string" },
             candidate_id: { type: "string" },
             position: { type: "string" },
+            preferences: {
+              type: "array",
+              items: { type: "string" },
+              description: "Ranked-choice preference order",
+            },
+            response: {
+              type: "string",
+              enum: ["yes", "no", "abstain"],
+              description: "Answer on referendum and confirmation items",
+            },
+            selection_index: {
+              type: "integer",
+              description: "Row index within an approval ballot",
+            },
+            ballot_id: {
+              type: "string",
+              description: "Random id shared by every row of one ballot",
+            },
+            receipt_hash: {
+              type: "string",
+              description: "SHA-256 receipt hash published on the bulletin board",
+            },
+            is_encrypted: { type: "boolean" },
+            ciphertexts: {
+              type: "array",
+              description:
+                "Encrypted-ballot sessions only: an ElGamal encryption of 0 or 1 for every candidate of the position",
+              items: {
+                type: "object",
+                properties: {
+                  option: { type: "string" },
+                  c1: { type: "string" },
+                  c2: { type: "string" },
+                },
+              },
+            },
             geo_location: {
               type: "object",
               properties: {
@@ -264,9 +911,50 @@ const options = {
             },
             face_match_score: { type: "number" },
             face_verification_passed: { type: "boolean" },
+            assisted_by: {
+              type: "object",
+              nullable: true,
+              description:
+                "Set when a poll worker opened the ballot at a kiosk. Not recorded for secret-ballot sessions.",
+              properties: {
+                worker_id: { type: "string" },
+                station_id: { type: "string" },
+                verification_method: { type: "string", enum: ["manual", "face"] },
+              },
+            },
             status: {
               type: "string",
-              enum: ["valid", "duplicate", "rejected", "accepted"],
+              enum: ["valid", "duplicate", "rejected", "accepted", "superseded"],
+            },
+            revision: {
+              type: "integer",
+              description: "Ballot revision for revote elections; earlier revisions are superseded",
+            },
+            superseded_by: {
+              type: "string",
+              nullable: true,
+              description: "ballot_id of the revote that replaced this row",
+            },
+            ticket_id: {
+              type: "string",
+              nullable: true,
+              description: "Running-mate ticket this selection was cast for",
+            },
+            invalidation: {
+              type: "object",
+              nullable: true,
+              description: "Set when an admin struck the row from the count",
+              properties: {
+                reason: { type: "string" },
+                reference: { type: "string" },
+                invalidated_by: { type: "string" },
+                invalidated_at: { type: "string", format: "date-time" },
+                candidate_disqualified: {
+                  type: "string",
+                  nullable: true,
+                  description: "Candidate whose disqualification struck the row",
+                },
+              },
             },
             device_id: { type: "string", nullable: true },
             timestamp: { type: "string", format: "date-time" },
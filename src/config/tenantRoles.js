@@ -16,6 +16,8 @@ const TENANT_ROLE_DEFINITIONS = {
       "analytics.view",
       "admins.manage",
       "reports.export",
+      "results.certify",
+      "votes.assist",
     ],
   },
   admin: {
@@ -30,6 +32,7 @@ const TENANT_ROLE_DEFINITIONS = {
       "support.manage",
       "admins.manage",
       "reports.export",
+      "votes.assist",
     ],
   },
   support: {
@@ -40,6 +43,14 @@ const TENANT_ROLE_DEFINITIONS = {
     label: "Analyst",
     permissions: ["analytics.view", "reports.export", "participants.view"],
   },
+  certifier: {
+    label: "Certifying Officer",
+    permissions: ["results.certify", "analytics.view", "participants.view"],
+  },
+  poll_worker: {
+    label: "Poll Worker",
+    permissions: ["votes.assist", "participants.view"],
+  },
 };
 
 function getRoleDefinition(role) {
@@ -3,8 +3,10 @@ const Student = require("../models/Student");
 const Admin = require("../models/Admin");
 const VotingSession = require("../models/VotingSession");
 const Candidate = require("../models/Candidate");
+const Ticket = require("../models/Ticket");
 const Vote = require("../models/Vote");
 const AuditLog = require("../models/AuditLog");
+const Recount = require("../models/Recount");
 const faceProviderService = require("../services/faceProviderService");
 const emailService = require("../services/emailService");
 const { generateTemporaryPassword } = require("../utils/passwordUtils");
@@ -12,6 +14,7 @@ const mongoose = require("mongoose");
 const cacheService = require("../services/cacheService");
 const College = require("../models/College");
 const {
+  getTenantId,
   getTenantScopedFilter,
   assignTenantId,
   getTenantCacheNamespace,
@@ -21,6 +24,7 @@ const {
   buildQuotaErrorMessage,
   getTenantQuotaStatus,
 } = require("../services/planAccessService");
+const { hasPermission } = require("../services/tenantAccessService");
 const {
   assignLivePublicCode,
   getAdminLivePayload,
@@ -32,6 +36,47 @@ const {
   isTenantParticipantFieldEnabled,
   isTenantParticipantFieldRequired,
 } = require("../utils/tenantSettings");
+const {
+  CANDIDATE_SUPPORT_MATCH,
+  DEFAULT_BALLOT_TYPE,
+  normalizePositionEligibility,
+  sanitizePositionSettings,
+  validateCandidatePlacement,
+} = require("../utils/ballotRules");
+const { sanitizeNominationSettings } = require("../utils/nominationRules");
+const { sanitizeTieBreakSettings, createLotSeed } = require("../utils/tieBreak");
+const { sanitizeQuorumSettings } = require("../utils/quorumRules");
+const { sanitizeCertificationSettings } = require("../utils/certification");
+const { sanitizePetitionSettings } = require("../utils/petitionRules");
+const {
+  sanitizePollingZones,
+  buildCoveringLocation,
+} = require("../utils/pollingZones");
+const { resolvePollingZones } = require("../services/pollingLocationService");
+const { sanitizeLocationIntegritySettings } = require("../utils/locationIntegrity");
+const { sanitizePresenceSettings } = require("../utils/presenceCode");
+const {
+  sanitizeResultEmbargo,
+  isRevealComplete,
+} = require("../utils/resultEmbargo");
+const {
+  HELD_STATUSES,
+  resolveSessionStatus,
+} = require("../utils/sessionLifecycle");
+const { hidesRunningCounts } = require("../utils/secretBallot");
+const { formatRecount } = require("../utils/recount");
+const {
+  isEncryptedSession,
+  validateEncryptablePositions,
+  getDecryptedCandidateCounts,
+} = require("../utils/encryptedBallot");
+
+// Revoting needs to find the student's earlier ballot, which a secret ballot
+// deliberately makes impossible
+const REVOTE_SECRET_BALLOT_ERROR = {
+  error: "Revoting cannot be enabled for a secret-ballot election",
+  code: "REVOTE_SECRET_BALLOT_CONFLICT",
+};
 
 function getParticipantIdentifierKey(student, tenant) {
   const identity = getTenantIdentityMetadata(tenant);
@@ -250,6 +295,113 @@ function sanitizeSessionEligibility(req, payload = {}) {
   };
 }
 
+// Per-position eligibility obeys the same tenant policy as the session-wide rules
+function validatePositionEligibility(req, positionSettings = []) {
+  for (const settings of positionSettings) {
+    if (!settings.eligibility) continue;
+
+    const result = sanitizeSessionEligibility(req, {
+      eligible_college: settings.eligibility.college,
+      eligible_departments: settings.eligibility.departments,
+      eligible_levels: settings.eligibility.levels,
+    });
+
+    if (result.error) {
+      return { ...result, position: settings.position };
+    }
+  }
+
+  return null;
+}
+
+// Admins who may see results before their embargo lifts
+function canPreviewResults(req) {
+  if (req.admin?.role === "super_admin") return true;
+  return (
+    hasPermission(req.adminMembership, "sessions.manage") ||
+    hasPermission(req.adminMembership, "results.certify")
+  );
+}
+
+// Session fields hidesCandidateCounts reads, kept on cached stats payloads so
+// the check can run again for whoever the cached copy is served to
+const COUNT_VISIBILITY_FIELDS = [
+  "status",
+  "start_time",
+  "end_time",
+  "secret_ballot",
+  "results_release_at",
+  "results_reveal",
+  "categories",
+];
+
+function pickCountVisibilityFields(session) {
+  return Object.fromEntries(
+    COUNT_VISIBILITY_FIELDS.map((field) => [field, session[field]]),
+  );
+}
+
+/**
+ * Whether per-candidate counts must be withheld from this admin: the running
+ * counts of an open secret ballot, and results still under embargo unless
+ * the admin may preview them
+ */
+function hidesCandidateCounts(req, session, now = new Date()) {
+  const status = resolveSessionStatus(session, now);
+  if (hidesRunningCounts(session, status)) return true;
+  return status === "ended" && !isRevealComplete(session, now) && !canPreviewResults(req);
+}
+
+// Lists ordered by count would still give the standings away, so redacted
+// candidates go back to ballot order
+function redactCandidateCounts(candidates = []) {
+  return candidates
+    .map((candidate) => ({
+      ...candidate,
+      vote_count: null,
+      ...(candidate.vote_percentage !== undefined ? { vote_percentage: null } : {}),
+    }))
+    .sort(
+      (left, right) =>
+        String(left.position).localeCompare(String(right.position)) ||
+        String(left.name).localeCompare(String(right.name)),
+    );
+}
+
+// Applied when responding rather than when caching: cached copies are shared
+// by every admin of the tenant and outlive a session's close or embargo
+function applyCountVisibility(req, payload, session) {
+  if (!hidesCandidateCounts(req, session)) return payload;
+
+  return {
+    ...payload,
+    candidates: redactCandidateCounts(payload.candidates),
+    recounts: [],
+    counts_hidden: true,
+  };
+}
+
+function applySessionCountVisibility(req, session) {
+  if (!hidesCandidateCounts(req, session)) return session;
+
+  return {
+    ...session,
+    candidates: redactCandidateCounts(session.candidates),
+    counts_hidden: true,
+  };
+}
+
+async function getRecentRecounts(req, sessionId, limit = 10) {
+  const recounts = await Recount.find(
+    getTenantScopedFilter(req, { session_id: sessionId }),
+  )
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .lean();
+
+  return recounts.map(formatRecount);
+}
+
 function buildTenantCacheKey(req, key) {
   return `${key}:${getTenantCacheNamespace(req)}`;
 }
@@ -336,13 +488,19 @@ async function countEligibleStudents(req, session) {
   return Student.countDocuments(eligibilityFilter);
 }
 
-async function getVotesByCandidate(req, sessionId) {
+async function getVotesByCandidate(req, session) {
+  // Encrypted ballots carry no candidate until the trustees decrypt the tally
+  if (isEncryptedSession(session)) {
+    return getDecryptedCandidateCounts(session);
+  }
+
   return Vote.aggregate(
     prependTenantMatch(req, [
       {
         $match: {
-          session_id: new mongoose.Types.ObjectId(sessionId),
+          session_id: new mongoose.Types.ObjectId(session._id),
           status: "valid",
+          ...CANDIDATE_SUPPORT_MATCH,
         },
       },
       {
@@ -371,10 +529,13 @@ function mapCandidatesWithVoteCounts(candidates = [], votesByCandidate = [], tot
   });
 }
 
+// Statuses in which votes may already be recorded
+const LIVE_SESSION_STATUSES = ["active", "paused"];
+
 async function ensureUpcomingSession(session) {
   await session.updateStatus();
 
-  if (session.status === "active") {
+  if (LIVE_SESSION_STATUSES.includes(session.status)) {
     return {
       allowed: false,
       status: 403,
@@ -386,12 +547,12 @@ async function ensureUpcomingSession(session) {
     };
   }
 
-  if (session.status === "ended") {
+  if (["ended", "cancelled"].includes(session.status)) {
     return {
       allowed: false,
       status: 403,
       payload: {
-        error: "Cannot modify ended session",
+        error: `Cannot modify ${session.status} session`,
         message:
           "This session has ended. Candidate changes are only allowed while the session is upcoming.",
       },
@@ -402,7 +563,7 @@ async function ensureUpcomingSession(session) {
 }
 
 function getSessionEditPolicy(session) {
-  if (session.status === "upcoming") {
+  if (["draft", "upcoming"].includes(session.status)) {
     return {
       canEditSession: true,
       canCreateCandidate: true,
@@ -417,14 +578,27 @@ function getSessionEditPolicy(session) {
         "eligible_departments",
         "eligible_levels",
         "categories",
+        "position_settings",
         "location",
+        "polling_zones",
         "is_off_campus_allowed",
+        "location_integrity",
+        "presence",
+        "secret_ballot",
+        "allow_revote",
+        "nomination",
+        "tie_break",
+        "quorum",
+        "certification",
+        "petitions",
         "results_public",
+        "results_release_at",
+        "results_reveal",
       ],
     };
   }
 
-  if (session.status === "active") {
+  if (LIVE_SESSION_STATUSES.includes(session.status)) {
     return {
       canEditSession: true,
       canCreateCandidate: false,
@@ -438,8 +612,14 @@ function getSessionEditPolicy(session) {
         "eligible_departments",
         "eligible_levels",
         "location",
+        "polling_zones",
         "is_off_campus_allowed",
+        "location_integrity",
+        "presence",
+        "petitions",
         "results_public",
+        "results_release_at",
+        "results_reveal",
       ],
     };
   }
@@ -477,7 +657,7 @@ function isSupersetArray(nextValues = [], currentValues = []) {
 function normalizeComparableSessionField(field, value) {
   if (value === undefined) return undefined;
 
-  if (field === "start_time" || field === "end_time") {
+  if (field === "start_time" || field === "end_time" || field === "results_release_at") {
     if (!value) return null;
     const parsed = new Date(value);
     return Number.isNaN(parsed.getTime()) ? String(value) : parsed.toISOString();
@@ -489,6 +669,69 @@ function normalizeComparableSessionField(field, value) {
       : [];
   }
 
+  if (field === "position_settings") {
+    return (Array.isArray(value) ? value : []).map((entry) => ({
+      position: String(entry?.position || "").trim(),
+      ballot_type: entry?.ballot_type || DEFAULT_BALLOT_TYPE,
+      seats: Number(entry?.seats) || 1,
+      max_selections: Number(entry?.max_selections) || 1,
+      question: entry?.question || null,
+      pass_threshold: entry?.pass_threshold || null,
+      eligibility: normalizePositionEligibility(entry?.eligibility),
+    }));
+  }
+
+  if (field === "nomination") {
+    const sanitized = sanitizeNominationSettings(value, {});
+    return sanitized.error ? value : sanitized.nomination;
+  }
+
+  if (field === "tie_break") {
+    const sanitized = sanitizeTieBreakSettings(value);
+    return sanitized.error ? value : sanitized.tie_break;
+  }
+
+  if (field === "quorum") {
+    const sanitized = sanitizeQuorumSettings(value);
+    return sanitized.error ? value : sanitized.quorum;
+  }
+
+  if (field === "certification") {
+    const sanitized = sanitizeCertificationSettings(value);
+    return sanitized.error ? value : sanitized.certification;
+  }
+
+  if (field === "petitions") {
+    const sanitized = sanitizePetitionSettings(value);
+    return sanitized.error ? value : sanitized.petitions;
+  }
+
+  if (field === "polling_zones") {
+    const sanitized = sanitizePollingZones(value);
+    return sanitized.error ? value : sanitized.polling_zones;
+  }
+
+  if (field === "location_integrity") {
+    const sanitized = sanitizeLocationIntegritySettings(value);
+    return sanitized.error ? value : sanitized.location_integrity;
+  }
+
+  if (field === "presence") {
+    const sanitized = sanitizePresenceSettings(value);
+    return sanitized.error ? value : sanitized.presence;
+  }
+
+  if (field === "results_reveal") {
+    return {
+      order: Array.isArray(value?.order) ? value.order.map(String) : [],
+      interval_minutes: Number(value?.interval_minutes) || 0,
+    };
+  }
+
+  if (field === "secret_ballot" || field === "allow_revote") {
+    return value === true;
+  }
+
   if (field === "eligible_departments" || field === "eligible_levels") {
     return normalizeIdArray(value);
   }
@@ -821,12 +1064,32 @@ class AdminController {
         eligible_levels,
         categories,
         location,
+        polling_zones,
         is_off_campus_allowed,
+        location_integrity,
+        presence,
+        secret_ballot,
+        allow_revote,
         candidates,
+        position_settings,
+        nomination,
+        tie_break,
+        quorum,
+        certification,
+        petitions,
+        results_release_at,
+        results_reveal,
+        draft,
       } = req.body;
 
       // Validate required fields
-      if (!title || !start_time || !end_time || !categories || !location) {
+      if (
+        !title ||
+        !start_time ||
+        !end_time ||
+        !categories ||
+        (!location && !(Array.isArray(polling_zones) && polling_zones.length > 0))
+      ) {
         return res.status(400).json({ error: "Missing required fields" });
       }
 
@@ -855,6 +1118,105 @@ class AdminController {
         return res.status(400).json(sanitizedEligibility);
       }
 
+      const sanitizedPositionSettings = sanitizePositionSettings(
+        categories,
+        position_settings,
+      );
+
+      if (sanitizedPositionSettings.error) {
+        return res.status(400).json(sanitizedPositionSettings);
+      }
+
+      const positionEligibilityError = validatePositionEligibility(
+        req,
+        sanitizedPositionSettings.position_settings,
+      );
+      if (positionEligibilityError) {
+        return res.status(400).json(positionEligibilityError);
+      }
+
+      if (secret_ballot === true && allow_revote === true) {
+        return res.status(400).json(REVOTE_SECRET_BALLOT_ERROR);
+      }
+
+      const sanitizedNomination = sanitizeNominationSettings(nomination, {
+        start_time,
+      });
+      if (sanitizedNomination.error) {
+        return res.status(400).json(sanitizedNomination);
+      }
+
+      const sanitizedTieBreak = sanitizeTieBreakSettings(tie_break);
+      if (sanitizedTieBreak.error) {
+        return res.status(400).json(sanitizedTieBreak);
+      }
+      if (sanitizedTieBreak.tie_break.policy === "lot") {
+        const { seed, commitment } = createLotSeed();
+        sanitizedTieBreak.tie_break.lot_seed = seed;
+        sanitizedTieBreak.tie_break.lot_seed_commitment = commitment;
+      }
+
+      const sanitizedQuorum = sanitizeQuorumSettings(quorum);
+      if (sanitizedQuorum.error) {
+        return res.status(400).json(sanitizedQuorum);
+      }
+
+      const sanitizedCertification = sanitizeCertificationSettings(certification);
+      if (sanitizedCertification.error) {
+        return res.status(400).json(sanitizedCertification);
+      }
+
+      const sanitizedPetitions = sanitizePetitionSettings(petitions);
+      if (sanitizedPetitions.error) {
+        return res.status(400).json(sanitizedPetitions);
+      }
+
+      const sanitizedZones = await resolvePollingZones(getTenantId(req), polling_zones);
+      if (sanitizedZones.error) {
+        return res.status(400).json(sanitizedZones);
+      }
+
+      const sanitizedIntegrity = sanitizeLocationIntegritySettings(location_integrity);
+      if (sanitizedIntegrity.error) {
+        return res.status(400).json(sanitizedIntegrity);
+      }
+
+      const sanitizedPresence = sanitizePresenceSettings(presence);
+      if (sanitizedPresence.error) {
+        return res.status(400).json(sanitizedPresence);
+      }
+
+      const sanitizedEmbargo = sanitizeResultEmbargo(
+        { results_release_at, results_reveal },
+        { categories: categories || [], end_time },
+      );
+      if (sanitizedEmbargo.error) {
+        return res.status(400).json(sanitizedEmbargo);
+      }
+
+      if (Array.isArray(candidates)) {
+        const ballotLayout = {
+          categories: categories || [],
+          position_settings: sanitizedPositionSettings.position_settings,
+        };
+        const standingCounts = {};
+
+        for (const candidate of candidates) {
+          const placementError = validateCandidatePlacement(
+            ballotLayout,
+            candidate.position,
+            standingCounts[candidate.position] || 0,
+          );
+
+          if (placementError) {
+            return res.status(400).json(placementError);
+          }
+
+          standingCounts[candidate.position] =
+            (standingCounts[candidate.position] || 0) + 1;
+        }
+      }
+
       // Create session (Face++ uses stateless verification, no pre-session setup needed)
       const session = new VotingSession({
         ...assignTenantId(req, {}),
@@ -866,12 +1228,30 @@ class AdminController {
         eligible_departments: sanitizedEligibility.eligible_departments,
         eligible_levels: sanitizedEligibility.eligible_levels,
         categories: categories || [],
-        location: {
-          lat: location.lat,
-          lng: location.lng,
-          radius_meters: location.radius_meters || 5000,
-        },
+        position_settings: sanitizedPositionSettings.position_settings,
+        location:
+          sanitizedZones.polling_zones.length > 0
+            ? buildCoveringLocation(sanitizedZones.polling_zones)
+            : {
+                lat: location.lat,
+                lng: location.lng,
+                radius_meters: location.radius_meters || 5000,
+              },
+        polling_zones: sanitizedZones.polling_zones,
         is_off_campus_allowed: is_off_campus_allowed || false,
+        location_integrity: sanitizedIntegrity.location_integrity,
+        presence: sanitizedPresence.presence,
+        secret_ballot: secret_ballot === true,
+        allow_revote: allow_revote === true,
+        nomination: sanitizedNomination.nomination,
+        tie_break: sanitizedTieBreak.tie_break,
+        quorum: sanitizedQuorum.quorum,
+        certification: sanitizedCertification.certification,
+        petitions: sanitizedPetitions.petitions,
+        results_release_at: sanitizedEmbargo.results_release_at,
+        results_reveal: sanitizedEmbargo.results_reveal,
+        // Drafts stay hidden from students until published
+        ...(draft === true ? { status: "draft" } : {}),
         created_by: req.adminId,
       });
 
@@ -899,7 +1279,10 @@ class AdminController {
       await invalidateSessionCaches(req, session._id.toString());
 
       res.status(201).json({
-        message: "Election created successfully",
+        message:
+          session.status === "draft"
+            ? "Draft election created successfully"
+            : "Election created successfully",
         session,
       });
     } catch (error) {
@@ -932,8 +1315,11 @@ class AdminController {
 
       if (!editPolicy.canEditSession) {
         return res.status(403).json({
-          error: "Cannot edit ended session",
-          message: "Session has already ended and cannot be modified.",
+          error: `Cannot edit ${session.status} session`,
+          message:
+            session.status === "cancelled"
+              ? "Session was cancelled and cannot be modified."
+              : "Session has already ended and cannot be modified.",
         });
       }
 
@@ -943,6 +1329,155 @@ class AdminController {
         return res.status(400).json(sanitizedEligibility);
       }
 
+      let sanitizedPositionSettings = null;
+      if (updates.position_settings !== undefined) {
+        sanitizedPositionSettings = sanitizePositionSettings(
+          updates.categories !== undefined ? updates.categories : session.categories,
+          updates.position_settings,
+        );
+        if (sanitizedPositionSettings.error) {
+          return res.status(400).json(sanitizedPositionSettings);
+        }
+
+        const positionEligibilityError = validatePositionEligibility(
+          req,
+          sanitizedPositionSettings.position_settings,
+        );
+        if (positionEligibilityError) {
+          return res.status(400).json(positionEligibilityError);
+        }
+      }
+
+      if (isEncryptedSession(session)) {
+        const positionError = validateEncryptablePositions({
+          categories:
+            updates.categories !== undefined ? updates.categories : session.categories,
+          position_settings: sanitizedPositionSettings
+            ? sanitizedPositionSettings.position_settings
+            : session.position_settings,
+        });
+        if (positionError) {
+          return res.status(400).json(positionError);
+        }
+      }
+
+      const nextSecretBallot =
+        updates.secret_ballot !== undefined ? updates.secret_ballot : session.secret_ballot;
+      const nextAllowRevote =
+        updates.allow_revote !== undefined ? updates.allow_revote : session.allow_revote;
+      if (nextSecretBallot === true && nextAllowRevote === true) {
+        return res.status(400).json(REVOTE_SECRET_BALLOT_ERROR);
+      }
+
+      // Re-check the nomination window whenever it or the start time moves
+      let sanitizedNomination = null;
+      if (
+        updates.nomination !== undefined ||
+        (updates.start_time !== undefined && session.nomination?.enabled === true)
+      ) {
+        sanitizedNomination = sanitizeNominationSettings(
+          updates.nomination !== undefined
+            ? updates.nomination
+            : session.nomination?.toObject?.() || session.nomination,
+          {
+            start_time:
+              updates.start_time !== undefined ? updates.start_time : session.start_time,
+          },
+        );
+        if (sanitizedNomination.error) {
+          return res.status(400).json(sanitizedNomination);
+        }
+      }
+
+      let sanitizedTieBreak = null;
+      if (updates.tie_break !== undefined) {
+        sanitizedTieBreak = sanitizeTieBreakSettings(updates.tie_break);
+        if (sanitizedTieBreak.error) {
+          return res.status(400).json(sanitizedTieBreak);
+        }
+      }
+
+      let sanitizedQuorum = null;
+      if (updates.quorum !== undefined) {
+        sanitizedQuorum = sanitizeQuorumSettings(updates.quorum);
+        if (sanitizedQuorum.error) {
+          return res.status(400).json(sanitizedQuorum);
+        }
+      }
+
+      let sanitizedCertification = null;
+      if (updates.certification !== undefined) {
+        sanitizedCertification = sanitizeCertificationSettings(updates.certification);
+        if (sanitizedCertification.error) {
+          return res.status(400).json(sanitizedCertification);
+        }
+      }
+
+      let sanitizedPetitions = null;
+      if (updates.petitions !== undefined) {
+        sanitizedPetitions = sanitizePetitionSettings(updates.petitions);
+        if (sanitizedPetitions.error) {
+          return res.status(400).json(sanitizedPetitions);
+        }
+      }
+
+      let sanitizedZones = null;
+      if (updates.polling_zones !== undefined) {
+        sanitizedZones = await resolvePollingZones(
+          getTenantId(req),
+          updates.polling_zones,
+        );
+        if (sanitizedZones.error) {
+          return res.status(400).json(sanitizedZones);
+        }
+      }
+
+      let sanitizedIntegrity = null;
+      if (updates.location_integrity !== undefined) {
+        sanitizedIntegrity = sanitizeLocationIntegritySettings(updates.location_integrity);
+        if (sanitizedIntegrity.error) {
+          return res.status(400).json(sanitizedIntegrity);
+        }
+      }
+
+      let sanitizedPresence = null;
+      if (updates.presence !== undefined) {
+        sanitizedPresence = sanitizePresenceSettings(updates.presence);
+        if (sanitizedPresence.error) {
+          return res.status(400).json(sanitizedPresence);
+        }
+      }
+
+      // Checked against the closing time and positions the session will
+      // have once this update is applied. Moving the close past the release
+      // time alone is fine: results are never released before the close.
+      let sanitizedEmbargo = null;
+      if (
+        updates.results_release_at !== undefined ||
+        updates.results_reveal !== undefined
+      ) {
+        sanitizedEmbargo = sanitizeResultEmbargo(
+          {
+            results_release_at:
+              updates.results_release_at !== undefined
+                ? updates.results_release_at
+                : session.results_release_at,
+            results_reveal:
+              updates.results_reveal !== undefined
+                ? updates.results_reveal
+                : session.results_reveal,
+          },
+          {
+            categories:
+              updates.categories !== undefined ? updates.categories : session.categories,
+            end_time: updates.end_time !== undefined ? updates.end_time : session.end_time,
+          },
+        );
+        if (sanitizedEmbargo.error) {
+          return res.status(400).json(sanitizedEmbargo);
+        }
+      }
+
       const attemptedRestrictedFields = Object.keys(updates).filter((field) => {
         if (updates[field] === undefined) return false;
         if (editPolicy.allowedSessionFields.includes(field)) return false;
@@ -953,14 +1488,14 @@ class AdminController {
         return res.status(403).json({
           error: "Restricted live session changes",
           message:
-            session.status === "active"
+            LIVE_SESSION_STATUSES.includes(session.status)
               ? "This session is live. You can update presentation fields, extend the closing time, widen eligibility, and adjust operational settings while votes are being recorded."
               : "This session cannot be modified.",
           restricted_fields: attemptedRestrictedFields,
         });
       }
 
-      if (session.status === "active") {
+      if (LIVE_SESSION_STATUSES.includes(session.status)) {
         if (updates.end_time !== undefined) {
           const currentEndTime = new Date(session.end_time);
           const requestedEndTime = new Date(updates.end_time);
@@ -1048,6 +1583,67 @@ class AdminController {
             session[field] = sanitizedEligibility.eligible_levels;
             return;
           }
+          if (field === "position_settings") {
+            session[field] = sanitizedPositionSettings.position_settings;
+            return;
+          }
+          if (field === "nomination") {
+            session[field] = sanitizedNomination.nomination;
+            return;
+          }
+          if (field === "quorum") {
+            session[field] = sanitizedQuorum.quorum;
+            return;
+          }
+          if (field === "certification") {
+            session.set(
+              "certification.required_approvals",
+              sanitizedCertification.certification.required_approvals,
+            );
+            return;
+          }
+          if (field === "petitions") {
+            session[field] = sanitizedPetitions.petitions;
+            return;
+          }
+          if (field === "polling_zones") {
+            session[field] = sanitizedZones.polling_zones;
+            // Listed after location, so the covering circle wins
+            if (sanitizedZones.polling_zones.length > 0) {
+              session.location = buildCoveringLocation(sanitizedZones.polling_zones);
+            }
+            return;
+          }
+          if (field === "location_integrity") {
+            session[field] = sanitizedIntegrity.location_integrity;
+            return;
+          }
+          if (field === "presence") {
+            // Set path by path so the code signing secret is kept
+            Object.entries(sanitizedPresence.presence).forEach(([key, value]) => {
+              session.set(`presence.${key}`, value);
+            });
+            return;
+          }
+          if (field === "results_release_at" || field === "results_reveal") {
+            session[field] = sanitizedEmbargo[field];
+            return;
+          }
+          if (field === "tie_break") {
+            // Set path by path so an already committed lot seed is kept
+            Object.entries(sanitizedTieBreak.tie_break).forEach(([key, value]) => {
+              session.set(`tie_break.${key}`, value);
+            });
+            if (
+              sanitizedTieBreak.tie_break.policy === "lot" &&
+              !session.tie_break?.lot_seed_commitment
+            ) {
+              const { seed, commitment } = createLotSeed();
+              session.set("tie_break.lot_seed", seed);
+              session.set("tie_break.lot_seed_commitment", commitment);
+            }
+            return;
+          }
           session[field] = updates[field];
         }
       });
@@ -1089,6 +1685,15 @@ class AdminController {
         return res.status(404).json({ error: "Election not found" });
       }
 
+      if (session.series_id) {
+        await mongoSession.abortTransaction();
+        return res.status(409).json({
+          error: "This election is a stage of a series",
+          code: "SESSION_IN_SERIES",
+          message: "Delete the series before deleting one of its elections.",
+        });
+      }
+
       // Face++ uses stateless verification - no cleanup needed
 
       // Delete all votes for this session
@@ -1102,6 +1707,10 @@ class AdminController {
         getTenantScopedFilter(req, { session_id: id }),
         { session: mongoSession },
       );
+      await Ticket.deleteMany(
+        getTenantScopedFilter(req, { session_id: id }),
+        { session: mongoSession },
+      );
 
       // Remove session from students' has_voted_sessions
       await Student.updateMany(
@@ -1172,6 +1781,17 @@ class AdminController {
         });
       }
 
+      const placementError = validateCandidatePlacement(
+        session,
+        position,
+        await Candidate.countDocuments(
+          getTenantScopedFilter(req, { session_id: session._id, position }),
+        ),
+      );
+      if (placementError) {
+        return res.status(400).json(placementError);
+      }
+
       const candidate = await Candidate.create({
         ...assignTenantId(req, {}),
         session_id: session._id,
@@ -1249,7 +1869,7 @@ class AdminController {
 
       const [candidates, total] = await Promise.all([
         Candidate.find(candidateFilter)
-          .populate("session_id", "title status start_time end_time categories")
+          .populate("session_id", `title ${COUNT_VISIBILITY_FIELDS.join(" ")}`)
           .sort({ createdAt: -1, name: 1 })
           .skip(skip)
           .limit(limit)
@@ -1258,7 +1878,11 @@ class AdminController {
       ]);
 
       res.json({
-        candidates,
+        candidates: candidates.map((candidate) =>
+          candidate.session_id && hidesCandidateCounts(req, candidate.session_id)
+            ? { ...candidate, vote_count: null, counts_hidden: true }
+            : candidate,
+        ),
         pagination: {
           page,
           limit,
@@ -1317,7 +1941,7 @@ class AdminController {
       }
 
       if (
-        session.status === "active" &&
+        LIVE_SESSION_STATUSES.includes(session.status) &&
         position !== undefined &&
         position !== candidate.position
       ) {
@@ -1336,6 +1960,34 @@ class AdminController {
         });
       }
 
+      if (
+        position !== undefined &&
+        position !== candidate.position &&
+        (await Ticket.exists(
+          getTenantScopedFilter(req, { "members.candidate_id": candidate._id }),
+        ))
+      ) {
+        return res.status(409).json({
+          error: "Candidate is on a ticket",
+          code: "CANDIDATE_ON_TICKET",
+          message:
+            "Remove the candidate's ticket before moving them to another position.",
+        });
+      }
+
+      if (position !== undefined && position !== candidate.position) {
+        const placementError = validateCandidatePlacement(
+          session,
+          position,
+          await Candidate.countDocuments(
+            getTenantScopedFilter(req, { session_id: session._id, position }),
+          ),
+        );
+        if (placementError) {
+          return res.status(400).json(placementError);
+        }
+      }
+
       // Update fields
       if (name !== undefined) candidate.name = name;
       if (position !== undefined) candidate.position = position;
@@ -1355,7 +2007,7 @@ class AdminController {
           photo_url: candidate.photo_url,
           bio: candidate.bio,
           manifesto: candidate.manifesto,
-          vote_count: candidate.vote_count,
+          vote_count: hidesCandidateCounts(req, session) ? null : candidate.vote_count,
           session_id: candidate.session_id,
         },
       });
@@ -1404,6 +2056,18 @@ class AdminController {
         });
       }
 
+      if (
+        await Ticket.exists(
+          getTenantScopedFilter(req, { "members.candidate_id": candidate._id }),
+        )
+      ) {
+        return res.status(409).json({
+          error: "Candidate is on a ticket",
+          code: "CANDIDATE_ON_TICKET",
+          message: "Remove the candidate's ticket before deleting them.",
+        });
+      }
+
       // Delete the candidate
       await Candidate.findOneAndDelete(getTenantScopedFilter(req, { _id: id }));
 
@@ -2387,7 +3051,7 @@ class AdminController {
 
       if (cachedStats) {
         return res.json({
-          ...cachedStats,
+          ...applyCountVisibility(req, cachedStats, cachedStats.session),
           cached: true,
         });
       }
@@ -2505,12 +3169,16 @@ class AdminController {
       if (!useFresh && cachedSessions) {
         return res.json({
           ...cachedSessions,
+          sessions: cachedSessions.sessions.map((session) =>
+            applySessionCountVisibility(req, session),
+          ),
           cached: true,
         });
       }
 
       const [sessions, total] = await Promise.all([
         VotingSession.find(filter)
+          .select("-encryption.aggregate.ciphertexts")
           .populate("candidates", "name position photo_url vote_count")
           .sort({ createdAt: -1 })
           .skip((page - 1) * limit)
@@ -2527,6 +3195,7 @@ class AdminController {
               $match: {
                 session_id: { $in: sessionIds },
                 status: "valid",
+                ...CANDIDATE_SUPPORT_MATCH,
               },
             },
             {
@@ -2540,25 +3209,16 @@ class AdminController {
             },
           ]),
         ),
-        Vote.aggregate(
+        // Turnout comes from the students' records so secret ballots,
+        // which carry no student_id, are counted too
+        Student.aggregate(
           prependTenantMatch(req, [
-            {
-              $match: {
-                session_id: { $in: sessionIds },
-                status: "valid",
-              },
-            },
-            {
-              $group: {
-                _id: {
-                  session_id: "$session_id",
-                  student_id: "$student_id",
-                },
-              },
-            },
+            { $match: { has_voted_sessions: { $in: sessionIds } } },
+            { $unwind: "$has_voted_sessions" },
+            { $match: { has_voted_sessions: { $in: sessionIds } } },
             {
               $group: {
-                _id: "$_id.session_id",
+                _id: "$has_voted_sessions",
                 students_voted: { $sum: 1 },
               },
             },
@@ -2586,12 +3246,23 @@ class AdminController {
         session.students_voted = voterCountMap.get(sessionKey) || 0;
 
         if (session.candidates && session.candidates.length > 0) {
+          const decryptedCounts = isEncryptedSession(session)
+            ? new Map(
+                getDecryptedCandidateCounts(session).map((entry) => [
+                  entry._id.toString(),
+                  entry.count,
+                ]),
+              )
+            : null;
+
           session.candidates = session.candidates.map((candidate) => ({
             ...candidate,
             vote_count:
-              candidateVoteMap.get(
-                `${sessionKey}:${candidate._id.toString()}`,
-              ) || 0,
+              (decryptedCounts
+                ? decryptedCounts.get(candidate._id.toString())
+                : candidateVoteMap.get(
+                    `${sessionKey}:${candidate._id.toString()}`,
+                  )) || 0,
           }));
         }
       }
@@ -2612,6 +3283,7 @@ class AdminController {
 
       res.json({
         ...payload,
+        sessions: sessions.map((session) => applySessionCountVisibility(req, session)),
         cached: false,
       });
     } catch (error) {
@@ -2643,6 +3315,7 @@ class AdminController {
         upcomingSessions,
         endedSessions,
         totalVotes,
+        heldSessions,
       ] = await Promise.all([
         VotingSession.countDocuments(getTenantScopedFilter(req, {})),
         VotingSession.countDocuments(
@@ -2655,13 +3328,25 @@ class AdminController {
           getTenantScopedFilter(req, { status: "ended" }),
         ),
         Vote.countDocuments(getTenantScopedFilter(req, { status: "valid" })),
+        VotingSession.aggregate(
+          prependTenantMatch(req, [
+            { $match: { status: { $in: HELD_STATUSES } } },
+            { $group: { _id: "$status", count: { $sum: 1 } } },
+          ]),
+        ),
       ]);
+      const heldCounts = Object.fromEntries(
+        heldSessions.map((entry) => [entry._id, entry.count]),
+      );
 
       const summary = {
         total_sessions: totalSessions,
         active_sessions: activeSessions,
         upcoming_sessions: upcomingSessions,
         ended_sessions: endedSessions,
+        draft_sessions: heldCounts.draft || 0,
+        paused_sessions: heldCounts.paused || 0,
+        cancelled_sessions: heldCounts.cancelled || 0,
         total_votes: totalVotes,
       };
 
@@ -2868,6 +3553,7 @@ class AdminController {
       const session = await VotingSession.findOne(
         getTenantScopedFilter(req, { _id: id }),
       )
+        .select("-encryption.aggregate.ciphertexts")
         .populate("candidates", "name position photo_url bio manifesto")
         .lean();
 
@@ -2880,6 +3566,7 @@ class AdminController {
         totalVotes,
         duplicateAttempts,
         rejectedVotes,
+        supersededVotes,
         eligibleStudents,
         votesByCandidate,
       ] = await Promise.all([
@@ -2892,8 +3579,11 @@ class AdminController {
         Vote.countDocuments(
           getTenantScopedFilter(req, { session_id: id, status: "rejected" }),
         ),
+        Vote.countDocuments(
+          getTenantScopedFilter(req, { session_id: id, status: "superseded" }),
+        ),
         countEligibleStudents(req, session),
-        getVotesByCandidate(req, id),
+        getVotesByCandidate(req, session),
       ]);
 
       const candidatesWithVotes = mapCandidatesWithVoteCounts(
@@ -2903,15 +3593,16 @@ class AdminController {
       );
 
       res.json({
-        session: {
+        session: applySessionCountVisibility(req, {
           ...session,
           candidates: candidatesWithVotes,
-        },
+        }),
         stats: {
           eligible_students: eligibleStudents,
           total_votes: totalVotes,
           duplicate_attempts: duplicateAttempts,
           rejected_votes: rejectedVotes,
+          superseded_votes: supersededVotes,
           turnout_percentage:
             eligibleStudents > 0
               ? ((totalVotes / eligibleStudents) * 100).toFixed(2)
@@ -2959,8 +3650,10 @@ class AdminController {
         totalVotes,
         duplicateAttempts,
         rejectedVotes,
+        supersededVotes,
         eligibleStudents,
         votesByCandidate,
+        recounts,
       ] =
         await Promise.all([
           Vote.countDocuments(
@@ -2972,8 +3665,12 @@ class AdminController {
           Vote.countDocuments(
             getTenantScopedFilter(req, { session_id: id, status: "rejected" }),
           ),
+          Vote.countDocuments(
+            getTenantScopedFilter(req, { session_id: id, status: "superseded" }),
+          ),
           countEligibleStudents(req, session),
-          getVotesByCandidate(req, id),
+          getVotesByCandidate(req, session),
+          getRecentRecounts(req, id),
         ]);
 
       const candidatesWithVotes = mapCandidatesWithVoteCounts(
@@ -2984,28 +3681,30 @@ class AdminController {
 
       const responseData = {
         session: {
+          ...pickCountVisibilityFields(session),
           id: session._id,
           title: session.title,
-          status: session.status,
         },
         stats: {
           eligible_students: eligibleStudents,
           total_votes: totalVotes,
           duplicate_attempts: duplicateAttempts,
           rejected_votes: rejectedVotes,
+          superseded_votes: supersededVotes,
           turnout_percentage:
             eligibleStudents > 0
               ? ((totalVotes / eligibleStudents) * 100).toFixed(2)
               : 0,
         },
         candidates: candidatesWithVotes,
+        recounts,
         cached: false,
       };
 
       // Cache for 2 minutes
       await cacheService.set(cacheKey, responseData, 120);
 
-      res.json(responseData);
+      res.json(applyCountVisibility(req, responseData, session));
     } catch (error) {
       console.error("Get session stats error:", error);
       res.status(500).json({ error: "Failed to get session stats" });
@@ -3024,7 +3723,7 @@ class AdminController {
 
       if (cachedStats) {
         return res.json({
-          ...cachedStats,
+          ...applyCountVisibility(req, cachedStats, cachedStats.session),
           cached: true,
         });
       }
@@ -3043,8 +3742,10 @@ class AdminController {
         totalVotes,
         duplicateAttempts,
         rejectedVotes,
+        supersededVotes,
         eligibleStudents,
         votesByCandidate,
+        recounts,
       ] = await Promise.all([
         Vote.countDocuments(
           getTenantScopedFilter(req, { session_id: id, status: "valid" }),
@@ -3055,8 +3756,12 @@ class AdminController {
         Vote.countDocuments(
           getTenantScopedFilter(req, { session_id: id, status: "rejected" }),
         ),
+        Vote.countDocuments(
+          getTenantScopedFilter(req, { session_id: id, status: "superseded" }),
+        ),
         countEligibleStudents(req, session),
-        getVotesByCandidate(req, id),
+        getVotesByCandidate(req, session),
+        getRecentRecounts(req, id),
       ]);
 
       const candidates = mapCandidatesWithVoteCounts(
@@ -3067,29 +3772,29 @@ class AdminController {
 
       const responseData = {
         session: {
+          ...pickCountVisibilityFields(session),
           id: session._id,
           title: session.title,
-          status: session.status,
-          start_time: session.start_time,
-          end_time: session.end_time,
         },
         stats: {
           eligible_students: eligibleStudents,
           total_votes: totalVotes,
           duplicate_attempts: duplicateAttempts,
           rejected_votes: rejectedVotes,
+          superseded_votes: supersededVotes,
           turnout_percentage:
             eligibleStudents > 0
               ? ((totalVotes / eligibleStudents) * 100).toFixed(2)
               : 0,
         },
         candidates,
+        recounts,
         cached: false,
       };
 
       await cacheService.set(cacheKey, responseData, 120);
 
-      res.json(responseData);
+      res.json(applyCountVisibility(req, responseData, session));
     } catch (error) {
       console.error("Get advanced session analytics error:", error);
       res.status(500).json({ error: "Failed to get advanced session analytics" });
@@ -3103,12 +3808,20 @@ class AdminController {
   async getSessionLive(req, res) {
     try {
       const { id } = req.params;
-      const payload = await getAdminLivePayload(req, id);
+      let payload = await getAdminLivePayload(req, id);
 
       if (!payload) {
         return res.status(404).json({ error: "Election not found" });
       }
 
+      if (
+        payload.session.status === "ended" &&
+        !payload.release.complete &&
+        !canPreviewResults(req)
+      ) {
+        payload = { ...payload, candidate_standings: [], standings_sealed: true };
+      }
+
       res.set({
         "Cache-Control": payload.session.is_live
           ? "private, max-age=5"
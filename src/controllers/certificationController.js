@@ -0,0 +1,182 @@
+const VotingSession = require("../models/VotingSession");
+const cacheService = require("../services/cacheService");
+const sessionScheduler = require("../utils/sessionScheduler");
+const {
+  getTenantScopedFilter,
+  getTenantCacheNamespace,
+} = require("../utils/tenantScope");
+const {
+  requiresCertification,
+  digestApproval,
+  formatCertification,
+} = require("../utils/certification");
+const { isResultsEmbargoed } = require("../utils/resultEmbargo");
+const { hasResultsHold } = require("../utils/petitionRules");
+
+async function invalidateCertificationCaches(req, sessionId) {
+  const tenantNamespace = getTenantCacheNamespace(req);
+
+  await Promise.all([
+    cacheService.delPattern(`admin:sessions:list:${tenantNamespace}:*`),
+    cacheService.del(`admin:session_live:${tenantNamespace}:${sessionId}`),
+    cacheService.del(`session:${tenantNamespace}:${sessionId}`),
+    cacheService.delPattern(`session:${tenantNamespace}:${sessionId}:*`),
+    cacheService.del(`live_results:${tenantNamespace}:${sessionId}`),
+  ]);
+}
+
+function serializeCertification(session) {
+  return {
+    session_id: session._id,
+    title: session.title,
+    ...formatCertification(session),
+    snapshot_taken_at: session.certification.snapshot_taken_at,
+    snapshot: session.certification.snapshot,
+  };
+}
+
+class CertificationController {
+  /**
+   * Frozen results and the approvals collected so far
+   * GET /api/admin/sessions/:id/certification
+   */
+  async getCertification(req, res) {
+    try {
+      const session = await VotingSession.findOne(
+        getTenantScopedFilter(req, { _id: req.params.id }),
+      )
+        .select("title status certification")
+        .lean();
+
+      if (!session) {
+        return res.status(404).json({ error: "Election not found" });
+      }
+
+      if (!requiresCertification(session)) {
+        return res.status(404).json({
+          error: "This election does not require certification",
+          code: "CERTIFICATION_NOT_REQUIRED",
+        });
+      }
+
+      res.json({ certification: serializeCertification(session) });
+    } catch (error) {
+      console.error("Get certification error:", error);
+      res.status(500).json({ error: "Failed to get certification" });
+    }
+  }
+
+  /**
+   * Sign off the frozen results. The last required approval publishes them.
+   * POST /api/admin/sessions/:id/certification/approve
+   */
+  async approveResults(req, res) {
+    try {
+      const { signature, comment, snapshot_hash } = req.body;
+      const session = await VotingSession.findOne(
+        getTenantScopedFilter(req, { _id: req.params.id }),
+      );
+
+      if (!session) {
+        return res.status(404).json({ error: "Election not found" });
+      }
+
+      if (!requiresCertification(session) || session.certification.status !== "pending") {
+        return res.status(409).json({
+          error:
+            session.certification?.status === "certified"
+              ? "These results are already certified"
+              : "These results are not awaiting certification",
+          code: "CERTIFICATION_NOT_PENDING",
+        });
+      }
+
+      // Approvers sign the hash they reviewed, so a snapshot taken again
+      // after they looked cannot collect their approval
+      if (snapshot_hash !== session.certification.snapshot_hash) {
+        return res.status(409).json({
+          error: "The results changed since they were reviewed",
+          code: "SNAPSHOT_MISMATCH",
+          snapshot_hash: session.certification.snapshot_hash,
+        });
+      }
+
+      const approvedAt = new Date();
+      const approval = {
+        admin_id: req.adminId,
+        signed_by: req.admin.full_name || req.admin.email,
+        signature,
+        comment,
+        approved_at: approvedAt,
+        digest: digestApproval({
+          snapshotHash: snapshot_hash,
+          adminId: req.adminId,
+          signature,
+          comment,
+          approvedAt,
+        }),
+      };
+
+      const updated = await VotingSession.findOneAndUpdate(
+        getTenantScopedFilter(req, {
+          _id: session._id,
+          "certification.status": "pending",
+          "certification.snapshot_hash": snapshot_hash,
+          "certification.approvals.admin_id": { $ne: req.adminId },
+        }),
+        { $push: { "certification.approvals": approval } },
+        { new: true },
+      );
+
+      if (!updated) {
+        return res.status(409).json({
+          error: "You have already approved these results",
+          code: "ALREADY_APPROVED",
+        });
+      }
+
+      let certified = false;
+      if (
+        updated.certification.approvals.length >=
+        updated.certification.required_approvals
+      ) {
+        const claimed = await VotingSession.updateOne(
+          { _id: updated._id, "certification.status": "pending" },
+          {
+            $set: {
+              "certification.status": "certified",
+              "certification.certified_at": approvedAt,
+              results_public:
+                !isResultsEmbargoed(updated) && !hasResultsHold(updated),
+            },
+          },
+        );
+        certified = claimed.modifiedCount > 0;
+      }
+
+      await invalidateCertificationCaches(req, updated._id);
+
+      if (certified) {
+        updated.certification.status = "certified";
+        updated.certification.certified_at = approvedAt;
+        sessionScheduler.finalizeResults(updated).catch((error) => {
+          console.error("Failed to announce certified results:", error);
+        });
+      }
+
+      res.json({
+        message: !certified
+          ? "Approval recorded"
+          : isResultsEmbargoed(updated)
+            ? "Results certified; they will be published when the embargo lifts"
+            : "Results certified and published",
+        certification: formatCertification(updated),
+      });
+    } catch (error) {
+      console.error("Approve results error:", error);
+      res.status(500).json({ error: "Failed to record approval" });
+    }
+  }
+}
+
+module.exports = new CertificationController();
@@ -15,20 +15,23 @@ const {
   getTenantParticipantFieldMetadata,
   getTenantSettings,
 } = require("../utils/tenantSettings");
-const { getDepartmentNameMap } = require("../utils/departmentLookup");
+const {
+  getDepartmentNameMap,
+  resolveDepartmentNames,
+} = require("../utils/departmentLookup");
+const { buildSessionResults } = require("../services/resultService");
+const {
+  getRevealedPositions,
+  getResultsWithheldCode,
+} = require("../utils/resultEmbargo");
+const {
+  STUDENT_VISIBLE_FILTER,
+  resolveSessionStatus,
+} = require("../utils/sessionLifecycle");
 
+// Admin-held statuses (draft, paused, cancelled) win over the clock
 function calculateSessionStatus(session) {
-  const now = new Date();
-
-  if (now < session.start_time) {
-    return "upcoming";
-  }
-
-  if (now >= session.start_time && now <= session.end_time) {
-    return "active";
-  }
-
-  return "ended";
+  return resolveSessionStatus(session);
 }
 
 function resolveEligibleDepartmentNames(session, departmentNameMap) {
@@ -467,7 +470,7 @@ class DashboardController {
         this.getCachedStat(
           buildTenantStatKey(req, "all_sessions"),
           () =>
-            VotingSession.find(getTenantScopedFilter(req, {}))
+            VotingSession.find(getTenantScopedFilter(req, { ...STUDENT_VISIBLE_FILTER }))
               .select(
                 "title status start_time end_time eligible_college eligible_departments eligible_levels results_public candidates",
               )
@@ -546,34 +549,45 @@ class DashboardController {
                   _id: { $in: recentResultSessionIds },
                 }),
               )
-                .select("title start_time end_time")
-                .populate("candidates", "name position vote_count")
+                .populate("candidates", "name position photo_url disqualification")
                 .lean();
 
-              return sessions
-                .filter((session) => calculateSessionStatus(session) === "ended")
-                .map((session) => {
-                  const winners = {};
-                  const resultsByPosition = {};
-
-                  session.candidates.forEach((candidate) => {
-                    if (!resultsByPosition[candidate.position]) {
-                      resultsByPosition[candidate.position] = [];
-                    }
-                    resultsByPosition[candidate.position].push(candidate);
-                  });
-
-                  Object.entries(resultsByPosition).forEach(
-                    ([position, candidates]) => {
-                      const maxVotes = Math.max(
-                        ...candidates.map((candidate) => candidate.vote_count),
-                      );
-                      winners[position] =
-                        candidates.find(
-                          (candidate) => candidate.vote_count === maxVotes,
-                        ) || null;
-                    },
+              // Only results students can already open on GET /api/results:
+              // not held, decrypted, certified and past the embargo, limited
+              // to the positions revealed so far
+              const published = sessions.filter(
+                (session) =>
+                  calculateSessionStatus(session) === "ended" &&
+                  !getResultsWithheldCode(session),
+              );
+
+              return Promise.all(
+                published.map(async (session) => {
+                  const departmentNames = await resolveDepartmentNames(
+                    req,
+                    session.eligible_departments,
+                  );
+                  const { results } = await buildSessionResults(
+                    req,
+                    session,
+                    departmentNames,
                   );
+                  const revealedPositions = getRevealedPositions(session);
+                  const winners = {};
+
+                  results
+                    .filter((group) => revealedPositions.has(group.position))
+                    .forEach((group) => {
+                      winners[group.position] = group.candidates
+                        .filter((candidate) => candidate.is_winner)
+                        .map((candidate) => ({
+                          id: candidate.id,
+                          name: candidate.name,
+                          position: candidate.position,
+                          photo_url: candidate.photo_url,
+                          vote_count: candidate.vote_count,
+                        }));
+                    });
 
                   return {
                     session_id: session._id,
@@ -581,7 +595,8 @@ class DashboardController {
                     end_time: session.end_time,
                     winners,
                   };
-                });
+                }),
+              );
             },
             180,
           )
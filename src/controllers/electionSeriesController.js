@@ -0,0 +1,192 @@
+const VotingSession = require("../models/VotingSession");
+const ElectionSeries = require("../models/ElectionSeries");
+const cacheService = require("../services/cacheService");
+const {
+  getTenantScopedFilter,
+  assignTenantId,
+  getTenantCacheNamespace,
+} = require("../utils/tenantScope");
+const {
+  sanitizeSeriesStages,
+  buildSeriesTimeline,
+} = require("../utils/electionSeries");
+
+const SERIES_SESSION_SELECT = "title status start_time end_time live_public_code series_id";
+
+async function invalidateSeriesCaches(req, sessionIds) {
+  const tenantNamespace = getTenantCacheNamespace(req);
+
+  await Promise.all(
+    sessionIds.map((sessionId) => [
+      cacheService.del(`session:${tenantNamespace}:${sessionId}`),
+      cacheService.delPattern(`session:${tenantNamespace}:${sessionId}:*`),
+      cacheService.del(`live_results:${tenantNamespace}:${sessionId}`),
+    ]).flat(),
+  );
+}
+
+async function loadSeriesSessions(req, series) {
+  return VotingSession.find(
+    getTenantScopedFilter(req, {
+      _id: { $in: series.stages.map((stage) => stage.session_id) },
+    }),
+  )
+    .select(SERIES_SESSION_SELECT)
+    .lean();
+}
+
+function serializeSeries(series, sessions) {
+  return {
+    ...buildSeriesTimeline(series, sessions, { includeDrafts: true }),
+    promotions: [...series.stages]
+      .sort((left, right) => left.order - right.order)
+      .map((stage) => ({
+        stage: stage.order,
+        session_id: stage.session_id,
+        promotions: stage.promotions || [],
+      })),
+    created_at: series.createdAt,
+  };
+}
+
+class ElectionSeriesController {
+  /**
+   * List the tenant's election series
+   * GET /api/admin/series
+   */
+  async listSeries(req, res) {
+    try {
+      const seriesList = await ElectionSeries.find(getTenantScopedFilter(req, {}))
+        .sort({ createdAt: -1 })
+        .lean();
+      const sessions = await VotingSession.find(
+        getTenantScopedFilter(req, {
+          _id: {
+            $in: seriesList.flatMap((series) =>
+              series.stages.map((stage) => stage.session_id),
+            ),
+          },
+        }),
+      )
+        .select(SERIES_SESSION_SELECT)
+        .lean();
+
+      res.json({
+        series: seriesList.map((series) =>
+          buildSeriesTimeline(series, sessions, { includeDrafts: true }),
+        ),
+      });
+    } catch (error) {
+      console.error("List election series error:", error);
+      res.status(500).json({ error: "Failed to list election series" });
+    }
+  }
+
+  /**
+   * Get a series with its timeline and recorded promotions
+   * GET /api/admin/series/:id
+   */
+  async getSeries(req, res) {
+    try {
+      const series = await ElectionSeries.findOne(
+        getTenantScopedFilter(req, { _id: req.params.id }),
+      ).lean();
+
+      if (!series) {
+        return res.status(404).json({ error: "Series not found" });
+      }
+
+      res.json({ series: serializeSeries(series, await loadSeriesSessions(req, series)) });
+    } catch (error) {
+      console.error("Get election series error:", error);
+      res.status(500).json({ error: "Failed to get election series" });
+    }
+  }
+
+  /**
+   * Link elections into a series, in stage order
+   * POST /api/admin/series
+   */
+  async createSeries(req, res) {
+    try {
+      const { name, description, stages } = req.body;
+      const sessions = await VotingSession.find(
+        getTenantScopedFilter(req, {
+          _id: { $in: (stages || []).map((stage) => stage?.session_id).filter(Boolean) },
+        }),
+      )
+        .select(SERIES_SESSION_SELECT)
+        .lean();
+      const sessionsById = new Map(
+        sessions.map((session) => [session._id.toString(), session]),
+      );
+
+      const sanitized = sanitizeSeriesStages(stages, sessionsById);
+      if (sanitized.error) {
+        return res.status(400).json(sanitized);
+      }
+
+      const linked = sessions.find((session) => session.series_id);
+      if (linked) {
+        return res.status(409).json({
+          error: `"${linked.title}" is already part of a series`,
+          code: "SESSION_IN_SERIES",
+        });
+      }
+
+      const series = await ElectionSeries.create(
+        assignTenantId(req, {
+          name,
+          description: description || "",
+          stages: sanitized.stages,
+          created_by: req.adminId,
+        }),
+      );
+
+      const sessionIds = sanitized.stages.map((stage) => stage.session_id);
+      await VotingSession.updateMany(
+        getTenantScopedFilter(req, { _id: { $in: sessionIds } }),
+        { $set: { series_id: series._id } },
+      );
+      await invalidateSeriesCaches(req, sessionIds.map(String));
+
+      res.status(201).json({
+        message: "Election series created",
+        series: serializeSeries(series.toObject(), sessions),
+      });
+    } catch (error) {
+      console.error("Create election series error:", error);
+      res.status(500).json({ error: "Failed to create election series" });
+    }
+  }
+
+  /**
+   * Unlink a series. Its elections and any promoted candidates stay.
+   * DELETE /api/admin/series/:id
+   */
+  async deleteSeries(req, res) {
+    try {
+      const series = await ElectionSeries.findOneAndDelete(
+        getTenantScopedFilter(req, { _id: req.params.id }),
+      );
+
+      if (!series) {
+        return res.status(404).json({ error: "Series not found" });
+      }
+
+      const sessionIds = series.stages.map((stage) => stage.session_id);
+      await VotingSession.updateMany(
+        getTenantScopedFilter(req, { _id: { $in: sessionIds }, series_id: series._id }),
+        { $set: { series_id: null } },
+      );
+      await invalidateSeriesCaches(req, sessionIds.map(String));
+
+      res.json({ message: "Election series deleted" });
+    } catch (error) {
+      console.error("Delete election series error:", error);
+      res.status(500).json({ error: "Failed to delete election series" });
+    }
+  }
+}
+
+module.exports = new ElectionSeriesController();
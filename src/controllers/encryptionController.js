@@ -0,0 +1,626 @@
+const mongoose = require("mongoose");
+const VotingSession = require("../models/VotingSession");
+const Candidate = require("../models/Candidate");
+const DecryptionShare = require("../models/DecryptionShare");
+const TenantAdminMembership = require("../models/TenantAdminMembership");
+const cacheService = require("../services/cacheService");
+const { computeEncryptedAggregate } = require("../services/tallyService");
+const sessionScheduler = require("../utils/sessionScheduler");
+const {
+  getTenantId,
+  getTenantScopedFilter,
+  assignTenantId,
+  getTenantCacheNamespace,
+} = require("../utils/tenantScope");
+const {
+  GROUP,
+  isGroupElement,
+  verifyKeyShares,
+  verifyPartialDecryption,
+  combinePartialDecryptions,
+} = require("../utils/electionCrypto");
+const {
+  isEncryptedSession,
+  validateEncryptablePositions,
+  buildProofContext,
+} = require("../utils/encryptedBallot");
+const { requiresCertification } = require("../utils/certification");
+const { isResultsEmbargoed } = require("../utils/resultEmbargo");
+const { hasResultsHold } = require("../utils/petitionRules");
+
+function toId(value) {
+  if (!value) return null;
+  return value.toString();
+}
+
+function isTrustee(session, adminId) {
+  return (session.encryption?.trustees || []).find(
+    (trustee) => toId(trustee.admin_id) === toId(adminId),
+  );
+}
+
+function formatEncryptionSummary(session, submittedIndexes = []) {
+  const encryption = session.encryption || {};
+
+  return {
+    enabled: encryption.enabled === true,
+    group: encryption.enabled ? GROUP.name : null,
+    threshold: encryption.threshold || null,
+    public_key: encryption.public_key || null,
+    trustees: (encryption.trustees || []).map((trustee) => ({
+      admin_id: trustee.admin_id,
+      index: trustee.index,
+      verification_key: trustee.verification_key,
+      share_submitted: submittedIndexes.includes(trustee.index),
+    })),
+    aggregate: encryption.aggregate?.computed_at
+      ? {
+          computed_at: encryption.aggregate.computed_at,
+          digest: encryption.aggregate.digest,
+        }
+      : null,
+    shares_submitted: submittedIndexes.length,
+    tally: encryption.tally?.decrypted_at
+      ? {
+          decrypted_at: encryption.tally.decrypted_at,
+          trustee_indexes: encryption.tally.trustee_indexes || [],
+        }
+      : null,
+  };
+}
+
+async function invalidateTallyCaches(req, sessionId) {
+  const tenantNamespace = getTenantCacheNamespace(req);
+
+  await Promise.all([
+    cacheService.delPattern(`admin:sessions:list:${tenantNamespace}:*`),
+    cacheService.del(`admin:session_stats:${sessionId}:${tenantNamespace}`),
+    cacheService.del(`admin:advanced_session_stats:${sessionId}:${tenantNamespace}`),
+    cacheService.del(`admin:session_live:${tenantNamespace}:${sessionId}`),
+    cacheService.del(`live_results:${tenantNamespace}:${sessionId}`),
+    cacheService.del(`public:bulletin:${tenantNamespace}:${sessionId}`),
+  ]);
+}
+
+async function loadSubmittedIndexes(req, sessionId) {
+  const shares = await DecryptionShare.find(
+    getTenantScopedFilter(req, { session_id: sessionId }),
+  )
+    .select("trustee_index")
+    .lean();
+
+  return shares.map((share) => share.trustee_index).sort((left, right) => left - right);
+}
+
+class EncryptionController {
+  /**
+   * Get the encryption setup and tally progress of a session
+   * GET /api/admin/sessions/:id/encryption
+   */
+  async getEncryption(req, res) {
+    try {
+      const { id } = req.params;
+      const session = await VotingSession.findOne(
+        getTenantScopedFilter(req, { _id: id }),
+      )
+        .select("title start_time end_time encryption")
+        .lean();
+
+      if (!session) {
+        return res.status(404).json({ error: "Election not found" });
+      }
+
+      const submittedIndexes = await loadSubmittedIndexes(req, session._id);
+
+      res.json({
+        session: {
+          id: session._id,
+          title: session.title,
+          start_time: session.start_time,
+          end_time: session.end_time,
+        },
+        encryption: formatEncryptionSummary(session, submittedIndexes),
+      });
+    } catch (error) {
+      console.error("Get session encryption error:", error);
+      res.status(500).json({ error: "Failed to get encryption settings" });
+    }
+  }
+
+  /**
+   * Enable or disable encrypted ballots for an upcoming session. The public
+   * key and trustee verification keys come from an offline key ceremony
+   * (scripts/electionKeyCeremony.js); private shares are never sent here.
+   * PUT /api/admin/sessions/:id/encryption
+   */
+  async configureEncryption(req, res) {
+    try {
+      const { id } = req.params;
+      const { enabled, threshold, public_key, trustees = [] } = req.body;
+
+      const session = await VotingSession.findOne(
+        getTenantScopedFilter(req, { _id: id }),
+      );
+
+      if (!session) {
+        return res.status(404).json({ error: "Election not found" });
+      }
+
+      if (new Date() >= session.start_time) {
+        return res.status(403).json({
+          error: "Encryption settings are locked once voting starts",
+          code: "ENCRYPTION_LOCKED",
+        });
+      }
+
+      if (!enabled) {
+        session.encryption = { enabled: false, trustees: [] };
+        await session.save();
+        await invalidateTallyCaches(req, session._id);
+
+        return res.json({
+          message: "Encrypted ballots disabled",
+          encryption: formatEncryptionSummary(session),
+        });
+      }
+
+      const positionError = validateEncryptablePositions(session);
+      if (positionError) {
+        return res.status(400).json(positionError);
+      }
+
+      const normalizedTrustees = trustees.map((trustee) => ({
+        admin_id: toId(trustee.admin_id),
+        index: Number(trustee.index),
+        verification_key: String(trustee.verification_key || "").toLowerCase(),
+      }));
+      const normalizedThreshold = Number(threshold);
+
+      if (
+        !Number.isInteger(normalizedThreshold) ||
+        normalizedThreshold < 1 ||
+        normalizedThreshold > normalizedTrustees.length
+      ) {
+        return res.status(400).json({
+          error: "Threshold must be between 1 and the number of trustees",
+          code: "INVALID_TRUSTEE_THRESHOLD",
+        });
+      }
+
+      const adminIds = normalizedTrustees.map((trustee) => trustee.admin_id);
+      const indexes = normalizedTrustees.map((trustee) => trustee.index);
+      if (
+        new Set(adminIds).size !== adminIds.length ||
+        new Set(indexes).size !== indexes.length ||
+        indexes.some((index) => !Number.isInteger(index) || index < 1)
+      ) {
+        return res.status(400).json({
+          error: "Each trustee needs a distinct admin and a distinct positive share index",
+          code: "INVALID_TRUSTEES",
+        });
+      }
+
+      if (!adminIds.every((adminId) => mongoose.Types.ObjectId.isValid(adminId))) {
+        return res.status(400).json({
+          error: "Invalid trustee admin ID",
+          code: "INVALID_TRUSTEES",
+        });
+      }
+
+      const tenantId = getTenantId(req);
+      if (tenantId) {
+        const memberships = await TenantAdminMembership.countDocuments({
+          tenant_id: tenantId,
+          admin_id: { $in: adminIds },
+          is_active: true,
+        });
+
+        if (memberships !== adminIds.length) {
+          return res.status(400).json({
+            error: "Every trustee must be an active admin of this organization",
+            code: "INVALID_TRUSTEES",
+          });
+        }
+      }
+
+      const publicKey = String(public_key || "").toLowerCase();
+      if (
+        publicKey === "1" ||
+        !isGroupElement(publicKey) ||
+        !normalizedTrustees.every((trustee) => isGroupElement(trustee.verification_key))
+      ) {
+        return res.status(400).json({
+          error: "Public key and verification keys must be elements of the election group",
+          code: "INVALID_ELECTION_KEY",
+          group: GROUP.name,
+        });
+      }
+
+      if (!verifyKeyShares(publicKey, normalizedThreshold, normalizedTrustees)) {
+        return res.status(400).json({
+          error: "Trustee verification keys do not match the election public key",
+          code: "INVALID_KEY_SHARES",
+        });
+      }
+
+      session.encryption = {
+        enabled: true,
+        threshold: normalizedThreshold,
+        public_key: publicKey,
+        trustees: normalizedTrustees,
+      };
+      await session.save();
+      await invalidateTallyCaches(req, session._id);
+
+      res.json({
+        message: "Encrypted ballots enabled",
+        encryption: formatEncryptionSummary(session),
+      });
+    } catch (error) {
+      console.error("Configure session encryption error:", error);
+      res.status(500).json({ error: "Failed to update encryption settings" });
+    }
+  }
+
+  /**
+   * Get the encrypted per-candidate totals for trustees to decrypt. Computed
+   * once after end_time and then frozen.
+   * GET /api/admin/sessions/:id/encryption/aggregate
+   */
+  async getAggregate(req, res) {
+    try {
+      const { id } = req.params;
+      let session = await VotingSession.findOne(
+        getTenantScopedFilter(req, { _id: id }),
+      )
+        .select("tenant_id title end_time encryption")
+        .lean();
+
+      if (!session) {
+        return res.status(404).json({ error: "Election not found" });
+      }
+
+      if (!isEncryptedSession(session)) {
+        return res.status(400).json({
+          error: "This election does not use encrypted ballots",
+          code: "ENCRYPTION_NOT_ENABLED",
+        });
+      }
+
+      if (new Date() <= session.end_time) {
+        return res.status(403).json({
+          error: "The encrypted tally is only available after the election ends",
+          code: "TALLY_NOT_AVAILABLE",
+        });
+      }
+
+      if (!session.encryption.aggregate?.computed_at) {
+        const aggregate = await computeEncryptedAggregate({
+          tenantId: getTenantId(req),
+          session,
+        });
+
+        // Only the first request freezes the aggregate
+        session =
+          (await VotingSession.findOneAndUpdate(
+            getTenantScopedFilter(req, {
+              _id: session._id,
+              "encryption.aggregate.computed_at": null,
+            }),
+            {
+              $set: {
+                "encryption.aggregate": {
+                  computed_at: new Date(),
+                  digest: aggregate.digest,
+                  ciphertexts: aggregate.ciphertexts,
+                },
+              },
+            },
+            { new: true },
+          )
+            .select("tenant_id title end_time encryption")
+            .lean()) ||
+          (await VotingSession.findOne(getTenantScopedFilter(req, { _id: session._id }))
+            .select("tenant_id title end_time encryption")
+            .lean());
+      }
+
+      const { aggregate } = session.encryption;
+
+      res.json({
+        session: {
+          id: session._id,
+          title: session.title,
+        },
+        group: GROUP,
+        threshold: session.encryption.threshold,
+        digest: aggregate.digest,
+        computed_at: aggregate.computed_at,
+        ciphertexts: aggregate.ciphertexts.map((entry) => ({
+          position: entry.position,
+          option: entry.option,
+          c1: entry.c1,
+          c2: entry.c2,
+          ballots: entry.ballots,
+          proof_context: buildProofContext(session._id, entry.position, entry.option),
+        })),
+      });
+    } catch (error) {
+      console.error("Get encrypted aggregate error:", error);
+      res.status(500).json({ error: "Failed to get encrypted aggregate" });
+    }
+  }
+
+  /**
+   * Submit the authenticated trustee's partial decryptions of the aggregate
+   * POST /api/admin/sessions/:id/encryption/shares
+   */
+  async submitDecryptionShare(req, res) {
+    try {
+      const { id } = req.params;
+      const { aggregate_digest, partials = [] } = req.body;
+
+      const session = await VotingSession.findOne(
+        getTenantScopedFilter(req, { _id: id }),
+      )
+        .select("encryption")
+        .lean();
+
+      if (!session) {
+        return res.status(404).json({ error: "Election not found" });
+      }
+
+      if (!isEncryptedSession(session)) {
+        return res.status(400).json({
+          error: "This election does not use encrypted ballots",
+          code: "ENCRYPTION_NOT_ENABLED",
+        });
+      }
+
+      const trustee = isTrustee(session, req.admin._id);
+      if (!trustee) {
+        return res.status(403).json({
+          error: "Only the election's trustees can submit decryption shares",
+          code: "NOT_A_TRUSTEE",
+        });
+      }
+
+      const { aggregate, tally } = session.encryption;
+      if (tally?.decrypted_at) {
+        return res.status(409).json({
+          error: "This election has already been tallied",
+          code: "TALLY_COMPLETE",
+        });
+      }
+
+      if (!aggregate?.computed_at || aggregate.digest !== aggregate_digest) {
+        return res.status(409).json({
+          error: "Decryption shares must be computed over the current aggregate",
+          code: "AGGREGATE_MISMATCH",
+          digest: aggregate?.digest || null,
+        });
+      }
+
+      const partialsByKey = new Map(
+        partials.map((partial) => [`${partial.position}\u0000${partial.option}`, partial]),
+      );
+
+      if (partialsByKey.size !== aggregate.ciphertexts.length) {
+        return res.status(400).json({
+          error: "Provide exactly one partial decryption for every aggregate entry",
+          code: "INVALID_DECRYPTION_SHARE",
+        });
+      }
+
+      const verifiedPartials = [];
+      for (const entry of aggregate.ciphertexts) {
+        const partial = partialsByKey.get(`${entry.position}\u0000${entry.option}`);
+        const valid =
+          partial &&
+          verifyPartialDecryption(
+            trustee.verification_key,
+            entry.c1,
+            partial,
+            buildProofContext(session._id, entry.position, entry.option),
+          );
+
+        if (!valid) {
+          return res.status(400).json({
+            error: "Partial decryption proof failed",
+            code: "INVALID_DECRYPTION_SHARE",
+            position: entry.position,
+            option: entry.option,
+          });
+        }
+
+        verifiedPartials.push({
+          position: entry.position,
+          option: entry.option,
+          d: String(partial.d).toLowerCase(),
+          proof: {
+            a: String(partial.proof.a).toLowerCase(),
+            b: String(partial.proof.b).toLowerCase(),
+            z: String(partial.proof.z).toLowerCase(),
+          },
+        });
+      }
+
+      try {
+        await DecryptionShare.create(
+          assignTenantId(req, {
+            session_id: session._id,
+            admin_id: req.admin._id,
+            trustee_index: trustee.index,
+            aggregate_digest: aggregate.digest,
+            partials: verifiedPartials,
+          }),
+        );
+      } catch (error) {
+        if (error?.code === 11000) {
+          return res.status(409).json({
+            error: "You have already submitted your decryption share",
+            code: "SHARE_ALREADY_SUBMITTED",
+          });
+        }
+        throw error;
+      }
+
+      const submittedIndexes = await loadSubmittedIndexes(req, session._id);
+
+      res.status(201).json({
+        message: "Decryption share accepted",
+        trustee_index: trustee.index,
+        shares_submitted: submittedIndexes.length,
+        threshold: session.encryption.threshold,
+      });
+    } catch (error) {
+      console.error("Submit decryption share error:", error);
+      res.status(500).json({ error: "Failed to submit decryption share" });
+    }
+  }
+
+  /**
+   * Combine the trustees' shares, decrypt the totals and publish results
+   * POST /api/admin/sessions/:id/encryption/tally
+   */
+  async tallyEncryptedSession(req, res) {
+    try {
+      const { id } = req.params;
+      const session = await VotingSession.findOne(
+        getTenantScopedFilter(req, { _id: id }),
+      );
+
+      if (!session) {
+        return res.status(404).json({ error: "Election not found" });
+      }
+
+      if (!isEncryptedSession(session)) {
+        return res.status(400).json({
+          error: "This election does not use encrypted ballots",
+          code: "ENCRYPTION_NOT_ENABLED",
+        });
+      }
+
+      const { aggregate, tally, threshold } = session.encryption;
+      if (tally?.decrypted_at) {
+        return res.status(409).json({
+          error: "This election has already been tallied",
+          code: "TALLY_COMPLETE",
+        });
+      }
+
+      if (!aggregate?.computed_at) {
+        return res.status(409).json({
+          error: "The encrypted aggregate has not been computed yet",
+          code: "AGGREGATE_NOT_READY",
+        });
+      }
+
+      const shares = await DecryptionShare.find(
+        getTenantScopedFilter(req, {
+          session_id: session._id,
+          aggregate_digest: aggregate.digest,
+        }),
+      )
+        .sort({ trustee_index: 1 })
+        .lean();
+
+      if (shares.length < threshold) {
+        return res.status(409).json({
+          error: "Not enough trustees have submitted decryption shares",
+          code: "INSUFFICIENT_SHARES",
+          shares_submitted: shares.length,
+          threshold,
+        });
+      }
+
+      const selectedShares = shares.slice(0, threshold);
+      const results = [];
+      for (const entry of aggregate.ciphertexts) {
+        const partials = selectedShares.map((share) => {
+          const partial = share.partials.find(
+            (item) => item.position === entry.position && item.option === entry.option,
+          );
+          return { index: share.trustee_index, d: partial?.d };
+        });
+
+        const count = partials.every((partial) => partial.d)
+          ? combinePartialDecryptions(entry, partials, entry.ballots)
+          : null;
+
+        if (count === null) {
+          return res.status(422).json({
+            error: "Decrypted total is out of range; the shares do not match this aggregate",
+            code: "DECRYPTION_FAILED",
+            position: entry.position,
+            option: entry.option,
+          });
+        }
+
+        results.push({
+          position: entry.position,
+          candidate_id: entry.option,
+          count,
+        });
+      }
+
+      session.encryption.tally = {
+        decrypted_at: new Date(),
+        decrypted_by: req.admin._id,
+        trustee_indexes: selectedShares.map((share) => share.trustee_index),
+        results,
+      };
+      // A session that missed its quorum stays held even once decrypted, one
+      // needing certification waits for its approvals, an embargoed one for
+      // its release time and a petitioned one for its hold to be lifted
+      const quorumFailed = session.quorum_result?.met === false;
+      const awaitingCertification = !quorumFailed && requiresCertification(session);
+      session.results_public =
+        !quorumFailed &&
+        !awaitingCertification &&
+        !isResultsEmbargoed(session) &&
+        !hasResultsHold(session);
+      await session.save();
+
+      if (results.length > 0) {
+        await Candidate.bulkWrite(
+          results.map((entry) => ({
+            updateOne: {
+              filter: getTenantScopedFilter(req, {
+                _id: entry.candidate_id,
+                session_id: session._id,
+              }),
+              update: { $set: { vote_count: entry.count } },
+            },
+          })),
+        );
+      }
+
+      if (awaitingCertification) {
+        await sessionScheduler.holdForCertification(session);
+      }
+
+      await invalidateTallyCaches(req, session._id);
+
+      if (!quorumFailed && !awaitingCertification) {
+        sessionScheduler.finalizeResults(session).catch((error) => {
+          console.error("Failed to announce decrypted results:", error);
+        });
+      }
+
+      res.json({
+        message: "Encrypted ballots tallied",
+        tally: {
+          decrypted_at: session.encryption.tally.decrypted_at,
+          trustee_indexes: session.encryption.tally.trustee_indexes,
+          results,
+        },
+      });
+    } catch (error) {
+      console.error("Tally encrypted session error:", error);
+      res.status(500).json({ error: "Failed to tally encrypted ballots" });
+    }
+  }
+}
+
+module.exports = new EncryptionController();
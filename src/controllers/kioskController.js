@@ -0,0 +1,304 @@
+const Student = require("../models/Student");
+const VotingSession = require("../models/VotingSession");
+const cacheService = require("../services/cacheService");
+const faceProviderService = require("../services/faceProviderService");
+const { createVerificationLog } = require("../services/biometricAnalyticsService");
+const {
+  findVoterByIdentifier,
+  isVoterEligible,
+  hasVoted,
+} = require("../services/kioskService");
+const {
+  getTenantScopedFilter,
+  getTenantCacheNamespace,
+} = require("../utils/tenantScope");
+const { getTenantSettings } = require("../utils/tenantSettings");
+const {
+  STUDENT_VISIBLE_FILTER,
+  getVotingClosedReason,
+} = require("../utils/sessionLifecycle");
+const {
+  getPresenceStations,
+  findPresenceStation,
+  requiresPresenceStation,
+} = require("../utils/presenceCode");
+const { getZoneCenter } = require("../utils/pollingZones");
+const {
+  KIOSK_BALLOT_TTL_SECONDS,
+  createKioskBallotId,
+  buildKioskBallotKey,
+  isKioskBallotOwner,
+  getKioskDecisionSource,
+  getKioskDeviceId,
+} = require("../utils/kioskBallot");
+
+function serializeVoter(student, identifierType = null) {
+  return {
+    id: student._id,
+    full_name: student.full_name,
+    identifier_type: identifierType,
+    matric_no: student.matric_no,
+    email: student.email,
+    college: student.college,
+    department: student.department,
+    level: student.level,
+    photo_url: student.photo_url || null,
+    has_registered_face: Boolean(student.aws_face_id && student.aws_face_collection_id),
+    is_active: student.is_active,
+  };
+}
+
+function formatStation(station) {
+  return { id: station.id, name: station.name };
+}
+
+async function findOpenSession(req) {
+  const session = await VotingSession.findOne(
+    getTenantScopedFilter(req, { _id: req.params.id, ...STUDENT_VISIBLE_FILTER }),
+  );
+  if (session) {
+    await session.updateStatus();
+  }
+  return session;
+}
+
+class KioskController {
+  /**
+   * Look a voter up for a kiosk ballot by the tenant's identifier policy
+   * POST /api/admin/kiosk/sessions/:id/voters/lookup
+   */
+  async lookupVoter(req, res) {
+    try {
+      const session = await findOpenSession(req);
+      if (!session) {
+        return res.status(404).json({ error: "Session not found" });
+      }
+
+      const found = await findVoterByIdentifier(
+        req.tenant,
+        req.tenantId,
+        req.body.identifier,
+        req.body.identifier_type,
+      );
+      if (found.error) {
+        return res
+          .status(found.code === "VOTER_NOT_FOUND" ? 404 : 400)
+          .json(found);
+      }
+
+      const { student, identifier_type: identifierType } = found;
+      const eligible = student.is_active && (await isVoterEligible(req.tenant, session, student));
+
+      res.json({
+        voter: serializeVoter(student, identifierType),
+        eligible,
+        has_voted: hasVoted(student, session),
+        revote_allowed: session.allow_revote === true && session.secret_ballot !== true,
+      });
+    } catch (error) {
+      console.error("Kiosk voter lookup error:", error);
+      res.status(500).json({ error: "Failed to look up voter" });
+    }
+  }
+
+  /**
+   * Open a one-time ballot for a voter whose identity the poll worker has
+   * checked, by hand or with the station camera
+   * POST /api/admin/kiosk/sessions/:id/ballots
+   */
+  async openBallot(req, res) {
+    try {
+      const { student_id, station_id, verification_method, image_url } = req.body;
+      const session = await findOpenSession(req);
+
+      if (!session) {
+        return res.status(404).json({ error: "Session not found" });
+      }
+
+      const votingClosed = getVotingClosedReason(session);
+      if (votingClosed) {
+        return res.status(400).json({
+          error: votingClosed.message,
+          code: votingClosed.code,
+        });
+      }
+
+      // A station is only required when the session holds voters to its
+      // polling stations; otherwise it is recorded when the worker gives one
+      const stations = getPresenceStations(session);
+      const stationRequired = requiresPresenceStation(session);
+      let station = null;
+      if (station_id) {
+        station = findPresenceStation(session, station_id);
+      } else if (stations.length === 1) {
+        [station] = stations;
+      }
+
+      if (!station && (station_id || stationRequired)) {
+        return res.status(400).json({
+          error: station_id
+            ? "Polling station not found"
+            : "Choose the polling station this kiosk is at",
+          code: station_id ? "PRESENCE_STATION_NOT_FOUND" : "PRESENCE_STATION_REQUIRED",
+          stations: stations.map(formatStation),
+        });
+      }
+
+      const center = station ? getZoneCenter(station.zone) : null;
+      if (station && !center && stationRequired) {
+        return res.status(409).json({
+          error: "This polling station has no usable location. Fix its polling zone before opening ballots.",
+          code: "PRESENCE_STATION_UNLOCATED",
+          station: formatStation(station),
+        });
+      }
+
+      const student = await Student.findOne(getTenantScopedFilter(req, { _id: student_id }));
+
+      if (!student) {
+        return res.status(404).json({ error: "Voter not found", code: "VOTER_NOT_FOUND" });
+      }
+
+      if (!student.is_active) {
+        return res.status(403).json({
+          error: "This voter's account is inactive",
+          code: "ACCOUNT_INACTIVE",
+        });
+      }
+
+      const revoteAllowed = session.allow_revote === true && session.secret_ballot !== true;
+      if (!revoteAllowed && hasVoted(student, session)) {
+        return res.status(409).json({
+          error: "This voter has already voted in this election",
+          code: "ALREADY_VOTED",
+        });
+      }
+
+      if (!(await isVoterEligible(req.tenant, session, student))) {
+        return res.status(403).json({
+          error: "This voter is not eligible for this election",
+          code: "NOT_ELIGIBLE",
+        });
+      }
+
+      let faceVerification = null;
+      if (verification_method === "face") {
+        const threshold = Number(
+          getTenantSettings(req.tenant).voting?.face_match_threshold || 70,
+        );
+        faceVerification = await faceProviderService.verifyFace(student, image_url, {
+          threshold_override: threshold,
+        });
+
+        if (!faceVerification.success || !faceVerification.is_match) {
+          await createVerificationLog(req, {
+            user_id: student._id,
+            session_id: session._id,
+            confidence_score: faceVerification.confidence ?? null,
+            threshold_used: threshold,
+            compare_confidence: faceVerification.confidence ?? null,
+            compare_threshold: faceVerification.threshold ?? threshold,
+            matched_face_id: faceVerification.matched_face_id || null,
+            decision_source: getKioskDecisionSource("face"),
+            result: "rejected",
+            failure_reason: faceVerification.success
+              ? "LOW_CONFIDENCE"
+              : faceVerification.code || "FACE_VERIFICATION_FAILED",
+            device_id: getKioskDeviceId(station?.id),
+            ip_address: req.ip,
+            image_url,
+            presence_station: station ? { station_id: station.id, name: station.name } : null,
+            assisted_by: { worker_id: req.adminId, verification_method: "face" },
+          }).catch((error) => {
+            console.error("Verification log write failed:", error);
+          });
+
+          return res.status(faceVerification.success ? 403 : 400).json({
+            error: faceVerification.success ? faceVerification.message : faceVerification.error,
+            code: faceVerification.success
+              ? "LOW_CONFIDENCE"
+              : faceVerification.code || "FACE_VERIFICATION_FAILED",
+          });
+        }
+      }
+
+      const ballotId = createKioskBallotId();
+      const openedAt = new Date();
+      const ballot = {
+        id: ballotId,
+        session_id: session._id.toString(),
+        student_id: student._id.toString(),
+        worker_id: req.adminId.toString(),
+        station_id: station?.id || null,
+        station_name: station?.name || null,
+        verification_method,
+        face: faceVerification
+          ? {
+              confidence: faceVerification.confidence,
+              threshold: faceVerification.threshold,
+              matched_face_id: faceVerification.matched_face_id || null,
+            }
+          : null,
+        image_url: image_url || null,
+        lat: center?.lat ?? null,
+        lng: center?.lng ?? null,
+        opened_at: openedAt.toISOString(),
+      };
+
+      await cacheService.set(
+        buildKioskBallotKey(getTenantCacheNamespace(req), ballotId),
+        ballot,
+        KIOSK_BALLOT_TTL_SECONDS,
+      );
+
+      res.status(201).json({
+        message: "Ballot opened",
+        ballot: {
+          id: ballotId,
+          station: station ? formatStation(station) : null,
+          verification_method,
+          opened_at: openedAt,
+          expires_at: new Date(openedAt.getTime() + KIOSK_BALLOT_TTL_SECONDS * 1000),
+        },
+        voter: serializeVoter(student),
+      });
+    } catch (error) {
+      console.error("Open kiosk ballot error:", error);
+      res.status(500).json({ error: "Failed to open ballot" });
+    }
+  }
+
+  /**
+   * Discard an unused kiosk ballot, e.g. when the voter walks away
+   * DELETE /api/admin/kiosk/ballots/:ballotId
+   */
+  async cancelBallot(req, res) {
+    try {
+      const key = buildKioskBallotKey(getTenantCacheNamespace(req), req.params.ballotId);
+      const ballot = await cacheService.get(key);
+
+      if (!ballot) {
+        return res.status(404).json({
+          error: "Ballot not found or already used",
+          code: "KIOSK_BALLOT_NOT_FOUND",
+        });
+      }
+
+      if (!isKioskBallotOwner(ballot, req.adminId)) {
+        return res.status(403).json({
+          error: "This ballot was opened by another poll worker",
+          code: "KIOSK_BALLOT_WORKER_MISMATCH",
+        });
+      }
+
+      await cacheService.del(key);
+
+      res.json({ message: "Ballot cancelled" });
+    } catch (error) {
+      console.error("Cancel kiosk ballot error:", error);
+      res.status(500).json({ error: "Failed to cancel ballot" });
+    }
+  }
+}
+
+module.exports = new KioskController();
@@ -0,0 +1,717 @@
+const VotingSession = require("../models/VotingSession");
+const Candidate = require("../models/Candidate");
+const Nomination = require("../models/Nomination");
+const Student = require("../models/Student");
+const cacheService = require("../services/cacheService");
+const emailService = require("../services/emailService");
+const { notifyStudent } = require("../services/notificationService");
+const {
+  getTenantScopedFilter,
+  assignTenantId,
+  getTenantCacheNamespace,
+} = require("../utils/tenantScope");
+const { getTenantEligibilityPolicy } = require("../utils/tenantSettings");
+const { getDepartmentNameMap } = require("../utils/departmentLookup");
+const { validateCandidatePlacement } = require("../utils/ballotRules");
+const { getVoterEligibilityFailure } = require("../utils/positionEligibility");
+const { STUDENT_VISIBLE_FILTER } = require("../utils/sessionLifecycle");
+const {
+  ACTIVE_NOMINATION_STATUSES,
+  getNominationWindowState,
+  resolveSecondingStatus,
+} = require("../utils/nominationRules");
+
+const NOMINATION_SESSION_SELECT =
+  "title start_time end_time status categories position_settings nomination eligible_college eligible_departments eligible_levels candidates";
+
+const WINDOW_ERRORS = {
+  disabled: {
+    statusCode: 403,
+    error: "This election does not take nominations",
+    code: "NOMINATIONS_DISABLED",
+  },
+  not_open: {
+    statusCode: 403,
+    error: "Nominations have not opened yet",
+    code: "NOMINATIONS_NOT_OPEN",
+  },
+  closed: {
+    statusCode: 403,
+    error: "Nominations for this election have closed",
+    code: "NOMINATIONS_CLOSED",
+  },
+};
+
+function toId(value) {
+  if (!value) return null;
+  return value.toString();
+}
+
+function sendWindowError(res, session) {
+  const windowError = WINDOW_ERRORS[getNominationWindowState(session)];
+  if (!windowError) {
+    return null;
+  }
+
+  const { statusCode, ...payload } = windowError;
+  return res.status(statusCode).json({
+    ...payload,
+    opens_at: session.nomination?.opens_at || null,
+    closes_at: session.nomination?.closes_at || null,
+  });
+}
+
+async function getStudentEligibilityFailure(req, session, position, student) {
+  return getVoterEligibilityFailure(session, position, student, {
+    policy: getTenantEligibilityPolicy(req.tenant),
+    departmentNameMap: await getDepartmentNameMap(req),
+  });
+}
+
+function formatNominationWindow(session) {
+  return {
+    enabled: session.nomination?.enabled === true,
+    state: getNominationWindowState(session),
+    opens_at: session.nomination?.opens_at || null,
+    closes_at: session.nomination?.closes_at || null,
+    seconders_required: session.nomination?.seconders_required || 0,
+  };
+}
+
+function serializeNomination(nomination, { viewerId = null, includeSeconders = false } = {}) {
+  const student = nomination.student_id && typeof nomination.student_id === "object"
+    ? nomination.student_id
+    : null;
+  const seconders = nomination.seconders || [];
+
+  return {
+    id: nomination._id,
+    session_id: nomination.session_id,
+    position: nomination.position,
+    nominee: student
+      ? {
+          id: student._id,
+          full_name: student.full_name,
+          matric_no: student.matric_no,
+          college: student.college,
+          department: student.department,
+          level: student.level,
+        }
+      : { id: nomination.student_id },
+    photo_url: nomination.photo_url,
+    bio: nomination.bio,
+    manifesto: nomination.manifesto,
+    status: nomination.status,
+    seconder_count: seconders.length,
+    ...(viewerId
+      ? {
+          is_mine: toId(student?._id || nomination.student_id) === toId(viewerId),
+          seconded_by_me: seconders.some(
+            (seconder) => toId(seconder.student_id) === toId(viewerId),
+          ),
+        }
+      : {}),
+    ...(includeSeconders ? { seconders } : {}),
+    rejection_reason: nomination.rejection_reason || null,
+    reviewed_at: nomination.reviewed_at || null,
+    candidate_id: nomination.candidate_id || null,
+    created_at: nomination.createdAt,
+  };
+}
+
+async function invalidateNominationCaches(req, sessionId) {
+  const tenantNamespace = getTenantCacheNamespace(req);
+
+  await Promise.all([
+    cacheService.delPattern(`admin:sessions:list:${tenantNamespace}:*`),
+    cacheService.del(`session:${tenantNamespace}:${sessionId}`),
+    cacheService.delPattern(`session:${tenantNamespace}:${sessionId}:*`),
+  ]);
+}
+
+async function notifyNominationDecision(req, session, nomination) {
+  const approved = nomination.status === "approved";
+
+  try {
+    const student = await Student.findOne(
+      getTenantScopedFilter(req, { _id: nomination.student_id }),
+    )
+      .select("full_name email")
+      .lean();
+
+    await Promise.all([
+      notifyStudent({
+        tenantId: nomination.tenant_id,
+        studentId: nomination.student_id,
+        type: approved ? "nomination.approved" : "nomination.rejected",
+        title: approved
+          ? `Nomination approved: ${nomination.position}`
+          : `Nomination not approved: ${nomination.position}`,
+        message: approved
+          ? `You are on the ballot for ${nomination.position} in ${session.title}.`
+          : `Your nomination for ${nomination.position} in ${session.title} was not approved. Reason: ${nomination.rejection_reason}`,
+        link: `/students/nominations/${session._id}`,
+        priority: "high",
+        metadata: {
+          session_id: session._id,
+          nomination_id: nomination._id,
+          position: nomination.position,
+          status: nomination.status,
+        },
+        createdByType: "admin",
+        createdById: req.adminId,
+      }),
+      student?.email
+        ? emailService.sendNominationDecision(student, session, nomination, req.tenant || null)
+        : Promise.resolve(null),
+    ]);
+  } catch (error) {
+    console.error("Nomination notification error:", error);
+  }
+}
+
+class NominationController {
+  /**
+   * Nomination window, the student's own nominations and the ones they can
+   * second
+   * GET /api/sessions/:id/nominations
+   */
+  async getSessionNominations(req, res) {
+    try {
+      const { id } = req.params;
+      const session = await VotingSession.findOne(
+        getTenantScopedFilter(req, { _id: id, ...STUDENT_VISIBLE_FILTER }),
+      )
+        .select(NOMINATION_SESSION_SELECT)
+        .lean();
+
+      if (!session) {
+        return res.status(404).json({ error: "Election not found" });
+      }
+
+      const [student, nominations] = await Promise.all([
+        Student.findOne(getTenantScopedFilter(req, { _id: req.studentId }))
+          .select("college department level")
+          .lean(),
+        Nomination.find(
+          getTenantScopedFilter(req, {
+            session_id: session._id,
+            $or: [
+              { student_id: req.studentId },
+              { status: { $in: ACTIVE_NOMINATION_STATUSES } },
+            ],
+          }),
+        )
+          .populate("student_id", "full_name matric_no college department level")
+          .sort({ position: 1, createdAt: 1 })
+          .lean(),
+      ]);
+
+      if (!student) {
+        return res.status(404).json({ error: "Student not found" });
+      }
+
+      const options = {
+        policy: getTenantEligibilityPolicy(req.tenant),
+        departmentNameMap: await getDepartmentNameMap(req),
+      };
+      const visible = nominations.filter(
+        (nomination) =>
+          toId(nomination.student_id?._id) === toId(req.studentId) ||
+          !getVoterEligibilityFailure(session, nomination.position, student, options),
+      );
+
+      res.json({
+        session: {
+          id: session._id,
+          title: session.title,
+          start_time: session.start_time,
+          categories: session.categories,
+        },
+        nomination: formatNominationWindow(session),
+        nominations: visible.map((nomination) =>
+          serializeNomination(nomination, { viewerId: req.studentId }),
+        ),
+      });
+    } catch (error) {
+      console.error("Get nominations error:", error);
+      res.status(500).json({ error: "Failed to get nominations" });
+    }
+  }
+
+  /**
+   * Submit the authenticated student's own candidacy
+   * POST /api/sessions/:id/nominations
+   */
+  async submitNomination(req, res) {
+    try {
+      const { id } = req.params;
+      const { position, photo_url, bio, manifesto } = req.body;
+
+      const session = await VotingSession.findOne(
+        getTenantScopedFilter(req, { _id: id, ...STUDENT_VISIBLE_FILTER }),
+      )
+        .select(NOMINATION_SESSION_SELECT)
+        .lean();
+
+      if (!session) {
+        return res.status(404).json({ error: "Election not found" });
+      }
+
+      if (sendWindowError(res, session)) {
+        return;
+      }
+
+      if (!session.categories.includes(position)) {
+        return res.status(400).json({
+          error: "Invalid candidate position",
+          message: "Position must match one of the election categories.",
+        });
+      }
+
+      const placementError = validateCandidatePlacement(
+        session,
+        position,
+        await Candidate.countDocuments(
+          getTenantScopedFilter(req, { session_id: session._id, position }),
+        ),
+      );
+      if (placementError) {
+        return res.status(400).json(placementError);
+      }
+
+      const student = await Student.findOne(
+        getTenantScopedFilter(req, { _id: req.studentId }),
+      )
+        .select("full_name college department level")
+        .lean();
+
+      if (!student) {
+        return res.status(404).json({ error: "Student not found" });
+      }
+
+      const eligibilityFailure = await getStudentEligibilityFailure(
+        req,
+        session,
+        position,
+        student,
+      );
+      if (eligibilityFailure) {
+        return res.status(403).json({
+          error: `You are not eligible to stand for ${position}`,
+          code: "NOT_ELIGIBLE_TO_STAND",
+          reason: eligibilityFailure,
+        });
+      }
+
+      const existing = await Nomination.findOne(
+        getTenantScopedFilter(req, {
+          session_id: session._id,
+          student_id: req.studentId,
+          status: { $in: ACTIVE_NOMINATION_STATUSES },
+        }),
+      )
+        .select("position status")
+        .lean();
+
+      if (existing) {
+        return res.status(409).json({
+          error: `You already have a nomination for ${existing.position} in this election`,
+          code: "NOMINATION_EXISTS",
+        });
+      }
+
+      let nomination;
+      try {
+        nomination = await Nomination.create({
+          ...assignTenantId(req, {}),
+          session_id: session._id,
+          student_id: req.studentId,
+          position,
+          photo_url,
+          bio: bio || "",
+          manifesto: manifesto || "",
+          status: resolveSecondingStatus(session, 0),
+        });
+      } catch (error) {
+        // Another submission from the same student won the race
+        if (error?.code === 11000) {
+          return res.status(409).json({
+            error: "You already have a nomination in this election",
+            code: "NOMINATION_EXISTS",
+          });
+        }
+        throw error;
+      }
+
+      res.status(201).json({
+        message: "Nomination submitted successfully",
+        nomination: serializeNomination(nomination.toObject(), {
+          viewerId: req.studentId,
+        }),
+        nomination_window: formatNominationWindow(session),
+      });
+    } catch (error) {
+      console.error("Submit nomination error:", error);
+      res.status(500).json({ error: "Failed to submit nomination" });
+    }
+  }
+
+  /**
+   * Second another student's nomination
+   * POST /api/sessions/:id/nominations/:nominationId/second
+   */
+  async secondNomination(req, res) {
+    try {
+      const { id, nominationId } = req.params;
+      const session = await VotingSession.findOne(
+        getTenantScopedFilter(req, { _id: id, ...STUDENT_VISIBLE_FILTER }),
+      )
+        .select(NOMINATION_SESSION_SELECT)
+        .lean();
+
+      if (!session) {
+        return res.status(404).json({ error: "Election not found" });
+      }
+
+      if (sendWindowError(res, session)) {
+        return;
+      }
+
+      const nomination = await Nomination.findOne(
+        getTenantScopedFilter(req, { _id: nominationId, session_id: session._id }),
+      ).lean();
+
+      if (!nomination) {
+        return res.status(404).json({ error: "Nomination not found" });
+      }
+
+      if (toId(nomination.student_id) === toId(req.studentId)) {
+        return res.status(400).json({
+          error: "You cannot second your own nomination",
+          code: "CANNOT_SECOND_OWN_NOMINATION",
+        });
+      }
+
+      if (nomination.status !== "awaiting_seconders") {
+        return res.status(409).json({
+          error: "This nomination is not looking for seconders",
+          code: "NOMINATION_NOT_SECONDABLE",
+          status: nomination.status,
+        });
+      }
+
+      const student = await Student.findOne(
+        getTenantScopedFilter(req, { _id: req.studentId }),
+      )
+        .select("college department level")
+        .lean();
+
+      if (!student) {
+        return res.status(404).json({ error: "Student not found" });
+      }
+
+      // Only students who could vote for the position may second it
+      const eligibilityFailure = await getStudentEligibilityFailure(
+        req,
+        session,
+        nomination.position,
+        student,
+      );
+      if (eligibilityFailure) {
+        return res.status(403).json({
+          error: `You are not eligible to vote for ${nomination.position}`,
+          code: "NOT_ELIGIBLE_TO_SECOND",
+          reason: eligibilityFailure,
+        });
+      }
+
+      const seconded = await Nomination.findOneAndUpdate(
+        getTenantScopedFilter(req, {
+          _id: nomination._id,
+          status: "awaiting_seconders",
+          "seconders.student_id": { $ne: req.studentId },
+        }),
+        { $push: { seconders: { student_id: req.studentId, seconded_at: new Date() } } },
+        { new: true },
+      );
+
+      if (!seconded) {
+        return res.status(409).json({
+          error: "You have already seconded this nomination",
+          code: "ALREADY_SECONDED",
+        });
+      }
+
+      const nextStatus = resolveSecondingStatus(session, seconded.seconders.length);
+      if (nextStatus !== seconded.status) {
+        const promoted = await Nomination.updateOne(
+          { _id: seconded._id, status: seconded.status },
+          { $set: { status: nextStatus } },
+        );
+        if (promoted.modifiedCount > 0) {
+          seconded.status = nextStatus;
+          await notifyStudent({
+            tenantId: seconded.tenant_id,
+            studentId: seconded.student_id,
+            type: "nomination.seconded",
+            title: `Nomination ready for review: ${seconded.position}`,
+            message: `Your nomination for ${seconded.position} in ${session.title} has enough seconders and is now with the election committee.`,
+            link: `/students/nominations/${session._id}`,
+            metadata: {
+              session_id: session._id,
+              nomination_id: seconded._id,
+              position: seconded.position,
+            },
+            createdByType: "system",
+          });
+        }
+      }
+
+      res.json({
+        message: "Nomination seconded successfully",
+        nomination: serializeNomination(seconded.toObject(), { viewerId: req.studentId }),
+      });
+    } catch (error) {
+      console.error("Second nomination error:", error);
+      res.status(500).json({ error: "Failed to second nomination" });
+    }
+  }
+
+  /**
+   * Withdraw the student's own nomination before it is reviewed
+   * DELETE /api/sessions/:id/nominations/:nominationId
+   */
+  async withdrawNomination(req, res) {
+    try {
+      const { id, nominationId } = req.params;
+      const nomination = await Nomination.findOneAndUpdate(
+        getTenantScopedFilter(req, {
+          _id: nominationId,
+          session_id: id,
+          student_id: req.studentId,
+          status: { $in: ["awaiting_seconders", "pending_review"] },
+        }),
+        { $set: { status: "withdrawn" } },
+        { new: true },
+      ).lean();
+
+      if (!nomination) {
+        return res.status(404).json({
+          error: "No nomination awaiting review was found",
+          code: "NOMINATION_NOT_WITHDRAWABLE",
+        });
+      }
+
+      res.json({
+        message: "Nomination withdrawn",
+        nomination: serializeNomination(nomination, { viewerId: req.studentId }),
+      });
+    } catch (error) {
+      console.error("Withdraw nomination error:", error);
+      res.status(500).json({ error: "Failed to withdraw nomination" });
+    }
+  }
+
+  /**
+   * List nominations for a session
+   * GET /api/admin/sessions/:id/nominations
+   */
+  async listNominations(req, res) {
+    try {
+      const { id } = req.params;
+      const { status, position } = req.query;
+      const session = await VotingSession.findOne(
+        getTenantScopedFilter(req, { _id: id }),
+      )
+        .select(NOMINATION_SESSION_SELECT)
+        .lean();
+
+      if (!session) {
+        return res.status(404).json({ error: "Election not found" });
+      }
+
+      const filter = getTenantScopedFilter(req, { session_id: session._id });
+      if (status) {
+        filter.status = status;
+      }
+      if (position) {
+        filter.position = position;
+      }
+
+      const nominations = await Nomination.find(filter)
+        .populate("student_id", "full_name matric_no email college department level")
+        .populate("seconders.student_id", "full_name matric_no")
+        .sort({ createdAt: 1 })
+        .lean();
+
+      const counts = nominations.reduce((acc, nomination) => {
+        acc[nomination.status] = (acc[nomination.status] || 0) + 1;
+        return acc;
+      }, {});
+
+      res.json({
+        session: {
+          id: session._id,
+          title: session.title,
+          start_time: session.start_time,
+        },
+        nomination: formatNominationWindow(session),
+        counts,
+        nominations: nominations.map((nomination) =>
+          serializeNomination(nomination, { includeSeconders: true }),
+        ),
+      });
+    } catch (error) {
+      console.error("List nominations error:", error);
+      res.status(500).json({ error: "Failed to list nominations" });
+    }
+  }
+
+  /**
+   * Approve a nomination onto the ballot or reject it with a reason
+   * POST /api/admin/nominations/:id/review
+   */
+  async reviewNomination(req, res) {
+    try {
+      const { id } = req.params;
+      const { decision } = req.body;
+      const reason = String(req.body.reason || "").trim();
+
+      const nomination = await Nomination.findOne(
+        getTenantScopedFilter(req, { _id: id }),
+      );
+
+      if (!nomination) {
+        return res.status(404).json({ error: "Nomination not found" });
+      }
+
+      if (nomination.status !== "pending_review") {
+        return res.status(409).json({
+          error:
+            nomination.status === "awaiting_seconders"
+              ? "This nomination does not have enough seconders yet"
+              : `This nomination is already ${nomination.status.replace(/_/g, " ")}`,
+          code: "NOMINATION_NOT_READY",
+          status: nomination.status,
+        });
+      }
+
+      const session = await VotingSession.findOne(
+        getTenantScopedFilter(req, { _id: nomination.session_id }),
+      );
+
+      if (!session) {
+        return res.status(404).json({ error: "Election not found" });
+      }
+
+      await session.updateStatus();
+      if (decision === "approve" && session.status !== "upcoming") {
+        return res.status(403).json({
+          error: "Cannot add candidates once voting has started",
+          message:
+            "Ballot structure is locked after voting starts to protect recorded votes.",
+        });
+      }
+
+      if (decision === "reject" && !reason) {
+        return res.status(400).json({
+          error: "A reason is required to reject a nomination",
+          code: "REJECTION_REASON_REQUIRED",
+        });
+      }
+
+      if (decision === "approve") {
+        const placementError = validateCandidatePlacement(
+          session,
+          nomination.position,
+          await Candidate.countDocuments(
+            getTenantScopedFilter(req, {
+              session_id: session._id,
+              position: nomination.position,
+            }),
+          ),
+        );
+        if (placementError) {
+          return res.status(400).json(placementError);
+        }
+      }
+
+      // Claim the nomination first so two admins cannot both review it
+      const claimed = await Nomination.findOneAndUpdate(
+        { _id: nomination._id, status: "pending_review" },
+        {
+          $set: {
+            status: decision === "approve" ? "approved" : "rejected",
+            reviewed_by: req.adminId,
+            reviewed_at: new Date(),
+            rejection_reason: decision === "reject" ? reason : null,
+          },
+        },
+        { new: true },
+      );
+
+      if (!claimed) {
+        return res.status(409).json({
+          error: "This nomination was reviewed by another admin",
+          code: "NOMINATION_NOT_READY",
+        });
+      }
+
+      if (decision === "approve") {
+        try {
+          const student = await Student.findOne(
+            getTenantScopedFilter(req, { _id: claimed.student_id }),
+          )
+            .select("full_name")
+            .lean();
+
+          const candidate = await Candidate.create({
+            ...assignTenantId(req, {}),
+            session_id: session._id,
+            name: student?.full_name || "Candidate",
+            position: claimed.position,
+            photo_url: claimed.photo_url,
+            bio: claimed.bio || "",
+            manifesto: claimed.manifesto || "",
+            nomination_id: claimed._id,
+          });
+
+          claimed.candidate_id = candidate._id;
+          await claimed.save();
+          session.candidates.push(candidate._id);
+          await session.save();
+        } catch (error) {
+          await Nomination.updateOne(
+            { _id: claimed._id, candidate_id: null },
+            {
+              $set: {
+                status: "pending_review",
+                reviewed_by: null,
+                reviewed_at: null,
+              },
+            },
+          );
+          throw error;
+        }
+
+        await invalidateNominationCaches(req, session._id.toString());
+      }
+
+      await notifyNominationDecision(req, session, claimed);
+
+      res.json({
+        message:
+          decision === "approve"
+            ? "Nomination approved and candidate added to the ballot"
+            : "Nomination rejected",
+        nomination: serializeNomination(claimed.toObject(), { includeSeconders: true }),
+      });
+    } catch (error) {
+      console.error("Review nomination error:", error);
+      res.status(500).json({ error: "Failed to review nomination" });
+    }
+  }
+}
+
+module.exports = new NominationController();
@@ -0,0 +1,910 @@
+const Admin = require("../models/Admin");
+const Candidate = require("../models/Candidate");
+const Nomination = require("../models/Nomination");
+const Petition = require("../models/Petition");
+const Student = require("../models/Student");
+const TenantAdminMembership = require("../models/TenantAdminMembership");
+const VotingSession = require("../models/VotingSession");
+const cacheService = require("../services/cacheService");
+const {
+  notifyStudent,
+  notifyAdmin,
+  notifyTenantAdmins,
+} = require("../services/notificationService");
+const { recountSession } = require("../services/recountService");
+const {
+  createRerunSession,
+  notifyRerunScheduled,
+} = require("../services/petitionService");
+const sessionScheduler = require("../utils/sessionScheduler");
+const {
+  getTenantId,
+  getTenantScopedFilter,
+  assignTenantId,
+  getTenantCacheNamespace,
+} = require("../utils/tenantScope");
+const { STUDENT_VISIBLE_FILTER } = require("../utils/sessionLifecycle");
+const { isEncryptedSession, isTallyPending } = require("../utils/encryptedBallot");
+const { isCertificationPending } = require("../utils/certification");
+const { isResultsEmbargoed } = require("../utils/resultEmbargo");
+const { formatRecount } = require("../utils/recount");
+const {
+  OPEN_PETITION_STATUSES,
+  getPetitionWindow,
+  getPetitionWindowState,
+  sanitizeEvidence,
+  validatePetitionTargets,
+  hasResultsHold,
+} = require("../utils/petitionRules");
+
+const PETITION_SESSION_SELECT =
+  "title start_time end_time status categories petitions";
+
+const WINDOW_ERRORS = {
+  disabled: {
+    statusCode: 403,
+    error: "This election does not take petitions",
+    code: "PETITIONS_DISABLED",
+  },
+  not_open: {
+    statusCode: 403,
+    error: "Petitions open when voting closes",
+    code: "PETITIONS_NOT_OPEN",
+  },
+  closed: {
+    statusCode: 403,
+    error: "The petition window for this election has closed",
+    code: "PETITIONS_CLOSED",
+  },
+};
+
+function toId(value) {
+  if (!value) return null;
+  return value.toString();
+}
+
+function sendWindowError(res, session) {
+  const windowError = WINDOW_ERRORS[getPetitionWindowState(session)];
+  if (!windowError) {
+    return null;
+  }
+
+  const { statusCode, ...payload } = windowError;
+  return res.status(statusCode).json({
+    ...payload,
+    ...getPetitionWindow(session),
+  });
+}
+
+function formatPetitionWindow(session) {
+  return {
+    enabled: session.petitions?.enabled === true,
+    state: getPetitionWindowState(session),
+    window_hours: session.petitions?.window_hours || 0,
+    ...getPetitionWindow(session),
+  };
+}
+
+function serializePetition(petition, { includeCommittee = false } = {}) {
+  // Populated on the admin views only
+  const petitioner =
+    petition.petitioner_id?.full_name !== undefined ? petition.petitioner_id : null;
+
+  return {
+    id: petition._id,
+    session_id: petition.session_id,
+    petitioner: petitioner
+      ? {
+          id: petitioner._id,
+          full_name: petitioner.full_name,
+          matric_no: petitioner.matric_no,
+        }
+      : { id: petition.petitioner_id },
+    positions: petition.positions || [],
+    candidate_ids: petition.candidate_ids || [],
+    grounds: petition.grounds,
+    relief_sought: petition.relief_sought || "",
+    evidence: petition.evidence || [],
+    status: petition.status,
+    ...(includeCommittee ? { committee: petition.committee || [] } : {}),
+    hearings: (petition.hearings || []).map((hearing) => ({
+      id: hearing._id,
+      scheduled_for: hearing.scheduled_for,
+      location: hearing.location,
+      notes: hearing.notes,
+    })),
+    outcome: petition.outcome
+      ? {
+          decision: petition.outcome.decision,
+          remedies: petition.outcome.remedies || [],
+          summary: petition.outcome.summary,
+          decided_at: petition.outcome.decided_at,
+          recount_id: petition.outcome.recount_id || null,
+          rerun_session_id: petition.outcome.rerun_session_id || null,
+        }
+      : null,
+    withdrawn_at: petition.withdrawn_at || null,
+    filed_at: petition.createdAt,
+  };
+}
+
+async function invalidateResultCaches(req, sessionId) {
+  const tenantNamespace = getTenantCacheNamespace(req);
+
+  await Promise.all([
+    cacheService.delPattern(`admin:sessions:list:${tenantNamespace}:*`),
+    cacheService.del(`admin:session_live:${tenantNamespace}:${sessionId}`),
+    cacheService.del(`live_results:${tenantNamespace}:${sessionId}`),
+    cacheService.del(`public:bulletin:${tenantNamespace}:${sessionId}`),
+    cacheService.del(`session:${tenantNamespace}:${sessionId}`),
+    cacheService.delPattern(`session:${tenantNamespace}:${sessionId}:*`),
+  ]);
+}
+
+/**
+ * Students who voted in the session and its candidates may petition.
+ */
+async function hasPetitionStanding(req, session, studentId) {
+  const [voted, candidacy] = await Promise.all([
+    Student.exists(
+      getTenantScopedFilter(req, { _id: studentId, has_voted_sessions: session._id }),
+    ),
+    Nomination.exists(
+      getTenantScopedFilter(req, {
+        session_id: session._id,
+        student_id: studentId,
+        status: "approved",
+      }),
+    ),
+  ]);
+
+  return Boolean(voted || candidacy);
+}
+
+async function loadPetitionForAdmin(req) {
+  return Petition.findOne(getTenantScopedFilter(req, { _id: req.params.id }));
+}
+
+/**
+ * Once a committee is assigned only its members (and super admins) act on
+ * the petition.
+ */
+function isOutsideCommittee(req, petition) {
+  if (req.admin?.role === "super_admin" || (petition.committee || []).length === 0) {
+    return false;
+  }
+
+  return !petition.committee.some((member) => toId(member.admin_id) === toId(req.adminId));
+}
+
+function sendNotOnCommittee(res) {
+  return res.status(403).json({
+    error: "Only the petition committee can act on this petition",
+    code: "NOT_ON_COMMITTEE",
+  });
+}
+
+async function notifyPetitioner(req, session, petition, { type, title, message }) {
+  try {
+    await notifyStudent({
+      tenantId: petition.tenant_id,
+      studentId: petition.petitioner_id,
+      type,
+      title,
+      message,
+      link: `/students/petitions/${session._id}`,
+      priority: "high",
+      metadata: {
+        session_id: session._id,
+        petition_id: petition._id,
+        status: petition.status,
+      },
+      createdByType: "admin",
+      createdById: req.adminId,
+    });
+  } catch (error) {
+    console.error("Petition notification error:", error);
+  }
+}
+
+class PetitionController {
+  /**
+   * Petition window and the student's own petitions for a session
+   * GET /api/sessions/:id/petitions
+   */
+  async getSessionPetitions(req, res) {
+    try {
+      const session = await VotingSession.findOne(
+        getTenantScopedFilter(req, { _id: req.params.id, ...STUDENT_VISIBLE_FILTER }),
+      )
+        .select(PETITION_SESSION_SELECT)
+        .lean();
+
+      if (!session) {
+        return res.status(404).json({ error: "Election not found" });
+      }
+
+      const petitions = await Petition.find(
+        getTenantScopedFilter(req, {
+          session_id: session._id,
+          petitioner_id: req.studentId,
+        }),
+      )
+        .sort({ createdAt: -1 })
+        .lean();
+
+      res.json({
+        petition_window: formatPetitionWindow(session),
+        petitions: petitions.map((petition) => serializePetition(petition)),
+      });
+    } catch (error) {
+      console.error("Get session petitions error:", error);
+      res.status(500).json({ error: "Failed to get petitions" });
+    }
+  }
+
+  /**
+   * File a petition against a session's outcome
+   * POST /api/sessions/:id/petitions
+   */
+  async filePetition(req, res) {
+    try {
+      const {
+        positions = [],
+        candidate_ids: candidateIds = [],
+        grounds,
+        relief_sought,
+        evidence,
+      } = req.body;
+
+      const session = await VotingSession.findOne(
+        getTenantScopedFilter(req, { _id: req.params.id, ...STUDENT_VISIBLE_FILTER }),
+      )
+        .select(PETITION_SESSION_SELECT)
+        .lean();
+
+      if (!session) {
+        return res.status(404).json({ error: "Election not found" });
+      }
+
+      if (sendWindowError(res, session)) {
+        return;
+      }
+
+      const candidates = candidateIds.length
+        ? await Candidate.find(
+            getTenantScopedFilter(req, {
+              session_id: session._id,
+              _id: { $in: candidateIds },
+            }),
+          )
+            .select("position")
+            .lean()
+        : [];
+      const targetError = validatePetitionTargets(
+        session,
+        { positions, candidateIds },
+        candidates,
+      );
+      if (targetError) {
+        return res.status(400).json(targetError);
+      }
+
+      const sanitizedEvidence = sanitizeEvidence(evidence);
+      if (sanitizedEvidence.error) {
+        return res.status(400).json(sanitizedEvidence);
+      }
+
+      if (!(await hasPetitionStanding(req, session, req.studentId))) {
+        return res.status(403).json({
+          error: "Only students who voted in this election or stood in it can petition",
+          code: "NO_PETITION_STANDING",
+        });
+      }
+
+      const existing = await Petition.exists(
+        getTenantScopedFilter(req, {
+          session_id: session._id,
+          petitioner_id: req.studentId,
+          status: { $in: OPEN_PETITION_STATUSES },
+        }),
+      );
+
+      if (existing) {
+        return res.status(409).json({
+          error: "You already have an open petition in this election",
+          code: "PETITION_EXISTS",
+        });
+      }
+
+      const petition = await Petition.create(
+        assignTenantId(req, {
+          session_id: session._id,
+          petitioner_id: req.studentId,
+          positions,
+          candidate_ids: candidateIds,
+          grounds,
+          relief_sought: relief_sought || "",
+          evidence: sanitizedEvidence.evidence.map((item) => ({
+            ...item,
+            added_by_type: "student",
+          })),
+        }),
+      );
+
+      if (petition.tenant_id) {
+        try {
+          await notifyTenantAdmins({
+            tenantId: petition.tenant_id,
+            type: "petition.filed",
+            title: `Petition filed: ${session.title}`,
+            message: positions.length
+              ? `A petition challenges the result for ${positions.join(", ")}.`
+              : "A petition challenges the outcome of the election.",
+            link: `/dashboard/sessions/${session._id}/petitions`,
+            priority: "high",
+            metadata: {
+              session_id: session._id,
+              petition_id: petition._id,
+              positions,
+            },
+          });
+        } catch (error) {
+          console.error("Petition notification error:", error);
+        }
+      }
+
+      res.status(201).json({
+        message: "Petition filed successfully",
+        petition: serializePetition(petition.toObject()),
+        petition_window: formatPetitionWindow(session),
+      });
+    } catch (error) {
+      console.error("File petition error:", error);
+      res.status(500).json({ error: "Failed to file petition" });
+    }
+  }
+
+  /**
+   * Attach more evidence to an undecided petition. Students add to their
+   * own petitions until the filing window closes; committee members at any
+   * time before the decision.
+   * POST /api/sessions/:id/petitions/:petitionId/evidence
+   * POST /api/admin/petitions/:id/evidence
+   */
+  async addEvidence(req, res) {
+    try {
+      const isStudent = Boolean(req.studentId);
+      const petition = isStudent
+        ? await Petition.findOne(
+            getTenantScopedFilter(req, {
+              _id: req.params.petitionId,
+              session_id: req.params.id,
+              petitioner_id: req.studentId,
+            }),
+          )
+        : await loadPetitionForAdmin(req);
+
+      if (!petition) {
+        return res.status(404).json({ error: "Petition not found" });
+      }
+
+      if (!OPEN_PETITION_STATUSES.includes(petition.status)) {
+        return res.status(409).json({
+          error: "Evidence can only be added before the petition is decided",
+          code: "PETITION_CLOSED",
+        });
+      }
+
+      if (!isStudent && isOutsideCommittee(req, petition)) {
+        return sendNotOnCommittee(res);
+      }
+
+      if (isStudent) {
+        const session = await VotingSession.findOne(
+          getTenantScopedFilter(req, { _id: petition.session_id }),
+        )
+          .select(PETITION_SESSION_SELECT)
+          .lean();
+
+        if (!session) {
+          return res.status(404).json({ error: "Election not found" });
+        }
+
+        if (sendWindowError(res, session)) {
+          return;
+        }
+      }
+
+      const sanitizedEvidence = sanitizeEvidence(
+        req.body.evidence,
+        petition.evidence.length,
+      );
+      if (sanitizedEvidence.error) {
+        return res.status(400).json(sanitizedEvidence);
+      }
+
+      sanitizedEvidence.evidence.forEach((item) => {
+        petition.evidence.push({
+          ...item,
+          added_by_type: isStudent ? "student" : "admin",
+        });
+      });
+      await petition.save();
+
+      res.json({
+        message: "Evidence added",
+        petition: serializePetition(petition.toObject(), { includeCommittee: !isStudent }),
+      });
+    } catch (error) {
+      console.error("Add petition evidence error:", error);
+      res.status(500).json({ error: "Failed to add evidence" });
+    }
+  }
+
+  /**
+   * Withdraw the student's own undecided petition
+   * POST /api/sessions/:id/petitions/:petitionId/withdraw
+   */
+  async withdrawPetition(req, res) {
+    try {
+      const petition = await Petition.findOneAndUpdate(
+        getTenantScopedFilter(req, {
+          _id: req.params.petitionId,
+          session_id: req.params.id,
+          petitioner_id: req.studentId,
+          status: { $in: OPEN_PETITION_STATUSES },
+        }),
+        { $set: { status: "withdrawn", withdrawn_at: new Date() } },
+        { new: true },
+      ).lean();
+
+      if (!petition) {
+        return res.status(404).json({
+          error: "No open petition of yours was found",
+        });
+      }
+
+      res.json({
+        message: "Petition withdrawn",
+        petition: serializePetition(petition),
+      });
+    } catch (error) {
+      console.error("Withdraw petition error:", error);
+      res.status(500).json({ error: "Failed to withdraw petition" });
+    }
+  }
+
+  /**
+   * Petitions filed against a session
+   * GET /api/admin/sessions/:id/petitions
+   */
+  async listPetitions(req, res) {
+    try {
+      const session = await VotingSession.findOne(
+        getTenantScopedFilter(req, { _id: req.params.id }),
+      )
+        .select(`${PETITION_SESSION_SELECT} results_hold`)
+        .lean();
+
+      if (!session) {
+        return res.status(404).json({ error: "Election not found" });
+      }
+
+      const filter = getTenantScopedFilter(req, { session_id: session._id });
+      if (req.query.status) {
+        filter.status = req.query.status;
+      }
+
+      const petitions = await Petition.find(filter)
+        .populate("petitioner_id", "full_name matric_no")
+        .sort({ createdAt: -1 })
+        .lean();
+
+      res.json({
+        petition_window: formatPetitionWindow(session),
+        results_hold: session.results_hold || null,
+        petitions: petitions.map((petition) =>
+          serializePetition(petition, { includeCommittee: true }),
+        ),
+      });
+    } catch (error) {
+      console.error("List petitions error:", error);
+      res.status(500).json({ error: "Failed to list petitions" });
+    }
+  }
+
+  /**
+   * A single petition with its committee, hearings and outcome
+   * GET /api/admin/petitions/:id
+   */
+  async getPetition(req, res) {
+    try {
+      const petition = await Petition.findOne(
+        getTenantScopedFilter(req, { _id: req.params.id }),
+      )
+        .populate("petitioner_id", "full_name matric_no")
+        .lean();
+
+      if (!petition) {
+        return res.status(404).json({ error: "Petition not found" });
+      }
+
+      res.json({ petition: serializePetition(petition, { includeCommittee: true }) });
+    } catch (error) {
+      console.error("Get petition error:", error);
+      res.status(500).json({ error: "Failed to get petition" });
+    }
+  }
+
+  /**
+   * Assign the committee that hears a petition, replacing any earlier one
+   * PUT /api/admin/petitions/:id/committee
+   */
+  async assignCommittee(req, res) {
+    try {
+      const adminIds = Array.from(new Set(req.body.admin_ids.map(String)));
+      const petition = await loadPetitionForAdmin(req);
+
+      if (!petition) {
+        return res.status(404).json({ error: "Petition not found" });
+      }
+
+      if (!OPEN_PETITION_STATUSES.includes(petition.status)) {
+        return res.status(409).json({
+          error: "The petition has already been closed",
+          code: "PETITION_CLOSED",
+        });
+      }
+
+      const tenantId = getTenantId(req);
+      const memberIds = tenantId
+        ? (
+            await TenantAdminMembership.find({
+              tenant_id: tenantId,
+              admin_id: { $in: adminIds },
+              is_active: true,
+            })
+              .select("admin_id")
+              .lean()
+          ).map((membership) => toId(membership.admin_id))
+        : adminIds;
+      const admins = await Admin.find({ _id: { $in: memberIds }, is_active: true })
+        .select("full_name email")
+        .lean();
+
+      if (admins.length !== adminIds.length) {
+        return res.status(400).json({
+          error: "Every committee member must be an active admin of this organization",
+          code: "INVALID_COMMITTEE",
+        });
+      }
+
+      const previous = new Set(petition.committee.map((member) => toId(member.admin_id)));
+      petition.committee = admins.map((admin) => ({
+        admin_id: admin._id,
+        name: admin.full_name || admin.email,
+        assigned_at: new Date(),
+      }));
+      if (petition.status === "filed") {
+        petition.status = "under_review";
+      }
+      await petition.save();
+
+      const session = await VotingSession.findById(petition.session_id)
+        .select("title")
+        .lean();
+      await Promise.all(
+        admins
+          .filter((admin) => !previous.has(toId(admin._id)))
+          .map((admin) =>
+            notifyAdmin({
+              tenantId: petition.tenant_id,
+              adminId: admin._id,
+              type: "petition.assigned",
+              title: `Petition assigned: ${session?.title || "election"}`,
+              message: "You have been placed on the committee hearing this petition.",
+              link: `/dashboard/petitions/${petition._id}`,
+              priority: "high",
+              metadata: {
+                session_id: petition.session_id,
+                petition_id: petition._id,
+              },
+              createdByType: "admin",
+              createdById: req.adminId,
+            }).catch((error) => {
+              console.error("Petition notification error:", error);
+            }),
+          ),
+      );
+
+      res.json({
+        message: "Committee assigned",
+        petition: serializePetition(petition.toObject(), { includeCommittee: true }),
+      });
+    } catch (error) {
+      console.error("Assign petition committee error:", error);
+      res.status(500).json({ error: "Failed to assign committee" });
+    }
+  }
+
+  /**
+   * Schedule a hearing and tell the petitioner
+   * POST /api/admin/petitions/:id/hearings
+   */
+  async scheduleHearing(req, res) {
+    try {
+      const { scheduled_for, location, notes } = req.body;
+      const petition = await loadPetitionForAdmin(req);
+
+      if (!petition) {
+        return res.status(404).json({ error: "Petition not found" });
+      }
+
+      if (!OPEN_PETITION_STATUSES.includes(petition.status)) {
+        return res.status(409).json({
+          error: "The petition has already been closed",
+          code: "PETITION_CLOSED",
+        });
+      }
+
+      if (isOutsideCommittee(req, petition)) {
+        return sendNotOnCommittee(res);
+      }
+
+      const scheduledFor = new Date(scheduled_for);
+      if (scheduledFor <= new Date()) {
+        return res.status(400).json({
+          error: "Hearings must be scheduled in the future",
+          code: "INVALID_HEARING_DATE",
+        });
+      }
+
+      petition.hearings.push({
+        scheduled_for: scheduledFor,
+        location: location || "",
+        notes: notes || "",
+        scheduled_by: req.adminId,
+      });
+      petition.status = "hearing_scheduled";
+      await petition.save();
+
+      const session = await VotingSession.findById(petition.session_id)
+        .select("title")
+        .lean();
+      await notifyPetitioner(req, { _id: petition.session_id }, petition, {
+        type: "petition.hearing_scheduled",
+        title: `Petition hearing scheduled: ${session?.title || "election"}`,
+        message: `Your petition will be heard on ${scheduledFor.toUTCString()}${location ? ` at ${location}` : ""}.`,
+      });
+
+      res.status(201).json({
+        message: "Hearing scheduled",
+        petition: serializePetition(petition.toObject(), { includeCommittee: true }),
+      });
+    } catch (error) {
+      console.error("Schedule petition hearing error:", error);
+      res.status(500).json({ error: "Failed to schedule hearing" });
+    }
+  }
+
+  /**
+   * Decide a petition. Upholding it can hold the results, order a recount
+   * and schedule a re-run of the petitioned positions.
+   * POST /api/admin/petitions/:id/decision
+   */
+  async decidePetition(req, res) {
+    try {
+      const {
+        decision,
+        remedies = [],
+        summary,
+        repair,
+        rerun_start_time,
+        rerun_end_time,
+      } = req.body;
+      const petition = await loadPetitionForAdmin(req);
+
+      if (!petition) {
+        return res.status(404).json({ error: "Petition not found" });
+      }
+
+      if (!OPEN_PETITION_STATUSES.includes(petition.status)) {
+        return res.status(409).json({
+          error: "The petition has already been closed",
+          code: "PETITION_CLOSED",
+        });
+      }
+
+      if (isOutsideCommittee(req, petition)) {
+        return sendNotOnCommittee(res);
+      }
+
+      const session = await VotingSession.findOne(
+        getTenantScopedFilter(req, { _id: petition.session_id }),
+      ).lean();
+
+      if (!session) {
+        return res.status(404).json({ error: "Election not found" });
+      }
+
+      if (remedies.includes("recount") && isEncryptedSession(session)) {
+        return res.status(409).json({
+          error: "Encrypted ballots can only be counted by the trustee tally",
+          code: "ENCRYPTED_SESSION",
+        });
+      }
+
+      const rerunStart = rerun_start_time ? new Date(rerun_start_time) : null;
+      const rerunEnd = rerun_end_time ? new Date(rerun_end_time) : null;
+      if (
+        remedies.includes("rerun") &&
+        (!rerunStart || !rerunEnd || rerunStart <= new Date() || rerunEnd <= rerunStart)
+      ) {
+        return res.status(400).json({
+          error: "A re-run needs a future start time and an end time after it",
+          code: "INVALID_RERUN_SCHEDULE",
+        });
+      }
+
+      const decidedAt = new Date();
+      const claimed = await Petition.findOneAndUpdate(
+        getTenantScopedFilter(req, {
+          _id: petition._id,
+          status: { $in: OPEN_PETITION_STATUSES },
+        }),
+        {
+          $set: {
+            status: decision,
+            outcome: {
+              decision,
+              remedies,
+              summary,
+              decided_by: req.adminId,
+              decided_at: decidedAt,
+            },
+          },
+        },
+        { new: true },
+      );
+
+      if (!claimed) {
+        return res.status(409).json({
+          error: "The petition has already been closed",
+          code: "PETITION_CLOSED",
+        });
+      }
+
+      let recount = null;
+      let rerun = null;
+
+      if (remedies.includes("hold_results")) {
+        await VotingSession.updateOne(
+          getTenantScopedFilter(req, { _id: session._id, results_hold: null }),
+          {
+            $set: {
+              results_public: false,
+              results_hold: {
+                petition_id: claimed._id,
+                reason: summary,
+                held_by: req.adminId,
+                held_at: decidedAt,
+              },
+            },
+          },
+        );
+      }
+
+      if (remedies.includes("recount")) {
+        recount = await recountSession({
+          tenantId: getTenantId(req),
+          session,
+          performedBy: {
+            id: req.adminId,
+            name: req.admin.full_name || req.admin.email,
+          },
+          repair: repair === true,
+          reason: `Petition ${claimed._id}: ${summary}`,
+        });
+        claimed.outcome.recount_id = recount._id;
+      }
+
+      if (remedies.includes("rerun")) {
+        rerun = await createRerunSession(
+          session,
+          claimed.positions.length > 0 ? claimed.positions : session.categories,
+          { start_time: rerunStart, end_time: rerunEnd, createdBy: req.adminId },
+        );
+        claimed.outcome.rerun_session_id = rerun._id;
+        notifyRerunScheduled(session, rerun).catch((error) => {
+          console.error("Failed to notify students of the re-run:", error);
+        });
+      }
+
+      if (recount || rerun) {
+        await claimed.save();
+      }
+
+      await invalidateResultCaches(req, session._id);
+      await notifyPetitioner(req, session, claimed, {
+        type: "petition.decided",
+        title: `Petition ${decision}: ${session.title}`,
+        message: `The election committee ${decision === "upheld" ? "upheld" : "dismissed"} your petition. ${summary}`,
+      });
+
+      res.json({
+        message: `Petition ${decision}`,
+        petition: serializePetition(claimed.toObject(), { includeCommittee: true }),
+        results_held: remedies.includes("hold_results"),
+        recount: recount ? formatRecount(recount) : null,
+        rerun_session: rerun
+          ? {
+              id: rerun._id,
+              title: rerun.title,
+              categories: rerun.categories,
+              start_time: rerun.start_time,
+              end_time: rerun.end_time,
+            }
+          : null,
+      });
+    } catch (error) {
+      console.error("Decide petition error:", error);
+      res.status(500).json({ error: "Failed to decide petition" });
+    }
+  }
+
+  /**
+   * Lift a petition hold and publish the results if nothing else holds them
+   * POST /api/admin/sessions/:id/results-hold/release
+   */
+  async releaseResultsHold(req, res) {
+    try {
+      const session = await VotingSession.findOne(
+        getTenantScopedFilter(req, { _id: req.params.id }),
+      );
+
+      if (!session) {
+        return res.status(404).json({ error: "Election not found" });
+      }
+
+      if (!hasResultsHold(session)) {
+        return res.status(409).json({
+          error: "The results of this election are not on hold",
+          code: "NO_RESULTS_HOLD",
+        });
+      }
+
+      session.results_hold = null;
+      session.results_public =
+        session.status === "ended" &&
+        session.quorum_result?.met !== false &&
+        !isTallyPending(session) &&
+        !isCertificationPending(session) &&
+        !isResultsEmbargoed(session);
+      await session.save();
+
+      await invalidateResultCaches(req, session._id);
+
+      // Results held before their outcomes were settled and announced are
+      // finalized now
+      if (
+        session.results_public &&
+        (!session.outcomes_settled_at || !session.results_released_at)
+      ) {
+        sessionScheduler.finalizeResults(session).catch((error) => {
+          console.error("Failed to announce released results:", error);
+        });
+      }
+
+      res.json({
+        message: "Results hold lifted",
+        results_public: session.results_public,
+      });
+    } catch (error) {
+      console.error("Release results hold error:", error);
+      res.status(500).json({ error: "Failed to lift results hold" });
+    }
+  }
+}
+
+module.exports = new PetitionController();
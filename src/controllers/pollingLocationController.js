@@ -0,0 +1,263 @@
+const PollingLocation = require("../models/PollingLocation");
+const VotingSession = require("../models/VotingSession");
+const cacheService = require("../services/cacheService");
+const {
+  syncUpcomingSessions,
+  findOpenSessionsUsing,
+} = require("../services/pollingLocationService");
+const {
+  getTenantScopedFilter,
+  assignTenantId,
+  getTenantCacheNamespace,
+} = require("../utils/tenantScope");
+const { sanitizePollingZones } = require("../utils/pollingZones");
+
+const LOCATION_FIELDS = ["name", "shape", "center", "radius_meters", "polygon"];
+
+function serializeLocation(location) {
+  return {
+    id: location._id,
+    name: location.name,
+    description: location.description,
+    shape: location.shape,
+    center: location.shape === "circle" ? location.center : null,
+    radius_meters: location.shape === "circle" ? location.radius_meters : null,
+    polygon: location.shape === "polygon" ? location.polygon : null,
+    created_by: location.created_by,
+    updated_by: location.updated_by,
+    created_at: location.createdAt,
+    updated_at: location.updatedAt,
+  };
+}
+
+/**
+ * Validate a location's geometry with the polling zone rules. Returns
+ * `{ zone }` or `{ error, code }`.
+ */
+function sanitizeLocation(payload) {
+  const sanitized = sanitizePollingZones([payload]);
+  if (sanitized.error) {
+    return { ...sanitized, code: "INVALID_POLLING_LOCATION" };
+  }
+
+  const { location_id, ...zone } = sanitized.polling_zones[0];
+  return { zone };
+}
+
+async function isNameTaken(req, name, exceptId = null) {
+  return PollingLocation.exists(
+    getTenantScopedFilter(req, {
+      name,
+      ...(exceptId ? { _id: { $ne: exceptId } } : {}),
+    }),
+  );
+}
+
+async function invalidateSessionCaches(req, sessionIds) {
+  const tenantNamespace = getTenantCacheNamespace(req);
+
+  await Promise.all([
+    cacheService.delPattern(`admin:sessions:list:${tenantNamespace}:*`),
+    ...sessionIds.flatMap((sessionId) => [
+      cacheService.del(`admin:session_live:${tenantNamespace}:${sessionId}`),
+      cacheService.del(`session:${tenantNamespace}:${sessionId}`),
+    ]),
+  ]);
+}
+
+class PollingLocationController {
+  /**
+   * List the tenant's saved polling locations
+   * GET /api/admin/polling-locations
+   */
+  async listLocations(req, res) {
+    try {
+      const locations = await PollingLocation.find(getTenantScopedFilter(req, {}))
+        .sort({ name: 1 })
+        .lean();
+
+      res.json({ locations: locations.map(serializeLocation) });
+    } catch (error) {
+      console.error("List polling locations error:", error);
+      res.status(500).json({ error: "Failed to list polling locations" });
+    }
+  }
+
+  /**
+   * Get a saved polling location and the sessions using it
+   * GET /api/admin/polling-locations/:id
+   */
+  async getLocation(req, res) {
+    try {
+      const location = await PollingLocation.findOne(
+        getTenantScopedFilter(req, { _id: req.params.id }),
+      ).lean();
+
+      if (!location) {
+        return res.status(404).json({ error: "Polling location not found" });
+      }
+
+      const sessions = await VotingSession.find(
+        getTenantScopedFilter(req, { "polling_zones.location_id": location._id }),
+      )
+        .select("title status start_time end_time")
+        .sort({ start_time: -1 })
+        .limit(50)
+        .lean();
+
+      res.json({
+        location: serializeLocation(location),
+        sessions: sessions.map((session) => ({
+          id: session._id,
+          title: session.title,
+          status: session.status,
+          start_time: session.start_time,
+          end_time: session.end_time,
+        })),
+      });
+    } catch (error) {
+      console.error("Get polling location error:", error);
+      res.status(500).json({ error: "Failed to get polling location" });
+    }
+  }
+
+  /**
+   * Save a polling location
+   * POST /api/admin/polling-locations
+   */
+  async createLocation(req, res) {
+    try {
+      const sanitized = sanitizeLocation(req.body);
+      if (sanitized.error) {
+        return res.status(400).json(sanitized);
+      }
+
+      if (await isNameTaken(req, sanitized.zone.name)) {
+        return res.status(409).json({
+          error: "A polling location with this name already exists",
+          code: "LOCATION_NAME_TAKEN",
+        });
+      }
+
+      const location = await PollingLocation.create(
+        assignTenantId(req, {
+          ...sanitized.zone,
+          description: req.body.description || "",
+          created_by: req.adminId,
+          updated_by: req.adminId,
+        }),
+      );
+
+      res.status(201).json({
+        message: "Polling location saved",
+        location: serializeLocation(location.toObject()),
+      });
+    } catch (error) {
+      console.error("Create polling location error:", error);
+      res.status(500).json({ error: "Failed to save polling location" });
+    }
+  }
+
+  /**
+   * Edit a polling location and carry the change into every upcoming
+   * session that uses it
+   * PUT /api/admin/polling-locations/:id
+   */
+  async updateLocation(req, res) {
+    try {
+      const location = await PollingLocation.findOne(
+        getTenantScopedFilter(req, { _id: req.params.id }),
+      );
+
+      if (!location) {
+        return res.status(404).json({ error: "Polling location not found" });
+      }
+
+      const current = location.toObject();
+      const merged = LOCATION_FIELDS.reduce(
+        (fields, field) => ({
+          ...fields,
+          [field]: req.body[field] !== undefined ? req.body[field] : current[field],
+        }),
+        {},
+      );
+      const sanitized = sanitizeLocation(merged);
+      if (sanitized.error) {
+        return res.status(400).json(sanitized);
+      }
+
+      if (await isNameTaken(req, sanitized.zone.name, location._id)) {
+        return res.status(409).json({
+          error: "A polling location with this name already exists",
+          code: "LOCATION_NAME_TAKEN",
+        });
+      }
+
+      location.name = sanitized.zone.name;
+      location.shape = sanitized.zone.shape;
+      location.center = sanitized.zone.center;
+      location.radius_meters = sanitized.zone.radius_meters;
+      location.polygon = sanitized.zone.polygon;
+      if (req.body.description !== undefined) {
+        location.description = req.body.description;
+      }
+      location.updated_by = req.adminId;
+      await location.save();
+
+      const { updated, skipped } = await syncUpcomingSessions(location);
+      await invalidateSessionCaches(
+        req,
+        updated.map((session) => session.id.toString()),
+      );
+
+      res.json({
+        message: "Polling location updated",
+        location: serializeLocation(location.toObject()),
+        sessions_updated: updated,
+        sessions_skipped: skipped,
+      });
+    } catch (error) {
+      console.error("Update polling location error:", error);
+      res.status(500).json({ error: "Failed to update polling location" });
+    }
+  }
+
+  /**
+   * Delete a polling location no running or upcoming session uses. Past
+   * sessions keep their own copy of the zone.
+   * DELETE /api/admin/polling-locations/:id
+   */
+  async deleteLocation(req, res) {
+    try {
+      const location = await PollingLocation.findOne(
+        getTenantScopedFilter(req, { _id: req.params.id }),
+      );
+
+      if (!location) {
+        return res.status(404).json({ error: "Polling location not found" });
+      }
+
+      const sessions = await findOpenSessionsUsing(location.tenant_id, location._id);
+      if (sessions.length > 0) {
+        return res.status(409).json({
+          error: "This polling location is used by elections that have not ended",
+          code: "LOCATION_IN_USE",
+          sessions: sessions.map((session) => ({
+            id: session._id,
+            title: session.title,
+            status: session.status,
+          })),
+        });
+      }
+
+      await location.deleteOne();
+
+      res.json({ message: "Polling location deleted" });
+    } catch (error) {
+      console.error("Delete polling location error:", error);
+      res.status(500).json({ error: "Failed to delete polling location" });
+    }
+  }
+}
+
+module.exports = new PollingLocationController();
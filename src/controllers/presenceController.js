@@ -0,0 +1,128 @@
+const VotingSession = require("../models/VotingSession");
+const { getTenantScopedFilter } = require("../utils/tenantScope");
+const {
+  createPresenceSecret,
+  getPresencePolicy,
+  requiresPresenceCode,
+  getPresenceStations,
+  findPresenceStation,
+  issuePresenceCode,
+} = require("../utils/presenceCode");
+
+const CLOSED_STATUSES = ["ended", "cancelled"];
+
+function formatStation(station) {
+  return {
+    id: station.id,
+    name: station.name,
+    zone_id: station.zone._id || null,
+  };
+}
+
+/**
+ * The session's code signing secret, created on first use. The filter on
+ * a missing secret keeps two station displays starting together from
+ * each creating one.
+ */
+async function getOrCreatePresenceSecret(session) {
+  await VotingSession.updateOne(
+    { _id: session._id, "presence.secret": null },
+    { $set: { "presence.secret": createPresenceSecret() } },
+  );
+
+  const stored = await VotingSession.findOne({ _id: session._id })
+    .select("+presence.secret")
+    .lean();
+
+  return stored.presence.secret;
+}
+
+class PresenceController {
+  /**
+   * List the polling stations an election can display codes at
+   * GET /api/admin/sessions/:id/presence-stations
+   */
+  async getStations(req, res) {
+    try {
+      const session = await VotingSession.findOne(
+        getTenantScopedFilter(req, { _id: req.params.id }),
+      ).lean();
+
+      if (!session) {
+        return res.status(404).json({ error: "Session not found" });
+      }
+
+      res.json({
+        presence: getPresencePolicy(session),
+        stations: getPresenceStations(session).map(formatStation),
+      });
+    } catch (error) {
+      console.error("Get presence stations error:", error);
+      res.status(500).json({ error: "Failed to get polling stations" });
+    }
+  }
+
+  /**
+   * Current QR code for a polling station display. Displays poll this
+   * every rotation, so it is not audit logged.
+   * GET /api/admin/sessions/:id/presence-code
+   */
+  async getCode(req, res) {
+    try {
+      const session = await VotingSession.findOne(
+        getTenantScopedFilter(req, { _id: req.params.id }),
+      ).lean();
+
+      if (!session) {
+        return res.status(404).json({ error: "Session not found" });
+      }
+
+      if (!requiresPresenceCode(session)) {
+        return res.status(400).json({
+          error: "This election does not use polling station codes",
+          code: "PRESENCE_CODES_DISABLED",
+        });
+      }
+
+      if (CLOSED_STATUSES.includes(session.status)) {
+        return res.status(400).json({
+          error: "This election has closed",
+          code: "SESSION_CLOSED",
+        });
+      }
+
+      const stations = getPresenceStations(session);
+      let station = null;
+
+      if (req.query.station_id) {
+        station = findPresenceStation(session, req.query.station_id);
+        if (!station) {
+          return res.status(404).json({
+            error: "Polling station not found",
+            code: "PRESENCE_STATION_NOT_FOUND",
+          });
+        }
+      } else if (stations.length === 1) {
+        [station] = stations;
+      } else {
+        return res.status(400).json({
+          error: "Choose the polling station this display is at",
+          code: "PRESENCE_STATION_REQUIRED",
+          stations: stations.map(formatStation),
+        });
+      }
+
+      const secret = await getOrCreatePresenceSecret(session);
+
+      res.json({
+        station: formatStation(station),
+        ...issuePresenceCode({ secret, session, stationId: station.id }),
+      });
+    } catch (error) {
+      console.error("Get presence code error:", error);
+      res.status(500).json({ error: "Failed to issue polling station code" });
+    }
+  }
+}
+
+module.exports = new PresenceController();
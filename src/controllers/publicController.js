@@ -11,7 +11,11 @@ const {
 } = require("../utils/tenantSettings");
 const emailService = require("../services/emailService");
 const cacheService = require("../services/cacheService");
-const { getPublicLivePayload } = require("../services/liveSessionService");
+const {
+  getPublicLivePayload,
+  getPublicBulletinPayload,
+} = require("../services/liveSessionService");
+const { normalizeReceiptLookup } = require("../utils/ballotReceipt");
 
 function getDefaultUniversityStructure() {
   return {
@@ -173,6 +177,42 @@ class PublicController {
     }
   }
 
+  async getPublicBulletinBoard(req, res) {
+    try {
+      const receiptLookup = req.query.receipt
+        ? normalizeReceiptLookup(req.query.receipt)
+        : null;
+
+      if (req.query.receipt && !receiptLookup) {
+        return res.status(400).json({
+          error: "Invalid receipt code",
+          code: "INVALID_RECEIPT_CODE",
+        });
+      }
+
+      const payload = await getPublicBulletinPayload(
+        req.params.tenantSlug,
+        req.params.liveCode,
+        receiptLookup,
+      );
+
+      if (!payload) {
+        return res.status(404).json({ error: "Live session not found" });
+      }
+
+      res.set({
+        "Cache-Control": payload.contents_published
+          ? "public, max-age=300"
+          : "public, max-age=30",
+      });
+
+      return res.json(payload);
+    } catch (error) {
+      console.error("Get public bulletin board error:", error);
+      return res.status(500).json({ error: "Failed to fetch bulletin board" });
+    }
+  }
+
   async listOrganizations(req, res) {
     try {
       const search = String(req.query.search || "").trim();
@@ -0,0 +1,108 @@
+const VotingSession = require("../models/VotingSession");
+const Recount = require("../models/Recount");
+const cacheService = require("../services/cacheService");
+const { recountSession } = require("../services/recountService");
+const {
+  getTenantId,
+  getTenantScopedFilter,
+  getTenantCacheNamespace,
+} = require("../utils/tenantScope");
+const { isEncryptedSession } = require("../utils/encryptedBallot");
+const { formatRecount } = require("../utils/recount");
+
+async function invalidateRecountCaches(req, sessionId) {
+  const tenantNamespace = getTenantCacheNamespace(req);
+
+  await Promise.all([
+    cacheService.delPattern(`admin:sessions:list:${tenantNamespace}:*`),
+    cacheService.del(`admin:session_stats:${sessionId}:${tenantNamespace}`),
+    cacheService.del(`admin:advanced_session_stats:${sessionId}:${tenantNamespace}`),
+    cacheService.del(`admin:session_live:${tenantNamespace}:${sessionId}`),
+    cacheService.del(`live_results:${tenantNamespace}:${sessionId}`),
+    cacheService.delPattern(`vote_count:${tenantNamespace}:${sessionId}:*`),
+  ]);
+}
+
+class RecountController {
+  /**
+   * Recount a session's candidate totals from its valid votes, optionally
+   * overwriting the stored counters
+   * POST /api/admin/sessions/:id/recount
+   */
+  async runRecount(req, res) {
+    try {
+      const { repair, reason } = req.body;
+      const session = await VotingSession.findOne(
+        getTenantScopedFilter(req, { _id: req.params.id }),
+      )
+        .select("title status encryption.enabled")
+        .lean();
+
+      if (!session) {
+        return res.status(404).json({ error: "Election not found" });
+      }
+
+      if (isEncryptedSession(session)) {
+        return res.status(409).json({
+          error: "Encrypted ballots can only be counted by the trustee tally",
+          code: "ENCRYPTED_SESSION",
+        });
+      }
+
+      const recount = await recountSession({
+        tenantId: getTenantId(req),
+        session,
+        performedBy: {
+          id: req.adminId,
+          name: req.admin.full_name || req.admin.email,
+        },
+        repair,
+        reason,
+      });
+
+      // Session analytics list the latest recounts
+      await invalidateRecountCaches(req, session._id);
+
+      res.status(201).json({
+        message: recount.discrepancies.length === 0
+          ? "Recount matches the stored totals"
+          : recount.repaired
+            ? "Recount found discrepancies and the totals were corrected"
+            : "Recount found discrepancies",
+        recount: formatRecount(recount),
+      });
+    } catch (error) {
+      console.error("Recount session error:", error);
+      res.status(500).json({ error: "Failed to recount election" });
+    }
+  }
+
+  /**
+   * Recounts run on a session, newest first
+   * GET /api/admin/sessions/:id/recounts
+   */
+  async listRecounts(req, res) {
+    try {
+      const session = await VotingSession.exists(
+        getTenantScopedFilter(req, { _id: req.params.id }),
+      );
+
+      if (!session) {
+        return res.status(404).json({ error: "Election not found" });
+      }
+
+      const recounts = await Recount.find(
+        getTenantScopedFilter(req, { session_id: req.params.id }),
+      )
+        .sort({ createdAt: -1 })
+        .lean();
+
+      res.json({ recounts: recounts.map(formatRecount) });
+    } catch (error) {
+      console.error("List recounts error:", error);
+      res.status(500).json({ error: "Failed to list recounts" });
+    }
+  }
+}
+
+module.exports = new RecountController();
@@ -1,35 +1,33 @@
-const mongoose = require("mongoose");
 const VotingSession = require("../models/VotingSession");
 const Vote = require("../models/Vote");
 const Student = require("../models/Student");
-const {
-  getTenantScopedFilter,
-  prependTenantMatch,
-} = require("../utils/tenantScope");
+const { getTenantScopedFilter } = require("../utils/tenantScope");
 const { resolveDepartmentNames } = require("../utils/departmentLookup");
+const {
+  buildEligibilityFilter,
+  buildSessionResults,
+} = require("../services/resultService");
+const { getSeriesTimeline } = require("../services/electionSeriesService");
+const {
+  STUDENT_VISIBLE_FILTER,
+  resolveSessionStatus,
+} = require("../utils/sessionLifecycle");
+const { isTallyPending } = require("../utils/encryptedBallot");
+const {
+  isCertificationPending,
+  formatCertification,
+} = require("../utils/certification");
+const { hasResultsHold } = require("../utils/petitionRules");
+const {
+  isResultsEmbargoed,
+  getRevealedPositions,
+  formatResultEmbargo,
+} = require("../utils/resultEmbargo");
 
 async function resolveEligibleDepartmentNames(req, departmentIds) {
   return resolveDepartmentNames(req, departmentIds);
 }
 
-function buildEligibilityFilter(req, session, departmentNames) {
-  const filter = getTenantScopedFilter(req, { is_active: true });
-
-  if (session.eligible_college) {
-    filter.college = session.eligible_college;
-  }
-
-  if (departmentNames.length > 0) {
-    filter.department = { $in: departmentNames };
-  }
-
-  if (session.eligible_levels && session.eligible_levels.length > 0) {
-    filter.level = { $in: session.eligible_levels };
-  }
-
-  return filter;
-}
-
 class ResultController {
   /**
    * Get results for a voting session
@@ -41,8 +39,10 @@ class ResultController {
       const studentId = req.studentId;
 
       const [session, student] = await Promise.all([
-        VotingSession.findOne(getTenantScopedFilter(req, { _id: session_id }))
-          .populate("candidates", "name position photo_url bio manifesto")
+        VotingSession.findOne(
+          getTenantScopedFilter(req, { _id: session_id, ...STUDENT_VISIBLE_FILTER }),
+        )
+          .populate("candidates", "name position photo_url bio manifesto disqualification")
           .lean(),
         Student.findOne(getTenantScopedFilter(req, { _id: studentId }))
           .select("college department level has_voted_sessions")
@@ -57,15 +57,17 @@ class ResultController {
         return res.status(404).json({ error: "Student not found" });
       }
 
-      const now = new Date();
-      const sessionEnded = now > session.end_time;
-      const sessionStatus = sessionEnded
-        ? "ended"
-        : now >= session.start_time && now <= session.end_time
-          ? "active"
-          : "upcoming";
+      const sessionStatus = resolveSessionStatus(session);
+
+      if (sessionStatus === "cancelled") {
+        return res.status(403).json({
+          error: "This election was cancelled",
+          code: "SESSION_CANCELLED",
+          message: session.lifecycle?.cancellation_reason || undefined,
+        });
+      }
 
-      if (!sessionEnded && sessionStatus !== "ended") {
+      if (sessionStatus !== "ended") {
         return res.status(403).json({
           error: "Results are not yet available",
           message:
@@ -73,6 +75,55 @@ class ResultController {
         });
       }
 
+      if (session.quorum_result?.met === false) {
+        return res.status(403).json({
+          error: "Results are held",
+          code: "QUORUM_NOT_MET",
+          message:
+            "Turnout in this election did not reach the required quorum, so the results will not be published",
+          quorum: {
+            failures: session.quorum_result.failures,
+          },
+        });
+      }
+
+      if (hasResultsHold(session)) {
+        return res.status(403).json({
+          error: "Results are held",
+          code: "RESULTS_ON_HOLD",
+          message:
+            "The results of this election are on hold while a petition against them is resolved",
+        });
+      }
+
+      if (isTallyPending(session)) {
+        return res.status(403).json({
+          error: "Results are not yet available",
+          code: "RESULTS_AWAITING_DECRYPTION",
+          message:
+            "Ballots in this election are encrypted. Results will be published once the trustees have decrypted the tally",
+        });
+      }
+
+      if (isCertificationPending(session)) {
+        return res.status(403).json({
+          error: "Results are not yet available",
+          code: "RESULTS_PENDING_CERTIFICATION",
+          message:
+            "The results of this election will be published once they have been certified",
+        });
+      }
+
+      if (isResultsEmbargoed(session)) {
+        const embargo = formatResultEmbargo(session);
+        return res.status(403).json({
+          error: "Results are not yet available",
+          code: "RESULTS_EMBARGOED",
+          message: `Results will be released at ${embargo.release_at.toISOString()}`,
+          release_at: embargo.release_at,
+        });
+      }
+
       const departmentNames =
         session.eligible_departments && session.eligible_departments.length > 0
           ? await resolveEligibleDepartmentNames(req, session.eligible_departments)
@@ -100,78 +151,13 @@ class ResultController {
         (value) => value.toString() === session_id,
       );
 
-      const sessionObjectId = new mongoose.Types.ObjectId(session_id);
-      const [votesByCandidate, totalVotes, totalEligible] = await Promise.all([
-        Vote.aggregate(
-          prependTenantMatch(req, [
-            {
-              $match: {
-                session_id: sessionObjectId,
-                status: "valid",
-              },
-            },
-            {
-              $group: {
-                _id: "$candidate_id",
-                count: { $sum: 1 },
-              },
-            },
-          ]),
-        ),
-        Vote.countDocuments(
-          getTenantScopedFilter(req, {
-            session_id,
-            status: "valid",
-          }),
-        ),
-        Student.countDocuments(
-          buildEligibilityFilter(req, session, departmentNames),
-        ),
-      ]);
-
-      const candidatesWithVotes = session.candidates.map((candidate) => {
-        const voteData = votesByCandidate.find(
-          (entry) => entry._id.toString() === candidate._id.toString(),
-        );
-        const voteCount = voteData ? voteData.count : 0;
-        const percentage =
-          totalVotes > 0 ? ((voteCount / totalVotes) * 100).toFixed(2) : 0;
-
-        return {
-          id: candidate._id,
-          name: candidate.name,
-          position: candidate.position,
-          photo_url: candidate.photo_url,
-          bio: candidate.bio,
-          vote_count: voteCount,
-          percentage: parseFloat(percentage),
-        };
-      });
-
-      const resultsByPosition = candidatesWithVotes.reduce((acc, candidate) => {
-        if (!acc[candidate.position]) {
-          acc[candidate.position] = {
-            position: candidate.position,
-            total_votes: 0,
-            candidates: [],
-          };
-        }
-
-        acc[candidate.position].candidates.push(candidate);
-        acc[candidate.position].total_votes += candidate.vote_count;
-
-        return acc;
-      }, {});
-
-      Object.values(resultsByPosition).forEach((position) => {
-        const maxVotes = Math.max(
-          ...position.candidates.map((candidate) => candidate.vote_count),
-        );
-        position.candidates.forEach((candidate) => {
-          candidate.is_winner = candidate.vote_count === maxVotes && maxVotes > 0;
-        });
-        position.candidates.sort((a, b) => b.vote_count - a.vote_count);
-      });
+      const { totalVotes, totalEligible, results } = await buildSessionResults(
+        req,
+        session,
+        departmentNames,
+      );
+      const revealedPositions = getRevealedPositions(session);
+      const series = await getSeriesTimeline(session);
 
       res.json({
         session: {
@@ -182,12 +168,18 @@ class ResultController {
           start_time: session.start_time,
           end_time: session.end_time,
           results_public: session.results_public,
+          tie_break_policy: session.tie_break?.policy || "committee",
+          runoff_of: session.runoff_of || null,
         },
+        certification: formatCertification(session),
+        release: formatResultEmbargo(session),
+        series,
         is_eligible: isEligible,
         has_voted: hasVoted,
         total_valid_votes: totalVotes,
         total_eligible: totalEligible,
-        results: Object.values(resultsByPosition),
+        // Positions still waiting their turn in the reveal order are left out
+        results: results.filter((group) => revealedPositions.has(group.position)),
       });
     } catch (error) {
       console.error("Get results error:", error);
@@ -195,6 +187,76 @@ class ResultController {
     }
   }
 
+  /**
+   * Results of an ended session as they will be released, ignoring the
+   * embargo and reveal order (Admin only)
+   * GET /api/results/:session_id/preview
+   */
+  async previewResults(req, res) {
+    try {
+      const session = await VotingSession.findOne(
+        getTenantScopedFilter(req, { _id: req.params.session_id }),
+      )
+        .populate("candidates", "name position photo_url bio manifesto disqualification")
+        .lean();
+
+      if (!session) {
+        return res.status(404).json({ error: "Election not found" });
+      }
+
+      if (resolveSessionStatus(session) !== "ended") {
+        return res.status(409).json({
+          error: "Results can only be previewed once voting has closed",
+          code: "SESSION_NOT_ENDED",
+        });
+      }
+
+      if (isTallyPending(session)) {
+        return res.status(409).json({
+          error: "Ballots in this election are encrypted and have not been decrypted yet",
+          code: "RESULTS_AWAITING_DECRYPTION",
+        });
+      }
+
+      const departmentNames =
+        session.eligible_departments && session.eligible_departments.length > 0
+          ? await resolveEligibleDepartmentNames(req, session.eligible_departments)
+          : [];
+      const { totalVotes, totalEligible, results } = await buildSessionResults(
+        req,
+        session,
+        departmentNames,
+      );
+      const embargo = formatResultEmbargo(session);
+      const revealAtByPosition = new Map(
+        embargo.positions.map((entry) => [entry.position, entry]),
+      );
+
+      res.set("Cache-Control", "private, no-store");
+      res.json({
+        session: {
+          id: session._id,
+          title: session.title,
+          end_time: session.end_time,
+          results_public: session.results_public,
+          quorum_met: session.quorum_result?.met !== false,
+        },
+        release: embargo,
+        certification: formatCertification(session),
+        total_valid_votes: totalVotes,
+        total_eligible: totalEligible,
+        results: results.map((group) => ({
+          ...group,
+          reveal_at: revealAtByPosition.get(group.position)?.reveal_at || embargo.release_at,
+          revealed: revealAtByPosition.get(group.position)?.revealed ?? !embargo.embargoed,
+        })),
+      });
+    } catch (error) {
+      console.error("Preview results error:", error);
+      res.status(500).json({ error: "Failed to preview results" });
+    }
+  }
+
   /**
    * Get overall statistics (Admin only)
    * GET /api/admin/results/stats/overview
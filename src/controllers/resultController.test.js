@@ -0,0 +1,113 @@
+jest.mock("../models/VotingSession", () => ({ findOne: jest.fn() }));
+jest.mock("../models/Vote", () => ({}));
+jest.mock("../models/Student", () => ({ findOne: jest.fn() }));
+jest.mock("../utils/departmentLookup", () => ({ resolveDepartmentNames: jest.fn() }));
+jest.mock("../services/resultService", () => ({
+  buildEligibilityFilter: jest.fn(),
+  buildSessionResults: jest.fn(),
+}));
+jest.mock("../services/electionSeriesService", () => ({ getSeriesTimeline: jest.fn() }));
+
+const VotingSession = require("../models/VotingSession");
+const Student = require("../models/Student");
+const { buildSessionResults } = require("../services/resultService");
+const { getSeriesTimeline } = require("../services/electionSeriesService");
+const resultController = require("./resultController");
+
+function mockResponse() {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+}
+
+describe("resultController lifecycle", () => {
+  const now = new Date("2026-03-10T18:00:00.000Z");
+  const closedSession = {
+    _id: "65f1c0ffee0000000000abcd",
+    title: "SU Election",
+    status: "ended",
+    start_time: new Date("2026-03-10T08:00:00.000Z"),
+    end_time: new Date("2026-03-10T16:00:00.000Z"),
+    categories: ["President"],
+    candidates: [],
+  };
+
+  async function getResults(session) {
+    VotingSession.findOne.mockReturnValue({
+      populate: () => ({ lean: jest.fn().mockResolvedValue(session) }),
+    });
+    const res = mockResponse();
+
+    await resultController.getResults(
+      { params: { session_id: session._id }, studentId: "65f1c0ffee0000000000aaaa" },
+      res,
+    );
+    return res;
+  }
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now });
+    jest.clearAllMocks();
+    Student.findOne.mockReturnValue({
+      select: () => ({
+        lean: jest.fn().mockResolvedValue({ college: "Science", has_voted_sessions: [] }),
+      }),
+    });
+    buildSessionResults.mockResolvedValue({
+      totalVotes: 10,
+      totalEligible: 20,
+      results: [{ position: "President", candidates: [] }],
+    });
+    getSeriesTimeline.mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it("publishes the results of a session that closed normally", async () => {
+    const res = await getResults(closedSession);
+
+    expect(res.status).not.toHaveBeenCalled();
+    expect(res.json.mock.calls[0][0]).toMatchObject({
+      session: { status: "ended" },
+      total_valid_votes: 10,
+    });
+  });
+
+  it("never publishes results of a cancelled session", async () => {
+    const res = await getResults({
+      ...closedSession,
+      status: "cancelled",
+      lifecycle: { cancellation_reason: "Ballot printing error" },
+    });
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith(
+      expect.objectContaining({ code: "SESSION_CANCELLED", message: "Ballot printing error" }),
+    );
+    expect(buildSessionResults).not.toHaveBeenCalled();
+  });
+
+  it("holds results while a session is paused past its original close", async () => {
+    const res = await getResults({ ...closedSession, status: "paused" });
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(buildSessionResults).not.toHaveBeenCalled();
+  });
+
+  it("holds results of a session extended past its original close", async () => {
+    const res = await getResults({
+      ...closedSession,
+      status: "active",
+      end_time: new Date("2026-03-10T20:00:00.000Z"),
+    });
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith(
+      expect.objectContaining({ error: "Results are not yet available" }),
+    );
+    expect(buildSessionResults).not.toHaveBeenCalled();
+  });
+});
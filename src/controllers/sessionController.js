@@ -5,6 +5,7 @@ const Candidate = require("../models/Candidate");
 const Vote = require("../models/Vote");
 const cacheService = require("../services/cacheService");
 const {
+  getTenantId,
   getTenantScopedFilter,
   getTenantCacheNamespace,
   prependTenantMatch,
@@ -13,24 +14,53 @@ const { getTenantEligibilityPolicy } = require("../utils/tenantSettings");
 const {
   getDepartmentNameMap,
 } = require("../utils/departmentLookup");
+const {
+  CANDIDATE_SUPPORT_MATCH,
+  getPositionSettings,
+  listPositionSettings,
+} = require("../utils/ballotRules");
+const {
+  applySeatAllocation,
+  getReferendumTallies,
+  addReferendumGroups,
+  applyReferendumTally,
+  getTicketLookup,
+} = require("../services/tallyService");
+const {
+  isEncryptedSession,
+  isTallyPending,
+  getDecryptedCandidateCounts,
+} = require("../utils/encryptedBallot");
+const { isCertificationPending } = require("../utils/certification");
+const { hasResultsHold } = require("../utils/petitionRules");
+const { hidesRunningCounts } = require("../utils/secretBallot");
+const {
+  isResultsEmbargoed,
+  getRevealedPositions,
+  formatResultEmbargo,
+} = require("../utils/resultEmbargo");
+const {
+  isCandidateDisqualified,
+  formatDisqualification,
+  applyDisqualifications,
+} = require("../utils/voteInvalidation");
+const { listEligiblePositions } = require("../utils/positionEligibility");
+const { applyTicketDetails } = require("../utils/ticketRules");
+const { applyTieResolutions } = require("../utils/tieBreak");
+const { requiresPresenceCode } = require("../utils/presenceCode");
+const {
+  STUDENT_VISIBLE_FILTER,
+  resolveSessionStatus,
+} = require("../utils/sessionLifecycle");
 
 const SESSION_LIST_SELECT =
-  "_id title description start_time end_time categories location is_off_campus_allowed eligible_college eligible_departments eligible_levels results_public candidates";
+  "_id title description start_time end_time status lifecycle.cancellation_reason categories position_settings location polling_zones is_off_campus_allowed eligible_college eligible_departments eligible_levels results_public candidates";
 const SESSION_DETAIL_SELECT =
-  "_id title description start_time end_time categories location is_off_campus_allowed eligible_college eligible_departments eligible_levels results_public candidates";
+  "_id title description start_time end_time status lifecycle.cancellation_reason lifecycle.extensions categories position_settings location polling_zones is_off_campus_allowed presence.mode secret_ballot allow_revote encryption.enabled eligible_college eligible_departments eligible_levels results_public candidates";
 
+// Admin-held statuses (draft, paused, cancelled) win over the clock
 function calculateSessionStatus(session) {
-  const now = new Date();
-
-  if (now < session.start_time) {
-    return "upcoming";
-  }
-
-  if (now >= session.start_time && now <= session.end_time) {
-    return "active";
-  }
-
-  return "ended";
+  return resolveSessionStatus(session);
 }
 
 function resolveEligibleDepartmentNames(eligibleDepartmentIds, departmentNameMap) {
@@ -138,7 +168,7 @@ function getSessionEligibility(session, student, departmentNameMap) {
   };
 }
 
-function buildCandidatesByPosition(candidates) {
+function buildCandidatesByPosition(candidates, ticketLookup = new Map()) {
   return candidates.reduce((acc, candidate) => {
     if (!acc[candidate.position]) {
       acc[candidate.position] = [];
@@ -151,6 +181,9 @@ function buildCandidatesByPosition(candidates) {
       bio: candidate.bio,
       manifesto: candidate.manifesto,
       vote_count: candidate.vote_count,
+      ...(ticketLookup.size > 0 && {
+        ticket: ticketLookup.get(candidate._id.toString()) || null,
+      }),
     });
 
     return acc;
@@ -224,7 +257,8 @@ class SessionController {
         return res.status(404).json({ error: "Student not found" });
       }
 
-      const sessionFilter = getTenantScopedFilter(req, {});
+      // Drafts stay hidden from students until they are published
+      const sessionFilter = getTenantScopedFilter(req, { ...STUDENT_VISIBLE_FILTER });
       const sessions = await VotingSession.find(sessionFilter)
         .select(SESSION_LIST_SELECT)
         .sort({ start_time: -1 })
@@ -249,6 +283,15 @@ class SessionController {
           return acc;
         }
 
+        // Skip sessions where every position is restricted to other students
+        const eligiblePositions = listEligiblePositions(session, student, {
+          policy: getTenantEligibilityPolicy(student.tenant),
+          departmentNameMap,
+        });
+        if (eligiblePositions.length === 0) {
+          return acc;
+        }
+
         const eligibilityScope = buildEligibilityScope(
           session,
           student.tenant,
@@ -263,6 +306,7 @@ class SessionController {
           candidate_count: Array.isArray(session.candidates)
             ? session.candidates.length
             : 0,
+          eligible_positions: eligiblePositions,
           eligibility_scope: eligibilityScope,
         });
 
@@ -297,9 +341,14 @@ class SessionController {
     }
 
     const [session, context] = await Promise.all([
-      VotingSession.findOne(getTenantScopedFilter(req, { _id: sessionId }))
+      VotingSession.findOne(
+        getTenantScopedFilter(req, { _id: sessionId, ...STUDENT_VISIBLE_FILTER }),
+      )
         .select(SESSION_DETAIL_SELECT)
-        .populate("candidates", "name position photo_url bio manifesto vote_count")
+        .populate(
+          "candidates",
+          "name position photo_url bio manifesto vote_count disqualification",
+        )
         .lean(),
       this.getStudentAndCollegeContext(req, studentId),
     ]);
@@ -322,11 +371,29 @@ class SessionController {
       ...session,
       status: calculateSessionStatus(session),
     };
-      const { eligible, reason } = getSessionEligibility(
-        calculatedSession,
-        context.student,
-        context.departmentNameMap,
-      );
+    const ticketLookup = await getTicketLookup({
+      tenantId: getTenantId(req),
+      session,
+    });
+    let { eligible, reason } = getSessionEligibility(
+      calculatedSession,
+      context.student,
+      context.departmentNameMap,
+    );
+    // Positions can narrow eligibility further; the student only sees the
+    // ones they may vote on.
+    const eligiblePositions = listEligiblePositions(
+      calculatedSession,
+      context.student,
+      {
+        policy: getTenantEligibilityPolicy(context.student.tenant),
+        departmentNameMap: context.departmentNameMap,
+      },
+    );
+    if (eligible && eligiblePositions.length === 0) {
+      eligible = false;
+      reason = "No positions open to you";
+    }
       const eligibilityScope = buildEligibilityScope(
         calculatedSession,
         context.student.tenant,
@@ -341,17 +408,36 @@ class SessionController {
         start_time: calculatedSession.start_time,
         end_time: calculatedSession.end_time,
         status: calculatedSession.status,
-        categories: calculatedSession.categories,
+        cancellation_reason:
+          calculatedSession.status === "cancelled"
+            ? calculatedSession.lifecycle?.cancellation_reason || null
+            : undefined,
+        extended: (calculatedSession.lifecycle?.extensions || []).length > 0,
+        categories: eligiblePositions,
+        position_settings: listPositionSettings(calculatedSession).filter(
+          (settings) => eligiblePositions.includes(settings.position),
+        ),
         location: calculatedSession.location,
+        polling_zones: calculatedSession.polling_zones || [],
         is_off_campus_allowed: calculatedSession.is_off_campus_allowed,
+        presence_code_required: requiresPresenceCode(calculatedSession),
+        secret_ballot: calculatedSession.secret_ballot === true,
+        encrypted_ballot: isEncryptedSession(calculatedSession),
+        allow_revote: calculatedSession.allow_revote === true,
         eligible,
         eligibility_reason: reason,
         eligibility_scope: eligibilityScope,
         has_voted: context.student.has_voted_sessions.some(
           (value) => value.toString() === calculatedSession._id.toString(),
         ),
+        // Disqualified candidates are off the ballot
         candidates_by_position: buildCandidatesByPosition(
-          calculatedSession.candidates,
+          calculatedSession.candidates.filter(
+            (candidate) =>
+              eligiblePositions.includes(candidate.position) &&
+              !isCandidateDisqualified(candidate),
+          ),
+          ticketLookup,
         ),
       },
       cached: false,
@@ -428,7 +514,7 @@ class SessionController {
         .populate("session_id", "title description start_time end_time status")
         .lean();
 
-      if (!candidate) {
+      if (!candidate || candidate.session_id?.status === "draft") {
         return res.status(404).json({ error: "Candidate not found" });
       }
 
@@ -488,8 +574,12 @@ class SessionController {
       const sessionObjectId = new mongoose.Types.ObjectId(id);
 
       const [session, votesByCandidate, totalVotes] = await Promise.all([
-        VotingSession.findOne(getTenantScopedFilter(req, { _id: id }))
-          .select("title description start_time end_time status results_public")
+        VotingSession.findOne(
+          getTenantScopedFilter(req, { _id: id, ...STUDENT_VISIBLE_FILTER }),
+        )
+          .select(
+            "title description start_time end_time status results_public secret_ballot categories position_settings encryption.enabled encryption.tally tie_resolutions quorum_result certification.required_approvals certification.status results_release_at results_reveal results_hold",
+          )
           .lean(),
         Vote.aggregate(
           prependTenantMatch(req, [
@@ -497,6 +587,7 @@ class SessionController {
               $match: {
                 session_id: sessionObjectId,
                 status: "valid",
+                ...CANDIDATE_SUPPORT_MATCH,
               },
             },
             {
@@ -524,14 +615,34 @@ class SessionController {
         status: calculateSessionStatus(session),
       };
 
-      const candidates = await Candidate.find(
+      // Encrypted sessions have no readable counts until the trustees
+      // decrypt, secret ballots until voting closes, a closed session needing
+      // certification until it is signed off or while a petition holds them,
+      // and a session that missed its quorum never shows them
+      const quorumNotMet = session.quorum_result?.met === false;
+      const sessionEnded = calculatedSession.status === "ended";
+      const pendingCertification = sessionEnded && isCertificationPending(session);
+      const embargoed = sessionEnded && isResultsEmbargoed(session);
+      const onHold = sessionEnded && hasResultsHold(session);
+      const resultsSealed =
+        isTallyPending(session) ||
+        hidesRunningCounts(session, calculatedSession.status) ||
+        quorumNotMet ||
+        pendingCertification ||
+        embargoed ||
+        onHold;
+      const candidateCounts = isEncryptedSession(session)
+        ? getDecryptedCandidateCounts(session)
+        : votesByCandidate;
+
+      const candidates = resultsSealed ? [] : await Candidate.find(
         getTenantScopedFilter(req, { session_id: id }),
       )
-        .select("name position photo_url")
+        .select("name position photo_url disqualification")
         .lean();
 
       const candidatesWithVotes = candidates.map((candidate) => {
-        const voteData = votesByCandidate.find(
+        const voteData = candidateCounts.find(
           (entry) => entry._id.toString() === candidate._id.toString(),
         );
         const voteCount = voteData ? voteData.count : 0;
@@ -545,6 +656,8 @@ class SessionController {
           photo_url: candidate.photo_url,
           vote_count: voteCount,
           percentage: parseFloat(percentage),
+          disqualified: isCandidateDisqualified(candidate),
+          disqualification: formatDisqualification(candidate),
         };
       });
 
@@ -562,16 +675,43 @@ class SessionController {
 
         return acc;
       }, {});
+      if (!resultsSealed) {
+        addReferendumGroups(resultsByPosition, calculatedSession);
+      }
+
+      const [referendumTallies, ticketLookup] = await Promise.all([
+        getReferendumTallies({
+          tenantId: getTenantId(req),
+          session: calculatedSession,
+        }),
+        getTicketLookup({ tenantId: getTenantId(req), session }),
+      ]);
 
       Object.values(resultsByPosition).forEach((position) => {
-        const maxVotes = Math.max(
-          ...position.candidates.map((candidate) => candidate.vote_count),
-        );
-        position.candidates.forEach((candidate) => {
-          candidate.is_leading = candidate.vote_count === maxVotes && maxVotes > 0;
-        });
+        const settings = getPositionSettings(calculatedSession, position.position);
         position.candidates.sort((a, b) => b.vote_count - a.vote_count);
+        position.ballot_type = settings.ballot_type;
+        applySeatAllocation(position, settings, "is_leading");
+        applyReferendumTally(
+          position,
+          referendumTallies.get(position.position),
+          settings,
+          "is_leading",
+        );
       });
+      applyTieResolutions(
+        Object.values(resultsByPosition),
+        calculatedSession.tie_resolutions,
+        "is_leading",
+      );
+      applyDisqualifications(Object.values(resultsByPosition), "is_leading");
+      applyTicketDetails(Object.values(resultsByPosition), ticketLookup);
+
+      // After the close, positions later in the reveal order stay hidden
+      const revealedPositions = sessionEnded ? getRevealedPositions(session) : null;
+      const visibleResults = Object.values(resultsByPosition).filter(
+        (group) => !revealedPositions || revealedPositions.has(group.position),
+      );
 
       const responseData = {
         session: {
@@ -585,7 +725,13 @@ class SessionController {
         },
         total_votes: totalVotes,
         last_updated: new Date().toISOString(),
-        results: Object.values(resultsByPosition),
+        results_sealed: resultsSealed,
+        quorum_not_met: quorumNotMet,
+        pending_certification: pendingCertification,
+        results_embargoed: embargoed,
+        results_on_hold: onHold,
+        release: sessionEnded ? formatResultEmbargo(session) : null,
+        results: visibleResults,
         cached: false,
       };
 
@@ -0,0 +1,264 @@
+const VotingSession = require("../models/VotingSession");
+const Student = require("../models/Student");
+const cacheService = require("../services/cacheService");
+const { createNotifications } = require("../services/notificationService");
+const { getEligibleStudentFilter } = require("../services/liveSessionService");
+const {
+  getTenantScopedFilter,
+  getTenantCacheNamespace,
+} = require("../utils/tenantScope");
+const {
+  getClockStatus,
+  getTransitionError,
+  validateExtension,
+} = require("../utils/sessionLifecycle");
+
+async function invalidateLifecycleCaches(req, sessionId) {
+  const tenantNamespace = getTenantCacheNamespace(req);
+
+  await Promise.all([
+    cacheService.delPattern(`admin:sessions:list:${tenantNamespace}:*`),
+    cacheService.del(`admin:session_live:${tenantNamespace}:${sessionId}`),
+    cacheService.del(`session:${tenantNamespace}:${sessionId}`),
+    cacheService.delPattern(`session:${tenantNamespace}:${sessionId}:*`),
+    cacheService.del(`live_results:${tenantNamespace}:${sessionId}`),
+  ]);
+}
+
+async function notifyEligibleStudents(req, session, { type, title, message, priority }) {
+  const filter = await getEligibleStudentFilter(req.tenant || null, session);
+  const students = await Student.find(filter).select("_id").lean();
+
+  await createNotifications(
+    students.map((student) => ({
+      tenant_id: session.tenant_id || null,
+      recipient_type: "student",
+      recipient_student_id: student._id,
+      type,
+      title,
+      message,
+      link: `/students/vote/${session._id}`,
+      priority,
+      metadata: {
+        session_id: session._id,
+        status: session.status,
+        end_time: session.end_time,
+      },
+    })),
+  );
+
+  return students.length;
+}
+
+function formatLifecycle(session) {
+  return {
+    id: session._id,
+    title: session.title,
+    status: session.status,
+    start_time: session.start_time,
+    end_time: session.end_time,
+    lifecycle: session.lifecycle,
+  };
+}
+
+/**
+ * Load the session and check the action against its current status.
+ * Sends the error response and returns null when the action is refused.
+ */
+async function loadForTransition(req, res, action) {
+  const session = await VotingSession.findOne(
+    getTenantScopedFilter(req, { _id: req.params.id }),
+  );
+
+  if (!session) {
+    res.status(404).json({ error: "Election not found" });
+    return null;
+  }
+
+  await session.updateStatus();
+
+  const transitionError = getTransitionError(session, action);
+  if (transitionError) {
+    res.status(409).json(transitionError);
+    return null;
+  }
+
+  return session;
+}
+
+class SessionLifecycleController {
+  /**
+   * Publish a draft so students can see it
+   * POST /api/admin/sessions/:id/publish
+   */
+  async publishSession(req, res) {
+    try {
+      const session = await loadForTransition(req, res, "publish");
+      if (!session) return;
+
+      session.status = getClockStatus(session);
+      if (session.status === "ended") {
+        return res.status(400).json({
+          error: "This draft's voting window has already passed. Update its dates before publishing.",
+          code: "INVALID_END_TIME",
+        });
+      }
+
+      await session.save();
+      await invalidateLifecycleCaches(req, session._id.toString());
+
+      res.json({
+        message: "Election published",
+        session: formatLifecycle(session),
+      });
+    } catch (error) {
+      console.error("Publish session error:", error);
+      res.status(500).json({ error: "Failed to publish election" });
+    }
+  }
+
+  /**
+   * Stop accepting ballots during an incident
+   * POST /api/admin/sessions/:id/pause
+   */
+  async pauseSession(req, res) {
+    try {
+      const session = await loadForTransition(req, res, "pause");
+      if (!session) return;
+
+      session.status = "paused";
+      session.set("lifecycle.paused_at", new Date());
+      session.set("lifecycle.paused_by", req.adminId);
+      session.set("lifecycle.pause_reason", req.body.reason || null);
+
+      await session.save();
+      await invalidateLifecycleCaches(req, session._id.toString());
+
+      res.json({
+        message: "Voting paused",
+        session: formatLifecycle(session),
+      });
+    } catch (error) {
+      console.error("Pause session error:", error);
+      res.status(500).json({ error: "Failed to pause election" });
+    }
+  }
+
+  /**
+   * Resume a paused session. If its end time passed while paused it goes
+   * back to active so the scheduler closes it and announces the results.
+   * POST /api/admin/sessions/:id/resume
+   */
+  async resumeSession(req, res) {
+    try {
+      const session = await loadForTransition(req, res, "resume");
+      if (!session) return;
+
+      const clockStatus = getClockStatus(session);
+      session.status = clockStatus === "ended" ? "active" : clockStatus;
+
+      await session.save();
+      await invalidateLifecycleCaches(req, session._id.toString());
+
+      res.json({
+        message:
+          clockStatus === "ended"
+            ? "Election resumed. Its end time has passed, so it will close shortly."
+            : "Voting resumed",
+        session: formatLifecycle(session),
+      });
+    } catch (error) {
+      console.error("Resume session error:", error);
+      res.status(500).json({ error: "Failed to resume election" });
+    }
+  }
+
+  /**
+   * Cancel a session. Results are never published for it.
+   * POST /api/admin/sessions/:id/cancel
+   */
+  async cancelSession(req, res) {
+    try {
+      const session = await loadForTransition(req, res, "cancel");
+      if (!session) return;
+
+      const wasDraft = session.status === "draft";
+
+      session.status = "cancelled";
+      session.results_public = false;
+      session.set("lifecycle.cancelled_at", new Date());
+      session.set("lifecycle.cancelled_by", req.adminId);
+      session.set("lifecycle.cancellation_reason", req.body.reason);
+
+      await session.save();
+      await invalidateLifecycleCaches(req, session._id.toString());
+
+      // Students never saw a draft, so there is nobody to tell
+      const notified = wasDraft
+        ? 0
+        : await notifyEligibleStudents(req, session, {
+            type: "session.cancelled",
+            title: `Election cancelled: ${session.title}`,
+            message: `This election has been cancelled. Reason: ${req.body.reason}`,
+            priority: "high",
+          });
+
+      res.json({
+        message: "Election cancelled",
+        students_notified: notified,
+        session: formatLifecycle(session),
+      });
+    } catch (error) {
+      console.error("Cancel session error:", error);
+      res.status(500).json({ error: "Failed to cancel election" });
+    }
+  }
+
+  /**
+   * Move the closing time later and tell eligible students
+   * POST /api/admin/sessions/:id/extend
+   */
+  async extendSession(req, res) {
+    try {
+      const session = await loadForTransition(req, res, "extend");
+      if (!session) return;
+
+      const { end_time, reason } = req.body;
+      const extensionError = validateExtension(session, end_time);
+      if (extensionError) {
+        return res.status(400).json(extensionError);
+      }
+
+      const previousEndTime = session.end_time;
+      session.end_time = new Date(end_time);
+      session.lifecycle.extensions.push({
+        previous_end_time: previousEndTime,
+        new_end_time: session.end_time,
+        reason: reason || null,
+        extended_by: req.adminId,
+        extended_at: new Date(),
+      });
+
+      await session.save();
+      await invalidateLifecycleCaches(req, session._id.toString());
+
+      const notified = await notifyEligibleStudents(req, session, {
+        type: "session.extended",
+        title: `Voting extended: ${session.title}`,
+        message: `Voting now closes on ${session.end_time.toUTCString()}.${reason ? ` ${reason}` : ""}`,
+        priority: "medium",
+      });
+
+      res.json({
+        message: "Election end time extended",
+        students_notified: notified,
+        session: formatLifecycle(session),
+      });
+    } catch (error) {
+      console.error("Extend session error:", error);
+      res.status(500).json({ error: "Failed to extend election" });
+    }
+  }
+}
+
+module.exports = new SessionLifecycleController();
@@ -0,0 +1,269 @@
+const VotingSession = require("../models/VotingSession");
+const SessionTemplate = require("../models/SessionTemplate");
+const cacheService = require("../services/cacheService");
+const {
+  buildQuotaErrorMessage,
+  getTenantQuotaStatus,
+} = require("../services/planAccessService");
+const {
+  createSessionFromSettings,
+  copyCandidates,
+} = require("../services/sessionTemplateService");
+const {
+  getTenantId,
+  getTenantScopedFilter,
+  assignTenantId,
+  getTenantCacheNamespace,
+} = require("../utils/tenantScope");
+const { buildTemplateSettings } = require("../utils/sessionTemplate");
+
+function serializeTemplate(template) {
+  return {
+    id: template._id,
+    name: template.name,
+    notes: template.notes,
+    source_session_id: template.source_session_id,
+    settings: template.settings,
+    created_by: template.created_by,
+    created_at: template.createdAt,
+    updated_at: template.updatedAt,
+  };
+}
+
+function serializeCreatedSession(session) {
+  return {
+    id: session._id,
+    title: session.title,
+    status: session.status,
+    start_time: session.start_time,
+    end_time: session.end_time,
+    live_public_code: session.live_public_code,
+  };
+}
+
+async function invalidateSessionListCaches(req) {
+  const tenantNamespace = getTenantCacheNamespace(req);
+
+  await Promise.all([
+    cacheService.delPattern(`admin:sessions:list:${tenantNamespace}:*`),
+    cacheService.del(`admin:sessions:summary:${tenantNamespace}`),
+  ]);
+}
+
+/**
+ * Sends the plan-limit response and returns false when the tenant cannot
+ * create another session.
+ */
+async function ensureSessionQuota(req, res) {
+  const sessionQuota = await getTenantQuotaStatus(
+    req.tenant,
+    req.tenantId,
+    "active_sessions",
+    1,
+  );
+
+  if (!sessionQuota.allowed) {
+    res.status(403).json({
+      error: buildQuotaErrorMessage(sessionQuota, "active or upcoming sessions"),
+      code: "PLAN_LIMIT_REACHED",
+      quota: sessionQuota,
+    });
+    return false;
+  }
+
+  return true;
+}
+
+class SessionTemplateController {
+  /**
+   * List the tenant's session templates
+   * GET /api/admin/session-templates
+   */
+  async listTemplates(req, res) {
+    try {
+      const templates = await SessionTemplate.find(getTenantScopedFilter(req, {}))
+        .sort({ name: 1 })
+        .lean();
+
+      res.json({ templates: templates.map(serializeTemplate) });
+    } catch (error) {
+      console.error("List session templates error:", error);
+      res.status(500).json({ error: "Failed to list session templates" });
+    }
+  }
+
+  /**
+   * Get one session template
+   * GET /api/admin/session-templates/:id
+   */
+  async getTemplate(req, res) {
+    try {
+      const template = await SessionTemplate.findOne(
+        getTenantScopedFilter(req, { _id: req.params.id }),
+      ).lean();
+
+      if (!template) {
+        return res.status(404).json({ error: "Template not found" });
+      }
+
+      res.json({ template: serializeTemplate(template) });
+    } catch (error) {
+      console.error("Get session template error:", error);
+      res.status(500).json({ error: "Failed to get session template" });
+    }
+  }
+
+  /**
+   * Save an election's setup as a template
+   * POST /api/admin/sessions/:id/template
+   */
+  async saveTemplate(req, res) {
+    try {
+      const { name, notes } = req.body;
+      const session = await VotingSession.findOne(
+        getTenantScopedFilter(req, { _id: req.params.id }),
+      ).lean();
+
+      if (!session) {
+        return res.status(404).json({ error: "Election not found" });
+      }
+
+      const existing = await SessionTemplate.exists(
+        getTenantScopedFilter(req, { name: name.trim() }),
+      );
+      if (existing) {
+        return res.status(409).json({
+          error: "A template with this name already exists",
+          code: "TEMPLATE_NAME_TAKEN",
+        });
+      }
+
+      const template = await SessionTemplate.create(
+        assignTenantId(req, {
+          name,
+          notes: notes || "",
+          source_session_id: session._id,
+          settings: buildTemplateSettings(session),
+          created_by: req.adminId,
+        }),
+      );
+
+      res.status(201).json({
+        message: "Template saved",
+        template: serializeTemplate(template),
+      });
+    } catch (error) {
+      console.error("Save session template error:", error);
+      res.status(500).json({ error: "Failed to save session template" });
+    }
+  }
+
+  /**
+   * Delete a session template. Sessions created from it are unaffected.
+   * DELETE /api/admin/session-templates/:id
+   */
+  async deleteTemplate(req, res) {
+    try {
+      const template = await SessionTemplate.findOneAndDelete(
+        getTenantScopedFilter(req, { _id: req.params.id }),
+      );
+
+      if (!template) {
+        return res.status(404).json({ error: "Template not found" });
+      }
+
+      res.json({ message: "Template deleted" });
+    } catch (error) {
+      console.error("Delete session template error:", error);
+      res.status(500).json({ error: "Failed to delete session template" });
+    }
+  }
+
+  /**
+   * Create an election from a template
+   * POST /api/admin/session-templates/:id/sessions
+   */
+  async createFromTemplate(req, res) {
+    try {
+      const template = await SessionTemplate.findOne(
+        getTenantScopedFilter(req, { _id: req.params.id }),
+      ).lean();
+
+      if (!template) {
+        return res.status(404).json({ error: "Template not found" });
+      }
+
+      if (!(await ensureSessionQuota(req, res))) return;
+
+      const result = await createSessionFromSettings(template.settings, {
+        ...req.body,
+        tenantId: getTenantId(req),
+        createdBy: req.adminId,
+      });
+      if (result.error) {
+        return res.status(400).json(result);
+      }
+
+      await invalidateSessionListCaches(req);
+
+      res.status(201).json({
+        message: "Election created from template",
+        session: serializeCreatedSession(result.session),
+        encryption_setup_required: template.settings.encryption_enabled === true,
+      });
+    } catch (error) {
+      console.error("Create session from template error:", error);
+      res.status(500).json({ error: "Failed to create election from template" });
+    }
+  }
+
+  /**
+   * Copy an election onto new dates, optionally with its candidates and
+   * tickets
+   * POST /api/admin/sessions/:id/clone
+   */
+  async cloneSession(req, res) {
+    try {
+      const source = await VotingSession.findOne(
+        getTenantScopedFilter(req, { _id: req.params.id }),
+      ).lean();
+
+      if (!source) {
+        return res.status(404).json({ error: "Election not found" });
+      }
+
+      if (!(await ensureSessionQuota(req, res))) return;
+
+      const settings = buildTemplateSettings(source);
+      const result = await createSessionFromSettings(settings, {
+        ...req.body,
+        title: req.body.title || `${source.title} (copy)`,
+        tenantId: getTenantId(req),
+        createdBy: req.adminId,
+      });
+      if (result.error) {
+        return res.status(400).json(result);
+      }
+
+      const copied =
+        req.body.include_candidates === true
+          ? await copyCandidates(source, result.session)
+          : { candidates: 0, tickets: 0 };
+
+      await invalidateSessionListCaches(req);
+
+      res.status(201).json({
+        message: "Election cloned",
+        session: serializeCreatedSession(result.session),
+        candidates_copied: copied.candidates,
+        tickets_copied: copied.tickets,
+        encryption_setup_required: settings.encryption_enabled,
+      });
+    } catch (error) {
+      console.error("Clone session error:", error);
+      res.status(500).json({ error: "Failed to clone election" });
+    }
+  }
+}
+
+module.exports = new SessionTemplateController();
@@ -1314,9 +1314,12 @@ class SettingsController {
           break;
 
         case "votes":
+          // Sorted by _id so anonymous ballots, whose ids are randomised,
+          // do not come out in the order they were cast
           data = await Vote.find(buildVoteExportFilter(req, normalizedFilters))
             .populate("student_id", "matric_no full_name")
             .populate("session_id", "title")
+            .sort({ _id: 1 })
             .lean();
           filename = `votes_export_${Date.now()}.${format}`;
           break;
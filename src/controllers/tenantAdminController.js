@@ -99,6 +99,12 @@ class TenantAdminController {
         analysts: memberships.filter(
           (membership) => membership.role === "analyst",
         ).length,
+        certifiers: memberships.filter(
+          (membership) => membership.role === "certifier",
+        ).length,
+        poll_workers: memberships.filter(
+          (membership) => membership.role === "poll_worker",
+        ).length,
       };
 
       return res.json({ totals, roles: getTenantRoleCatalog() });
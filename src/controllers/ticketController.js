@@ -0,0 +1,215 @@
+const mongoose = require("mongoose");
+const VotingSession = require("../models/VotingSession");
+const Candidate = require("../models/Candidate");
+const Ticket = require("../models/Ticket");
+const cacheService = require("../services/cacheService");
+const {
+  getTenantScopedFilter,
+  assignTenantId,
+  getTenantCacheNamespace,
+} = require("../utils/tenantScope");
+const { validateTicketMembers } = require("../utils/ticketRules");
+
+function serializeTicket(ticket) {
+  return {
+    id: ticket._id,
+    name: ticket.name,
+    positions: ticket.positions,
+    members: (ticket.members || []).map((member) => {
+      const candidate =
+        member.candidate_id && member.candidate_id._id ? member.candidate_id : null;
+
+      return {
+        candidate_id: candidate ? candidate._id : member.candidate_id,
+        position: member.position,
+        name: candidate?.name || null,
+        photo_url: candidate?.photo_url || null,
+        bio: candidate?.bio || "",
+        manifesto: candidate?.manifesto || "",
+      };
+    }),
+    created_at: ticket.createdAt,
+  };
+}
+
+async function invalidateTicketCaches(req, sessionId) {
+  const tenantNamespace = getTenantCacheNamespace(req);
+
+  await Promise.all([
+    cacheService.del(`session:${tenantNamespace}:${sessionId}`),
+    cacheService.delPattern(`session:${tenantNamespace}:${sessionId}:*`),
+    cacheService.del(`live_results:${tenantNamespace}:${sessionId}`),
+  ]);
+}
+
+async function findUpcomingSession(req, sessionId) {
+  const session = await VotingSession.findOne(
+    getTenantScopedFilter(req, { _id: sessionId }),
+  );
+
+  if (!session) {
+    return { statusCode: 404, payload: { error: "Election not found" } };
+  }
+
+  await session.updateStatus();
+  if (session.status !== "upcoming") {
+    return {
+      statusCode: 403,
+      payload: {
+        error: "Cannot change tickets once voting has started",
+        message:
+          "Ballot structure is locked after voting starts to protect recorded votes.",
+      },
+    };
+  }
+
+  return { session };
+}
+
+class TicketController {
+  /**
+   * List the running-mate tickets of an election
+   * GET /api/admin/sessions/:id/tickets
+   */
+  async listTickets(req, res) {
+    try {
+      const { id } = req.params;
+      const session = await VotingSession.findOne(
+        getTenantScopedFilter(req, { _id: id }),
+      )
+        .select("title")
+        .lean();
+
+      if (!session) {
+        return res.status(404).json({ error: "Election not found" });
+      }
+
+      const tickets = await Ticket.find(
+        getTenantScopedFilter(req, { session_id: session._id }),
+      )
+        .populate("members.candidate_id", "name photo_url bio manifesto")
+        .sort({ createdAt: 1 })
+        .lean();
+
+      res.json({
+        session: { id: session._id, title: session.title },
+        tickets: tickets.map(serializeTicket),
+      });
+    } catch (error) {
+      console.error("List tickets error:", error);
+      res.status(500).json({ error: "Failed to list tickets" });
+    }
+  }
+
+  /**
+   * Pair candidates on linked positions into a ticket
+   * POST /api/admin/sessions/:id/tickets
+   */
+  async createTicket(req, res) {
+    try {
+      const { id } = req.params;
+      const { name, candidate_ids } = req.body;
+
+      const { session, statusCode, payload } = await findUpcomingSession(req, id);
+      if (!session) {
+        return res.status(statusCode).json(payload);
+      }
+
+      const uniqueIds = [...new Set(candidate_ids.map(String))];
+      const candidates = await Candidate.find(
+        getTenantScopedFilter(req, {
+          _id: {
+            $in: uniqueIds.filter((candidateId) =>
+              mongoose.Types.ObjectId.isValid(candidateId),
+            ),
+          },
+          session_id: session._id,
+        }),
+      )
+        .select("name position")
+        .lean();
+
+      if (candidates.length !== uniqueIds.length) {
+        return res.status(400).json({
+          error: "Every ticket member must be a candidate in this election",
+          code: "INVALID_TICKET",
+        });
+      }
+
+      const otherTickets = await Ticket.find(
+        getTenantScopedFilter(req, { session_id: session._id }),
+      ).lean();
+      const ticketError = validateTicketMembers(session, candidates, otherTickets);
+      if (ticketError) {
+        return res.status(400).json(ticketError);
+      }
+
+      // Members follow the session's category order
+      const members = candidates
+        .map((candidate) => ({
+          candidate_id: candidate._id,
+          position: candidate.position,
+        }))
+        .sort(
+          (left, right) =>
+            session.categories.indexOf(left.position) -
+            session.categories.indexOf(right.position),
+        );
+
+      const ticket = await Ticket.create(
+        assignTenantId(req, {
+          session_id: session._id,
+          name,
+          positions: members.map((member) => member.position),
+          members,
+        }),
+      );
+      await ticket.populate("members.candidate_id", "name photo_url bio manifesto");
+      await invalidateTicketCaches(req, session._id.toString());
+
+      res.status(201).json({
+        message: "Ticket created successfully",
+        ticket: serializeTicket(ticket.toObject()),
+      });
+    } catch (error) {
+      console.error("Create ticket error:", error);
+      res.status(500).json({ error: "Failed to create ticket" });
+    }
+  }
+
+  /**
+   * Remove a ticket; its candidates stay on the ballot
+   * DELETE /api/admin/tickets/:id
+   */
+  async deleteTicket(req, res) {
+    try {
+      const { id } = req.params;
+      const ticket = await Ticket.findOne(getTenantScopedFilter(req, { _id: id }));
+
+      if (!ticket) {
+        return res.status(404).json({ error: "Ticket not found" });
+      }
+
+      const { session, statusCode, payload } = await findUpcomingSession(
+        req,
+        ticket.session_id,
+      );
+      if (!session) {
+        return res.status(statusCode).json(payload);
+      }
+
+      await Ticket.deleteOne({ _id: ticket._id });
+      await invalidateTicketCaches(req, session._id.toString());
+
+      res.json({
+        message: "Ticket deleted successfully",
+        deleted_ticket: { id: ticket._id, name: ticket.name },
+      });
+    } catch (error) {
+      console.error("Delete ticket error:", error);
+      res.status(500).json({ error: "Failed to delete ticket" });
+    }
+  }
+}
+
+module.exports = new TicketController();
@@ -0,0 +1,165 @@
+const VotingSession = require("../models/VotingSession");
+const Candidate = require("../models/Candidate");
+const cacheService = require("../services/cacheService");
+const { settleParentTie } = require("../services/tieBreakService");
+const {
+  getTenantScopedFilter,
+  getTenantCacheNamespace,
+} = require("../utils/tenantScope");
+const { formatTieResolution } = require("../utils/tieBreak");
+
+async function invalidateTieBreakCaches(req, sessionIds) {
+  const tenantNamespace = getTenantCacheNamespace(req);
+
+  await Promise.all(
+    sessionIds.filter(Boolean).flatMap((sessionId) => [
+      cacheService.del(`session:${tenantNamespace}:${sessionId}`),
+      cacheService.delPattern(`session:${tenantNamespace}:${sessionId}:*`),
+      cacheService.del(`live_results:${tenantNamespace}:${sessionId}`),
+    ]),
+  );
+}
+
+class TieBreakController {
+  /**
+   * Tie-break policy and every tie recorded for an election
+   * GET /api/admin/sessions/:id/tie-breaks
+   */
+  async listTieBreaks(req, res) {
+    try {
+      const { id } = req.params;
+      const session = await VotingSession.findOne(
+        getTenantScopedFilter(req, { _id: id }),
+      )
+        .select("title status tie_break tie_resolutions runoff_of")
+        .lean();
+
+      if (!session) {
+        return res.status(404).json({ error: "Election not found" });
+      }
+
+      const candidateIds = (session.tie_resolutions || []).flatMap(
+        (resolution) => resolution.candidate_ids,
+      );
+      const candidates = await Candidate.find(
+        getTenantScopedFilter(req, { _id: { $in: candidateIds } }),
+      )
+        .select("name position vote_count")
+        .lean();
+      const candidatesById = new Map(
+        candidates.map((candidate) => [candidate._id.toString(), candidate]),
+      );
+
+      res.json({
+        session: {
+          id: session._id,
+          title: session.title,
+          status: session.status,
+          runoff_of: session.runoff_of || null,
+        },
+        tie_break: {
+          policy: session.tie_break?.policy || "committee",
+          runoff_delay_minutes: session.tie_break?.runoff_delay_minutes ?? 1440,
+          runoff_duration_minutes: session.tie_break?.runoff_duration_minutes || null,
+          lot_seed_commitment: session.tie_break?.lot_seed_commitment || null,
+        },
+        ties: (session.tie_resolutions || []).map((resolution) => ({
+          position: resolution.position,
+          ...formatTieResolution(resolution),
+          candidates: resolution.candidate_ids.map((candidateId) => {
+            const candidate = candidatesById.get(candidateId.toString());
+            return {
+              id: candidateId,
+              name: candidate?.name || null,
+              vote_count: candidate?.vote_count ?? null,
+            };
+          }),
+        })),
+      });
+    } catch (error) {
+      console.error("List tie-breaks error:", error);
+      res.status(500).json({ error: "Failed to get tie-breaks" });
+    }
+  }
+
+  /**
+   * Record the committee's decision on a tied position
+   * POST /api/admin/sessions/:id/tie-breaks/decide
+   */
+  async decideTie(req, res) {
+    try {
+      const { id } = req.params;
+      const { position } = req.body;
+      const winnerIds = [...new Set((req.body.winner_ids || []).map(String))];
+      const note = String(req.body.note || "").trim();
+
+      const session = await VotingSession.findOne(
+        getTenantScopedFilter(req, { _id: id }),
+      );
+
+      if (!session) {
+        return res.status(404).json({ error: "Election not found" });
+      }
+
+      const resolution = session.tie_resolutions.find(
+        (entry) => entry.position === position,
+      );
+
+      if (!resolution) {
+        return res.status(404).json({
+          error: `${position} did not end in a tie`,
+          code: "TIE_NOT_FOUND",
+        });
+      }
+
+      if (resolution.status !== "pending" || resolution.policy !== "committee") {
+        return res.status(409).json({
+          error:
+            resolution.status === "resolved"
+              ? "This tie has already been decided"
+              : `This tie is decided by ${resolution.policy}`,
+          code: "TIE_NOT_PENDING",
+        });
+      }
+
+      const tiedIds = resolution.candidate_ids.map((candidateId) => candidateId.toString());
+      if (
+        winnerIds.length !== resolution.seats ||
+        winnerIds.some((winnerId) => !tiedIds.includes(winnerId))
+      ) {
+        return res.status(400).json({
+          error: `Choose ${resolution.seats} of the tied candidates`,
+          code: "INVALID_TIE_DECISION",
+        });
+      }
+
+      resolution.status = "resolved";
+      resolution.winner_ids = winnerIds;
+      resolution.decided_by = req.adminId;
+      resolution.decided_at = new Date();
+      resolution.note = note || "Decided by committee";
+      await session.save();
+
+      // A committee decision on a runoff also settles the original tie
+      const parent = await settleParentTie(session, position, winnerIds, {
+        decidedBy: req.adminId,
+      });
+      await invalidateTieBreakCaches(req, [
+        session._id.toString(),
+        parent?._id.toString(),
+      ]);
+
+      res.json({
+        message: "Tie decided",
+        position,
+        tie_break: formatTieResolution(resolution),
+        settled_session_id: parent?._id || null,
+      });
+    } catch (error) {
+      console.error("Decide tie error:", error);
+      res.status(500).json({ error: "Failed to record tie decision" });
+    }
+  }
+}
+
+module.exports = new TieBreakController();
@@ -3,16 +3,18 @@ const Student = require("../models/Student");
 const VotingSession = require("../models/VotingSession");
 const Candidate = require("../models/Candidate");
 const Vote = require("../models/Vote");
+const Ticket = require("../models/Ticket");
 const College = require("../models/College");
 const VerificationLog = require("../models/VerificationLog");
 const faceProviderService = require("../services/faceProviderService");
 const emailService = require("../services/emailService");
 const { createVerificationLog } = require("../services/biometricAnalyticsService");
+const { calculateDistance, isValidCoordinates } = require("../utils/geofence");
 const {
-  calculateDistance,
-  isWithinGeofence,
-  isValidCoordinates,
-} = require("../utils/geofence");
+  getZoneCenter,
+  matchPollingZone,
+  formatPollingZone,
+} = require("../utils/pollingZones");
 const cacheService = require("../services/cacheService");
 const {
   getTenantScopedFilter,
@@ -20,9 +22,56 @@ const {
   assignTenantId,
 } = require("../utils/tenantScope");
 const { getTenantEligibilityPolicy, getTenantSettings } = require("../utils/tenantSettings");
+const {
+  buildBallotSelections,
+  countsTowardsCandidate,
+} = require("../utils/ballotRules");
+const {
+  isSecretBallot,
+  isRevoteAllowed,
+  isAlreadyVoted,
+  anonymizeVoteRecord,
+} = require("../utils/secretBallot");
+const { issueBallotReceipt, formatReceiptCode } = require("../utils/ballotReceipt");
+const { isEncryptedSession, sealVoteRecords } = require("../utils/encryptedBallot");
+const { getDepartmentNameMap } = require("../utils/departmentLookup");
+const {
+  hasPositionEligibility,
+  getPositionEligibilityFailure,
+} = require("../utils/positionEligibility");
+const {
+  STUDENT_VISIBLE_FILTER,
+  getVotingClosedReason,
+} = require("../utils/sessionLifecycle");
+const {
+  expandTicketChoices,
+  resolveSelectionTickets,
+} = require("../utils/ticketRules");
+const {
+  normalizeLocationMeta,
+  scoreLocationFix,
+  evaluateLocationFix,
+} = require("../utils/locationIntegrity");
+const {
+  requiresPresenceCode,
+  usesGeofence,
+  findPresenceStation,
+  verifyPresenceCode,
+} = require("../utils/presenceCode");
+const {
+  getKioskDecisionSource,
+  getKioskDeviceId,
+} = require("../utils/kioskBallot");
+const { INVALIDATED_BALLOT_MATCH } = require("../utils/voteInvalidation");
 
 const BIOMETRIC_LOCKOUT_THRESHOLD = 3;
 const BIOMETRIC_LOCKOUT_TTL_SECONDS = 5 * 60;
+const LOCATION_FIX_TTL_SECONDS = 2 * 60 * 60;
+
+const VOTE_INVALIDATED_ERROR = {
+  error: "Your ballot in this election was invalidated, so you cannot vote in it again",
+  code: "VOTE_INVALIDATED",
+};
 
 function mapVerificationFailureReason(result = {}) {
   const code = String(result.code || "").trim().toUpperCase();
@@ -98,6 +147,87 @@ function buildBiometricLockoutKey(tenantNamespace, sessionId, studentId) {
   return `biometric_lockout:${tenantNamespace}:${sessionId}:${studentId}`;
 }
 
+function buildLocationFixKey(tenantNamespace, sessionId, studentId) {
+  return `location_fix:${tenantNamespace}:${sessionId}:${studentId}`;
+}
+
+/**
+ * Score a location fix for plausibility against the student's previous fix
+ * for the session, then remember it for the next check or vote.
+ */
+async function assessLocationFix(req, session, studentId, { lat, lng, locationMeta }) {
+  const cacheKey = buildLocationFixKey(
+    getTenantCacheNamespace(req),
+    session._id,
+    studentId,
+  );
+  const meta = normalizeLocationMeta(locationMeta);
+  const now = new Date();
+  const previousFix = await cacheService.get(cacheKey);
+  const result = evaluateLocationFix(
+    session,
+    scoreLocationFix({ lat, lng, meta, previousFix, now }),
+  );
+
+  await cacheService.set(
+    cacheKey,
+    { lat, lng, captured_at: (meta?.captured_at || now).toISOString() },
+    LOCATION_FIX_TTL_SECONDS,
+  );
+
+  return {
+    ...result,
+    accuracy_meters: meta?.accuracy_meters ?? null,
+    altitude_meters: meta?.altitude_meters ?? null,
+    captured_at: meta?.captured_at || null,
+    is_mock: meta ? meta.is_mock : null,
+  };
+}
+
+/**
+ * Check a scanned polling station code. The signing secret is not loaded
+ * with the session, so it is read here.
+ */
+async function checkPresenceCode(session, code) {
+  if (!code) {
+    return {
+      error: "Scan the QR code on the polling station display to vote in this election.",
+      code: "PRESENCE_CODE_REQUIRED",
+    };
+  }
+
+  const stored = await VotingSession.findOne({ _id: session._id })
+    .select("+presence.secret")
+    .lean();
+
+  return verifyPresenceCode({ secret: stored?.presence?.secret, session, code });
+}
+
+async function hasInvalidatedBallot(req, sessionId, studentId, mongoSession = null) {
+  const row = await Vote.findOne(
+    getTenantScopedFilter(req, {
+      session_id: sessionId,
+      student_id: studentId,
+      ...INVALIDATED_BALLOT_MATCH,
+    }),
+  )
+    .select("_id")
+    .session(mongoSession)
+    .lean();
+
+  return Boolean(row);
+}
+
+function formatLocationIntegrity(integrity) {
+  if (!integrity) return null;
+
+  return {
+    score: integrity.score,
+    signals: integrity.signals,
+    flagged: integrity.flagged,
+  };
+}
+
 function buildLockoutPayload(ttlSeconds) {
   return {
     locked_until: new Date(Date.now() + ttlSeconds * 1000).toISOString(),
@@ -270,6 +400,10 @@ async function getVoteEligibilityFailure(req, session, student) {
   return null;
 }
 
+/**
+ * Distance, radius and center describe the zone the student is in, or the
+ * nearest one when they are outside every zone.
+ */
 function buildLocationCheckPayload({
   allowed,
   code,
@@ -277,13 +411,11 @@ function buildLocationCheckPayload({
   lat,
   lng,
   session,
+  match = isValidCoordinates(lat, lng) ? matchPollingZone(session, lat, lng) : null,
+  integrity = null,
 }) {
-  const center = session.location
-    ? {
-        lat: session.location.lat,
-        lng: session.location.lng,
-      }
-    : null;
+  const zone = match?.zone || match?.nearest || null;
+  const center = zone ? getZoneCenter(zone) : null;
   const distanceMeters =
     center && isValidCoordinates(lat, lng)
       ? Math.round(
@@ -295,8 +427,12 @@ function buildLocationCheckPayload({
     allowed,
     code,
     message,
+    polling_zone: formatPollingZone(match?.zone),
+    nearest_zone: formatPollingZone(match?.nearest),
+    location_integrity: formatLocationIntegrity(integrity),
+    presence_code_required: requiresPresenceCode(session),
     distance_meters: distanceMeters,
-    radius_meters: session.location?.radius_meters || null,
+    radius_meters: zone?.shape === "circle" ? zone.radius_meters : null,
     center,
     checked_at: new Date().toISOString(),
   };
@@ -473,7 +609,9 @@ class VoteController {
 
       const [student, session] = await Promise.all([
         Student.findOne(getTenantScopedFilter(req, { _id: studentId })),
-        VotingSession.findOne(getTenantScopedFilter(req, { _id: session_id })),
+        VotingSession.findOne(
+          getTenantScopedFilter(req, { _id: session_id, ...STUDENT_VISIBLE_FILTER }),
+        ),
       ]);
 
       if (!student) {
@@ -496,12 +634,13 @@ class VoteController {
 
       await session.updateStatus();
 
-      if (session.status !== "active") {
+      const votingClosed = getVotingClosedReason(session);
+      if (votingClosed) {
         return res.status(400).json(
           buildLocationCheckPayload({
             allowed: false,
-            code: "SESSION_INACTIVE",
-            message: `Election is ${session.status}. You can only vote during active elections.`,
+            code: votingClosed.code,
+            message: votingClosed.message,
             lat: Number(lat),
             lng: Number(lng),
             session,
@@ -509,11 +648,9 @@ class VoteController {
         );
       }
 
-      if (
-        (student.has_voted_sessions || []).some(
-          (value) => value.toString() === session_id.toString(),
-        )
-      ) {
+      // Students changing their ballot in a revote session go on to the
+      // location check like a first-time voter
+      if (isAlreadyVoted(session, student)) {
         return res.status(409).json(
           buildLocationCheckPayload({
             allowed: false,
@@ -526,6 +663,23 @@ class VoteController {
         );
       }
 
+      if (
+        isRevoteAllowed(session) &&
+        student.has_voted_sessions.some((value) => value.toString() === session_id) &&
+        (await hasInvalidatedBallot(req, session_id, studentId))
+      ) {
+        return res.status(409).json(
+          buildLocationCheckPayload({
+            allowed: false,
+            code: VOTE_INVALIDATED_ERROR.code,
+            message: VOTE_INVALIDATED_ERROR.error,
+            lat: Number(lat),
+            lng: Number(lng),
+            session,
+          }),
+        );
+      }
+
       const eligibilityFailure = await getVoteEligibilityFailure(
         req,
         session,
@@ -546,38 +700,59 @@ class VoteController {
       }
 
       const geofenceDisabled = process.env.DISABLE_GEOFENCE === "true";
+      const match = matchPollingZone(session, Number(lat), Number(lng));
+      const integrity = await assessLocationFix(req, session, studentId, {
+        lat: Number(lat),
+        lng: Number(lng),
+        locationMeta: req.body.location_meta,
+      });
 
-      if (geofenceDisabled || session.is_off_campus_allowed) {
+      if (geofenceDisabled || session.is_off_campus_allowed || !usesGeofence(session)) {
         return res.json(
           buildLocationCheckPayload({
             allowed: true,
             code: "LOCATION_RECORDED",
-            message: "Location recorded. You can continue to live verification.",
+            message: requiresPresenceCode(session)
+              ? "Location recorded. Scan the QR code on the polling station display, then continue to live verification."
+              : "Location recorded. You can continue to live verification.",
             lat: Number(lat),
             lng: Number(lng),
             session,
+            match,
+            integrity,
           }),
         );
       }
 
-      const withinGeofence = isWithinGeofence(
-        Number(lat),
-        Number(lng),
-        session.location.lat,
-        session.location.lng,
-        session.location.radius_meters,
-      );
+      if (integrity.rejected) {
+        return res.status(403).json(
+          buildLocationCheckPayload({
+            allowed: false,
+            code: "LOCATION_INTEGRITY_FAILED",
+            message:
+              "Your device's location could not be trusted. Turn off any location-faking apps, wait for a fresh GPS fix and try again.",
+            lat: Number(lat),
+            lng: Number(lng),
+            session,
+            match,
+            integrity,
+          }),
+        );
+      }
 
-      if (!withinGeofence) {
+      if (!match.zone) {
         return res.status(403).json(
           buildLocationCheckPayload({
             allowed: false,
             code: "GEOFENCE_VIOLATION",
-            message:
-              "You are outside the approved voting area. Move within the voting radius and capture your location again.",
+            message: match.nearest
+              ? `You are outside the approved voting area. The nearest polling zone, ${match.nearest.name}, is about ${match.distance_meters} m away. Move into it and capture your location again.`
+              : "You are outside the approved voting area. Move within the voting radius and capture your location again.",
             lat: Number(lat),
             lng: Number(lng),
             session,
+            match,
+            integrity,
           }),
         );
       }
@@ -586,10 +761,12 @@ class VoteController {
         buildLocationCheckPayload({
           allowed: true,
           code: "WITHIN_GEOFENCE",
-          message: "You are within the approved voting area.",
+          message: `You are within the approved voting area (${match.zone.name}).`,
           lat: Number(lat),
           lng: Number(lng),
           session,
+          match,
+          integrity,
         }),
       );
     } catch (error) {
@@ -606,6 +783,7 @@ class VoteController {
   /**
    * Submit a vote
    * POST /api/vote
+   * POST /api/admin/kiosk/ballots/:ballotId/vote (poll worker kiosk)
    */
   async submitVote(req, res) {
     const mongoSession = await mongoose.startSession();
@@ -614,16 +792,17 @@ class VoteController {
     let voteLockAcquired = false;
 
     try {
-      const {
-        session_id,
-        choices,
-        image_url,
-        lat,
-        lng,
-        device_id,
-        liveness_session_id,
-      } = req.body;
+      const { choices, device_id, liveness_session_id } = req.body;
+      // A kiosk ballot was opened by a poll worker who already checked the
+      // voter's identity; the station stands in for the voter's own phone,
+      // location and face check
+      const kioskBallot = req.kioskBallot || null;
+      const session_id = kioskBallot ? kioskBallot.session_id : req.body.session_id;
+      const image_url = kioskBallot ? kioskBallot.image_url : req.body.image_url;
+      const lat = kioskBallot ? kioskBallot.lat : req.body.lat;
+      const lng = kioskBallot ? kioskBallot.lng : req.body.lng;
       const studentId = req.studentId;
+      req.auditRedactFields = ["choices"];
       const tenantNamespace = getTenantCacheNamespace(req);
       const tenantSettings = getTenantSettings(req.tenant);
       const biometricThreshold = Number(
@@ -631,9 +810,10 @@ class VoteController {
       );
       const biometricStatus = await faceProviderService.getStatus();
       const livenessRequired = biometricStatus.liveness_required !== false;
-      const deviceFingerprint =
-        device_id || req.headers["user-agent"] || "unknown-device";
-      const fallbackImageRequired = !livenessRequired;
+      const deviceFingerprint = kioskBallot
+        ? getKioskDeviceId(kioskBallot.station_id)
+        : device_id || req.headers["user-agent"] || "unknown-device";
+      const fallbackImageRequired = !livenessRequired && !kioskBallot;
 
       const rejectBiometricAttempt = async ({
         statusCode,
@@ -816,8 +996,14 @@ class VoteController {
 
       // Get session
       const session = await VotingSession.findOne(
-        getTenantScopedFilter(req, { _id: session_id }),
+        getTenantScopedFilter(req, { _id: session_id, ...STUDENT_VISIBLE_FILTER }),
       ).populate("candidates");
+
+      // Choices stay out of the audit log until we know the ballot is neither
+      // secret nor encrypted
+      if (session && !isSecretBallot(session) && !isEncryptedSession(session)) {
+        req.auditRedactFields = [];
+      }
       if (!session) {
         await mongoSession.abortTransaction();
         // Release lock on error
@@ -839,8 +1025,9 @@ class VoteController {
       // Update session status
       await session.updateStatus();
 
-      // Check if session is active
-      if (session.status !== "active") {
+      // Check if session is active (and not paused or cancelled by an admin)
+      const votingClosed = getVotingClosedReason(session);
+      if (votingClosed) {
         await mongoSession.abortTransaction();
         // Release lock on error
         await cacheService.del(voteLockKey);
@@ -849,7 +1036,7 @@ class VoteController {
           session_id,
           threshold_used: biometricThreshold,
           result: "rejected",
-          failure_reason: "SESSION_INACTIVE",
+          failure_reason: votingClosed.code,
           device_id: deviceFingerprint,
           ip_address: req.ip,
           image_url,
@@ -857,12 +1044,39 @@ class VoteController {
           meta: { session_status: session.status },
         });
         return res.status(400).json({
-          error: `Election is ${session.status}. You can only vote during active elections.`,
+          error: votingClosed.message,
+          code: votingClosed.code,
+          status: votingClosed.status,
         });
       }
 
+      // Revote sessions let a student replace their ballot until end_time
+      const revoteAllowed = isRevoteAllowed(session);
+      const isRevote = revoteAllowed && student.has_voted_sessions.includes(session_id);
+
+      // A ballot struck by an admin cannot be replaced by voting again
+      if (
+        isRevote &&
+        (await hasInvalidatedBallot(req, session_id, studentId, mongoSession))
+      ) {
+        await mongoSession.abortTransaction();
+        await cacheService.del(voteLockKey);
+        await logVerificationAttempt(req, {
+          user_id: studentId,
+          session_id,
+          threshold_used: biometricThreshold,
+          result: "rejected",
+          failure_reason: "VOTE_INVALIDATED",
+          device_id: deviceFingerprint,
+          ip_address: req.ip,
+          image_url,
+          geo_location: { lat, lng },
+        });
+        return res.status(409).json(VOTE_INVALIDATED_ERROR);
+      }
+
       // Double-check database (belt and suspenders approach)
-      if (student.has_voted_sessions.includes(session_id)) {
+      if (isAlreadyVoted(session, student)) {
         await mongoSession.abortTransaction();
         await cacheService.del(voteLockKey);
         await logVerificationAttempt(req, {
@@ -964,18 +1178,80 @@ class VoteController {
         }
       }
 
-      // Check geofence (skip if off-campus is allowed or geofencing is globally disabled)
+      // Check the polling station code when the session asks for one, in
+      // addition to or instead of the geofence
+      let presenceStation = kioskBallot
+        ? findPresenceStation(session, kioskBallot.station_id)
+        : null;
+      if (!kioskBallot && requiresPresenceCode(session)) {
+        const presence = await checkPresenceCode(session, req.body.presence_code);
+        if (presence.error) {
+          await mongoSession.abortTransaction();
+          await cacheService.del(voteLockKey);
+          await logVerificationAttempt(req, {
+            user_id: studentId,
+            session_id,
+            threshold_used: biometricThreshold,
+            result: "rejected",
+            failure_reason: presence.code,
+            device_id: deviceFingerprint,
+            ip_address: req.ip,
+            image_url,
+            geo_location: { lat, lng },
+          });
+          return res.status(403).json(presence);
+        }
+        presenceStation = presence.station;
+      }
+
+      // Check geofence (skip if off-campus is allowed, the session relies on
+      // station codes alone or geofencing is globally disabled). The matched
+      // zone, or else the scanned station's, is recorded for turnout by zone.
       const geofenceDisabled = process.env.DISABLE_GEOFENCE === "true";
-      if (!geofenceDisabled && !session.is_off_campus_allowed) {
-        const withinGeofence = isWithinGeofence(
-          lat,
-          lng,
-          session.location.lat,
-          session.location.lng,
-          session.location.radius_meters,
-        );
+      const zoneMatch = matchPollingZone(session, Number(lat), Number(lng));
+      const matchedZone = kioskBallot
+        ? presenceStation?.zone || null
+        : zoneMatch.zone || presenceStation?.zone || null;
+      const pollingZone = matchedZone
+        ? { zone_id: matchedZone._id || null, name: matchedZone.name }
+        : null;
+      const locationIntegrity = kioskBallot
+        ? null
+        : await assessLocationFix(req, session, studentId, {
+            lat: Number(lat),
+            lng: Number(lng),
+            locationMeta: req.body.location_meta,
+          });
+      if (
+        !kioskBallot &&
+        !geofenceDisabled &&
+        !session.is_off_campus_allowed &&
+        usesGeofence(session)
+      ) {
+        if (locationIntegrity.rejected) {
+          await mongoSession.abortTransaction();
+          await cacheService.del(voteLockKey);
+          await logVerificationAttempt(req, {
+            user_id: studentId,
+            session_id,
+            threshold_used: biometricThreshold,
+            result: "rejected",
+            failure_reason: "LOCATION_INTEGRITY",
+            device_id: deviceFingerprint,
+            ip_address: req.ip,
+            image_url,
+            geo_location: { lat, lng },
+            location_integrity: locationIntegrity,
+          });
+          return res.status(403).json({
+            error:
+              "Your device's location could not be trusted. Turn off any location-faking apps, wait for a fresh GPS fix and try again.",
+            code: "LOCATION_INTEGRITY_FAILED",
+            location_integrity: formatLocationIntegrity(locationIntegrity),
+          });
+        }
 
-        if (!withinGeofence) {
+        if (!zoneMatch.zone) {
           await mongoSession.abortTransaction();
           await cacheService.del(voteLockKey);
           await logVerificationAttempt(req, {
@@ -988,16 +1264,19 @@ class VoteController {
             ip_address: req.ip,
             image_url,
             geo_location: { lat, lng },
+            location_integrity: locationIntegrity,
           });
           return res.status(403).json({
             error:
               "You are outside the voting geofence. Please ensure you are within the designated voting location.",
             code: "GEOFENCE_VIOLATION",
+            nearest_zone: formatPollingZone(zoneMatch.nearest),
+            distance_meters: zoneMatch.distance_meters,
           });
         }
       }
 
-      if (!isLikelyMobileVotingDevice(deviceFingerprint)) {
+      if (!kioskBallot && !isLikelyMobileVotingDevice(deviceFingerprint)) {
         await mongoSession.abortTransaction();
         await cacheService.del(voteLockKey);
         await logVerificationAttempt(req, {
@@ -1018,202 +1297,231 @@ class VoteController {
         });
       }
 
-      const biometricLockoutState = await getBiometricLockoutState(
-        tenantNamespace,
-        session_id,
-        studentId,
-      );
+      let faceVerification = kioskBallot?.face || null;
+      let livenessResult = null;
 
-      if (biometricLockoutState.locked) {
-        await mongoSession.abortTransaction();
-        await cacheService.del(voteLockKey);
-        await logVerificationAttempt(req, {
-          user_id: studentId,
+      if (!kioskBallot) {
+        const biometricLockoutState = await getBiometricLockoutState(
+          tenantNamespace,
           session_id,
-          threshold_used: biometricThreshold,
-          result: "rejected",
-          failure_reason: "BIOMETRIC_LOCKED",
-          device_id: deviceFingerprint,
-          ip_address: req.ip,
-          image_url: image_url || null,
-          geo_location: { lat, lng },
-          liveness_session_id: liveness_session_id || null,
-          decision_source: livenessRequired
-            ? "liveness_reference_image"
-            : "uploaded_image",
-          fail_streak: biometricLockoutState.fail_streak,
-          lockout_triggered: true,
-          lockout_expires_at: biometricLockoutState.locked_until
-            ? new Date(biometricLockoutState.locked_until)
-            : null,
-        });
-        return res.status(429).json({
-          error:
-            "Biometric verification is temporarily locked. Please try again after the cooldown expires.",
-          code: "BIOMETRIC_LOCKED",
-          retry_after_seconds: biometricLockoutState.retry_after_seconds,
-          locked_until: biometricLockoutState.locked_until,
-          fail_streak: biometricLockoutState.fail_streak,
-        });
-      }
-
-      if (!student.aws_face_id || !student.aws_face_collection_id) {
-        await mongoSession.abortTransaction();
-        await cacheService.del(voteLockKey);
-        return rejectBiometricAttempt({
-          statusCode: 400,
-          error:
-            "No enrolled face was found for this student. Please contact your administrator.",
-          code: "NO_REGISTERED_FACE",
-          failure_reason: "NO_REGISTERED_FACE",
-        });
-      }
+          studentId,
+        );
 
-      let faceVerification;
-      let livenessResult = null;
+        if (biometricLockoutState.locked) {
+          await mongoSession.abortTransaction();
+          await cacheService.del(voteLockKey);
+          await logVerificationAttempt(req, {
+            user_id: studentId,
+            session_id,
+            threshold_used: biometricThreshold,
+            result: "rejected",
+            failure_reason: "BIOMETRIC_LOCKED",
+            device_id: deviceFingerprint,
+            ip_address: req.ip,
+            image_url: image_url || null,
+            geo_location: { lat, lng },
+            liveness_session_id: liveness_session_id || null,
+            decision_source: livenessRequired
+              ? "liveness_reference_image"
+              : "uploaded_image",
+            fail_streak: biometricLockoutState.fail_streak,
+            lockout_triggered: true,
+            lockout_expires_at: biometricLockoutState.locked_until
+              ? new Date(biometricLockoutState.locked_until)
+              : null,
+          });
+          return res.status(429).json({
+            error:
+              "Biometric verification is temporarily locked. Please try again after the cooldown expires.",
+            code: "BIOMETRIC_LOCKED",
+            retry_after_seconds: biometricLockoutState.retry_after_seconds,
+            locked_until: biometricLockoutState.locked_until,
+            fail_streak: biometricLockoutState.fail_streak,
+          });
+        }
 
-      if (livenessRequired) {
-        if (!liveness_session_id) {
+        if (!student.aws_face_id || !student.aws_face_collection_id) {
           await mongoSession.abortTransaction();
           await cacheService.del(voteLockKey);
-          return res.status(400).json({
+          return rejectBiometricAttempt({
+            statusCode: 400,
             error:
-              "Complete AWS liveness verification before submitting your vote.",
-            code: "LIVENESS_REQUIRED",
+              "No enrolled face was found for this student. Please contact your administrator.",
+            code: "NO_REGISTERED_FACE",
+            failure_reason: "NO_REGISTERED_FACE",
           });
         }
 
-        livenessResult = await faceProviderService.getLivenessResult(
-          liveness_session_id,
-        );
-        logBiometricEvent("vote_liveness_result_resolved", {
-          tenant_id: req.tenantId || req.tenant?._id || null,
-          student_id: studentId,
-          voting_session_id: session_id,
-          liveness_session_id,
-          status: livenessResult.status || null,
-          passed: livenessResult.passed === true,
-          confidence: livenessResult.confidence ?? null,
-          threshold: livenessResult.threshold ?? null,
-        });
+        if (livenessRequired) {
+          if (!liveness_session_id) {
+            await mongoSession.abortTransaction();
+            await cacheService.del(voteLockKey);
+            return res.status(400).json({
+              error:
+                "Complete AWS liveness verification before submitting your vote.",
+              code: "LIVENESS_REQUIRED",
+            });
+          }
+
+          livenessResult = await faceProviderService.getLivenessResult(
+            liveness_session_id,
+          );
+          logBiometricEvent("vote_liveness_result_resolved", {
+            tenant_id: req.tenantId || req.tenant?._id || null,
+            student_id: studentId,
+            voting_session_id: session_id,
+            liveness_session_id,
+            status: livenessResult.status || null,
+            passed: livenessResult.passed === true,
+            confidence: livenessResult.confidence ?? null,
+            threshold: livenessResult.threshold ?? null,
+          });
 
-        if (!livenessResult.success) {
+          if (!livenessResult.success) {
+            await mongoSession.abortTransaction();
+            await cacheService.del(voteLockKey);
+            return rejectBiometricAttempt({
+              statusCode: 400,
+              error:
+                livenessResult.error ||
+                "AWS liveness verification did not complete successfully.",
+              code: getLivenessFailureReason(livenessResult),
+              failure_reason: getLivenessFailureReason(livenessResult),
+              liveness_status: livenessResult.status || null,
+              liveness_confidence: livenessResult.confidence ?? null,
+              liveness_threshold: livenessResult.threshold ?? null,
+              meta: {
+                provider_code: livenessResult.code || null,
+                provider_error: livenessResult.error || null,
+              },
+            });
+          }
+
+          if (!livenessResult.passed) {
+            await mongoSession.abortTransaction();
+            await cacheService.del(voteLockKey);
+            return rejectBiometricAttempt({
+              statusCode: 403,
+              error:
+                "Live presence verification failed. Retry the liveness check and submit again.",
+              code:
+                livenessResult.status === "EXPIRED"
+                  ? "LIVENESS_SESSION_EXPIRED"
+                  : getLivenessFailureReason(livenessResult),
+              failure_reason: getLivenessFailureReason(livenessResult),
+              liveness_status: livenessResult.status || null,
+              liveness_confidence: livenessResult.confidence ?? null,
+              liveness_threshold: livenessResult.threshold ?? null,
+            });
+          }
+
+          faceVerification = await faceProviderService.verifyFaceBytes(
+            student,
+            livenessResult.reference_image,
+            {
+              threshold_override: biometricThreshold,
+            },
+          );
+        } else {
+          faceVerification = await faceProviderService.verifyFace(student, image_url, {
+            threshold_override: biometricThreshold,
+          });
+        }
+
+        if (!faceVerification.success) {
           await mongoSession.abortTransaction();
           await cacheService.del(voteLockKey);
           return rejectBiometricAttempt({
             statusCode: 400,
-            error:
-              livenessResult.error ||
-              "AWS liveness verification did not complete successfully.",
-            code: getLivenessFailureReason(livenessResult),
-            failure_reason: getLivenessFailureReason(livenessResult),
-            liveness_status: livenessResult.status || null,
-            liveness_confidence: livenessResult.confidence ?? null,
-            liveness_threshold: livenessResult.threshold ?? null,
+            error: faceVerification.error,
+            code:
+              faceVerification.code === "NO_REGISTERED_FACE"
+                ? "NO_REGISTERED_FACE"
+                : faceVerification.code || "FACE_VERIFICATION_FAILED",
+            failure_reason: mapVerificationFailureReason(faceVerification),
+            confidence_score:
+              typeof faceVerification.confidence === "number"
+                ? faceVerification.confidence
+                : null,
+            compare_confidence:
+              typeof faceVerification.confidence === "number"
+                ? faceVerification.confidence
+                : null,
+            liveness_status: livenessResult?.status || null,
+            liveness_confidence: livenessResult?.confidence ?? null,
+            liveness_threshold: livenessResult?.threshold ?? null,
             meta: {
-              provider_code: livenessResult.code || null,
-              provider_error: livenessResult.error || null,
+              provider_code: faceVerification.code || null,
+              provider_error: faceVerification.error || null,
             },
           });
         }
 
-        if (!livenessResult.passed) {
+        // Check if confidence meets threshold
+        if (!faceVerification.is_match) {
           await mongoSession.abortTransaction();
           await cacheService.del(voteLockKey);
           return rejectBiometricAttempt({
             statusCode: 403,
-            error:
-              "Live presence verification failed. Retry the liveness check and submit again.",
-            code:
-              livenessResult.status === "EXPIRED"
-                ? "LIVENESS_SESSION_EXPIRED"
-                : getLivenessFailureReason(livenessResult),
-            failure_reason: getLivenessFailureReason(livenessResult),
-            liveness_status: livenessResult.status || null,
-            liveness_confidence: livenessResult.confidence ?? null,
-            liveness_threshold: livenessResult.threshold ?? null,
+            error: faceVerification.message,
+            code: "LOW_CONFIDENCE",
+            failure_reason: "LOW_CONFIDENCE",
+            confidence_score: faceVerification.confidence,
+            compare_confidence: faceVerification.confidence,
+            compare_threshold: faceVerification.threshold ?? biometricThreshold,
+            matched_face_id: faceVerification.matched_face_id || null,
+            liveness_status: livenessResult?.status || null,
+            liveness_confidence: livenessResult?.confidence ?? null,
+            liveness_threshold: livenessResult?.threshold ?? null,
           });
         }
-
-        faceVerification = await faceProviderService.verifyFaceBytes(
-          student,
-          livenessResult.reference_image,
-          {
-            threshold_override: biometricThreshold,
-          },
-        );
-      } else {
-        faceVerification = await faceProviderService.verifyFace(student, image_url, {
-          threshold_override: biometricThreshold,
-        });
       }
 
-      if (!faceVerification.success) {
-        await mongoSession.abortTransaction();
-        await cacheService.del(voteLockKey);
-        return rejectBiometricAttempt({
-          statusCode: 400,
-          error: faceVerification.error,
-          code:
-            faceVerification.code === "NO_REGISTERED_FACE"
-              ? "NO_REGISTERED_FACE"
-              : faceVerification.code || "FACE_VERIFICATION_FAILED",
-          failure_reason: mapVerificationFailureReason(faceVerification),
-          confidence_score:
-            typeof faceVerification.confidence === "number"
-              ? faceVerification.confidence
-              : null,
-          compare_confidence:
-            typeof faceVerification.confidence === "number"
-              ? faceVerification.confidence
-              : null,
-          liveness_status: livenessResult?.status || null,
-          liveness_confidence: livenessResult?.confidence ?? null,
-          liveness_threshold: livenessResult?.threshold ?? null,
-          meta: {
-            provider_code: faceVerification.code || null,
-            provider_error: faceVerification.error || null,
-          },
+      const verifiedFaceId = faceVerification?.matched_face_id || null;
+      const faceConfidence = faceVerification?.confidence ?? null;
+      const compareThreshold = faceVerification?.threshold ?? biometricThreshold;
+
+      if (!kioskBallot) {
+        await clearBiometricFailureState(tenantNamespace, session_id, studentId);
+
+        logBiometricEvent("vote_face_compare_executed", {
+          tenant_id: req.tenantId || req.tenant?._id || null,
+          student_id: studentId,
+          voting_session_id: session_id,
+          liveness_session_id: liveness_session_id || null,
+          matched_face_id: verifiedFaceId || null,
+          compare_confidence: faceConfidence ?? null,
+          compare_threshold: compareThreshold,
+          decision: "accepted",
         });
       }
 
-      // Check if confidence meets threshold
-      if (!faceVerification.is_match) {
+      // Validate choices
+      if (!Array.isArray(choices) || choices.length === 0) {
         await mongoSession.abortTransaction();
         await cacheService.del(voteLockKey);
-        return rejectBiometricAttempt({
-          statusCode: 403,
-          error: faceVerification.message,
-          code: "LOW_CONFIDENCE",
-          failure_reason: "LOW_CONFIDENCE",
-          confidence_score: faceVerification.confidence,
-          compare_confidence: faceVerification.confidence,
-          compare_threshold: faceVerification.threshold ?? biometricThreshold,
-          matched_face_id: faceVerification.matched_face_id || null,
-          liveness_status: livenessResult?.status || null,
-          liveness_confidence: livenessResult?.confidence ?? null,
-          liveness_threshold: livenessResult?.threshold ?? null,
+        await logVerificationAttempt(req, {
+          user_id: studentId,
+          session_id,
+          confidence_score: faceConfidence,
+          threshold_used: biometricThreshold,
+          result: "rejected",
+          failure_reason: "INVALID_CHOICES",
+          device_id: deviceFingerprint,
+          ip_address: req.ip,
+          image_url,
+          geo_location: { lat, lng },
         });
+        return res.status(400).json({ error: "Invalid choices format" });
       }
 
-      const verifiedFaceId = faceVerification.matched_face_id;
-      const faceConfidence = faceVerification.confidence;
-      const compareThreshold = faceVerification.threshold ?? biometricThreshold;
-      await clearBiometricFailureState(tenantNamespace, session_id, studentId);
+      // Ticket choices stand for every linked position at once
+      const tickets = await Ticket.find(
+        getTenantScopedFilter(req, { session_id }),
+      ).lean();
+      const ticketChoices = expandTicketChoices(choices, tickets);
 
-      logBiometricEvent("vote_face_compare_executed", {
-        tenant_id: req.tenantId || req.tenant?._id || null,
-        student_id: studentId,
-        voting_session_id: session_id,
-        liveness_session_id: liveness_session_id || null,
-        matched_face_id: verifiedFaceId || null,
-        compare_confidence: faceConfidence ?? null,
-        compare_threshold: compareThreshold,
-        decision: "accepted",
-      });
-
-      // Validate choices
-      if (!Array.isArray(choices) || choices.length === 0) {
+      if (ticketChoices.error) {
         await mongoSession.abortTransaction();
         await cacheService.del(voteLockKey);
         await logVerificationAttempt(req, {
@@ -1222,24 +1530,46 @@ class VoteController {
           confidence_score: faceConfidence,
           threshold_used: biometricThreshold,
           result: "rejected",
-          failure_reason: "INVALID_CHOICES",
+          failure_reason: "INVALID_CANDIDATE_SELECTION",
           device_id: deviceFingerprint,
           ip_address: req.ip,
           image_url,
           geo_location: { lat, lng },
+          meta: { code: ticketChoices.code },
         });
-        return res.status(400).json({ error: "Invalid choices format" });
+        return res
+          .status(400)
+          .json({ error: ticketChoices.error, code: ticketChoices.code });
       }
 
       // Verify all candidates exist and belong to this session
-      const candidateIds = choices.map((c) => c.candidate_id);
+      const candidateIds = [
+        ...new Set(
+          ticketChoices.choices.flatMap((choice) =>
+            Array.isArray(choice?.preferences)
+              ? choice.preferences
+              : Array.isArray(choice?.candidate_ids)
+                ? choice.candidate_ids
+                : [choice?.candidate_id],
+          ),
+        ),
+      ].filter((id) => mongoose.Types.ObjectId.isValid(id));
       const candidates = await Candidate.find({
         ...getTenantScopedFilter(req, {}),
         _id: { $in: candidateIds },
         session_id: session_id,
       });
 
-      if (candidates.length !== choices.length) {
+      const ballot = buildBallotSelections(
+        session,
+        ticketChoices.choices,
+        candidates,
+      );
+      const ballotTickets = ballot.error
+        ? ballot
+        : resolveSelectionTickets(ballot.selections, tickets);
+
+      if (ballotTickets.error) {
         await mongoSession.abortTransaction();
         await cacheService.del(voteLockKey);
         await logVerificationAttempt(req, {
@@ -1253,75 +1583,258 @@ class VoteController {
           ip_address: req.ip,
           image_url,
           geo_location: { lat, lng },
+          meta: { code: ballotTickets.code },
         });
-        return res.status(400).json({ error: "Invalid candidate selection" });
+        return res
+          .status(400)
+          .json({ error: ballotTickets.error, code: ballotTickets.code });
       }
+      const ticketsById = new Map(
+        tickets.map((ticket) => [ticket._id.toString(), ticket]),
+      );
 
-      // Create vote records and increment candidate counts
-      const voteRecords = [];
-      const voteDetails = [];
-
-      for (const choice of choices) {
-        const candidate = candidates.find(
-          (c) => c._id.toString() === choice.candidate_id,
+      // Positions with their own eligibility filter only accept ballots from
+      // the students it covers.
+      if (hasPositionEligibility(session)) {
+        const departmentNameMap = await getDepartmentNameMap(req);
+        const ineligibleSelection = ballot.selections.find((selection) =>
+          getPositionEligibilityFailure(session, selection.position, student, {
+            policy: eligibilityPolicy,
+            departmentNameMap,
+          }),
         );
 
-        if (!candidate) {
+        if (ineligibleSelection) {
           await mongoSession.abortTransaction();
           await cacheService.del(voteLockKey);
-          return res
-            .status(400)
-            .json({ error: `Invalid candidate: ${choice.candidate_id}` });
+          await logVerificationAttempt(req, {
+            user_id: studentId,
+            session_id,
+            confidence_score: faceConfidence,
+            threshold_used: biometricThreshold,
+            result: "rejected",
+            failure_reason: "POSITION_NOT_ELIGIBLE",
+            device_id: deviceFingerprint,
+            ip_address: req.ip,
+            image_url,
+            geo_location: { lat, lng },
+            meta: { position: ineligibleSelection.position },
+          });
+          return res.status(403).json({
+            error: `You are not eligible to vote for ${ineligibleSelection.position}`,
+            code: "POSITION_NOT_ELIGIBLE",
+            position: ineligibleSelection.position,
+          });
         }
+      }
 
-        // Increment vote count atomically
-        await Candidate.updateOne(
-          getTenantScopedFilter(req, { _id: choice.candidate_id }),
-          { $inc: { vote_count: 1 } },
-          { session: mongoSession },
-        );
+      // Create vote records and increment candidate counts. Encrypted
+      // sessions keep no running count; totals come from the trustee tally.
+      const encryptedBallot = isEncryptedSession(session);
+      const voteRecords = [];
+      const voteDetails = [];
+
+      for (const [index, selection] of ballot.selections.entries()) {
+        const { candidate, position, preferences, response } = selection;
+        const ticketId = ballotTickets.ticketIds[index];
+
+        // Increment vote count atomically (first preference for ranked
+        // ballots, "yes" for confirmations; referendums have no candidate)
+        if (!encryptedBallot && candidate && (!response || response === "yes")) {
+          await Candidate.updateOne(
+            getTenantScopedFilter(req, { _id: candidate._id }),
+            { $inc: { vote_count: 1 } },
+            { session: mongoSession },
+          );
+        }
 
         // Create vote record
         const voteRecord = assignTenantId(req, {
           student_id: studentId,
           session_id: session_id,
-          candidate_id: choice.candidate_id,
-          position: choice.category || candidate.position,
+          candidate_id: candidate?._id || null,
+          position,
+          selection_index: selection.selection_index,
           geo_location: { lat, lng },
           face_match_score: faceConfidence,
-          face_verification_passed: true,
+          face_verification_passed: Boolean(faceVerification),
           aws_matched_face_id: verifiedFaceId,
           status: "valid",
           device_id: deviceFingerprint,
           ip_address: req.ip,
         });
 
+        if (kioskBallot) {
+          voteRecord.assisted_by = {
+            worker_id: kioskBallot.worker_id,
+            station_id: kioskBallot.station_id,
+            verification_method: kioskBallot.verification_method,
+          };
+        }
+
+        if (preferences) {
+          voteRecord.preferences = preferences.map((entry) => entry._id);
+        }
+
+        if (response) {
+          voteRecord.response = response;
+        }
+
+        if (ticketId) {
+          voteRecord.ticket_id = ticketId;
+        }
+
         voteRecords.push(voteRecord);
+
+        // Approval ballots list every selected candidate under one position
+        if (selection.selection_index > 0) {
+          voteDetails[voteDetails.length - 1].candidate_name += `, ${candidate.name}`;
+          continue;
+        }
+
+        let candidateName = candidate?.name || null;
+        if (preferences) {
+          candidateName = preferences
+            .map((entry, index) => `${index + 1}. ${entry.name}`)
+            .join(", ");
+        } else if (response) {
+          const answer = response.charAt(0).toUpperCase() + response.slice(1);
+          candidateName = candidate ? `${candidate.name}: ${answer}` : answer;
+        }
+
         voteDetails.push({
-          position: choice.category || candidate.position,
-          candidate_name: candidate.name,
+          position,
+          candidate_name: candidateName,
+          ballot_type: selection.ballot_type,
+          response: response || undefined,
+          ticket_name: ticketId
+            ? ticketsById.get(ticketId.toString()).name
+            : undefined,
         });
       }
 
-      // Save all votes
-      await Vote.insertMany(voteRecords, { session: mongoSession });
+      // Encrypted sessions store one sealed row per position instead
+      const storedRecords = encryptedBallot
+        ? sealVoteRecords(session, voteRecords)
+        : voteRecords;
+      const receipt = issueBallotReceipt(session._id, storedRecords);
+
+      // A revote keeps the student's current ballot as history and takes
+      // back the counts it added, all inside this transaction.
+      let supersededRows = [];
+      if (isRevote) {
+        supersededRows = await Vote.find(
+          getTenantScopedFilter(req, {
+            student_id: studentId,
+            session_id,
+            status: "valid",
+          }),
+        )
+          .select("candidate_id response revision")
+          .session(mongoSession)
+          .lean();
 
-      // Add session to student's has_voted_sessions
-      await Student.updateOne(
-        getTenantScopedFilter(req, { _id: studentId }),
-        { $push: { has_voted_sessions: session_id } },
-        { session: mongoSession },
-      );
+        const supersedeResult = await Vote.updateMany(
+          {
+            _id: { $in: supersededRows.map((row) => row._id) },
+            status: "valid",
+          },
+          {
+            $set: {
+              status: "superseded",
+              superseded_at: new Date(),
+              superseded_by: receipt.ballot_id,
+            },
+          },
+          { session: mongoSession },
+        );
+
+        if (supersedeResult.modifiedCount !== supersededRows.length) {
+          await mongoSession.abortTransaction();
+          await cacheService.del(voteLockKey);
+          return res.status(409).json({
+            error: "Your ballot was changed by another request. Please try again.",
+            code: "BALLOT_CHANGED",
+          });
+        }
+
+        for (const row of supersededRows) {
+          if (!countsTowardsCandidate(row)) continue;
+          await Candidate.updateOne(
+            getTenantScopedFilter(req, { _id: row.candidate_id }),
+            { $inc: { vote_count: -1 } },
+            { session: mongoSession },
+          );
+        }
+      }
+
+      const revision =
+        Math.max(0, ...supersededRows.map((row) => row.revision || 1)) + 1;
+      storedRecords.forEach((record) => {
+        record.revision = revision;
+      });
+
+      // Save all votes. Secret ballots are stored without the voter's
+      // identity or submission time so they cannot be matched to turnout.
+      if (isSecretBallot(session)) {
+        await Vote.insertMany(
+          storedRecords.map((record) => anonymizeVoteRecord(record, session)),
+          { session: mongoSession, timestamps: false },
+        );
+      } else {
+        await Vote.insertMany(storedRecords, { session: mongoSession });
+      }
+
+      // Add session to student's has_voted_sessions. The condition makes this
+      // the double-vote guard for anonymous ballots, which have no unique index.
+      // A revote is already counted in turnout.
+      if (!isRevote) {
+        const turnoutUpdate = await Student.updateOne(
+          getTenantScopedFilter(req, {
+            _id: studentId,
+            has_voted_sessions: { $ne: session_id },
+          }),
+          { $push: { has_voted_sessions: session_id } },
+          { session: mongoSession },
+        );
+
+        if (turnoutUpdate.modifiedCount === 0) {
+          await mongoSession.abortTransaction();
+          return res.status(409).json({
+            error: "You have already voted in this election",
+            code: "ALREADY_VOTED",
+          });
+        }
+      }
 
       await mongoSession.commitTransaction();
 
       // Update Redis counters atomically (after successful commit)
-      for (const choice of choices) {
+      for (const record of supersededRows) {
+        if (!countsTowardsCandidate(record)) continue;
+        await cacheService.decr(
+          `vote_count:${tenantNamespace}:${session_id}:${record.candidate_id}`,
+        );
+      }
+      for (const record of storedRecords) {
+        if (!countsTowardsCandidate(record)) continue;
         await cacheService.incr(
-          `vote_count:${tenantNamespace}:${session_id}:${choice.candidate_id}`,
+          `vote_count:${tenantNamespace}:${session_id}:${record.candidate_id}`,
         );
       }
-      await cacheService.incr(`total_votes:${tenantNamespace}:${session_id}`);
+      if (!isRevote) {
+        await cacheService.incr(`total_votes:${tenantNamespace}:${session_id}`);
+      }
+
+      // The lock only guards this request when the ballot can be changed later
+      if (revoteAllowed) {
+        await cacheService.del(voteLockKey);
+      }
+
+      // Kiosk ballots are good for one submission
+      if (kioskBallot) {
+        await cacheService.del(kioskBallot.cache_key);
+      }
 
       // Invalidate cached results for this session
       await cacheService.del(`live_results:${tenantNamespace}:${session_id}`);
@@ -1346,9 +1859,11 @@ class VoteController {
         compare_confidence: faceConfidence,
         compare_threshold: compareThreshold,
         matched_face_id: verifiedFaceId,
-        decision_source: livenessRequired
-          ? "liveness_reference_image"
-          : "uploaded_image",
+        decision_source: kioskBallot
+          ? getKioskDecisionSource(kioskBallot.verification_method)
+          : livenessRequired
+            ? "liveness_reference_image"
+            : "uploaded_image",
         fail_streak: 0,
         lockout_triggered: false,
         lockout_expires_at: null,
@@ -1358,8 +1873,20 @@ class VoteController {
         ip_address: req.ip,
         image_url,
         geo_location: { lat, lng },
+        polling_zone: pollingZone,
+        location_integrity: locationIntegrity,
+        presence_station: presenceStation
+          ? { station_id: presenceStation.id, name: presenceStation.name }
+          : null,
+        assisted_by: kioskBallot
+          ? {
+              worker_id: kioskBallot.worker_id,
+              verification_method: kioskBallot.verification_method,
+            }
+          : null,
         meta: {
-          choice_count: choices.length,
+          choice_count: voteRecords.length,
+          revision,
         },
       });
 
@@ -1373,18 +1900,30 @@ class VoteController {
         compare_threshold: compareThreshold,
         liveness_confidence: livenessResult?.confidence ?? null,
         liveness_threshold: livenessResult?.threshold ?? null,
-        vote_count: choices.length,
+        vote_count: voteRecords.length,
       });
 
       emailService
-        .sendVoteConfirmation(student, session, voteDetails, req.tenant || null)
+        .sendVoteConfirmation(
+          student,
+          session,
+          voteDetails,
+          req.tenant || null,
+          receipt,
+        )
         .catch((err) => {
           console.error("Failed to send vote confirmation email:", err);
         });
 
       res.status(201).json({
-        message: "Vote submitted successfully",
+        message: isRevote ? "Vote updated successfully" : "Vote submitted successfully",
         votes: voteDetails,
+        revision,
+        receipt: {
+          code: receipt.receipt_code,
+          hash: receipt.receipt_hash,
+        },
+        polling_zone: formatPollingZone(matchedZone),
         session: {
           title: session.title,
           id: session._id,
@@ -1462,11 +2001,15 @@ class VoteController {
 
         acc[sessionId].votes.push({
           position: vote.position,
-          candidate: {
-            id: vote.candidate_id._id,
-            name: vote.candidate_id.name,
-            photo_url: vote.candidate_id.photo_url,
-          },
+          candidate: vote.candidate_id
+            ? {
+                id: vote.candidate_id._id,
+                name: vote.candidate_id.name,
+                photo_url: vote.candidate_id.photo_url,
+              }
+            : null,
+          response: vote.response || undefined,
+          encrypted: vote.is_encrypted || undefined,
         });
 
         return acc;
@@ -1536,6 +2079,8 @@ class VoteController {
               }
             : null,
           position: vote.position,
+          response: vote.response || undefined,
+          is_encrypted: vote.is_encrypted === true,
           geo_location: vote.geo_location,
           face_match_score: vote.face_match_score,
           face_verification_passed: vote.face_verification_passed,
@@ -1569,13 +2114,49 @@ class VoteController {
       const session = await VotingSession.findOne(
         getTenantScopedFilter(req, { _id: sessionId }),
       )
-        .select("title description start_time end_time status")
+        .select("title description start_time end_time status secret_ballot allow_revote")
         .lean();
 
       if (!session) {
         return res.status(404).json({ error: "Election not found" });
       }
 
+      // Secret ballots cannot be traced back to the voter, so only the fact
+      // that the student took part is available.
+      if (isSecretBallot(session)) {
+        const student = await Student.findOne(
+          getTenantScopedFilter(req, {
+            _id: studentId,
+            has_voted_sessions: session._id,
+          }),
+        )
+          .select("_id")
+          .lean();
+
+        if (!student) {
+          return res
+            .status(404)
+            .json({ error: "No submitted ballot found for this election" });
+        }
+
+        return res.json({
+          ballot: {
+            session: {
+              id: session._id,
+              title: session.title,
+              description: session.description,
+              start_time: session.start_time,
+              end_time: session.end_time,
+              status: session.status,
+            },
+            submitted_at: null,
+            status: "submitted",
+            secret_ballot: true,
+            choices: [],
+          },
+        });
+      }
+
       const submittedVotes = await Vote.find(
         getTenantScopedFilter(req, {
           student_id: studentId,
@@ -1584,7 +2165,8 @@ class VoteController {
         }),
       )
         .populate("candidate_id", "name position photo_url bio")
-        .sort({ position: 1, timestamp: 1 })
+        .populate("preferences", "name photo_url")
+        .sort({ position: 1, selection_index: 1, timestamp: 1 })
         .lean();
 
       if (!submittedVotes.length) {
@@ -1600,17 +2182,33 @@ class VoteController {
           .sort((left, right) => new Date(left) - new Date(right))[0] || null;
 
       const choices = submittedVotes.reduce((acc, vote) => {
-        if (!vote.candidate_id) return acc;
+        // Encrypted choices cannot be read back, only that the position was filled
+        if (vote.is_encrypted) {
+          acc.push({ position: vote.position, candidate: null, encrypted: true });
+          return acc;
+        }
+        if (!vote.candidate_id && !vote.response) return acc;
 
         acc.push({
           position: vote.position,
-          candidate: {
-            id: vote.candidate_id._id,
-            name: vote.candidate_id.name,
-            position: vote.candidate_id.position,
-            photo_url: vote.candidate_id.photo_url,
-            bio: vote.candidate_id.bio,
-          },
+          candidate: vote.candidate_id
+            ? {
+                id: vote.candidate_id._id,
+                name: vote.candidate_id.name,
+                position: vote.candidate_id.position,
+                photo_url: vote.candidate_id.photo_url,
+                bio: vote.candidate_id.bio,
+              }
+            : null,
+          response: vote.response || undefined,
+          preferences: vote.preferences?.length
+            ? vote.preferences.map((preference, index) => ({
+                rank: index + 1,
+                id: preference._id,
+                name: preference.name,
+                photo_url: preference.photo_url,
+              }))
+            : undefined,
         });
 
         return acc;
@@ -1628,6 +2226,17 @@ class VoteController {
           },
           submitted_at: submittedAt,
           status: "submitted",
+          revision: submittedVotes[0].revision || 1,
+          can_revote:
+            session.allow_revote === true &&
+            new Date() >= session.start_time &&
+            new Date() <= session.end_time,
+          receipt: submittedVotes[0].receipt_hash
+            ? {
+                code: formatReceiptCode(submittedVotes[0].receipt_hash),
+                hash: submittedVotes[0].receipt_hash,
+              }
+            : null,
           choices,
         },
       });
@@ -0,0 +1,146 @@
+jest.mock("../models/Student", () => ({ findOne: jest.fn() }));
+jest.mock("../models/VotingSession", () => ({ findOne: jest.fn() }));
+jest.mock("../models/Vote", () => ({ findOne: jest.fn(), insertMany: jest.fn() }));
+jest.mock("../services/cacheService", () => ({
+  setNX: jest.fn(),
+  del: jest.fn(),
+  get: jest.fn(),
+}));
+jest.mock("../services/faceProviderService", () => ({ getStatus: jest.fn() }));
+jest.mock("../services/emailService", () => ({}));
+jest.mock("../services/biometricAnalyticsService", () => ({
+  createVerificationLog: jest.fn(),
+}));
+
+const mongoose = require("mongoose");
+const Student = require("../models/Student");
+const VotingSession = require("../models/VotingSession");
+const Vote = require("../models/Vote");
+const cacheService = require("../services/cacheService");
+const faceProviderService = require("../services/faceProviderService");
+const voteController = require("./voteController");
+
+function mockResponse() {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+}
+
+describe("voteController lifecycle", () => {
+  const now = new Date("2026-03-10T12:00:00.000Z");
+  const location = { lat: 7.8525, lng: 4.2811 };
+  let mongoSession;
+
+  function sessionDoc(extra = {}) {
+    return {
+      _id: "65f1c0ffee0000000000abcd",
+      title: "SU Election",
+      status: "active",
+      start_time: new Date("2026-03-10T08:00:00.000Z"),
+      end_time: new Date("2026-03-10T16:00:00.000Z"),
+      candidates: [],
+      updateStatus: jest.fn().mockResolvedValue(undefined),
+      ...extra,
+    };
+  }
+
+  // submitVote populates the query; checkLocation awaits it as it is
+  function findSession(session) {
+    VotingSession.findOne.mockReturnValue({
+      populate: jest.fn().mockResolvedValue(session),
+      then: (resolve, reject) => Promise.resolve(session).then(resolve, reject),
+    });
+  }
+
+  function submit() {
+    const res = mockResponse();
+    const req = {
+      studentId: "65f1c0ffee0000000000aaaa",
+      headers: {},
+      body: {
+        session_id: "65f1c0ffee0000000000abcd",
+        choices: [{ candidate_id: "65f1c0ffee0000000000cccc" }],
+        ...location,
+      },
+    };
+    return voteController.submitVote(req, res).then(() => res);
+  }
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now });
+    jest.clearAllMocks();
+    mongoSession = {
+      startTransaction: jest.fn(),
+      abortTransaction: jest.fn().mockResolvedValue(undefined),
+      commitTransaction: jest.fn(),
+      endSession: jest.fn(),
+      inTransaction: jest.fn(() => false),
+    };
+    jest.spyOn(mongoose, "startSession").mockResolvedValue(mongoSession);
+    faceProviderService.getStatus.mockResolvedValue({ liveness_required: true });
+    cacheService.setNX.mockResolvedValue(true);
+    Student.findOne.mockResolvedValue({
+      _id: "65f1c0ffee0000000000aaaa",
+      has_voted_sessions: [],
+    });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it("rejects ballots while an admin has paused the session", async () => {
+    findSession(sessionDoc({ status: "paused" }));
+
+    const res = await submit();
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith(
+      expect.objectContaining({ code: "SESSION_PAUSED", status: "paused" }),
+    );
+    expect(mongoSession.abortTransaction).toHaveBeenCalled();
+    expect(cacheService.del).toHaveBeenCalled();
+    expect(Vote.insertMany).not.toHaveBeenCalled();
+  });
+
+  it("rejects ballots for a cancelled session even inside its voting window", async () => {
+    findSession(sessionDoc({ status: "cancelled" }));
+
+    const res = await submit();
+
+    expect(res.json).toHaveBeenCalledWith(
+      expect.objectContaining({ code: "SESSION_CANCELLED", status: "cancelled" }),
+    );
+    expect(Vote.insertMany).not.toHaveBeenCalled();
+  });
+
+  it("treats a session past its close as ended whatever its stored status", async () => {
+    findSession(sessionDoc({ end_time: new Date("2026-03-10T11:00:00.000Z") }));
+
+    const res = await submit();
+
+    expect(res.json).toHaveBeenCalledWith(
+      expect.objectContaining({ code: "SESSION_INACTIVE", status: "ended" }),
+    );
+  });
+
+  it("turns a paused session away at the location check", async () => {
+    findSession(sessionDoc({ status: "paused" }));
+    const res = mockResponse();
+
+    await voteController.checkLocation(
+      {
+        studentId: "65f1c0ffee0000000000aaaa",
+        body: { session_id: "65f1c0ffee0000000000abcd", ...location },
+      },
+      res,
+    );
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith(
+      expect.objectContaining({ allowed: false, code: "SESSION_PAUSED" }),
+    );
+  });
+});
@@ -0,0 +1,428 @@
+const mongoose = require("mongoose");
+const VotingSession = require("../models/VotingSession");
+const Candidate = require("../models/Candidate");
+const Vote = require("../models/Vote");
+const cacheService = require("../services/cacheService");
+const { createNotifications } = require("../services/notificationService");
+const sessionScheduler = require("../utils/sessionScheduler");
+const {
+  getTenantScopedFilter,
+  getTenantCacheNamespace,
+} = require("../utils/tenantScope");
+const { getPositionSettings } = require("../utils/ballotRules");
+const { isEncryptedSession } = require("../utils/encryptedBallot");
+const { requiresCertification } = require("../utils/certification");
+const {
+  sanitizeInvalidationJustification,
+  sanitizeInvalidationRequest,
+  isCandidateDisqualified,
+  summarizeInvalidatedVotes,
+  formatDisqualification,
+} = require("../utils/voteInvalidation");
+
+async function invalidateCountCaches(req, sessionId) {
+  const tenantNamespace = getTenantCacheNamespace(req);
+
+  await Promise.all([
+    cacheService.delPattern(`admin:sessions:list:${tenantNamespace}:*`),
+    cacheService.del(`admin:session_stats:${sessionId}:${tenantNamespace}`),
+    cacheService.del(`admin:advanced_session_stats:${sessionId}:${tenantNamespace}`),
+    cacheService.del(`admin:session_live:${tenantNamespace}:${sessionId}`),
+    cacheService.del(`live_results:${tenantNamespace}:${sessionId}`),
+    cacheService.del(`public:bulletin:${tenantNamespace}:${sessionId}`),
+    cacheService.del(`session:${tenantNamespace}:${sessionId}`),
+    cacheService.delPattern(`session:${tenantNamespace}:${sessionId}:*`),
+    cacheService.del(`total_votes:${tenantNamespace}:${sessionId}`),
+    cacheService.delPattern(`vote_count:${tenantNamespace}:${sessionId}:*`),
+  ]);
+}
+
+/**
+ * Why a session's count can no longer be changed, or null if it can.
+ * Certified results are final, and once an encrypted session's ballots have
+ * been combined the trustees are decrypting a fixed total.
+ */
+function getCountLock(session) {
+  if (requiresCertification(session) && session.certification.status === "certified") {
+    return {
+      error: "Certified results can no longer be changed",
+      code: "RESULTS_CERTIFIED",
+    };
+  }
+
+  if (isEncryptedSession(session) && session.encryption.aggregate?.computed_at) {
+    return {
+      error: "The encrypted ballots have already been combined for the trustee tally",
+      code: "ENCRYPTED_TALLY_STARTED",
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Strike vote rows from the count inside an open transaction and undo the
+ * counter increments they made when cast.
+ */
+async function rejectVoteRows(req, rows, invalidation, mongoSession) {
+  const summary = summarizeInvalidatedVotes(rows);
+
+  if (rows.length === 0) {
+    return summary;
+  }
+
+  await Vote.updateMany(
+    getTenantScopedFilter(req, {
+      _id: { $in: rows.map((row) => row._id) },
+      status: "valid",
+    }),
+    { $set: { status: "rejected", invalidation } },
+    { session: mongoSession },
+  );
+
+  if (summary.decrements.length > 0) {
+    await Candidate.bulkWrite(
+      summary.decrements.map((entry) => ({
+        updateOne: {
+          filter: getTenantScopedFilter(req, { _id: entry.candidate_id }),
+          update: { $inc: { vote_count: -entry.count } },
+        },
+      })),
+      { session: mongoSession },
+    );
+  }
+
+  return summary;
+}
+
+async function notifyStudents(session, studentIds, { type, title, message, metadata }) {
+  if (studentIds.length === 0) {
+    return;
+  }
+
+  await createNotifications(
+    studentIds.map((studentId) => ({
+      tenant_id: session.tenant_id || null,
+      recipient_type: "student",
+      recipient_student_id: studentId,
+      type,
+      title,
+      message,
+      link: `/students/vote/${session._id}`,
+      priority: "high",
+      metadata: {
+        session_id: session._id,
+        ...metadata,
+      },
+    })),
+  );
+}
+
+/**
+ * A certification snapshot taken before the change no longer matches the
+ * count, so it is retaken and the approvals start over.
+ */
+async function refreshCertification(session) {
+  if (session.certification?.status !== "pending") {
+    return false;
+  }
+
+  await sessionScheduler.holdForCertification(session);
+  return true;
+}
+
+class VoteInvalidationController {
+  /**
+   * Strike specific votes from a session's count
+   * POST /api/admin/sessions/:id/votes/invalidate
+   */
+  async invalidateVotes(req, res) {
+    try {
+      const request = sanitizeInvalidationRequest(req.body);
+      if (request.error) {
+        return res.status(400).json(request);
+      }
+
+      const { vote_ids, ballot_ids, reason, reference } = request;
+
+      if (vote_ids.length === 0 && ballot_ids.length === 0) {
+        return res.status(400).json({
+          error: "Provide the vote_ids or ballot_ids to invalidate",
+          code: "NO_VOTES_SELECTED",
+        });
+      }
+
+      const session = await VotingSession.findOne(
+        getTenantScopedFilter(req, { _id: req.params.id }),
+      );
+
+      if (!session) {
+        return res.status(404).json({ error: "Election not found" });
+      }
+
+      const countLock = getCountLock(session);
+      if (countLock) {
+        return res.status(409).json(countLock);
+      }
+
+      const invalidation = {
+        reason,
+        reference,
+        invalidated_by: req.adminId,
+        invalidated_at: new Date(),
+      };
+      const mongoSession = await mongoose.startSession();
+      let summary;
+      try {
+        mongoSession.startTransaction();
+
+        const rows = await Vote.find(
+          getTenantScopedFilter(req, {
+            session_id: session._id,
+            status: "valid",
+            $or: [{ _id: { $in: vote_ids } }, { ballot_id: { $in: ballot_ids } }],
+          }),
+        )
+          .select("student_id candidate_id response is_encrypted ballot_id position")
+          .session(mongoSession)
+          .lean();
+
+        summary = await rejectVoteRows(req, rows, invalidation, mongoSession);
+        await mongoSession.commitTransaction();
+      } catch (error) {
+        if (mongoSession.inTransaction()) {
+          await mongoSession.abortTransaction();
+        }
+        throw error;
+      } finally {
+        mongoSession.endSession();
+      }
+
+      if (summary.votes_invalidated === 0) {
+        return res.status(404).json({
+          error: "No valid votes matched in this election",
+          code: "NO_VALID_VOTES",
+        });
+      }
+
+      await invalidateCountCaches(req, session._id);
+      const certificationRefreshed = await refreshCertification(session);
+      await notifyStudents(session, summary.student_ids, {
+        type: "vote.invalidated",
+        title: `Your vote was invalidated: ${session.title}`,
+        message: `An election officer removed your vote from the count. Reason: ${reason} (ref. ${reference}).`,
+        metadata: { reason, reference },
+      });
+
+      res.json({
+        message: `${summary.votes_invalidated} vote(s) invalidated`,
+        votes_invalidated: summary.votes_invalidated,
+        adjusted_candidates: summary.decrements,
+        students_notified: summary.student_ids.length,
+        anonymous_ballots: summary.anonymous_ballots,
+        certification_refreshed: certificationRefreshed,
+      });
+    } catch (error) {
+      console.error("Invalidate votes error:", error);
+      res.status(500).json({ error: "Failed to invalidate votes" });
+    }
+  }
+
+  /**
+   * Disqualify a candidate. Their votes are invalidated, except on
+   * ranked-choice positions where the ballots stay valid and pass to the
+   * voters' next preference.
+   * POST /api/admin/candidates/:id/disqualify
+   */
+  async disqualifyCandidate(req, res) {
+    try {
+      const justification = sanitizeInvalidationJustification(req.body);
+      if (justification.error) {
+        return res.status(400).json(justification);
+      }
+
+      const { reason, reference } = justification;
+      const candidate = await Candidate.findOne(
+        getTenantScopedFilter(req, { _id: req.params.id }),
+      )
+        .select("session_id name position disqualification")
+        .lean();
+
+      if (!candidate) {
+        return res.status(404).json({ error: "Candidate not found" });
+      }
+
+      if (isCandidateDisqualified(candidate)) {
+        return res.status(409).json({
+          error: "Candidate is already disqualified",
+          code: "ALREADY_DISQUALIFIED",
+        });
+      }
+
+      const session = await VotingSession.findOne(
+        getTenantScopedFilter(req, { _id: candidate.session_id }),
+      );
+
+      if (!session) {
+        return res.status(404).json({ error: "Election not found" });
+      }
+
+      // Encrypted rows do not say who they support, so the candidate's votes
+      // could neither be struck nor kept out of the decrypted totals
+      if (isEncryptedSession(session)) {
+        return res.status(409).json({
+          error: "Candidates cannot be disqualified in an encrypted election, because their votes cannot be told apart from the rest",
+          code: "ENCRYPTED_SESSION",
+        });
+      }
+
+      const countLock = getCountLock(session);
+      if (countLock) {
+        return res.status(409).json(countLock);
+      }
+
+      const ranked =
+        getPositionSettings(session, candidate.position).ballot_type === "ranked_choice";
+      const disqualifiedAt = new Date();
+      const mongoSession = await mongoose.startSession();
+      let summary;
+      let rankedBy = [];
+      let claimed = false;
+      try {
+        mongoSession.startTransaction();
+
+        // Ranked ballots stay valid and pass to the next preference
+        const rows = ranked
+          ? []
+          : await Vote.find(
+              getTenantScopedFilter(req, {
+                session_id: session._id,
+                candidate_id: candidate._id,
+                status: "valid",
+              }),
+            )
+              .select("student_id candidate_id response is_encrypted ballot_id position")
+              .session(mongoSession)
+              .lean();
+
+        if (ranked) {
+          rankedBy = await Vote.find(
+            getTenantScopedFilter(req, {
+              session_id: session._id,
+              preferences: candidate._id,
+              status: "valid",
+            }),
+          )
+            .select("student_id")
+            .session(mongoSession)
+            .lean();
+        }
+
+        const claim = await Candidate.updateOne(
+          getTenantScopedFilter(req, { _id: candidate._id, disqualification: null }),
+          {
+            $set: {
+              disqualification: {
+                disqualified_at: disqualifiedAt,
+                disqualified_by: req.adminId,
+                reason,
+                reference,
+                votes_invalidated: rows.length,
+              },
+            },
+          },
+          { session: mongoSession },
+        );
+
+        if (claim.modifiedCount === 1) {
+          claimed = true;
+          summary = await rejectVoteRows(
+            req,
+            rows,
+            {
+              reason,
+              reference,
+              invalidated_by: req.adminId,
+              invalidated_at: disqualifiedAt,
+              candidate_disqualified: candidate._id,
+            },
+            mongoSession,
+          );
+          await mongoSession.commitTransaction();
+        } else {
+          await mongoSession.abortTransaction();
+        }
+      } catch (error) {
+        if (mongoSession.inTransaction()) {
+          await mongoSession.abortTransaction();
+        }
+        throw error;
+      } finally {
+        mongoSession.endSession();
+      }
+
+      if (!claimed) {
+        return res.status(409).json({
+          error: "Candidate is already disqualified",
+          code: "ALREADY_DISQUALIFIED",
+        });
+      }
+
+      await invalidateCountCaches(req, session._id);
+      const certificationRefreshed = await refreshCertification(session);
+
+      const message = ranked
+        ? `${candidate.name} has been disqualified from ${candidate.position}. Your ballot still counts and passes to your next preference. Reason: ${reason} (ref. ${reference}).`
+        : `${candidate.name} has been disqualified from ${candidate.position} and your vote for them no longer counts. Reason: ${reason} (ref. ${reference}).`;
+      const affectedStudentIds = ranked
+        ? Array.from(
+            new Set(
+              rankedBy
+                .filter((row) => row.student_id)
+                .map((row) => row.student_id.toString()),
+            ),
+          )
+        : summary.student_ids;
+      await notifyStudents(session, affectedStudentIds, {
+        type: "candidate.disqualified",
+        title: `Candidate disqualified: ${session.title}`,
+        message,
+        metadata: {
+          candidate_id: candidate._id,
+          position: candidate.position,
+          reason,
+          reference,
+        },
+      });
+
+      res.json({
+        message: `${candidate.name} has been disqualified`,
+        candidate: {
+          id: candidate._id,
+          name: candidate.name,
+          position: candidate.position,
+          disqualification: formatDisqualification({
+            disqualification: {
+              disqualified_at: disqualifiedAt,
+              reason,
+              reference,
+              votes_invalidated: summary.votes_invalidated,
+            },
+          }),
+        },
+        preferences_transferred: ranked,
+        votes_invalidated: summary.votes_invalidated,
+        students_notified: affectedStudentIds.length,
+        anonymous_ballots: ranked
+          ? rankedBy.filter((row) => !row.student_id).length
+          : summary.anonymous_ballots,
+        certification_refreshed: certificationRefreshed,
+      });
+    } catch (error) {
+      console.error("Disqualify candidate error:", error);
+      res.status(500).json({ error: "Failed to disqualify candidate" });
+    }
+  }
+}
+
+module.exports = new VoteInvalidationController();
@@ -9,6 +9,7 @@ const {
   buildPasswordResetEmail,
 } = require("./templates/account");
 const {
+  buildNominationDecisionEmail,
   buildVoteConfirmationEmail,
   buildResultAnnouncementEmail,
 } = require("./templates/voting");
@@ -41,6 +42,7 @@ module.exports = {
   buildAnnouncementEmail,
   buildEmailShell,
   buildNewDeviceAlertEmail,
+  buildNominationDecisionEmail,
   buildOperationalTestEmail,
   buildPasswordResetEmail,
   buildProviderAlertEmail,
@@ -41,6 +41,10 @@ function buildStudentResultsUrl(sessionId) {
   return sessionId ? buildEmailRoute(`/students/results/${sessionId}`) : null;
 }
 
+function buildStudentNominationsUrl(sessionId) {
+  return sessionId ? buildEmailRoute(`/students/nominations/${sessionId}`) : null;
+}
+
 function buildStudentSupportUrl(ticketId) {
   const query = ticketId ? `?ticket=${encodeURIComponent(ticketId)}` : "";
   return buildEmailRoute(`/students/support${query}`);
@@ -81,6 +85,7 @@ module.exports = {
   buildEmailRoute,
   buildPlatformSettingsUrl,
   buildPlatformSupportUrl,
+  buildStudentNominationsUrl,
   buildStudentResetPasswordUrl,
   buildStudentResultsUrl,
   buildStudentSignInUrl,
@@ -14,10 +14,12 @@ function buildVoteConfirmationEmail({
   student,
   session,
   votes,
+  receipt = null,
   ballotUrl = null,
 }) {
   const voteList = (votes || []).map(
-    (vote) => `${vote.position}: ${vote.candidate_name}`,
+    (vote) =>
+      `${vote.position}: ${vote.candidate_name}${vote.ticket_name ? ` (${vote.ticket_name} ticket)` : ""}`,
   );
   const recipientName = student.full_name || "student";
 
@@ -32,8 +34,22 @@ function buildVoteConfirmationEmail({
         { label: "Email", value: student.email || "Registered email" },
         { label: "Election", value: session.title },
         { label: "Recorded at", value: formatDateTime(Date.now()) },
+        ...(receipt?.receipt_code
+          ? [{ label: "Receipt code", value: receipt.receipt_code }]
+          : []),
       ]),
     )}
+    ${
+      receipt?.receipt_code
+        ? renderSection(
+            "Verify your ballot",
+            renderNoticeBox(
+              "Look up this receipt code on the election's public bulletin board to confirm your ballot was included in the count. Keep it private: anyone holding the code can find your ballot once results are published.",
+              "success",
+            ),
+          )
+        : ""
+    }
     ${
       voteList.length
         ? renderSection("Selected candidates", renderList(voteList))
@@ -119,6 +135,14 @@ function buildResultAnnouncementEmail({
         ...(totalVotes > 0
           ? [{ label: "Total votes", value: String(totalVotes) }]
           : []),
+        ...(session.certification?.status === "certified"
+          ? [
+              {
+                label: "Certified",
+                value: session.certification.snapshot_hash.slice(0, 16),
+              },
+            ]
+          : []),
       ]),
       bodyHtml,
       cta: resultsUrl ? { label: "View results", url: resultsUrl } : null,
@@ -126,7 +150,73 @@ function buildResultAnnouncementEmail({
   };
 }
 
+function buildNominationDecisionEmail({
+  branding,
+  student,
+  session,
+  nomination,
+  nominationsUrl = null,
+}) {
+  const approved = nomination.status === "approved";
+  const recipientName = student.full_name || "student";
+
+  const bodyHtml = `
+    <p class="univote-body-text" style="margin: 0 0 16px; font-family: ${FONT_SANS}; font-size: 14px; line-height: 1.75; color: ${COLORS.text};">
+      Hello ${escapeHtml(recipientName)}, the election committee has reviewed your nomination for ${escapeHtml(nomination.position)}.
+    </p>
+    ${renderSection(
+      "Nomination",
+      renderKeyValueRows([
+        { label: "Election", value: session.title },
+        { label: "Position", value: nomination.position },
+        { label: "Decision", value: approved ? "Approved" : "Not approved" },
+        { label: "Reviewed at", value: formatDateTime(nomination.reviewed_at || Date.now()) },
+      ]),
+    )}
+    ${
+      approved
+        ? renderSection(
+            "Next steps",
+            renderNoticeBox(
+              `You will appear on the ballot as a candidate for ${escapeHtml(nomination.position)} when voting opens on ${escapeHtml(formatDateTime(session.start_time))}.`,
+              "success",
+            ),
+          )
+        : renderSection(
+            "Reason",
+            renderNoticeBox(
+              escapeHtml(nomination.rejection_reason || "No reason was given."),
+              "danger",
+            ),
+          )
+    }
+  `;
+
+  return {
+    subject: `Nomination ${approved ? "approved" : "not approved"} — ${session.title}`,
+    html: buildEmailShell({
+      branding,
+      variant: approved ? "security" : "order",
+      preheader: `Your nomination for ${nomination.position} in ${session.title} has been reviewed.`,
+      badge: approved ? "Nomination approved" : "Nomination reviewed",
+      headline: approved
+        ? "You are on the ballot"
+        : "Your nomination was not approved",
+      intro: `The outcome of your nomination for the ${escapeHtml(session.title)} election.`,
+      statusStripHtml: renderSummaryStrip([
+        { label: "Election", value: session.title },
+        { label: "Position", value: nomination.position },
+      ]),
+      bodyHtml,
+      cta: nominationsUrl
+        ? { label: "View nomination", url: nominationsUrl }
+        : null,
+    }),
+  };
+}
+
 module.exports = {
+  buildNominationDecisionEmail,
   buildResultAnnouncementEmail,
   buildVoteConfirmationEmail,
 };
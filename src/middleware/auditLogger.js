@@ -34,7 +34,7 @@ const auditLogger = (action, resource) => {
           details: {
             method: req.method,
             path: req.path,
-            body: sanitizeBody(req.body),
+            body: sanitizeBody(req.body, req.auditRedactFields),
             query: req.query,
           },
           ip_address: req.ip || req.connection.remoteAddress,
@@ -57,9 +57,10 @@ const auditLogger = (action, resource) => {
 };
 
 /**
- * Remove sensitive data from body before logging
+ * Remove sensitive data from body before logging. Handlers can list extra
+ * fields to drop on `req.auditRedactFields` (e.g. secret-ballot choices).
  */
-function sanitizeBody(body) {
+function sanitizeBody(body, redactFields = []) {
   const sanitized = { ...body };
 
   // Remove sensitive fields
@@ -68,6 +69,12 @@ function sanitizeBody(body) {
   delete sanitized.image_url;
   delete sanitized.token;
 
+  (redactFields || []).forEach((field) => {
+    if (sanitized[field] !== undefined) {
+      sanitized[field] = "[redacted]";
+    }
+  });
+
   return sanitized;
 }
 
@@ -0,0 +1,37 @@
+const cacheService = require("../services/cacheService");
+const { getTenantCacheNamespace } = require("../utils/tenantScope");
+const { buildKioskBallotKey, isKioskBallotOwner } = require("../utils/kioskBallot");
+
+/**
+ * Load the kiosk ballot named in the route and submit the vote as its
+ * voter. Only the poll worker who opened the ballot can use it.
+ */
+const requireKioskBallot = async (req, res, next) => {
+  try {
+    const key = buildKioskBallotKey(getTenantCacheNamespace(req), req.params.ballotId);
+    const ballot = await cacheService.get(key);
+
+    if (!ballot) {
+      return res.status(404).json({
+        error: "Ballot not found, expired or already used",
+        code: "KIOSK_BALLOT_NOT_FOUND",
+      });
+    }
+
+    if (!isKioskBallotOwner(ballot, req.adminId)) {
+      return res.status(403).json({
+        error: "This ballot was opened by another poll worker",
+        code: "KIOSK_BALLOT_WORKER_MISMATCH",
+      });
+    }
+
+    req.kioskBallot = { ...ballot, cache_key: key };
+    req.studentId = ballot.student_id;
+    next();
+  } catch (error) {
+    console.error("Kiosk ballot error:", error);
+    res.status(500).json({ error: "Failed to load ballot" });
+  }
+};
+
+module.exports = { requireKioskBallot };
@@ -40,6 +40,37 @@ const candidateSchema = new mongoose.Schema(
       type: String,
       default: "",
     },
+    // Set when the candidate came from an approved student nomination
+    nomination_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Nomination",
+      default: null,
+    },
+    // Set when the candidate advanced from an earlier stage of a series
+    promoted_from: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Candidate",
+      default: null,
+    },
+    // Set when an admin removes the candidate from the count. Their votes are
+    // invalidated, except on ranked ballots where preferences transfer on.
+    disqualification: {
+      type: new mongoose.Schema(
+        {
+          disqualified_at: { type: Date, required: true },
+          disqualified_by: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Admin",
+            required: true,
+          },
+          reason: { type: String, required: true, trim: true },
+          reference: { type: String, required: true, trim: true },
+          votes_invalidated: { type: Number, default: 0 },
+        },
+        { _id: false },
+      ),
+      default: null,
+    },
   },
   {
     timestamps: true,
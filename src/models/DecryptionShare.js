@@ -0,0 +1,73 @@
+const mongoose = require("mongoose");
+
+// A trustee's partial decryption of an encrypted session's aggregate. Each
+// entry carries a proof that it was computed with the trustee's key share.
+const decryptionShareSchema = new mongoose.Schema(
+  {
+    tenant_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Tenant",
+      default: null,
+      index: true,
+    },
+    session_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "VotingSession",
+      required: true,
+    },
+    admin_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      required: true,
+    },
+    trustee_index: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    // Digest of the aggregate these partials decrypt
+    aggregate_digest: {
+      type: String,
+      required: true,
+    },
+    partials: [
+      {
+        _id: false,
+        position: {
+          type: String,
+          required: true,
+        },
+        option: {
+          type: String,
+          required: true,
+        },
+        d: {
+          type: String,
+          required: true,
+        },
+        proof: {
+          a: {
+            type: String,
+            required: true,
+          },
+          b: {
+            type: String,
+            required: true,
+          },
+          z: {
+            type: String,
+            required: true,
+          },
+        },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  },
+);
+
+decryptionShareSchema.index({ session_id: 1, trustee_index: 1 }, { unique: true });
+decryptionShareSchema.index({ tenant_id: 1, session_id: 1 });
+
+module.exports = mongoose.model("DecryptionShare", decryptionShareSchema);
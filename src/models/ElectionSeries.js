@@ -0,0 +1,84 @@
+const mongoose = require("mongoose");
+
+// Sessions run as stages of one election, for example a primary and the
+// general election. When a stage ends its top candidates per position are
+// copied onto the next stage's ballot.
+const electionSeriesSchema = new mongoose.Schema(
+  {
+    tenant_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Tenant",
+      default: null,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    stages: [
+      {
+        _id: false,
+        session_id: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "VotingSession",
+          required: true,
+        },
+        order: {
+          type: Number,
+          required: true,
+          min: 1,
+        },
+        // Candidates per position promoted to the next stage; null on the last
+        promote_top: {
+          type: Number,
+          min: 1,
+          default: null,
+        },
+        promoted_at: {
+          type: Date,
+          default: null,
+        },
+        promotions: [
+          {
+            _id: false,
+            position: String,
+            candidate_ids: [
+              {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "Candidate",
+              },
+            ],
+            promoted_ids: [
+              {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "Candidate",
+              },
+            ],
+            skipped_reason: {
+              type: String,
+              default: null,
+            },
+          },
+        ],
+      },
+    ],
+    created_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+electionSeriesSchema.index({ tenant_id: 1, "stages.session_id": 1 });
+
+module.exports = mongoose.model("ElectionSeries", electionSeriesSchema);
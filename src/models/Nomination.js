@@ -0,0 +1,104 @@
+const mongoose = require("mongoose");
+const {
+  NOMINATION_STATUSES,
+  ACTIVE_NOMINATION_STATUSES,
+} = require("../utils/nominationRules");
+
+// A student's own candidacy for a position, submitted during the session's
+// nomination window. Approval creates the Candidate that appears on the ballot.
+const nominationSchema = new mongoose.Schema(
+  {
+    tenant_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Tenant",
+      default: null,
+      index: true,
+    },
+    session_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "VotingSession",
+      required: true,
+    },
+    student_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Student",
+      required: true,
+    },
+    position: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    photo_url: {
+      type: String,
+      required: true,
+    },
+    bio: {
+      type: String,
+      default: "",
+    },
+    manifesto: {
+      type: String,
+      default: "",
+    },
+    status: {
+      type: String,
+      enum: NOMINATION_STATUSES,
+      default: "awaiting_seconders",
+      index: true,
+    },
+    seconders: [
+      {
+        _id: false,
+        student_id: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Student",
+          required: true,
+        },
+        seconded_at: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    reviewed_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+    reviewed_at: {
+      type: Date,
+      default: null,
+    },
+    rejection_reason: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    candidate_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Candidate",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+nominationSchema.index({ tenant_id: 1, session_id: 1, status: 1 });
+nominationSchema.index({ session_id: 1, student_id: 1 });
+nominationSchema.index({ "seconders.student_id": 1 });
+// One live nomination per student per session, so two submissions racing
+// past the controller's check cannot both be stored. Rejected and withdrawn
+// nominations fall outside the index and may be followed by a new one.
+// ($in in a partial filter needs MongoDB 6.0 or later.)
+nominationSchema.index(
+  { tenant_id: 1, session_id: 1, student_id: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { status: { $in: ACTIVE_NOMINATION_STATUSES } },
+  },
+);
+
+module.exports = mongoose.model("Nomination", nominationSchema);
@@ -0,0 +1,174 @@
+const mongoose = require("mongoose");
+const {
+  PETITION_STATUSES,
+  PETITION_REMEDIES,
+} = require("../utils/petitionRules");
+
+const evidenceSchema = new mongoose.Schema(
+  {
+    url: {
+      type: String,
+      required: true,
+    },
+    label: {
+      type: String,
+      default: "",
+    },
+    added_by_type: {
+      type: String,
+      enum: ["student", "admin"],
+      required: true,
+    },
+    added_at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false },
+);
+
+// A student's challenge to the outcome of an ended session, filed during
+// its petition window and decided by the election committee.
+const petitionSchema = new mongoose.Schema(
+  {
+    tenant_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Tenant",
+      default: null,
+      index: true,
+    },
+    session_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "VotingSession",
+      required: true,
+    },
+    petitioner_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Student",
+      required: true,
+    },
+    // Empty when the petition challenges the whole election
+    positions: {
+      type: [String],
+      default: [],
+    },
+    candidate_ids: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Candidate",
+      },
+    ],
+    grounds: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    relief_sought: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    evidence: {
+      type: [evidenceSchema],
+      default: [],
+    },
+    status: {
+      type: String,
+      enum: PETITION_STATUSES,
+      default: "filed",
+      index: true,
+    },
+    committee: [
+      {
+        _id: false,
+        admin_id: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Admin",
+          required: true,
+        },
+        name: String,
+        assigned_at: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    hearings: [
+      {
+        scheduled_for: {
+          type: Date,
+          required: true,
+        },
+        location: {
+          type: String,
+          trim: true,
+          default: "",
+        },
+        notes: {
+          type: String,
+          trim: true,
+          default: "",
+        },
+        scheduled_by: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Admin",
+          required: true,
+        },
+      },
+    ],
+    outcome: {
+      type: new mongoose.Schema(
+        {
+          decision: {
+            type: String,
+            enum: ["upheld", "dismissed"],
+            required: true,
+          },
+          remedies: {
+            type: [{ type: String, enum: PETITION_REMEDIES }],
+            default: [],
+          },
+          summary: {
+            type: String,
+            required: true,
+            trim: true,
+          },
+          decided_by: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Admin",
+            required: true,
+          },
+          decided_at: {
+            type: Date,
+            required: true,
+          },
+          recount_id: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Recount",
+            default: null,
+          },
+          rerun_session_id: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "VotingSession",
+            default: null,
+          },
+        },
+        { _id: false },
+      ),
+      default: null,
+    },
+    withdrawn_at: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+petitionSchema.index({ tenant_id: 1, session_id: 1, status: 1 });
+petitionSchema.index({ session_id: 1, petitioner_id: 1 });
+petitionSchema.index({ "committee.admin_id": 1, status: 1 });
+
+module.exports = mongoose.model("Petition", petitionSchema);
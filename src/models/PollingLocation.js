@@ -0,0 +1,62 @@
+const mongoose = require("mongoose");
+const { POLLING_ZONE_SHAPES } = require("../utils/pollingZones");
+
+// A tenant's saved polling site. Sessions copy it into their polling zones
+// and keep its ID, so upcoming sessions follow later edits.
+const pollingLocationSchema = new mongoose.Schema(
+  {
+    tenant_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Tenant",
+      default: null,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    shape: {
+      type: String,
+      enum: POLLING_ZONE_SHAPES,
+      required: true,
+    },
+    center: {
+      lat: Number,
+      lng: Number,
+    },
+    radius_meters: Number,
+    polygon: {
+      type: {
+        type: String,
+        enum: ["Polygon"],
+      },
+      coordinates: {
+        type: [[[Number]]],
+        default: undefined,
+      },
+    },
+    created_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+    updated_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+pollingLocationSchema.index({ tenant_id: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model("PollingLocation", pollingLocationSchema);
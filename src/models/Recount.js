@@ -0,0 +1,109 @@
+const mongoose = require("mongoose");
+
+const candidateCountSchema = new mongoose.Schema(
+  {
+    candidate_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Candidate",
+      required: true,
+    },
+    name: String,
+    position: String,
+    stored_count: Number,
+    recounted_count: Number,
+    difference: Number,
+  },
+  { _id: false },
+);
+
+// A recount of a session's candidate counters against its valid votes. The
+// records form an audit trail: they are written once and never changed.
+const recountSchema = new mongoose.Schema(
+  {
+    tenant_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Tenant",
+      default: null,
+      index: true,
+    },
+    session_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "VotingSession",
+      required: true,
+    },
+    performed_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      required: true,
+    },
+    performed_by_name: {
+      type: String,
+      default: null,
+    },
+    reason: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    // Whether the stored counters were overwritten with the recounted ones
+    repaired: {
+      type: Boolean,
+      default: false,
+    },
+    total_valid_votes: {
+      type: Number,
+      default: 0,
+    },
+    candidates_checked: {
+      type: Number,
+      default: 0,
+    },
+    stored_total: {
+      type: Number,
+      default: 0,
+    },
+    recounted_total: {
+      type: Number,
+      default: 0,
+    },
+    discrepancies: {
+      type: [candidateCountSchema],
+      default: [],
+    },
+    // Valid votes for candidates that have since been deleted
+    orphaned: [
+      {
+        _id: false,
+        candidate_id: mongoose.Schema.Types.ObjectId,
+        recounted_count: Number,
+      },
+    ],
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  },
+);
+
+recountSchema.index({ session_id: 1, createdAt: -1 });
+
+function rejectChange() {
+  throw new Error("Recount records cannot be changed");
+}
+
+recountSchema.pre("save", function () {
+  if (!this.isNew) {
+    rejectChange();
+  }
+});
+[
+  "updateOne",
+  "updateMany",
+  "findOneAndUpdate",
+  "replaceOne",
+  "findOneAndReplace",
+  "deleteOne",
+  "deleteMany",
+  "findOneAndDelete",
+].forEach((operation) => recountSchema.pre(operation, rejectChange));
+
+module.exports = mongoose.model("Recount", recountSchema);
@@ -0,0 +1,47 @@
+const mongoose = require("mongoose");
+
+// A tenant's saved election setup. New sessions are created from it with
+// fresh dates (see utils/sessionTemplate for the stored settings).
+const sessionTemplateSchema = new mongoose.Schema(
+  {
+    tenant_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Tenant",
+      default: null,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    notes: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    source_session_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "VotingSession",
+      default: null,
+    },
+    // Positions, eligibility, geofence, ballot rules and descriptions, with
+    // dates stored relative to the start time
+    settings: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    created_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+sessionTemplateSchema.index({ tenant_id: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model("SessionTemplate", sessionTemplateSchema);
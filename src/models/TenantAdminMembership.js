@@ -14,7 +14,7 @@ const tenantAdminMembershipSchema = new mongoose.Schema(
     },
     role: {
       type: String,
-      enum: ["owner", "admin", "support", "analyst"],
+      enum: ["owner", "admin", "support", "analyst", "certifier", "poll_worker"],
       default: "admin",
     },
     permissions: {
@@ -0,0 +1,52 @@
+const mongoose = require("mongoose");
+
+// Running mates who stand together across linked positions (for example a
+// president and vice-president). One ballot selection counts for every member.
+const ticketSchema = new mongoose.Schema(
+  {
+    tenant_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Tenant",
+      default: null,
+      index: true,
+    },
+    session_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "VotingSession",
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // The linked positions, one member each
+    positions: {
+      type: [String],
+      required: true,
+    },
+    members: [
+      {
+        _id: false,
+        candidate_id: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Candidate",
+          required: true,
+        },
+        position: {
+          type: String,
+          required: true,
+          trim: true,
+        },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  },
+);
+
+ticketSchema.index({ tenant_id: 1, session_id: 1 });
+ticketSchema.index({ "members.candidate_id": 1 });
+
+module.exports = mongoose.model("Ticket", ticketSchema);
@@ -136,6 +136,73 @@ const verificationLogSchema = new mongoose.Schema(
         default: null,
       },
     },
+    // Polling zone of the session the location fell in, if any
+    polling_zone: {
+      zone_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null,
+      },
+      name: {
+        type: String,
+        default: null,
+      },
+    },
+    // GPS plausibility of the fix; flagged when below the session's min_score
+    location_integrity: {
+      score: {
+        type: Number,
+        default: null,
+      },
+      signals: {
+        type: [String],
+        default: undefined,
+      },
+      flagged: {
+        type: Boolean,
+        default: false,
+        index: true,
+      },
+      accuracy_meters: {
+        type: Number,
+        default: null,
+      },
+      altitude_meters: {
+        type: Number,
+        default: null,
+      },
+      captured_at: {
+        type: Date,
+        default: null,
+      },
+      is_mock: {
+        type: Boolean,
+        default: null,
+      },
+    },
+    // Polling station whose QR code the voter scanned, or where a poll
+    // worker opened their kiosk ballot
+    presence_station: {
+      station_id: {
+        type: String,
+        default: null,
+      },
+      name: {
+        type: String,
+        default: null,
+      },
+    },
+    // Poll worker who checked the voter's identity at a kiosk
+    assisted_by: {
+      worker_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Admin",
+        default: null,
+      },
+      verification_method: {
+        type: String,
+        default: null,
+      },
+    },
     image_url: {
       type: String,
       default: null,
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { KIOSK_VERIFICATION_METHODS } = require("../utils/kioskBallot");
 
 const voteSchema = new mongoose.Schema(
   {
@@ -8,33 +9,112 @@ const voteSchema = new mongoose.Schema(
       default: null,
       index: true,
     },
+    // Not recorded for secret-ballot sessions (see is_anonymous)
     student_id: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Student",
-      required: true,
+      required: function () {
+        return !this.is_anonymous;
+      },
+    },
+    is_anonymous: {
+      type: Boolean,
+      default: false,
     },
     session_id: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "VotingSession",
       required: true,
     },
+    // Empty for referendum responses, which have no candidate, and for
+    // encrypted ballots, where the choice is only in `ciphertexts`
     candidate_id: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Candidate",
-      required: true,
+      required: function () {
+        return !this.response && !this.is_encrypted;
+      },
     },
     position: {
       type: String,
       required: true,
     },
+    // Ordered preferences for ranked-choice positions; candidate_id holds the first.
+    preferences: {
+      type: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Candidate",
+        },
+      ],
+      default: undefined,
+    },
+    // Yes / No / Abstain answer for referendum and confirmation items
+    response: {
+      type: String,
+      enum: ["yes", "no", "abstain"],
+      default: undefined,
+    },
+    // Encrypted-ballot sessions store one row per position with an
+    // encryption of 0 or 1 for every candidate standing for it
+    is_encrypted: {
+      type: Boolean,
+      default: false,
+    },
+    ciphertexts: {
+      type: [
+        {
+          _id: false,
+          option: {
+            type: String,
+            required: true,
+          },
+          c1: {
+            type: String,
+            required: true,
+          },
+          c2: {
+            type: String,
+            required: true,
+          },
+        },
+      ],
+      default: undefined,
+    },
+    // Shared by every row of one submission; the receipt hash commits to
+    // the ballot's contents (see utils/ballotReceipt)
+    ballot_id: {
+      type: String,
+      default: null,
+    },
+    receipt_hash: {
+      type: String,
+      default: null,
+    },
+    // Position of this row within an approval ballot; 0 for single-choice ballots.
+    selection_index: {
+      type: Number,
+      default: 0,
+    },
+    // Running-mate ticket the selection was made through; every linked
+    // position gets its own row pointing at the same ticket.
+    ticket_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Ticket",
+      default: null,
+    },
     geo_location: {
       lat: {
         type: Number,
-        required: true,
+        required: function () {
+          return !this.is_anonymous;
+        },
       },
       lng: {
         type: Number,
-        required: true,
+        required: function () {
+          return !this.is_anonymous;
+        },
       },
     },
     face_match_score: {
@@ -55,9 +135,68 @@ const voteSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ["valid", "duplicate", "rejected"],
+      enum: ["valid", "duplicate", "rejected", "superseded"],
       default: "valid",
     },
+    // Revote sessions: 1 for the first ballot, incremented on every resubmission.
+    // Replaced rows keep their contents and point at the ballot that replaced them.
+    revision: {
+      type: Number,
+      default: 1,
+    },
+    superseded_at: {
+      type: Date,
+      default: null,
+    },
+    superseded_by: {
+      type: String,
+      default: null,
+    },
+    // Set when an admin struck the row from the count (status "rejected")
+    invalidation: {
+      type: new mongoose.Schema(
+        {
+          reason: { type: String, required: true, trim: true },
+          reference: { type: String, required: true, trim: true },
+          invalidated_by: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Admin",
+            required: true,
+          },
+          invalidated_at: { type: Date, required: true },
+          // Set when the row went with a candidate's disqualification
+          candidate_disqualified: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Candidate",
+            default: null,
+          },
+        },
+        { _id: false },
+      ),
+      default: null,
+    },
+    // Set when a poll worker opened the ballot at a kiosk; not recorded for
+    // secret-ballot sessions
+    assisted_by: {
+      type: new mongoose.Schema(
+        {
+          worker_id: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Admin",
+            required: true,
+          },
+          // Null when the session does not hold voters to a station
+          station_id: { type: String, default: null },
+          verification_method: {
+            type: String,
+            enum: KIOSK_VERIFICATION_METHODS,
+            required: true,
+          },
+        },
+        { _id: false },
+      ),
+      default: null,
+    },
     device_id: {
       type: String,
       default: null,
@@ -82,11 +221,21 @@ voteSchema.index({ student_id: 1, status: 1, createdAt: -1 });
 voteSchema.index({ tenant_id: 1, session_id: 1, status: 1 });
 voteSchema.index({ tenant_id: 1, student_id: 1, status: 1, createdAt: -1 });
 voteSchema.index({ tenant_id: 1, session_id: 1, candidate_id: 1 });
+voteSchema.index({ session_id: 1, status: 1, receipt_hash: 1 });
 
-// Ensure student can only vote once per session per position
+// Ensure student can only vote once per session per position (one row per
+// selection on approval ballots). Anonymous ballots have no student_id and
+// rely on Student.has_voted_sessions instead; superseded revote rows are
+// history and fall outside the index.
 voteSchema.index(
-  { tenant_id: 1, student_id: 1, session_id: 1, position: 1 },
-  { unique: true },
+  { tenant_id: 1, student_id: 1, session_id: 1, position: 1, selection_index: 1 },
+  {
+    unique: true,
+    partialFilterExpression: {
+      student_id: { $type: "objectId" },
+      status: "valid",
+    },
+  },
 );
 
 module.exports = mongoose.model("Vote", voteSchema);
@@ -1,4 +1,8 @@
 const mongoose = require("mongoose");
+const { resolveSessionStatus } = require("../utils/sessionLifecycle");
+const { POLLING_ZONE_SHAPES } = require("../utils/pollingZones");
+const { LOCATION_INTEGRITY_POLICIES } = require("../utils/locationIntegrity");
+const { PRESENCE_MODES } = require("../utils/presenceCode");
 
 const votingSessionSchema = new mongoose.Schema(
   {
@@ -42,11 +46,114 @@ const votingSessionSchema = new mongoose.Schema(
       required: true,
       default: [],
     },
+    position_settings: [
+      {
+        _id: false,
+        position: {
+          type: String,
+          required: true,
+          trim: true,
+        },
+        ballot_type: {
+          type: String,
+          enum: [
+            "plurality",
+            "ranked_choice",
+            "approval",
+            "referendum",
+            "confirmation",
+          ],
+          default: "plurality",
+        },
+        seats: {
+          type: Number,
+          min: 1,
+          default: 1,
+        },
+        max_selections: {
+          type: Number,
+          min: 1,
+          default: 1,
+        },
+        // Referendum / confirmation items only
+        question: {
+          type: String,
+          trim: true,
+          default: null,
+        },
+        pass_threshold: {
+          type: String,
+          enum: ["simple_majority", "two_thirds"],
+          default: undefined,
+        },
+        // Narrows who may vote on this position, on top of the session-wide
+        // eligible_* rules. Departments are stored as ids like eligible_departments.
+        eligibility: {
+          college: {
+            type: String,
+            default: undefined,
+          },
+          departments: {
+            type: [String],
+            default: undefined,
+          },
+          levels: {
+            type: [String],
+            default: undefined,
+          },
+        },
+      },
+    ],
+    // draft, paused and cancelled are set by admins and held until they
+    // act again; the others follow start_time and end_time
     status: {
       type: String,
-      enum: ["upcoming", "active", "ended"],
+      enum: ["draft", "upcoming", "active", "paused", "ended", "cancelled"],
       default: "upcoming",
     },
+    lifecycle: {
+      paused_at: {
+        type: Date,
+        default: null,
+      },
+      paused_by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Admin",
+        default: null,
+      },
+      pause_reason: {
+        type: String,
+        trim: true,
+        default: null,
+      },
+      cancelled_at: {
+        type: Date,
+        default: null,
+      },
+      cancelled_by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Admin",
+        default: null,
+      },
+      cancellation_reason: {
+        type: String,
+        trim: true,
+        default: null,
+      },
+      extensions: [
+        {
+          _id: false,
+          previous_end_time: Date,
+          new_end_time: Date,
+          reason: String,
+          extended_by: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Admin",
+          },
+          extended_at: Date,
+        },
+      ],
+    },
     candidates: [
       {
         type: mongoose.Schema.Types.ObjectId,
@@ -68,14 +175,507 @@ const votingSessionSchema = new mongoose.Schema(
         default: 5000,
       },
     },
+    // Named polling sites, each a circle or a GeoJSON polygon. When set,
+    // students vote from any of them and `location` is a circle covering
+    // them all for older clients.
+    polling_zones: [
+      {
+        // Saved polling location this zone was taken from; editing the
+        // location updates upcoming sessions that use it
+        location_id: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "PollingLocation",
+          default: null,
+        },
+        name: {
+          type: String,
+          required: true,
+          trim: true,
+        },
+        shape: {
+          type: String,
+          enum: POLLING_ZONE_SHAPES,
+          required: true,
+        },
+        center: {
+          lat: Number,
+          lng: Number,
+        },
+        radius_meters: Number,
+        polygon: {
+          type: {
+            type: String,
+            enum: ["Polygon"],
+          },
+          coordinates: {
+            type: [[[Number]]],
+            default: undefined,
+          },
+        },
+      },
+    ],
     is_off_campus_allowed: {
       type: Boolean,
       default: true,
     },
+    // Fixes scoring below min_score on GPS plausibility are flagged on the
+    // verification log, or rejected outright
+    location_integrity: {
+      policy: {
+        type: String,
+        enum: LOCATION_INTEGRITY_POLICIES,
+        default: "flag",
+      },
+      min_score: {
+        type: Number,
+        min: 1,
+        max: 100,
+        default: 60,
+      },
+    },
+    // How voters prove they are at a polling station: the GPS geofence, a
+    // rotating QR code shown at the station instead, or both
+    presence: {
+      mode: {
+        type: String,
+        enum: PRESENCE_MODES,
+        default: "geofence",
+      },
+      rotation_seconds: {
+        type: Number,
+        min: 10,
+        max: 300,
+        default: 30,
+      },
+      grace_seconds: {
+        type: Number,
+        min: 0,
+        max: 600,
+        default: 90,
+      },
+      // Signs the station codes; created when the first code is issued
+      secret: {
+        type: String,
+        default: null,
+        select: false,
+      },
+    },
+    // Ballots are stored without the voter's identity; turnout is only kept
+    // on Student.has_voted_sessions. Locked once voting starts.
+    secret_ballot: {
+      type: Boolean,
+      default: false,
+    },
+    // Students may resubmit until end_time; only their latest ballot counts
+    // and earlier ones are kept with status "superseded". Locked once voting
+    // starts and unavailable with secret ballots, which cannot be traced back.
+    allow_revote: {
+      type: Boolean,
+      default: false,
+    },
+    // Optional nomination phase before voting: eligible students put
+    // themselves forward, gather seconders, and admins approve them onto the
+    // ballot. The window always closes before start_time.
+    nomination: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      opens_at: {
+        type: Date,
+        default: null,
+      },
+      closes_at: {
+        type: Date,
+        default: null,
+      },
+      seconders_required: {
+        type: Number,
+        min: 0,
+        default: 0,
+      },
+    },
+    // Encrypted-ballot mode: votes are stored as ElGamal ciphertexts under
+    // `public_key` and only a quorum of trustees can decrypt the totals after
+    // end_time (see utils/electionCrypto). The server never holds the key.
+    encryption: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      threshold: {
+        type: Number,
+        min: 1,
+        default: null,
+      },
+      public_key: {
+        type: String,
+        default: null,
+      },
+      trustees: [
+        {
+          _id: false,
+          admin_id: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Admin",
+            required: true,
+          },
+          index: {
+            type: Number,
+            required: true,
+            min: 1,
+          },
+          verification_key: {
+            type: String,
+            required: true,
+          },
+        },
+      ],
+      // Homomorphic sum of every valid ballot, frozen the first time it is
+      // requested after end_time so all trustees decrypt the same values
+      aggregate: {
+        computed_at: {
+          type: Date,
+          default: null,
+        },
+        digest: {
+          type: String,
+          default: null,
+        },
+        ciphertexts: [
+          {
+            _id: false,
+            position: String,
+            option: String,
+            c1: String,
+            c2: String,
+            ballots: Number,
+          },
+        ],
+      },
+      tally: {
+        decrypted_at: {
+          type: Date,
+          default: null,
+        },
+        decrypted_by: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Admin",
+          default: null,
+        },
+        trustee_indexes: {
+          type: [Number],
+          default: undefined,
+        },
+        results: [
+          {
+            _id: false,
+            position: String,
+            candidate_id: {
+              type: mongoose.Schema.Types.ObjectId,
+              ref: "Candidate",
+            },
+            count: Number,
+          },
+        ],
+      },
+    },
+    // What happens when candidates finish level for the last seat: a
+    // committee picks the winner, a runoff session is scheduled with only
+    // the tied candidates, or lots are drawn from a seed committed up front.
+    tie_break: {
+      policy: {
+        type: String,
+        enum: ["committee", "runoff", "lot"],
+        default: "committee",
+      },
+      // Runoff timing relative to this session: it opens this many minutes
+      // after end_time and lasts as long as this session unless overridden
+      runoff_delay_minutes: {
+        type: Number,
+        min: 0,
+        default: 1440,
+      },
+      runoff_duration_minutes: {
+        type: Number,
+        min: 1,
+        default: null,
+      },
+      // Only the commitment is public until lots are drawn
+      lot_seed: {
+        type: String,
+        default: null,
+        select: false,
+      },
+      lot_seed_commitment: {
+        type: String,
+        default: null,
+      },
+    },
+    tie_resolutions: [
+      {
+        _id: false,
+        position: {
+          type: String,
+          required: true,
+        },
+        policy: {
+          type: String,
+          enum: ["committee", "runoff", "lot"],
+          required: true,
+        },
+        status: {
+          type: String,
+          enum: ["pending", "resolved"],
+          default: "pending",
+        },
+        seats: {
+          type: Number,
+          min: 1,
+          default: 1,
+        },
+        candidate_ids: [
+          {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Candidate",
+          },
+        ],
+        winner_ids: [
+          {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Candidate",
+          },
+        ],
+        runoff_session_id: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "VotingSession",
+          default: null,
+        },
+        // Runoff copies of candidate_ids, in the same order
+        runoff_candidate_ids: [
+          {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Candidate",
+          },
+        ],
+        lot_seed: {
+          type: String,
+          default: null,
+        },
+        draw_order: [
+          {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Candidate",
+          },
+        ],
+        decided_by: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Admin",
+          default: null,
+        },
+        decided_at: {
+          type: Date,
+          default: null,
+        },
+        note: {
+          type: String,
+          trim: true,
+          default: "",
+        },
+      },
+    ],
+    // Minimum turnout, as a percentage of the eligible roll, for the result
+    // to stand. Checked when the session ends; null means no minimum.
+    quorum: {
+      overall_percentage: {
+        type: Number,
+        min: 0,
+        max: 100,
+        default: null,
+      },
+      position_percentage: {
+        type: Number,
+        min: 0,
+        max: 100,
+        default: null,
+      },
+      college_percentage: {
+        type: Number,
+        min: 0,
+        max: 100,
+        default: null,
+      },
+    },
+    // Verdict recorded at end_time; results are held when it is not met
+    quorum_result: {
+      checked_at: {
+        type: Date,
+        default: null,
+      },
+      met: {
+        type: Boolean,
+        default: null,
+      },
+      failures: [
+        {
+          _id: false,
+          scope: {
+            type: String,
+            enum: ["overall", "position", "college"],
+          },
+          name: String,
+          eligible: Number,
+          voted: Number,
+          turnout_percentage: Number,
+          required_percentage: Number,
+        },
+      ],
+    },
+    // Set on a runoff to the session whose tie it settles
+    runoff_of: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "VotingSession",
+      default: null,
+      index: true,
+    },
+    // Sign-off before publication. With required_approvals above 0 the
+    // results are frozen into `snapshot` when the session ends and stay
+    // unpublished until that many certifying admins approve them.
+    certification: {
+      required_approvals: {
+        type: Number,
+        min: 0,
+        default: 0,
+      },
+      status: {
+        type: String,
+        enum: ["not_required", "pending", "certified"],
+        default: "not_required",
+      },
+      snapshot: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null,
+      },
+      snapshot_hash: {
+        type: String,
+        default: null,
+      },
+      snapshot_taken_at: {
+        type: Date,
+        default: null,
+      },
+      approvals: [
+        {
+          _id: false,
+          admin_id: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Admin",
+            required: true,
+          },
+          signed_by: String,
+          signature: String,
+          comment: String,
+          approved_at: Date,
+          digest: String,
+        },
+      ],
+      certified_at: {
+        type: Date,
+        default: null,
+      },
+    },
+    // Set when the session is a stage of a multi-stage election
+    series_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ElectionSeries",
+      default: null,
+      index: true,
+    },
     results_public: {
       type: Boolean,
       default: false,
     },
+    // Results stay hidden until this time even after voting closes; null
+    // releases them at end_time
+    results_release_at: {
+      type: Date,
+      default: null,
+    },
+    // Positions listed here are revealed one per interval after release,
+    // the rest at release
+    results_reveal: {
+      order: {
+        type: [String],
+        default: [],
+      },
+      interval_minutes: {
+        type: Number,
+        min: 0,
+        default: 0,
+      },
+    },
+    // Set by the scheduler once the close-time steps (quorum check,
+    // certification snapshot) have run. A request can mark the session
+    // ended first, so closing is tracked separately from status.
+    close_processed_at: {
+      type: Date,
+      default: null,
+    },
+    // Set once ties, runoffs and series promotion have been settled on the
+    // final results. The claim keeps two runs from settling side by side.
+    outcomes_settled_at: {
+      type: Date,
+      default: null,
+    },
+    outcomes_claimed_until: {
+      type: Date,
+      default: null,
+    },
+    // Set once the results have been announced, so they are announced once
+    results_released_at: {
+      type: Date,
+      default: null,
+    },
+    // Election petitions can be filed for `window_hours` after end_time
+    petitions: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      window_hours: {
+        type: Number,
+        min: 0,
+        default: 0,
+      },
+    },
+    // Set while an upheld petition keeps the results unpublished
+    results_hold: {
+      type: new mongoose.Schema(
+        {
+          petition_id: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Petition",
+            required: true,
+          },
+          reason: { type: String, trim: true, default: "" },
+          held_by: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Admin",
+            required: true,
+          },
+          held_at: { type: Date, required: true },
+        },
+        { _id: false },
+      ),
+      default: null,
+    },
+    // Set on a re-run ordered by a petition to the session it repeats
+    rerun_of: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "VotingSession",
+      default: null,
+      index: true,
+    },
     live_public_code: {
       type: String,
       trim: true,
@@ -106,6 +706,7 @@ votingSessionSchema.index({ status: 1, createdAt: -1 });
 votingSessionSchema.index({ tenant_id: 1, status: 1, start_time: 1 });
 votingSessionSchema.index({ tenant_id: 1, start_time: -1 });
 votingSessionSchema.index({ tenant_id: 1, createdAt: -1 });
+votingSessionSchema.index({ tenant_id: 1, "polling_zones.location_id": 1 });
 votingSessionSchema.index(
   { tenant_id: 1, live_public_code: 1 },
   {
@@ -129,14 +730,7 @@ votingSessionSchema.virtual("is_active").get(function () {
 
 // Method to update status based on time
 votingSessionSchema.methods.updateStatus = function () {
-  const now = new Date();
-  if (now < this.start_time) {
-    this.status = "upcoming";
-  } else if (now >= this.start_time && now <= this.end_time) {
-    this.status = "active";
-  } else {
-    this.status = "ended";
-  }
+  this.status = resolveSessionStatus(this);
   return this.save();
 };
 
@@ -111,7 +111,7 @@ router.post(
  *         application/json:
  *           schema:
  *             type: object
- *             required: [title, start_time, end_time, categories, location]
+ *             required: [title, start_time, end_time, categories]
  *             properties:
  *               title:
  *                 type: string
@@ -130,6 +130,11 @@ router.post(
  *                   type: string
  *               location:
  *                 $ref: '#/components/schemas/Location'
+ *               polling_zones:
+ *                 type: array
+ *                 description: Named polling sites. Required when no location is given; when set, location becomes a circle covering every zone.
+ *                 items:
+ *                   $ref: '#/components/schemas/PollingZone'
  *               eligible_college:
  *                 type: string
  *               eligible_departments:
@@ -143,6 +148,44 @@ router.post(
  *               is_off_campus_allowed:
  *                 type: boolean
  *                 default: false
+ *               location_integrity:
+ *                 $ref: '#/components/schemas/LocationIntegritySettings'
+ *               presence:
+ *                 $ref: '#/components/schemas/PresenceSettings'
+ *               secret_ballot:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Store ballots without the voter's identity. Turnout is tracked separately.
+ *               allow_revote:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Let students replace their ballot until the election closes. Cannot be combined with secret_ballot.
+ *               nomination:
+ *                 $ref: '#/components/schemas/NominationSettings'
+ *               tie_break:
+ *                 $ref: '#/components/schemas/TieBreakSettings'
+ *               quorum:
+ *                 $ref: '#/components/schemas/QuorumSettings'
+ *               certification:
+ *                 $ref: '#/components/schemas/CertificationSettings'
+ *               petitions:
+ *                 $ref: '#/components/schemas/PetitionSettings'
+ *               results_release_at:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *                 description: Keep results hidden until this time, at or after end_time. Editable while voting is live.
+ *               results_reveal:
+ *                 $ref: '#/components/schemas/ResultRevealSettings'
+ *               draft:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Create the election as a draft. Drafts are hidden from students until published.
+ *               position_settings:
+ *                 type: array
+ *                 description: Per-position ballot rules. Positions without an entry use a single-choice plurality ballot.
+ *                 items:
+ *                   $ref: '#/components/schemas/PositionSettings'
  *               candidates:
  *                 type: array
  *                 items:
@@ -226,8 +269,39 @@ router.post(
  *                   type: object
  *               location:
  *                 $ref: '#/components/schemas/Location'
+ *               polling_zones:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/PollingZone'
  *               is_off_campus_allowed:
  *                 type: boolean
+ *               location_integrity:
+ *                 $ref: '#/components/schemas/LocationIntegritySettings'
+ *               presence:
+ *                 $ref: '#/components/schemas/PresenceSettings'
+ *               secret_ballot:
+ *                 type: boolean
+ *                 description: Only editable before voting starts
+ *               allow_revote:
+ *                 type: boolean
+ *                 description: Only editable before voting starts
+ *               nomination:
+ *                 $ref: '#/components/schemas/NominationSettings'
+ *               tie_break:
+ *                 $ref: '#/components/schemas/TieBreakSettings'
+ *               quorum:
+ *                 $ref: '#/components/schemas/QuorumSettings'
+ *               certification:
+ *                 $ref: '#/components/schemas/CertificationSettings'
+ *               petitions:
+ *                 $ref: '#/components/schemas/PetitionSettings'
+ *               results_release_at:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *                 description: Keep results hidden until this time, at or after end_time. Editable while voting is live.
+ *               results_reveal:
+ *                 $ref: '#/components/schemas/ResultRevealSettings'
  *     responses:
  *       200:
  *         description: Election updated successfully
@@ -266,6 +340,8 @@ router.patch(
  *         description: Cannot delete active election
  *       404:
  *         description: Election not found
+ *       409:
+ *         description: Election is a stage of a series (SESSION_IN_SERIES)
  */
 router.delete(
   "/delete-session/:id",
@@ -1256,6 +1332,7 @@ router.get(
  * /admin/sessions/{id}/live:
  *   get:
  *     summary: Get admin live election payload
+ *     description: Includes `zone_turnout`, the number of voters per polling zone from the zone each voter's latest accepted ballot was cast in.
  *     tags: [Admin - Elections]
  *     security:
  *       - BearerAuth: []
@@ -1281,7 +1358,7 @@ router.get(
  * /admin/session-stats/{id}:
  *   get:
  *     summary: Get election statistics
- *     description: Get detailed statistics for an election including turnout, per-category breakdowns, and demographic analysis.
+ *     description: Get detailed statistics for an election including turnout, per-category breakdowns, and demographic analysis. The ten latest recounts are listed in `recounts`.
  *     tags: [Admin - Elections]
  *     security:
  *       - BearerAuth: []
@@ -1308,7 +1385,7 @@ router.get(
  * /admin/analytics/sessions/{id}:
  *   get:
  *     summary: Get advanced analytics for an election
- *     description: Retrieve detailed per-election analytics and candidate breakdown for advanced analytics tenants.
+ *     description: Retrieve detailed per-election analytics and candidate breakdown for advanced analytics tenants. The ten latest recounts are listed in `recounts`.
  *     tags: [Admin - Analytics]
  *     security:
  *       - BearerAuth: []
@@ -1410,7 +1487,7 @@ router.get(
  *         name: role
  *         schema:
  *           type: string
- *           enum: [owner, admin, support, analyst]
+ *           enum: [owner, admin, support, analyst, certifier, poll_worker]
  *       - in: query
  *         name: is_active
  *         schema:
@@ -1443,7 +1520,7 @@ router.get(
  *                 type: string
  *               role:
  *                 type: string
- *                 enum: [owner, admin, support, analyst]
+ *                 enum: [owner, admin, support, analyst, certifier, poll_worker]
  *     responses:
  *       201:
  *         description: Tenant admin user created
@@ -1471,7 +1548,7 @@ router.post(
     body("full_name").notEmpty().withMessage("Full name is required"),
     body("role")
       .optional()
-      .isIn(["owner", "admin", "support", "analyst"])
+      .isIn(["owner", "admin", "support", "analyst", "certifier", "poll_worker"])
       .withMessage("Valid tenant role is required"),
     validate,
   ],
@@ -1521,7 +1598,7 @@ router.post(
  *                 type: string
  *               role:
  *                 type: string
- *                 enum: [owner, admin, support, analyst]
+ *                 enum: [owner, admin, support, analyst, certifier, poll_worker]
  *               is_active:
  *                 type: boolean
  *     responses:
@@ -1558,7 +1635,7 @@ router.patch(
       .withMessage("Full name cannot be empty"),
     body("role")
       .optional()
-      .isIn(["owner", "admin", "support", "analyst"])
+      .isIn(["owner", "admin", "support", "analyst", "certifier", "poll_worker"])
       .withMessage("Valid tenant role is required"),
     body("is_active")
       .optional()
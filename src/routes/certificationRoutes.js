@@ -0,0 +1,112 @@
+const express = require("express");
+const router = express.Router();
+const { body } = require("express-validator");
+const certificationController = require("../controllers/certificationController");
+const {
+  authenticateAdmin,
+  requireTenantAdmin,
+  requirePermission,
+} = require("../middleware/auth");
+const { requireTenantAccess } = require("../middleware/tenantContext");
+const validate = require("../middleware/validator");
+const auditLogger = require("../middleware/auditLogger");
+
+const tenantAdminMiddlewares = [
+  authenticateAdmin,
+  requireTenantAccess,
+  requireTenantAdmin,
+];
+
+/**
+ * @swagger
+ * /admin/sessions/{id}/certification:
+ *   get:
+ *     summary: Get an election's result certification
+ *     description: The results frozen when the election ended, their SHA-256 hash and the approvals collected so far.
+ *     tags: [Admin - Elections]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Certification status, snapshot and approvals
+ *       404:
+ *         description: Election not found or it does not require certification (CERTIFICATION_NOT_REQUIRED)
+ */
+router.get(
+  "/sessions/:id/certification",
+  ...tenantAdminMiddlewares,
+  certificationController.getCertification,
+);
+
+/**
+ * @swagger
+ * /admin/sessions/{id}/certification/approve:
+ *   post:
+ *     summary: Approve an election's frozen results
+ *     description: |
+ *       Requires the `results.certify` permission (owners and certifying officers). Each admin
+ *       approves once, signing the snapshot hash they reviewed. When the election's
+ *       `certification.required_approvals` is reached the results are published and announced.
+ *     tags: [Admin - Elections]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [snapshot_hash, signature, comment]
+ *             properties:
+ *               snapshot_hash:
+ *                 type: string
+ *                 description: Hash of the snapshot being approved, from the certification view
+ *               signature:
+ *                 type: string
+ *                 example: J. Adeyemi
+ *               comment:
+ *                 type: string
+ *                 example: Counts checked against the polling officer reports
+ *     responses:
+ *       200:
+ *         description: Approval recorded; the results are published if it was the last one needed
+ *       404:
+ *         description: Election not found
+ *       409:
+ *         description: Not awaiting certification (CERTIFICATION_NOT_PENDING), hash out of date (SNAPSHOT_MISMATCH) or already approved (ALREADY_APPROVED)
+ */
+router.post(
+  "/sessions/:id/certification/approve",
+  ...tenantAdminMiddlewares,
+  requirePermission("results.certify"),
+  [
+    body("snapshot_hash").isString().notEmpty().withMessage("Snapshot hash is required"),
+    body("signature")
+      .trim()
+      .notEmpty()
+      .withMessage("Signature is required")
+      .isLength({ max: 200 }),
+    body("comment")
+      .trim()
+      .notEmpty()
+      .withMessage("Comment is required")
+      .isLength({ max: 2000 }),
+    validate,
+  ],
+  auditLogger("certify_results", "sessions"),
+  certificationController.approveResults,
+);
+
+module.exports = router;
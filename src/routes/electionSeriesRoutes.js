@@ -0,0 +1,147 @@
+const express = require("express");
+const router = express.Router();
+const { body } = require("express-validator");
+const electionSeriesController = require("../controllers/electionSeriesController");
+const {
+  authenticateAdmin,
+  requireTenantAdmin,
+  requirePermission,
+} = require("../middleware/auth");
+const { requireTenantAccess } = require("../middleware/tenantContext");
+const validate = require("../middleware/validator");
+const auditLogger = require("../middleware/auditLogger");
+
+const tenantAdminMiddlewares = [
+  authenticateAdmin,
+  requireTenantAccess,
+  requireTenantAdmin,
+];
+
+/**
+ * @swagger
+ * /admin/series:
+ *   get:
+ *     summary: List multi-stage election series
+ *     tags: [Admin - Elections]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Series with their stage timelines
+ */
+router.get("/series", ...tenantAdminMiddlewares, electionSeriesController.listSeries);
+
+/**
+ * @swagger
+ * /admin/series/{id}:
+ *   get:
+ *     summary: Get an election series
+ *     description: Includes the stage timeline and the candidates promoted out of each finished stage.
+ *     tags: [Admin - Elections]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Series
+ *       404:
+ *         description: Series not found
+ */
+router.get("/series/:id", ...tenantAdminMiddlewares, electionSeriesController.getSeries);
+
+/**
+ * @swagger
+ * /admin/series:
+ *   post:
+ *     summary: Link elections into a multi-stage series
+ *     description: |
+ *       Stages run in the order given, each starting after the previous one ends. When a stage's
+ *       results are announced, its top `promote_top` candidates per position (everyone level with
+ *       the last place included) are copied onto the next stage's ballot, provided that stage has
+ *       not started and has the position.
+ *     tags: [Admin - Elections]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, stages]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: SRC Elections 2026
+ *               description:
+ *                 type: string
+ *               stages:
+ *                 type: array
+ *                 minItems: 2
+ *                 items:
+ *                   type: object
+ *                   required: [session_id]
+ *                   properties:
+ *                     session_id:
+ *                       type: string
+ *                     promote_top:
+ *                       type: integer
+ *                       minimum: 1
+ *                       description: Candidates per position promoted to the next stage. Required on every stage but the last.
+ *     responses:
+ *       201:
+ *         description: Series created
+ *       400:
+ *         description: Stages missing, out of order or without a promotion count (INVALID_SERIES)
+ *       409:
+ *         description: An election already belongs to a series (SESSION_IN_SERIES)
+ */
+router.post(
+  "/series",
+  ...tenantAdminMiddlewares,
+  requirePermission("sessions.manage"),
+  [
+    body("name").trim().notEmpty().withMessage("Series name is required").isLength({ max: 200 }),
+    body("description").optional().isString().isLength({ max: 2000 }),
+    body("stages").isArray({ min: 2 }).withMessage("A series needs at least 2 stages"),
+    validate,
+  ],
+  auditLogger("create_election_series", "election_series"),
+  electionSeriesController.createSeries,
+);
+
+/**
+ * @swagger
+ * /admin/series/{id}:
+ *   delete:
+ *     summary: Delete an election series
+ *     description: Unlinks the elections. They and any candidates already promoted are kept.
+ *     tags: [Admin - Elections]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Series deleted
+ *       404:
+ *         description: Series not found
+ */
+router.delete(
+  "/series/:id",
+  ...tenantAdminMiddlewares,
+  requirePermission("sessions.manage"),
+  auditLogger("delete_election_series", "election_series"),
+  electionSeriesController.deleteSeries,
+);
+
+module.exports = router;
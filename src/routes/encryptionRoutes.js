@@ -0,0 +1,253 @@
+const express = require("express");
+const router = express.Router();
+const { body } = require("express-validator");
+const encryptionController = require("../controllers/encryptionController");
+const {
+  authenticateAdmin,
+  requireTenantAdmin,
+  requirePermission,
+} = require("../middleware/auth");
+const { requireTenantAccess } = require("../middleware/tenantContext");
+const validate = require("../middleware/validator");
+const auditLogger = require("../middleware/auditLogger");
+
+const tenantAdminMiddlewares = [
+  authenticateAdmin,
+  requireTenantAccess,
+  requireTenantAdmin,
+];
+
+/**
+ * @swagger
+ * /admin/sessions/{id}/encryption:
+ *   get:
+ *     summary: Get encrypted-ballot settings
+ *     description: Returns the election public key, trustees, which trustees have submitted decryption shares, and whether the tally has been decrypted.
+ *     tags: [Admin - Elections]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Encryption settings and tally progress
+ *       404:
+ *         description: Election not found
+ */
+router.get(
+  "/sessions/:id/encryption",
+  ...tenantAdminMiddlewares,
+  encryptionController.getEncryption,
+);
+
+/**
+ * @swagger
+ * /admin/sessions/{id}/encryption:
+ *   put:
+ *     summary: Configure encrypted ballots
+ *     description: |
+ *       Enable or disable encrypted ballots for an upcoming election. Generate the keys offline with
+ *       `node scripts/electionKeyCeremony.js`; only the public key and trustee verification keys are sent
+ *       here. While enabled, no counts are visible until at least `threshold` trustees decrypt the tally.
+ *       Only plurality and approval positions are supported.
+ *     tags: [Admin - Elections]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [enabled]
+ *             properties:
+ *               enabled:
+ *                 type: boolean
+ *               threshold:
+ *                 type: integer
+ *                 minimum: 1
+ *               public_key:
+ *                 type: string
+ *                 description: Hex-encoded group element
+ *               trustees:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     admin_id:
+ *                       type: string
+ *                     index:
+ *                       type: integer
+ *                     verification_key:
+ *                       type: string
+ *     responses:
+ *       200:
+ *         description: Encryption settings updated
+ *       400:
+ *         description: Invalid keys, trustees, or unsupported ballot types
+ *       403:
+ *         description: Voting has already started
+ */
+router.put(
+  "/sessions/:id/encryption",
+  ...tenantAdminMiddlewares,
+  requirePermission("sessions.manage"),
+  [
+    body("enabled").isBoolean().withMessage("enabled must be a boolean"),
+    body("threshold")
+      .if(body("enabled").equals("true"))
+      .isInt({ min: 1 })
+      .withMessage("threshold must be a positive integer"),
+    body("public_key")
+      .if(body("enabled").equals("true"))
+      .isHexadecimal()
+      .withMessage("public_key must be hex encoded"),
+    body("trustees")
+      .if(body("enabled").equals("true"))
+      .isArray({ min: 1 })
+      .withMessage("At least one trustee is required"),
+    validate,
+  ],
+  auditLogger("configure_session_encryption", "sessions"),
+  encryptionController.configureEncryption,
+);
+
+/**
+ * @swagger
+ * /admin/sessions/{id}/encryption/aggregate:
+ *   get:
+ *     summary: Get the encrypted tally for trustees
+ *     description: |
+ *       After the election ends, returns the homomorphic sum of all ballots per candidate. The aggregate
+ *       is frozen on first request; trustees compute partial decryptions over it with
+ *       `node scripts/trusteeDecrypt.js`.
+ *     tags: [Admin - Elections]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Aggregate ciphertexts with proof contexts and digest
+ *       403:
+ *         description: Election has not ended
+ */
+router.get(
+  "/sessions/:id/encryption/aggregate",
+  ...tenantAdminMiddlewares,
+  encryptionController.getAggregate,
+);
+
+/**
+ * @swagger
+ * /admin/sessions/{id}/encryption/shares:
+ *   post:
+ *     summary: Submit a trustee decryption share
+ *     description: The authenticated admin must be one of the election's trustees. Every partial decryption is checked against the trustee's verification key.
+ *     tags: [Admin - Elections]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [aggregate_digest, partials]
+ *             properties:
+ *               aggregate_digest:
+ *                 type: string
+ *               partials:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     position:
+ *                       type: string
+ *                     option:
+ *                       type: string
+ *                     d:
+ *                       type: string
+ *                     proof:
+ *                       type: object
+ *                       properties:
+ *                         a:
+ *                           type: string
+ *                         b:
+ *                           type: string
+ *                         z:
+ *                           type: string
+ *     responses:
+ *       201:
+ *         description: Share accepted
+ *       400:
+ *         description: A proof failed verification
+ *       403:
+ *         description: Not a trustee of this election
+ *       409:
+ *         description: Share already submitted, aggregate mismatch, or tally complete
+ */
+router.post(
+  "/sessions/:id/encryption/shares",
+  ...tenantAdminMiddlewares,
+  [
+    body("aggregate_digest").isString().notEmpty().withMessage("aggregate_digest is required"),
+    body("partials").isArray({ min: 1 }).withMessage("partials must be a non-empty array"),
+    validate,
+  ],
+  auditLogger("submit_decryption_share", "sessions"),
+  encryptionController.submitDecryptionShare,
+);
+
+/**
+ * @swagger
+ * /admin/sessions/{id}/encryption/tally:
+ *   post:
+ *     summary: Decrypt the election tally
+ *     description: Combines at least `threshold` trustee shares to decrypt the per-candidate totals, publishes the results and sends the result announcement.
+ *     tags: [Admin - Elections]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Decrypted totals
+ *       409:
+ *         description: Not enough shares, aggregate not ready, or already tallied
+ *       422:
+ *         description: Shares do not decrypt to a valid total
+ */
+router.post(
+  "/sessions/:id/encryption/tally",
+  ...tenantAdminMiddlewares,
+  requirePermission("sessions.manage"),
+  auditLogger("tally_encrypted_session", "sessions"),
+  encryptionController.tallyEncryptedSession,
+);
+
+module.exports = router;
@@ -0,0 +1,231 @@
+const express = require("express");
+const router = express.Router();
+const { body } = require("express-validator");
+const kioskController = require("../controllers/kioskController");
+const voteController = require("../controllers/voteController");
+const {
+  authenticateAdmin,
+  requireTenantAdmin,
+  requirePermission,
+} = require("../middleware/auth");
+const { requireTenantAccess } = require("../middleware/tenantContext");
+const { requireKioskBallot } = require("../middleware/kioskBallot");
+const validate = require("../middleware/validator");
+const auditLogger = require("../middleware/auditLogger");
+const { KIOSK_VERIFICATION_METHODS } = require("../utils/kioskBallot");
+
+const pollWorkerMiddlewares = [
+  authenticateAdmin,
+  requireTenantAccess,
+  requireTenantAdmin,
+  requirePermission("votes.assist"),
+];
+
+/**
+ * @swagger
+ * /admin/kiosk/sessions/{id}/voters/lookup:
+ *   post:
+ *     summary: Look up a voter at a poll-worker kiosk
+ *     description: |
+ *       Finds the voter by an identifier the institution's identity policy allows, trying the primary
+ *       identifier first unless `identifier_type` is given. Reports whether they can vote in the election.
+ *       Requires the `votes.assist` permission (poll workers, owners and admins).
+ *     tags: [Admin - Elections]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [identifier]
+ *             properties:
+ *               identifier:
+ *                 type: string
+ *                 example: CSC/2021/001
+ *               identifier_type:
+ *                 type: string
+ *                 enum: [matric_no, email]
+ *     responses:
+ *       200:
+ *         description: Voter with `eligible`, `has_voted` and `revote_allowed`
+ *       400:
+ *         description: The identifier type is not allowed (IDENTIFIER_TYPE_NOT_ALLOWED)
+ *       404:
+ *         description: Election or voter not found (VOTER_NOT_FOUND)
+ */
+router.post(
+  "/kiosk/sessions/:id/voters/lookup",
+  ...pollWorkerMiddlewares,
+  [
+    body("identifier").isString().trim().notEmpty().withMessage("Identifier is required"),
+    body("identifier_type").optional().isString(),
+    validate,
+  ],
+  auditLogger("kiosk_voter_lookup", "votes"),
+  kioskController.lookupVoter,
+);
+
+/**
+ * @swagger
+ * /admin/kiosk/sessions/{id}/ballots:
+ *   post:
+ *     summary: Open a one-time kiosk ballot
+ *     description: |
+ *       Opens a ballot for a voter whose identity the poll worker has checked, either by hand (`manual`)
+ *       or with the station camera (`face`, which compares `image_url` with the voter's enrolled face).
+ *       The ballot stays open for 10 minutes, can be used once and only by the worker who opened it.
+ *       Stations are the election's polling zones (see `/admin/sessions/{id}/presence-stations`).
+ *     tags: [Admin - Elections]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [student_id, verification_method]
+ *             properties:
+ *               student_id:
+ *                 type: string
+ *               station_id:
+ *                 type: string
+ *                 description: |
+ *                   Required when the election has more than one polling station and
+ *                   holds voters to them (station codes or a geofence without off-campus voting)
+ *               verification_method:
+ *                 type: string
+ *                 enum: [manual, face]
+ *               image_url:
+ *                 type: string
+ *                 format: uri
+ *                 description: Photo taken by the station camera; required for face verification
+ *     responses:
+ *       201:
+ *         description: Ballot opened
+ *       400:
+ *         description: Voting is closed, no station was chosen (PRESENCE_STATION_REQUIRED) or face verification could not run
+ *       403:
+ *         description: Inactive account, not eligible (NOT_ELIGIBLE) or face did not match (LOW_CONFIDENCE)
+ *       404:
+ *         description: Election or voter not found
+ *       409:
+ *         description: The voter has already voted (ALREADY_VOTED) or the station has no usable location (PRESENCE_STATION_UNLOCATED)
+ */
+router.post(
+  "/kiosk/sessions/:id/ballots",
+  ...pollWorkerMiddlewares,
+  [
+    body("student_id").isMongoId().withMessage("Valid voter ID is required"),
+    body("station_id").optional().isString().trim().notEmpty(),
+    body("verification_method")
+      .isIn(KIOSK_VERIFICATION_METHODS)
+      .withMessage("Verification method must be manual or face"),
+    body("image_url")
+      .if(body("verification_method").equals("face"))
+      .isURL()
+      .withMessage("Valid image URL is required for face verification"),
+    validate,
+  ],
+  auditLogger("open_kiosk_ballot", "votes"),
+  kioskController.openBallot,
+);
+
+/**
+ * @swagger
+ * /admin/kiosk/ballots/{ballotId}/vote:
+ *   post:
+ *     summary: Submit a kiosk ballot
+ *     description: |
+ *       Records the voter's choices with the same rules as `POST /vote`, without the phone, location
+ *       and face checks the poll worker stood in for. Every vote row records the worker, the station
+ *       and how identity was checked (not for secret ballots).
+ *     tags: [Admin - Elections]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ballotId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [choices]
+ *             properties:
+ *               choices:
+ *                 type: array
+ *                 minItems: 1
+ *                 items:
+ *                   type: object
+ *                 description: Same shape as the choices of `POST /vote`
+ *     responses:
+ *       201:
+ *         description: Vote recorded
+ *       403:
+ *         description: The ballot was opened by another poll worker (KIOSK_BALLOT_WORKER_MISMATCH)
+ *       404:
+ *         description: Ballot not found, expired or already used (KIOSK_BALLOT_NOT_FOUND)
+ */
+router.post(
+  "/kiosk/ballots/:ballotId/vote",
+  ...pollWorkerMiddlewares,
+  [
+    body("choices")
+      .isArray({ min: 1 })
+      .withMessage("At least one choice is required"),
+    validate,
+  ],
+  requireKioskBallot,
+  auditLogger("submit_kiosk_vote", "votes"),
+  voteController.submitVote,
+);
+
+/**
+ * @swagger
+ * /admin/kiosk/ballots/{ballotId}:
+ *   delete:
+ *     summary: Cancel an unused kiosk ballot
+ *     tags: [Admin - Elections]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ballotId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Ballot cancelled
+ *       403:
+ *         description: Opened by another poll worker (KIOSK_BALLOT_WORKER_MISMATCH)
+ *       404:
+ *         description: Ballot not found, expired or already used (KIOSK_BALLOT_NOT_FOUND)
+ */
+router.delete(
+  "/kiosk/ballots/:ballotId",
+  ...pollWorkerMiddlewares,
+  auditLogger("cancel_kiosk_ballot", "votes"),
+  kioskController.cancelBallot,
+);
+
+module.exports = router;
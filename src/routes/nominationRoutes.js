@@ -0,0 +1,124 @@
+const express = require("express");
+const router = express.Router();
+const { body, query } = require("express-validator");
+const nominationController = require("../controllers/nominationController");
+const {
+  authenticateAdmin,
+  requireTenantAdmin,
+  requirePermission,
+} = require("../middleware/auth");
+const { requireTenantAccess } = require("../middleware/tenantContext");
+const validate = require("../middleware/validator");
+const auditLogger = require("../middleware/auditLogger");
+const { NOMINATION_STATUSES } = require("../utils/nominationRules");
+
+const tenantAdminMiddlewares = [
+  authenticateAdmin,
+  requireTenantAccess,
+  requireTenantAdmin,
+];
+
+/**
+ * @swagger
+ * /admin/sessions/{id}/nominations:
+ *   get:
+ *     summary: List nominations for an election
+ *     description: Student self-nominations with their seconders and review state. The nomination window itself is configured through the `nomination` field when creating or updating the election.
+ *     tags: [Admin - Candidates]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [awaiting_seconders, pending_review, approved, rejected, withdrawn]
+ *       - in: query
+ *         name: position
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Nominations with counts per status
+ *       404:
+ *         description: Election not found
+ */
+router.get(
+  "/sessions/:id/nominations",
+  ...tenantAdminMiddlewares,
+  [
+    query("status")
+      .optional()
+      .isIn(NOMINATION_STATUSES)
+      .withMessage("Unknown nomination status"),
+    validate,
+  ],
+  nominationController.listNominations,
+);
+
+/**
+ * @swagger
+ * /admin/nominations/{id}/review:
+ *   post:
+ *     summary: Approve or reject a nomination
+ *     description: |
+ *       Approving adds the nominee to the ballot as a candidate; the election must not have started.
+ *       Rejecting requires a reason. Either way the student is notified in-app and by email.
+ *     tags: [Admin - Candidates]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [decision]
+ *             properties:
+ *               decision:
+ *                 type: string
+ *                 enum: [approve, reject]
+ *               reason:
+ *                 type: string
+ *                 description: Required when rejecting
+ *     responses:
+ *       200:
+ *         description: Nomination reviewed
+ *       400:
+ *         description: Missing rejection reason or the position cannot take another candidate
+ *       403:
+ *         description: Voting has already started
+ *       409:
+ *         description: Nomination is not awaiting review
+ */
+router.post(
+  "/nominations/:id/review",
+  ...tenantAdminMiddlewares,
+  requirePermission("sessions.manage"),
+  [
+    body("decision")
+      .isIn(["approve", "reject"])
+      .withMessage("decision must be approve or reject"),
+    body("reason")
+      .if(body("decision").equals("reject"))
+      .trim()
+      .notEmpty()
+      .withMessage("A reason is required to reject a nomination"),
+    validate,
+  ],
+  auditLogger("review_nomination", "candidates"),
+  nominationController.reviewNomination,
+);
+
+module.exports = router;
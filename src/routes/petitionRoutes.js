@@ -0,0 +1,386 @@
+const express = require("express");
+const router = express.Router();
+const { body, query } = require("express-validator");
+const petitionController = require("../controllers/petitionController");
+const {
+  authenticateAdmin,
+  requireTenantAdmin,
+  requirePermission,
+} = require("../middleware/auth");
+const { requireTenantAccess } = require("../middleware/tenantContext");
+const validate = require("../middleware/validator");
+const auditLogger = require("../middleware/auditLogger");
+const {
+  PETITION_STATUSES,
+  PETITION_REMEDIES,
+} = require("../utils/petitionRules");
+
+const tenantAdminMiddlewares = [
+  authenticateAdmin,
+  requireTenantAccess,
+  requireTenantAdmin,
+];
+
+/**
+ * @swagger
+ * /admin/sessions/{id}/petitions:
+ *   get:
+ *     summary: List petitions filed against an election
+ *     description: Returns the election's petitions with their committees, hearings and outcomes, plus the petition window and any results hold.
+ *     tags: [Admin - Elections]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [filed, under_review, hearing_scheduled, upheld, dismissed, withdrawn]
+ *     responses:
+ *       200:
+ *         description: Petitions for the election
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 petitions:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Petition'
+ *       404:
+ *         description: Election not found
+ */
+router.get(
+  "/sessions/:id/petitions",
+  ...tenantAdminMiddlewares,
+  [
+    query("status").optional().isIn(PETITION_STATUSES).withMessage("Invalid petition status"),
+    validate,
+  ],
+  petitionController.listPetitions,
+);
+
+/**
+ * @swagger
+ * /admin/sessions/{id}/results-hold/release:
+ *   post:
+ *     summary: Lift a petition hold on results
+ *     description: |
+ *       Clears the hold an upheld petition placed on the election's results. The results are published
+ *       again unless quorum, certification, an encrypted tally or an embargo still holds them back.
+ *     tags: [Admin - Elections]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Hold lifted
+ *       404:
+ *         description: Election not found
+ *       409:
+ *         description: The results are not on hold (NO_RESULTS_HOLD)
+ */
+router.post(
+  "/sessions/:id/results-hold/release",
+  ...tenantAdminMiddlewares,
+  requirePermission("sessions.manage"),
+  auditLogger("release_results_hold", "sessions"),
+  petitionController.releaseResultsHold,
+);
+
+/**
+ * @swagger
+ * /admin/petitions/{id}:
+ *   get:
+ *     summary: Get a petition
+ *     tags: [Admin - Elections]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Petition details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 petition:
+ *                   $ref: '#/components/schemas/Petition'
+ *       404:
+ *         description: Petition not found
+ */
+router.get(
+  "/petitions/:id",
+  ...tenantAdminMiddlewares,
+  petitionController.getPetition,
+);
+
+/**
+ * @swagger
+ * /admin/petitions/{id}/committee:
+ *   put:
+ *     summary: Assign the petition committee
+ *     description: |
+ *       Replaces the admins hearing the petition and moves a newly filed petition under review.
+ *       Once a committee is assigned only its members (and super admins) can schedule hearings,
+ *       add evidence or decide the petition. Newly assigned members are notified.
+ *     tags: [Admin - Elections]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [admin_ids]
+ *             properties:
+ *               admin_ids:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Committee assigned
+ *       400:
+ *         description: A member is not an active admin of the organization (INVALID_COMMITTEE)
+ *       404:
+ *         description: Petition not found
+ *       409:
+ *         description: The petition has been closed (PETITION_CLOSED)
+ */
+router.put(
+  "/petitions/:id/committee",
+  ...tenantAdminMiddlewares,
+  requirePermission("sessions.manage"),
+  [
+    body("admin_ids")
+      .isArray({ min: 1, max: 15 })
+      .withMessage("Between 1 and 15 committee members are required"),
+    body("admin_ids.*").isMongoId().withMessage("Invalid admin ID"),
+    validate,
+  ],
+  auditLogger("assign_petition_committee", "petitions"),
+  petitionController.assignCommittee,
+);
+
+/**
+ * @swagger
+ * /admin/petitions/{id}/hearings:
+ *   post:
+ *     summary: Schedule a petition hearing
+ *     description: Adds a hearing to the petition and notifies the petitioner.
+ *     tags: [Admin - Elections]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [scheduled_for]
+ *             properties:
+ *               scheduled_for:
+ *                 type: string
+ *                 format: date-time
+ *               location:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Hearing scheduled
+ *       400:
+ *         description: The hearing is not in the future (INVALID_HEARING_DATE)
+ *       403:
+ *         description: Not on the petition committee (NOT_ON_COMMITTEE)
+ *       409:
+ *         description: The petition has been closed (PETITION_CLOSED)
+ */
+router.post(
+  "/petitions/:id/hearings",
+  ...tenantAdminMiddlewares,
+  requirePermission("sessions.manage"),
+  [
+    body("scheduled_for").isISO8601().withMessage("A valid hearing date is required"),
+    body("location").optional().trim().isLength({ max: 200 }),
+    body("notes").optional().trim().isLength({ max: 2000 }),
+    validate,
+  ],
+  auditLogger("schedule_petition_hearing", "petitions"),
+  petitionController.scheduleHearing,
+);
+
+/**
+ * @swagger
+ * /admin/petitions/{id}/evidence:
+ *   post:
+ *     summary: Add evidence to a petition
+ *     description: Attaches evidence gathered by the committee to an undecided petition.
+ *     tags: [Admin - Elections]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [evidence]
+ *             properties:
+ *               evidence:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [url]
+ *                   properties:
+ *                     url:
+ *                       type: string
+ *                     label:
+ *                       type: string
+ *     responses:
+ *       200:
+ *         description: Evidence added
+ *       400:
+ *         description: Invalid evidence, or the petition already has the maximum
+ *       403:
+ *         description: Not on the petition committee (NOT_ON_COMMITTEE)
+ *       409:
+ *         description: The petition has been closed (PETITION_CLOSED)
+ */
+router.post(
+  "/petitions/:id/evidence",
+  ...tenantAdminMiddlewares,
+  requirePermission("sessions.manage"),
+  [
+    body("evidence").isArray({ min: 1 }).withMessage("Evidence is required"),
+    validate,
+  ],
+  auditLogger("add_petition_evidence", "petitions"),
+  petitionController.addEvidence,
+);
+
+/**
+ * @swagger
+ * /admin/petitions/{id}/decision:
+ *   post:
+ *     summary: Decide a petition
+ *     description: |
+ *       Upholds or dismisses the petition and notifies the petitioner. An upheld petition can order
+ *       any of these remedies:
+ *
+ *       - `hold_results` unpublishes the results until the hold is lifted
+ *       - `recount` recounts the election from its valid votes, overwriting the stored counters when `repair` is true
+ *       - `rerun` schedules a new election for the petitioned positions (all positions when none were named) with the same candidates and settings, and notifies eligible students
+ *     tags: [Admin - Elections]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [decision, summary]
+ *             properties:
+ *               decision:
+ *                 type: string
+ *                 enum: [upheld, dismissed]
+ *               remedies:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [hold_results, recount, rerun]
+ *               summary:
+ *                 type: string
+ *               repair:
+ *                 type: boolean
+ *               rerun_start_time:
+ *                 type: string
+ *                 format: date-time
+ *               rerun_end_time:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       200:
+ *         description: Petition decided and remedies applied
+ *       400:
+ *         description: Invalid re-run schedule (INVALID_RERUN_SCHEDULE)
+ *       403:
+ *         description: Not on the petition committee (NOT_ON_COMMITTEE)
+ *       409:
+ *         description: The petition has been closed (PETITION_CLOSED), or a recount was ordered on an encrypted election (ENCRYPTED_SESSION)
+ */
+router.post(
+  "/petitions/:id/decision",
+  ...tenantAdminMiddlewares,
+  requirePermission("sessions.manage"),
+  [
+    body("decision")
+      .isIn(["upheld", "dismissed"])
+      .withMessage("Decision must be upheld or dismissed"),
+    body("remedies").optional().isArray().withMessage("Remedies must be an array"),
+    body("remedies.*").isIn(PETITION_REMEDIES).withMessage("Invalid remedy"),
+    body("remedies").custom((remedies = [], { req }) => {
+      if (remedies.length > 0 && req.body.decision !== "upheld") {
+        throw new Error("Only an upheld petition can order remedies");
+      }
+      return true;
+    }),
+    body("summary")
+      .trim()
+      .notEmpty()
+      .withMessage("A summary of the decision is required")
+      .isLength({ max: 2000 }),
+    body("repair").optional().isBoolean(),
+    body("rerun_start_time").optional().isISO8601(),
+    body("rerun_end_time").optional().isISO8601(),
+    validate,
+  ],
+  auditLogger("decide_petition", "petitions"),
+  petitionController.decidePetition,
+);
+
+module.exports = router;
@@ -0,0 +1,196 @@
+const express = require("express");
+const router = express.Router();
+const { body } = require("express-validator");
+const pollingLocationController = require("../controllers/pollingLocationController");
+const {
+  authenticateAdmin,
+  requireTenantAdmin,
+  requirePermission,
+} = require("../middleware/auth");
+const { requireTenantAccess } = require("../middleware/tenantContext");
+const validate = require("../middleware/validator");
+const auditLogger = require("../middleware/auditLogger");
+
+const tenantAdminMiddlewares = [
+  authenticateAdmin,
+  requireTenantAccess,
+  requireTenantAdmin,
+];
+
+const locationValidators = [
+  body("name").optional().isString().trim().notEmpty().isLength({ max: 200 }),
+  body("description").optional().isString().isLength({ max: 1000 }),
+  body("shape").optional().isIn(["circle", "polygon"]).withMessage("Shape must be circle or polygon"),
+  body("center").optional().isObject(),
+  body("radius_meters").optional().isFloat(),
+  body("polygon").optional().isObject(),
+];
+
+/**
+ * @swagger
+ * /admin/polling-locations:
+ *   get:
+ *     summary: List saved polling locations
+ *     tags: [Admin - Elections]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Polling locations
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 locations:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PollingLocation'
+ */
+router.get(
+  "/polling-locations",
+  ...tenantAdminMiddlewares,
+  pollingLocationController.listLocations,
+);
+
+/**
+ * @swagger
+ * /admin/polling-locations/{id}:
+ *   get:
+ *     summary: Get a saved polling location
+ *     description: Returns the location and up to 50 elections that use it, newest first.
+ *     tags: [Admin - Elections]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Polling location
+ *       404:
+ *         description: Polling location not found
+ */
+router.get(
+  "/polling-locations/:id",
+  ...tenantAdminMiddlewares,
+  pollingLocationController.getLocation,
+);
+
+/**
+ * @swagger
+ * /admin/polling-locations:
+ *   post:
+ *     summary: Save a polling location
+ *     description: |
+ *       Saves a named circle or GeoJSON polygon for reuse. Elections use it by listing
+ *       `{ "location_id": "..." }` in their `polling_zones`.
+ *     tags: [Admin - Elections]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PollingLocation'
+ *     responses:
+ *       201:
+ *         description: Polling location saved
+ *       400:
+ *         description: Invalid coordinates, radius or polygon (INVALID_POLLING_LOCATION)
+ *       409:
+ *         description: The name is taken (LOCATION_NAME_TAKEN)
+ */
+router.post(
+  "/polling-locations",
+  ...tenantAdminMiddlewares,
+  requirePermission("sessions.manage"),
+  [
+    body("name").isString().trim().notEmpty().withMessage("Location name is required"),
+    body("shape").isIn(["circle", "polygon"]).withMessage("Shape must be circle or polygon"),
+    ...locationValidators,
+    validate,
+  ],
+  auditLogger("create_polling_location", "polling_locations"),
+  pollingLocationController.createLocation,
+);
+
+/**
+ * @swagger
+ * /admin/polling-locations/{id}:
+ *   put:
+ *     summary: Edit a polling location
+ *     description: |
+ *       Updates the location and copies it into every election that uses it and has not started.
+ *       Running and past elections keep the zone they were run with. Elections where the new name
+ *       clashes with another of their zones are left unchanged and listed in `sessions_skipped`.
+ *     tags: [Admin - Elections]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PollingLocation'
+ *     responses:
+ *       200:
+ *         description: Polling location updated, with the elections it was copied into
+ *       400:
+ *         description: Invalid coordinates, radius or polygon (INVALID_POLLING_LOCATION)
+ *       404:
+ *         description: Polling location not found
+ *       409:
+ *         description: The name is taken (LOCATION_NAME_TAKEN)
+ */
+router.put(
+  "/polling-locations/:id",
+  ...tenantAdminMiddlewares,
+  requirePermission("sessions.manage"),
+  [...locationValidators, validate],
+  auditLogger("update_polling_location", "polling_locations"),
+  pollingLocationController.updateLocation,
+);
+
+/**
+ * @swagger
+ * /admin/polling-locations/{id}:
+ *   delete:
+ *     summary: Delete a polling location
+ *     description: Only locations no running or upcoming election uses can be deleted. Past elections keep their own copy.
+ *     tags: [Admin - Elections]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Polling location deleted
+ *       404:
+ *         description: Polling location not found
+ *       409:
+ *         description: Elections that have not ended use it (LOCATION_IN_USE)
+ */
+router.delete(
+  "/polling-locations/:id",
+  ...tenantAdminMiddlewares,
+  requirePermission("sessions.manage"),
+  auditLogger("delete_polling_location", "polling_locations"),
+  pollingLocationController.deleteLocation,
+);
+
+module.exports = router;
@@ -0,0 +1,114 @@
+const express = require("express");
+const router = express.Router();
+const { query } = require("express-validator");
+const presenceController = require("../controllers/presenceController");
+const {
+  authenticateAdmin,
+  requireTenantAdmin,
+  requirePermission,
+} = require("../middleware/auth");
+const { requireTenantAccess } = require("../middleware/tenantContext");
+const validate = require("../middleware/validator");
+
+const tenantAdminMiddlewares = [
+  authenticateAdmin,
+  requireTenantAccess,
+  requireTenantAdmin,
+];
+
+/**
+ * @swagger
+ * /admin/sessions/{id}/presence-stations:
+ *   get:
+ *     summary: List an election's polling stations
+ *     description: One station per polling zone. The station `id` selects which code a display shows.
+ *     tags: [Admin - Elections]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Presence settings and polling stations
+ *       404:
+ *         description: Election not found
+ */
+router.get(
+  "/sessions/:id/presence-stations",
+  ...tenantAdminMiddlewares,
+  presenceController.getStations,
+);
+
+/**
+ * @swagger
+ * /admin/sessions/{id}/presence-code:
+ *   get:
+ *     summary: Get the current QR code for a polling station display
+ *     description: |
+ *       Returns a signed code tied to the election, the station and the current rotation window.
+ *       Render `code` as a QR code and fetch a new one after `refresh_in_seconds`. Students send
+ *       the scanned code as `presence_code` when voting; it is accepted until `expires_at`.
+ *       Changing the election's `rotation_seconds` invalidates codes already on display.
+ *     tags: [Admin - Elections]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: station_id
+ *         schema:
+ *           type: string
+ *         description: Required when the election has more than one polling station
+ *     responses:
+ *       200:
+ *         description: Station code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 station:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                     name:
+ *                       type: string
+ *                     zone_id:
+ *                       type: string
+ *                       nullable: true
+ *                 code:
+ *                   type: string
+ *                 issued_at:
+ *                   type: string
+ *                   format: date-time
+ *                 rotates_at:
+ *                   type: string
+ *                   format: date-time
+ *                 expires_at:
+ *                   type: string
+ *                   format: date-time
+ *                 refresh_in_seconds:
+ *                   type: integer
+ *       400:
+ *         description: The election does not use station codes (PRESENCE_CODES_DISABLED), has closed (SESSION_CLOSED), or has several stations and none was chosen (PRESENCE_STATION_REQUIRED)
+ *       404:
+ *         description: Election or station not found (PRESENCE_STATION_NOT_FOUND)
+ */
+router.get(
+  "/sessions/:id/presence-code",
+  ...tenantAdminMiddlewares,
+  requirePermission("sessions.manage"),
+  [query("station_id").optional().isString().trim().notEmpty(), validate],
+  presenceController.getCode,
+);
+
+module.exports = router;
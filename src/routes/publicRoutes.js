@@ -43,7 +43,48 @@ router.get(
  *           type: string
  *     responses:
  *       200:
- *         description: Live election turnout payload
+ *         description: Live election turnout payload. Stages of a multi-stage election include the series timeline in `series`.
+ *       404:
+ *         description: Live election not found
+ */
+
+router.get(
+  "/live/:tenantSlug/:liveCode/bulletin",
+  apiLimiter,
+  publicController.getPublicBulletinBoard,
+);
+
+/**
+ * @swagger
+ * /public/live/{tenantSlug}/{liveCode}/bulletin:
+ *   get:
+ *     summary: Get the public ballot bulletin board for an election
+ *     description: >
+ *       Lists the receipt hash of every counted ballot, sorted by hash. Once the
+ *       election has ended each entry also carries its ballot id and selections,
+ *       so observers can recompute every hash and the published totals.
+ *     tags: [Public]
+ *     parameters:
+ *       - in: path
+ *         name: tenantSlug
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: liveCode
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: receipt
+ *         schema:
+ *           type: string
+ *         description: Receipt code or hash to look up a single ballot
+ *     responses:
+ *       200:
+ *         description: Bulletin board payload
+ *       400:
+ *         description: Invalid receipt code
  *       404:
  *         description: Live election not found
  */
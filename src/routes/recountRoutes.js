@@ -0,0 +1,97 @@
+const express = require("express");
+const router = express.Router();
+const { body } = require("express-validator");
+const recountController = require("../controllers/recountController");
+const {
+  authenticateAdmin,
+  requireTenantAdmin,
+  requirePermission,
+} = require("../middleware/auth");
+const { requireTenantAccess } = require("../middleware/tenantContext");
+const validate = require("../middleware/validator");
+const auditLogger = require("../middleware/auditLogger");
+
+const tenantAdminMiddlewares = [
+  authenticateAdmin,
+  requireTenantAccess,
+  requireTenantAdmin,
+];
+
+/**
+ * @swagger
+ * /admin/sessions/{id}/recount:
+ *   post:
+ *     summary: Recount an election from its valid votes
+ *     description: |
+ *       Recomputes every candidate's total from the valid vote records and compares it with the
+ *       stored `vote_count`. With `repair` the stored counters are overwritten, in the same
+ *       transaction as the count. Every recount is kept as a permanent record.
+ *     tags: [Admin - Elections]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               repair:
+ *                 type: boolean
+ *                 default: false
+ *               reason:
+ *                 type: string
+ *                 example: Candidate agent disputed the President count
+ *     responses:
+ *       201:
+ *         description: Recount record with every discrepancy found
+ *       404:
+ *         description: Election not found
+ *       409:
+ *         description: Encrypted election, counted by the trustee tally instead (ENCRYPTED_SESSION)
+ */
+router.post(
+  "/sessions/:id/recount",
+  ...tenantAdminMiddlewares,
+  requirePermission("sessions.manage"),
+  [
+    body("repair").optional().isBoolean().withMessage("repair must be a boolean").toBoolean(),
+    body("reason").optional().trim().isLength({ max: 1000 }),
+    validate,
+  ],
+  auditLogger("recount_session", "sessions"),
+  recountController.runRecount,
+);
+
+/**
+ * @swagger
+ * /admin/sessions/{id}/recounts:
+ *   get:
+ *     summary: List an election's recounts
+ *     tags: [Admin - Elections]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Recounts, newest first
+ *       404:
+ *         description: Election not found
+ */
+router.get(
+  "/sessions/:id/recounts",
+  ...tenantAdminMiddlewares,
+  recountController.listRecounts,
+);
+
+module.exports = router;
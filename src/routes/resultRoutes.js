@@ -5,6 +5,7 @@ const {
   authenticateStudent,
   authenticateAdmin,
   requireTenantAdmin,
+  requirePermission,
 } = require("../middleware/auth");
 const { requireTenantAccess } = require("../middleware/tenantContext");
 const { apiLimiter } = require("../middleware/rateLimiter");
@@ -30,6 +31,40 @@ router.get(
   resultController.getOverallStats,
 );
 
+/**
+ * @swagger
+ * /results/{session_id}/preview:
+ *   get:
+ *     summary: Preview embargoed election results
+ *     description: |
+ *       Final results of a closed election before its `results_release_at` embargo lifts, with
+ *       each position's reveal time. Requires the `sessions.manage` or `results.certify` permission.
+ *     tags: [Results]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: session_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Results with the release schedule in `release`
+ *       404:
+ *         description: Election not found
+ *       409:
+ *         description: Voting has not closed (SESSION_NOT_ENDED) or the tally is still encrypted (RESULTS_AWAITING_DECRYPTION)
+ */
+router.get(
+  "/:session_id/preview",
+  authenticateAdmin,
+  requireTenantAdmin,
+  requireTenantAccess,
+  requirePermission("sessions.manage", "results.certify"),
+  resultController.previewResults,
+);
+
 /**
  * @swagger
  * /results/{session_id}:
@@ -47,7 +82,9 @@ router.get(
  *           type: string
  *     responses:
  *       200:
- *         description: Election results
+ *         description: Election results. Stages of a multi-stage election include the series timeline in `series`; certified results include the approvals in `certification`. Positions not yet reached in the reveal order are omitted; `release` lists when each is revealed. Disqualified candidates are listed last with `disqualified` and the `disqualification` reason and reference, and are never winners.
+ *       403:
+ *         description: Election still running, awaiting trustee decryption, awaiting certification (RESULTS_PENDING_CERTIFICATION), embargoed until `release_at` (RESULTS_EMBARGOED), held because turnout missed the quorum (QUORUM_NOT_MET), or on hold while a petition is resolved (RESULTS_ON_HOLD)
  *       404:
  *         description: Election not found
  */
@@ -0,0 +1,224 @@
+const express = require("express");
+const router = express.Router();
+const { body } = require("express-validator");
+const sessionLifecycleController = require("../controllers/sessionLifecycleController");
+const {
+  authenticateAdmin,
+  requireTenantAdmin,
+  requirePermission,
+} = require("../middleware/auth");
+const { requireTenantAccess } = require("../middleware/tenantContext");
+const validate = require("../middleware/validator");
+const auditLogger = require("../middleware/auditLogger");
+
+const tenantAdminMiddlewares = [
+  authenticateAdmin,
+  requireTenantAccess,
+  requireTenantAdmin,
+];
+
+/**
+ * @swagger
+ * /admin/sessions/{id}/publish:
+ *   post:
+ *     summary: Publish a draft election
+ *     description: The election becomes visible to students and follows its start and end times from then on.
+ *     tags: [Admin - Elections]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Election published
+ *       400:
+ *         description: The draft's voting window has already passed (INVALID_END_TIME)
+ *       404:
+ *         description: Election not found
+ *       409:
+ *         description: Election is not a draft (INVALID_SESSION_TRANSITION)
+ */
+router.post(
+  "/sessions/:id/publish",
+  ...tenantAdminMiddlewares,
+  requirePermission("sessions.manage"),
+  auditLogger("publish_session", "sessions"),
+  sessionLifecycleController.publishSession,
+);
+
+/**
+ * @swagger
+ * /admin/sessions/{id}/pause:
+ *   post:
+ *     summary: Pause a running election
+ *     description: Ballots are refused with `SESSION_PAUSED` until the election is resumed. The end time keeps running.
+ *     tags: [Admin - Elections]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Voting paused
+ *       404:
+ *         description: Election not found
+ *       409:
+ *         description: Election is not running (INVALID_SESSION_TRANSITION)
+ */
+router.post(
+  "/sessions/:id/pause",
+  ...tenantAdminMiddlewares,
+  requirePermission("sessions.manage"),
+  [body("reason").optional().isString().isLength({ max: 1000 }), validate],
+  auditLogger("pause_session", "sessions"),
+  sessionLifecycleController.pauseSession,
+);
+
+/**
+ * @swagger
+ * /admin/sessions/{id}/resume:
+ *   post:
+ *     summary: Resume a paused election
+ *     description: If the end time passed while paused, the election closes on the scheduler's next run. Extend it first to keep voting open.
+ *     tags: [Admin - Elections]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Voting resumed
+ *       404:
+ *         description: Election not found
+ *       409:
+ *         description: Election is not paused (INVALID_SESSION_TRANSITION)
+ */
+router.post(
+  "/sessions/:id/resume",
+  ...tenantAdminMiddlewares,
+  requirePermission("sessions.manage"),
+  auditLogger("resume_session", "sessions"),
+  sessionLifecycleController.resumeSession,
+);
+
+/**
+ * @swagger
+ * /admin/sessions/{id}/cancel:
+ *   post:
+ *     summary: Cancel an election
+ *     description: Cancelled elections accept no ballots and never publish results. Eligible students are notified unless the election was still a draft.
+ *     tags: [Admin - Elections]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Election cancelled
+ *       404:
+ *         description: Election not found
+ *       409:
+ *         description: Election has already ended or been cancelled (INVALID_SESSION_TRANSITION)
+ */
+router.post(
+  "/sessions/:id/cancel",
+  ...tenantAdminMiddlewares,
+  requirePermission("sessions.manage"),
+  [
+    body("reason")
+      .trim()
+      .notEmpty()
+      .withMessage("A cancellation reason is required")
+      .isLength({ max: 1000 }),
+    validate,
+  ],
+  auditLogger("cancel_session", "sessions"),
+  sessionLifecycleController.cancelSession,
+);
+
+/**
+ * @swagger
+ * /admin/sessions/{id}/extend:
+ *   post:
+ *     summary: Extend an election's end time
+ *     description: Eligible students are notified of the new closing time.
+ *     tags: [Admin - Elections]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [end_time]
+ *             properties:
+ *               end_time:
+ *                 type: string
+ *                 format: date-time
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: End time extended
+ *       400:
+ *         description: The new end time is not later than the current one (INVALID_END_TIME)
+ *       404:
+ *         description: Election not found
+ *       409:
+ *         description: Election has already closed (INVALID_SESSION_TRANSITION)
+ */
+router.post(
+  "/sessions/:id/extend",
+  ...tenantAdminMiddlewares,
+  requirePermission("sessions.manage"),
+  [
+    body("end_time").isISO8601().withMessage("Valid end time is required"),
+    body("reason").optional().isString().isLength({ max: 1000 }),
+    validate,
+  ],
+  auditLogger("extend_session", "sessions"),
+  sessionLifecycleController.extendSession,
+);
+
+module.exports = router;
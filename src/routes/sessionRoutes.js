@@ -1,9 +1,13 @@
 const express = require("express");
 const router = express.Router();
+const { body } = require("express-validator");
 const sessionController = require("../controllers/sessionController");
+const nominationController = require("../controllers/nominationController");
+const petitionController = require("../controllers/petitionController");
 const { authenticateStudent } = require("../middleware/auth");
 const { requireTenantAccess } = require("../middleware/tenantContext");
 const { apiLimiter } = require("../middleware/rateLimiter");
+const validate = require("../middleware/validator");
 
 /**
  * @swagger
@@ -75,7 +79,7 @@ router.get("/:id", authenticateStudent, requireTenantAccess, sessionController.g
  * /sessions/{id}/live-results:
  *   get:
  *     summary: Get live results for a session
- *     description: Retrieve real-time vote tallies for an active or ended session. Optimized with Redis caching for high traffic.
+ *     description: Retrieve real-time vote tallies for an active or ended session. Optimized with Redis caching for high traffic. Disqualified candidates are marked `disqualified` and never shown as leading.
  *     tags: [Elections]
  *     security:
  *       - BearerAuth: []
@@ -128,6 +132,363 @@ router.get(
   sessionController.getLiveResults,
 );
 
+/**
+ * @swagger
+ * /sessions/{id}/nominations:
+ *   get:
+ *     summary: Get the nomination window and open nominations
+ *     description: Returns the election's nomination window, the student's own nominations, and nominations for positions the student may vote on (which they can second).
+ *     tags: [Elections]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Nomination window and nominations
+ *       404:
+ *         description: Election not found
+ */
+router.get(
+  "/:id/nominations",
+  authenticateStudent,
+  requireTenantAccess,
+  apiLimiter,
+  nominationController.getSessionNominations,
+);
+
+/**
+ * @swagger
+ * /sessions/{id}/nominations:
+ *   post:
+ *     summary: Nominate yourself as a candidate
+ *     description: |
+ *       Submit your own candidacy while the nomination window is open. You must be eligible to vote for the position.
+ *       When the election requires seconders the nomination waits for them before going to the election committee.
+ *     tags: [Elections]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [position, photo_url]
+ *             properties:
+ *               position:
+ *                 type: string
+ *               photo_url:
+ *                 type: string
+ *               bio:
+ *                 type: string
+ *               manifesto:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Nomination submitted
+ *       403:
+ *         description: Nomination window not open, or not eligible for the position
+ *       409:
+ *         description: You already have a nomination in this election
+ */
+router.post(
+  "/:id/nominations",
+  authenticateStudent,
+  requireTenantAccess,
+  apiLimiter,
+  [
+    body("position").notEmpty().withMessage("Position is required"),
+    body("photo_url").notEmpty().withMessage("Candidate photo is required"),
+    validate,
+  ],
+  nominationController.submitNomination,
+);
+
+/**
+ * @swagger
+ * /sessions/{id}/nominations/{nominationId}/second:
+ *   post:
+ *     summary: Second a nomination
+ *     description: Add your support to another student's nomination. Only students eligible to vote for the position can second it.
+ *     tags: [Elections]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: nominationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Nomination seconded
+ *       403:
+ *         description: Nomination window not open, or not eligible for the position
+ *       409:
+ *         description: Already seconded, or the nomination is not looking for seconders
+ */
+router.post(
+  "/:id/nominations/:nominationId/second",
+  authenticateStudent,
+  requireTenantAccess,
+  apiLimiter,
+  nominationController.secondNomination,
+);
+
+/**
+ * @swagger
+ * /sessions/{id}/nominations/{nominationId}:
+ *   delete:
+ *     summary: Withdraw your nomination
+ *     description: Withdraw your own nomination before the election committee reviews it.
+ *     tags: [Elections]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: nominationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Nomination withdrawn
+ *       404:
+ *         description: No nomination awaiting review
+ */
+router.delete(
+  "/:id/nominations/:nominationId",
+  authenticateStudent,
+  requireTenantAccess,
+  nominationController.withdrawNomination,
+);
+
+/**
+ * @swagger
+ * /sessions/{id}/petitions:
+ *   get:
+ *     summary: Get the petition window and your petitions
+ *     description: Returns the election's petition window and the petitions you have filed against its outcome.
+ *     tags: [Elections]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Petition window and your petitions
+ *       404:
+ *         description: Election not found
+ */
+router.get(
+  "/:id/petitions",
+  authenticateStudent,
+  requireTenantAccess,
+  petitionController.getSessionPetitions,
+);
+
+/**
+ * @swagger
+ * /sessions/{id}/petitions:
+ *   post:
+ *     summary: Petition against the election outcome
+ *     description: |
+ *       Challenge the outcome of the whole election, or of named positions and candidates, while the petition window is open.
+ *       Only students who voted in the election or stood as candidates may petition, and only one open petition per student is allowed.
+ *     tags: [Elections]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [grounds]
+ *             properties:
+ *               positions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               candidate_ids:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               grounds:
+ *                 type: string
+ *               relief_sought:
+ *                 type: string
+ *               evidence:
+ *                 type: array
+ *                 maxItems: 10
+ *                 items:
+ *                   type: object
+ *                   required: [url]
+ *                   properties:
+ *                     url:
+ *                       type: string
+ *                     label:
+ *                       type: string
+ *     responses:
+ *       201:
+ *         description: Petition filed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 petition:
+ *                   $ref: '#/components/schemas/Petition'
+ *       400:
+ *         description: Unknown position or candidate, or invalid evidence
+ *       403:
+ *         description: Petition window not open, or you did not vote or stand in the election
+ *       409:
+ *         description: You already have an open petition in this election
+ */
+router.post(
+  "/:id/petitions",
+  authenticateStudent,
+  requireTenantAccess,
+  apiLimiter,
+  [
+    body("grounds").trim().notEmpty().withMessage("Grounds are required"),
+    body("positions").optional().isArray().withMessage("Positions must be an array"),
+    body("candidate_ids")
+      .optional()
+      .isArray()
+      .withMessage("Candidate IDs must be an array"),
+    body("candidate_ids.*").isMongoId().withMessage("Invalid candidate ID"),
+    body("evidence").optional().isArray().withMessage("Evidence must be an array"),
+    validate,
+  ],
+  petitionController.filePetition,
+);
+
+/**
+ * @swagger
+ * /sessions/{id}/petitions/{petitionId}/evidence:
+ *   post:
+ *     summary: Add evidence to your petition
+ *     description: Attach more evidence links to your undecided petition while the petition window is open.
+ *     tags: [Elections]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: petitionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [evidence]
+ *             properties:
+ *               evidence:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [url]
+ *                   properties:
+ *                     url:
+ *                       type: string
+ *                     label:
+ *                       type: string
+ *     responses:
+ *       200:
+ *         description: Evidence added
+ *       400:
+ *         description: Invalid evidence, or the petition already has the maximum
+ *       403:
+ *         description: The petition window has closed
+ *       409:
+ *         description: The petition has been decided
+ */
+router.post(
+  "/:id/petitions/:petitionId/evidence",
+  authenticateStudent,
+  requireTenantAccess,
+  apiLimiter,
+  [
+    body("evidence").isArray({ min: 1 }).withMessage("Evidence is required"),
+    validate,
+  ],
+  petitionController.addEvidence,
+);
+
+/**
+ * @swagger
+ * /sessions/{id}/petitions/{petitionId}/withdraw:
+ *   post:
+ *     summary: Withdraw your petition
+ *     description: Withdraw your own petition before the election committee decides it.
+ *     tags: [Elections]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: petitionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Petition withdrawn
+ *       404:
+ *         description: No open petition of yours was found
+ */
+router.post(
+  "/:id/petitions/:petitionId/withdraw",
+  authenticateStudent,
+  requireTenantAccess,
+  petitionController.withdrawPetition,
+);
+
 /**
  * @swagger
  * /sessions/candidates/{id}:
@@ -0,0 +1,256 @@
+const express = require("express");
+const router = express.Router();
+const { body } = require("express-validator");
+const sessionTemplateController = require("../controllers/sessionTemplateController");
+const {
+  authenticateAdmin,
+  requireTenantAdmin,
+  requirePermission,
+} = require("../middleware/auth");
+const { requireTenantAccess } = require("../middleware/tenantContext");
+const validate = require("../middleware/validator");
+const auditLogger = require("../middleware/auditLogger");
+
+const tenantAdminMiddlewares = [
+  authenticateAdmin,
+  requireTenantAccess,
+  requireTenantAdmin,
+];
+
+const newSessionValidators = [
+  body("title").optional().isString().trim().notEmpty(),
+  body("description").optional().isString(),
+  body("start_time").isISO8601().withMessage("Valid start time is required"),
+  body("end_time").optional().isISO8601().withMessage("End time must be a valid date"),
+  body("draft").optional().isBoolean(),
+];
+
+/**
+ * @swagger
+ * /admin/session-templates:
+ *   get:
+ *     summary: List the tenant's election templates
+ *     tags: [Admin - Elections]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Templates
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 templates:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SessionTemplate'
+ */
+router.get(
+  "/session-templates",
+  ...tenantAdminMiddlewares,
+  sessionTemplateController.listTemplates,
+);
+
+/**
+ * @swagger
+ * /admin/session-templates/{id}:
+ *   get:
+ *     summary: Get an election template
+ *     tags: [Admin - Elections]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Template
+ *       404:
+ *         description: Template not found
+ */
+router.get(
+  "/session-templates/:id",
+  ...tenantAdminMiddlewares,
+  sessionTemplateController.getTemplate,
+);
+
+/**
+ * @swagger
+ * /admin/session-templates/{id}:
+ *   delete:
+ *     summary: Delete an election template
+ *     description: Elections already created from the template are not affected.
+ *     tags: [Admin - Elections]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Template deleted
+ *       404:
+ *         description: Template not found
+ */
+router.delete(
+  "/session-templates/:id",
+  ...tenantAdminMiddlewares,
+  requirePermission("sessions.manage"),
+  auditLogger("delete_session_template", "session_templates"),
+  sessionTemplateController.deleteTemplate,
+);
+
+/**
+ * @swagger
+ * /admin/sessions/{id}/template:
+ *   post:
+ *     summary: Save an election's setup as a template
+ *     description: |
+ *       Stores the positions, ballot rules, eligibility, geofence, nomination, tie-break and quorum
+ *       settings and the descriptions. Nomination windows and the duration are kept relative to the
+ *       start time. Candidates, encryption keys and the lot seed are not stored.
+ *     tags: [Admin - Elections]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Template saved
+ *       404:
+ *         description: Election not found
+ *       409:
+ *         description: A template with this name already exists (TEMPLATE_NAME_TAKEN)
+ */
+router.post(
+  "/sessions/:id/template",
+  ...tenantAdminMiddlewares,
+  requirePermission("sessions.manage"),
+  [
+    body("name").trim().notEmpty().withMessage("Template name is required").isLength({ max: 200 }),
+    body("notes").optional().isString().isLength({ max: 2000 }),
+    validate,
+  ],
+  auditLogger("create_session_template", "session_templates"),
+  sessionTemplateController.saveTemplate,
+);
+
+/**
+ * @swagger
+ * /admin/session-templates/{id}/sessions:
+ *   post:
+ *     summary: Create an election from a template
+ *     description: |
+ *       The election gets the template's settings on the given dates and its own live public code.
+ *       If `end_time` is omitted the template's duration is used. Encrypted elections need a new
+ *       key setup (`encryption_setup_required`).
+ *     tags: [Admin - Elections]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/NewSessionFromTemplate'
+ *     responses:
+ *       201:
+ *         description: Election created
+ *       400:
+ *         description: Invalid dates (INVALID_SESSION_DATES)
+ *       403:
+ *         description: Plan limit reached (PLAN_LIMIT_REACHED)
+ *       404:
+ *         description: Template not found
+ */
+router.post(
+  "/session-templates/:id/sessions",
+  ...tenantAdminMiddlewares,
+  requirePermission("sessions.manage"),
+  [...newSessionValidators, validate],
+  auditLogger("create_session_from_template", "sessions"),
+  sessionTemplateController.createFromTemplate,
+);
+
+/**
+ * @swagger
+ * /admin/sessions/{id}/clone:
+ *   post:
+ *     summary: Clone an election onto new dates
+ *     description: |
+ *       Copies the election's settings like a template. With `include_candidates` its candidates and
+ *       running-mate tickets are copied too, without their votes.
+ *     tags: [Admin - Elections]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/NewSessionFromTemplate'
+ *               - type: object
+ *                 properties:
+ *                   include_candidates:
+ *                     type: boolean
+ *                     default: false
+ *     responses:
+ *       201:
+ *         description: Election cloned
+ *       400:
+ *         description: Invalid dates (INVALID_SESSION_DATES)
+ *       403:
+ *         description: Plan limit reached (PLAN_LIMIT_REACHED)
+ *       404:
+ *         description: Election not found
+ */
+router.post(
+  "/sessions/:id/clone",
+  ...tenantAdminMiddlewares,
+  requirePermission("sessions.manage"),
+  [
+    ...newSessionValidators,
+    body("include_candidates").optional().isBoolean(),
+    validate,
+  ],
+  auditLogger("clone_session", "sessions"),
+  sessionTemplateController.cloneSession,
+);
+
+module.exports = router;
@@ -0,0 +1,146 @@
+const express = require("express");
+const router = express.Router();
+const { body } = require("express-validator");
+const ticketController = require("../controllers/ticketController");
+const {
+  authenticateAdmin,
+  requireTenantAdmin,
+  requirePermission,
+} = require("../middleware/auth");
+const { requireTenantAccess } = require("../middleware/tenantContext");
+const validate = require("../middleware/validator");
+const auditLogger = require("../middleware/auditLogger");
+
+const tenantAdminMiddlewares = [
+  authenticateAdmin,
+  requireTenantAccess,
+  requireTenantAdmin,
+];
+
+/**
+ * @swagger
+ * /admin/sessions/{id}/tickets:
+ *   get:
+ *     summary: List running-mate tickets for an election
+ *     tags: [Admin - Candidates]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Tickets with their members
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 tickets:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Ticket'
+ *       404:
+ *         description: Election not found
+ */
+router.get(
+  "/sessions/:id/tickets",
+  ...tenantAdminMiddlewares,
+  ticketController.listTickets,
+);
+
+/**
+ * @swagger
+ * /admin/sessions/{id}/tickets:
+ *   post:
+ *     summary: Create a running-mate ticket
+ *     description: |
+ *       Pairs one existing candidate per linked position (for example President and Vice President).
+ *       Linked positions must be single-seat plurality races with the same voter eligibility, and every
+ *       ticket in the election must cover the same positions. Once tickets exist, students vote for
+ *       those positions by ticket only.
+ *     tags: [Admin - Candidates]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, candidate_ids]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Unity
+ *               candidate_ids:
+ *                 type: array
+ *                 minItems: 2
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       201:
+ *         description: Ticket created
+ *       400:
+ *         description: Invalid members or positions (INVALID_TICKET, TICKET_POSITION_UNSUPPORTED, TICKET_POSITIONS_MISMATCH, CANDIDATE_ON_TICKET)
+ *       403:
+ *         description: Voting has already started
+ *       404:
+ *         description: Election not found
+ */
+router.post(
+  "/sessions/:id/tickets",
+  ...tenantAdminMiddlewares,
+  requirePermission("sessions.manage"),
+  [
+    body("name").trim().notEmpty().withMessage("Ticket name is required"),
+    body("candidate_ids")
+      .isArray({ min: 2 })
+      .withMessage("A ticket needs at least two candidates"),
+    validate,
+  ],
+  auditLogger("create_ticket", "candidates"),
+  ticketController.createTicket,
+);
+
+/**
+ * @swagger
+ * /admin/tickets/{id}:
+ *   delete:
+ *     summary: Delete a running-mate ticket
+ *     description: The members stay on the ballot as individual candidates. Only allowed before voting starts.
+ *     tags: [Admin - Candidates]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Ticket deleted
+ *       403:
+ *         description: Voting has already started
+ *       404:
+ *         description: Ticket not found
+ */
+router.delete(
+  "/tickets/:id",
+  ...tenantAdminMiddlewares,
+  requirePermission("sessions.manage"),
+  auditLogger("delete_ticket", "candidates"),
+  ticketController.deleteTicket,
+);
+
+module.exports = router;
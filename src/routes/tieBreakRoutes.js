@@ -0,0 +1,109 @@
+const express = require("express");
+const router = express.Router();
+const { body } = require("express-validator");
+const tieBreakController = require("../controllers/tieBreakController");
+const {
+  authenticateAdmin,
+  requireTenantAdmin,
+  requirePermission,
+} = require("../middleware/auth");
+const { requireTenantAccess } = require("../middleware/tenantContext");
+const validate = require("../middleware/validator");
+const auditLogger = require("../middleware/auditLogger");
+
+const tenantAdminMiddlewares = [
+  authenticateAdmin,
+  requireTenantAccess,
+  requireTenantAdmin,
+];
+
+/**
+ * @swagger
+ * /admin/sessions/{id}/tie-breaks:
+ *   get:
+ *     summary: Get the tie-break policy and recorded ties of an election
+ *     description: |
+ *       Ties are detected when results are published. Depending on the election's `tie_break.policy`
+ *       they wait for a committee decision, are drawn by lot from the seed committed when the policy
+ *       was set (its SHA-256 is `lot_seed_commitment`), or go to a runoff election with only the tied candidates.
+ *     tags: [Admin - Elections]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Tie-break policy and ties
+ *       404:
+ *         description: Election not found
+ */
+router.get(
+  "/sessions/:id/tie-breaks",
+  ...tenantAdminMiddlewares,
+  tieBreakController.listTieBreaks,
+);
+
+/**
+ * @swagger
+ * /admin/sessions/{id}/tie-breaks/decide:
+ *   post:
+ *     summary: Record a committee decision on a tied position
+ *     description: For elections using the committee policy, and for ties in a runoff. Deciding a runoff tie also settles the original election's tie.
+ *     tags: [Admin - Elections]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [position, winner_ids]
+ *             properties:
+ *               position:
+ *                 type: string
+ *               winner_ids:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: One tied candidate per contested seat
+ *               note:
+ *                 type: string
+ *                 description: Minute or reference for the decision
+ *     responses:
+ *       200:
+ *         description: Tie decided
+ *       400:
+ *         description: Winners are not tied candidates or do not fill the contested seats (INVALID_TIE_DECISION)
+ *       404:
+ *         description: Election not found or the position was not tied
+ *       409:
+ *         description: Tie already decided or settled by another policy (TIE_NOT_PENDING)
+ */
+router.post(
+  "/sessions/:id/tie-breaks/decide",
+  ...tenantAdminMiddlewares,
+  requirePermission("sessions.manage"),
+  [
+    body("position").trim().notEmpty().withMessage("Position is required"),
+    body("winner_ids")
+      .isArray({ min: 1 })
+      .withMessage("Select at least one winner"),
+    body("note").optional().isString().isLength({ max: 1000 }),
+    validate,
+  ],
+  auditLogger("decide_tie", "sessions"),
+  tieBreakController.decideTie,
+);
+
+module.exports = router;
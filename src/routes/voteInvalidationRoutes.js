@@ -0,0 +1,138 @@
+const express = require("express");
+const router = express.Router();
+const { param } = require("express-validator");
+const voteInvalidationController = require("../controllers/voteInvalidationController");
+const {
+  authenticateAdmin,
+  requireTenantAdmin,
+  requirePermission,
+} = require("../middleware/auth");
+const { requireTenantAccess } = require("../middleware/tenantContext");
+const validate = require("../middleware/validator");
+const auditLogger = require("../middleware/auditLogger");
+
+const tenantAdminMiddlewares = [
+  authenticateAdmin,
+  requireTenantAccess,
+  requireTenantAdmin,
+];
+
+/**
+ * @swagger
+ * /admin/sessions/{id}/votes/invalidate:
+ *   post:
+ *     summary: Invalidate specific votes
+ *     description: |
+ *       Strikes the given vote rows, or every row of the given ballots, from the count. The rows are
+ *       kept with status `rejected` and the reason, and the candidates' stored totals are reduced in
+ *       the same transaction. Students whose votes were struck are notified; secret-ballot rows have
+ *       nobody on record and are reported as `anonymous_ballots`. A pending certification snapshot
+ *       is retaken.
+ *     tags: [Admin - Elections]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason, reference]
+ *             properties:
+ *               vote_ids:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               ballot_ids:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               reason:
+ *                 type: string
+ *                 example: Voter impersonation confirmed by the electoral committee
+ *               reference:
+ *                 type: string
+ *                 example: EC/2026/014
+ *     responses:
+ *       200:
+ *         description: Votes invalidated and tallies adjusted
+ *       400:
+ *         description: |
+ *           No votes selected (NO_VOTES_SELECTED), malformed vote_ids or ballot_ids
+ *           (INVALID_VOTE_IDS, INVALID_BALLOT_IDS), or a missing reason or reference
+ *           (INVALID_INVALIDATION_REASON, INVALID_INVALIDATION_REFERENCE)
+ *       404:
+ *         description: Election not found, or no valid votes matched (NO_VALID_VOTES)
+ *       409:
+ *         description: Results certified (RESULTS_CERTIFIED) or encrypted tally under way (ENCRYPTED_TALLY_STARTED)
+ */
+router.post(
+  "/sessions/:id/votes/invalidate",
+  ...tenantAdminMiddlewares,
+  requirePermission("sessions.manage"),
+  [param("id").isMongoId().withMessage("Invalid election ID"), validate],
+  auditLogger("invalidate_votes", "sessions"),
+  voteInvalidationController.invalidateVotes,
+);
+
+/**
+ * @swagger
+ * /admin/candidates/{id}/disqualify:
+ *   post:
+ *     summary: Disqualify a candidate
+ *     description: |
+ *       Removes the candidate from the count. Their votes are invalidated and the stored totals
+ *       adjusted; on ranked-choice positions the ballots stay valid and pass to each voter's next
+ *       preference. Disqualified candidates stay on the results and live pages, marked
+ *       `disqualified`, but are never flagged as winning or leading and can no longer be voted for.
+ *       Affected students are notified. Not available in encrypted elections, whose votes do not
+ *       say which candidate they support.
+ *     tags: [Admin - Candidates]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason, reference]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: Breach of campaign finance rules
+ *               reference:
+ *                 type: string
+ *                 example: EC/2026/015
+ *     responses:
+ *       200:
+ *         description: Candidate disqualified
+ *       400:
+ *         description: A missing reason or reference (INVALID_INVALIDATION_REASON, INVALID_INVALIDATION_REFERENCE)
+ *       404:
+ *         description: Candidate or election not found
+ *       409:
+ *         description: Already disqualified (ALREADY_DISQUALIFIED), results certified (RESULTS_CERTIFIED) or encrypted election, whose votes for the candidate cannot be told apart (ENCRYPTED_SESSION)
+ */
+router.post(
+  "/candidates/:id/disqualify",
+  ...tenantAdminMiddlewares,
+  requirePermission("sessions.manage"),
+  [param("id").isMongoId().withMessage("Invalid candidate ID"), validate],
+  auditLogger("disqualify_candidate", "candidates"),
+  voteInvalidationController.disqualifyCandidate,
+);
+
+module.exports = router;
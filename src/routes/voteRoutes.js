@@ -18,7 +18,7 @@ const auditLogger = require("../middleware/auditLogger");
  *       The vote flow includes:
  *       1. Redis-based atomic lock to prevent double voting
  *       2. Session status and eligibility verification
- *       3. Geofence check (if session requires on-campus voting)
+ *       3. Geofence check against the election's polling zones (if session requires on-campus voting); the matched zone is returned as `polling_zone`
  *       4. AWS liveness verification and Rekognition face comparison
  *       5. Atomic vote recording in MongoDB transaction
  *     tags: [Voting]
@@ -45,6 +45,26 @@ const auditLogger = require("../middleware/auditLogger");
  *                       type: string
  *                     candidate_id:
  *                       type: string
+ *                     ticket_id:
+ *                       type: string
+ *                       description: Running-mate ticket; counts for every linked position. Choosing any ticket member by candidate_id does the same
+ *                     preferences:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       description: Candidate IDs in preference order for ranked-choice positions
+ *                     candidate_ids:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       description: Selected candidate IDs for approval ("vote for up to N") positions
+ *                     category:
+ *                       type: string
+ *                       description: Position name; identifies referendum items, which have no candidate
+ *                     response:
+ *                       type: string
+ *                       enum: [yes, no, abstain]
+ *                       description: Answer for referendum and unopposed-candidate confirmation items
  *                 description: Array of vote choices per category
  *               image_url:
  *                 type: string
@@ -60,6 +80,11 @@ const auditLogger = require("../middleware/auditLogger");
  *                 minimum: -180
  *                 maximum: 180
  *                 description: User longitude
+ *               location_meta:
+ *                 $ref: '#/components/schemas/LocationMeta'
+ *               presence_code:
+ *                 type: string
+ *                 description: Code scanned from the polling station display, for elections whose presence mode is qr or geofence_and_qr
  *               liveness_session_id:
  *                 type: string
  *                 description: AWS liveness session identifier when liveness is required
@@ -76,9 +101,11 @@ const auditLogger = require("../middleware/auditLogger");
  *                 vote:
  *                   $ref: '#/components/schemas/Vote'
  *       400:
- *         description: Already voted, session not active, or invalid choices
+ *         description: Already voted (unless the election allows revoting), session not active (SESSION_INACTIVE, or SESSION_PAUSED and SESSION_CANCELLED for elections held by an admin), or invalid choices (including a linked position voted without a ticket, TICKET_REQUIRED)
  *       403:
- *         description: Not eligible, geofence violation, or face verification failed
+ *         description: Not eligible (for the election or for a chosen position), geofence violation, an implausible location fix under a reject policy (LOCATION_INTEGRITY_FAILED), a missing, invalid or expired polling station code (PRESENCE_CODE_REQUIRED, PRESENCE_CODE_INVALID, PRESENCE_CODE_EXPIRED), or face verification failed
+ *       409:
+ *         description: The previous ballot changed while this revote was being recorded (BALLOT_CHANGED), or an admin invalidated the student's ballot so it cannot be replaced (VOTE_INVALIDATED)
  *       404:
  *         description: Election not found
  *       429:
@@ -165,6 +192,11 @@ router.get(
  * /vote/location-check:
  *   post:
  *     summary: Verify whether the student's current location is allowed for voting
+ *     description: |
+ *       Reports the polling zone the location falls in as `polling_zone`. Outside every zone the response names
+ *       the `nearest_zone`; `distance_meters`, `radius_meters` and `center` describe the matched or nearest zone.
+ *       `location_integrity` scores how plausible the fix is from `location_meta` and the previous fix.
+ *       `presence_code_required` tells the app to have the student scan the polling station's QR code before voting.
  *     tags: [Voting]
  *     security:
  *       - BearerAuth: []
@@ -182,11 +214,13 @@ router.get(
  *                 type: number
  *               lng:
  *                 type: number
+ *               location_meta:
+ *                 $ref: '#/components/schemas/LocationMeta'
  *     responses:
  *       200:
  *         description: Location is accepted for voting
  *       403:
- *         description: Location or eligibility denied
+ *         description: Location or eligibility denied, or the fix failed the election's integrity policy (LOCATION_INTEGRITY_FAILED)
  */
 router.post(
   "/location-check",
@@ -217,6 +251,14 @@ router.post(
     body("lng")
       .isFloat({ min: -180, max: 180 })
       .withMessage("Valid longitude is required"),
+    body("location_meta")
+      .optional({ nullable: true })
+      .isObject()
+      .withMessage("Location metadata must be an object"),
+    body("presence_code")
+      .optional({ nullable: true })
+      .isString()
+      .withMessage("Presence code must be a string"),
     body("liveness_session_id")
       .optional({ nullable: true, checkFalsy: true })
       .isString()
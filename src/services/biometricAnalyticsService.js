@@ -91,6 +91,35 @@ async function createVerificationLog(req, payload = {}) {
             lat: null,
             lng: null,
           },
+    polling_zone: payload.polling_zone
+      ? {
+          zone_id: payload.polling_zone.zone_id || null,
+          name: payload.polling_zone.name || null,
+        }
+      : { zone_id: null, name: null },
+    location_integrity: payload.location_integrity
+      ? {
+          score: payload.location_integrity.score,
+          signals: payload.location_integrity.signals,
+          flagged: payload.location_integrity.flagged === true,
+          accuracy_meters: payload.location_integrity.accuracy_meters ?? null,
+          altitude_meters: payload.location_integrity.altitude_meters ?? null,
+          captured_at: payload.location_integrity.captured_at || null,
+          is_mock: payload.location_integrity.is_mock ?? null,
+        }
+      : undefined,
+    presence_station: payload.presence_station
+      ? {
+          station_id: payload.presence_station.station_id || null,
+          name: payload.presence_station.name || null,
+        }
+      : undefined,
+    assisted_by: payload.assisted_by
+      ? {
+          worker_id: payload.assisted_by.worker_id || null,
+          verification_method: payload.assisted_by.verification_method || null,
+        }
+      : undefined,
     image_url: payload.image_url || null,
     meta: payload.meta || undefined,
     timestamp: payload.timestamp || new Date(),
@@ -0,0 +1,218 @@
+const ElectionSeries = require("../models/ElectionSeries");
+const VotingSession = require("../models/VotingSession");
+const Candidate = require("../models/Candidate");
+const cacheService = require("./cacheService");
+const { notifyTenantAdmins } = require("./notificationService");
+const { validateCandidatePlacement } = require("../utils/ballotRules");
+const {
+  selectPromotedCandidates,
+  buildSeriesTimeline,
+} = require("../utils/electionSeries");
+const { resolveSessionStatus } = require("../utils/sessionLifecycle");
+
+// Stages that can still take candidates
+const OPEN_STAGE_STATUSES = ["draft", "upcoming"];
+
+function toId(value) {
+  if (!value) return null;
+  return value.toString();
+}
+
+async function invalidateStageCaches(session) {
+  const tenantNamespace = session.tenant_id ? session.tenant_id.toString() : "legacy";
+  const sessionId = session._id.toString();
+
+  await Promise.all([
+    cacheService.del(`session:${tenantNamespace}:${sessionId}`),
+    cacheService.delPattern(`session:${tenantNamespace}:${sessionId}:*`),
+    cacheService.del(`live_results:${tenantNamespace}:${sessionId}`),
+  ]);
+}
+
+/**
+ * Copy the top candidates per position of a finished stage onto the next
+ * stage's ballot. Runs once per stage: the stage is claimed before anything
+ * is copied, so settling the same results again does nothing.
+ *
+ * @param {Object} session - The finished stage
+ * @param {Object} standings - `positionsMap` (candidates with vote_count per
+ *   position) and `rankedTallies` as computed when outcomes are settled
+ * @returns {Promise<Array|null>} Promotions per position, or null when the
+ *   session does not promote into another stage
+ */
+async function promoteSeriesStage(session, { positionsMap = {}, rankedTallies = new Map() } = {}) {
+  if (!session.series_id) {
+    return null;
+  }
+
+  const series = await ElectionSeries.findOne({
+    _id: session.series_id,
+    tenant_id: session.tenant_id || null,
+  }).lean();
+  const stages = [...(series?.stages || [])].sort((left, right) => left.order - right.order);
+  const index = stages.findIndex((stage) => toId(stage.session_id) === toId(session._id));
+  const stage = stages[index];
+  const nextStage = stages[index + 1];
+
+  if (!stage || !nextStage || !stage.promote_top || stage.promoted_at) {
+    return null;
+  }
+
+  const claimed = await ElectionSeries.updateOne(
+    {
+      _id: series._id,
+      stages: { $elemMatch: { session_id: session._id, promoted_at: null } },
+    },
+    { $set: { "stages.$.promoted_at": new Date() } },
+  );
+  if (claimed.modifiedCount === 0) {
+    return null;
+  }
+
+  const target = await VotingSession.findOne({
+    _id: nextStage.session_id,
+    tenant_id: session.tenant_id || null,
+  });
+  const targetStatus = target ? resolveSessionStatus(target) : null;
+  const targetOpen = OPEN_STAGE_STATUSES.includes(targetStatus);
+
+  const existing = targetOpen
+    ? await Candidate.find({ session_id: target._id }).select("position promoted_from").lean()
+    : [];
+  const standingCounts = {};
+  const alreadyPromoted = new Set();
+  existing.forEach((candidate) => {
+    standingCounts[candidate.position] = (standingCounts[candidate.position] || 0) + 1;
+    if (candidate.promoted_from) alreadyPromoted.add(toId(candidate.promoted_from));
+  });
+
+  const promotions = [];
+  const copies = [];
+
+  Object.keys(positionsMap).forEach((position) => {
+    const candidateIds = selectPromotedCandidates(
+      positionsMap[position],
+      stage.promote_top,
+      rankedTallies.get(position) || null,
+    );
+    const promotion = {
+      position,
+      candidate_ids: candidateIds,
+      promoted_ids: [],
+      skipped_reason: null,
+    };
+    promotions.push(promotion);
+
+    if (!targetOpen) {
+      promotion.skipped_reason = "NEXT_STAGE_CLOSED";
+      return;
+    }
+    if (!target.categories.includes(position)) {
+      promotion.skipped_reason = "POSITION_NOT_ON_NEXT_STAGE";
+      return;
+    }
+
+    const candidatesById = new Map(
+      positionsMap[position].map((candidate) => [toId(candidate._id), candidate]),
+    );
+    candidateIds
+      .filter((id) => !alreadyPromoted.has(id))
+      .forEach((id) => {
+        const placementError = validateCandidatePlacement(
+          target,
+          position,
+          standingCounts[position] || 0,
+        );
+        if (placementError) {
+          promotion.skipped_reason = placementError.code;
+          return;
+        }
+
+        const candidate = candidatesById.get(id);
+        standingCounts[position] = (standingCounts[position] || 0) + 1;
+        copies.push({
+          promotion,
+          doc: {
+            tenant_id: target.tenant_id || null,
+            session_id: target._id,
+            name: candidate.name,
+            position,
+            photo_url: candidate.photo_url,
+            bio: candidate.bio,
+            manifesto: candidate.manifesto,
+            promoted_from: candidate._id,
+          },
+        });
+      });
+  });
+
+  if (copies.length > 0) {
+    const created = await Candidate.insertMany(copies.map((copy) => copy.doc));
+    created.forEach((candidate, index) => {
+      copies[index].promotion.promoted_ids.push(candidate._id);
+    });
+    target.candidates.push(...created.map((candidate) => candidate._id));
+    await target.save();
+    await invalidateStageCaches(target);
+  }
+
+  await ElectionSeries.updateOne(
+    { _id: series._id, "stages.session_id": session._id },
+    { $set: { "stages.$.promotions": promotions } },
+  );
+
+  await notifyTenantAdmins({
+    tenantId: session.tenant_id || null,
+    type: "series.candidates_promoted",
+    title: targetOpen
+      ? `Candidates promoted: ${series.name}`
+      : `Promotion skipped: ${series.name}`,
+    message: targetOpen
+      ? `${copies.length} candidate(s) from "${session.title}" were added to "${target.title}".`
+      : `"${session.title}" ended but the next stage no longer accepts candidates.`,
+    link: `/dashboard/sessions/${target ? target._id : session._id}`,
+    priority: targetOpen ? "medium" : "high",
+    metadata: {
+      series_id: series._id,
+      session_id: session._id,
+      next_session_id: nextStage.session_id,
+      promoted: copies.length,
+    },
+  });
+
+  return promotions;
+}
+
+/**
+ * Timeline of the series a session belongs to, or null when it stands alone.
+ */
+async function getSeriesTimeline(session, { includeDrafts = false } = {}) {
+  if (!session?.series_id) {
+    return null;
+  }
+
+  const series = await ElectionSeries.findOne({
+    _id: session.series_id,
+    tenant_id: session.tenant_id || null,
+  }).lean();
+  if (!series) {
+    return null;
+  }
+
+  const sessions = await VotingSession.find({
+    _id: { $in: series.stages.map((stage) => stage.session_id) },
+    tenant_id: session.tenant_id || null,
+  })
+    .select("title status start_time end_time live_public_code")
+    .lean();
+
+  return buildSeriesTimeline(series, sessions, {
+    currentSessionId: session._id,
+    includeDrafts,
+  });
+}
+
+module.exports = {
+  promoteSeriesStage,
+  getSeriesTimeline,
+};
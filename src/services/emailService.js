@@ -4,6 +4,7 @@ const {
   buildAdminWelcomeEmail,
   buildAnnouncementEmail,
   buildNewDeviceAlertEmail,
+  buildNominationDecisionEmail,
   buildOperationalTestEmail,
   buildPasswordResetEmail,
   buildProviderAlertEmail,
@@ -26,6 +27,7 @@ const {
   buildPlatformSettingsUrl,
   buildStudentResetPasswordUrl,
   buildStudentResultsUrl,
+  buildStudentNominationsUrl,
   buildStudentSignInUrl,
   buildStudentSubmittedBallotUrl,
   buildStudentSupportUrl,
@@ -176,12 +178,13 @@ class EmailService {
     });
   }
 
-  async sendVoteConfirmation(student, session, votes, tenant = null) {
+  async sendVoteConfirmation(student, session, votes, tenant = null, receipt = null) {
     const { html, subject } = buildVoteConfirmationEmail({
       branding: this.getBranding(tenant),
       student,
       session,
       votes,
+      receipt,
       ballotUrl:
         buildStudentSubmittedBallotUrl(session?._id || session?.id || null) ||
         buildStudentResultsUrl(session?._id || session?.id || null),
@@ -225,6 +228,24 @@ class EmailService {
     });
   }
 
+  async sendNominationDecision(student, session, nomination, tenant = null) {
+    const { html, subject } = buildNominationDecisionEmail({
+      branding: this.getBranding(tenant),
+      student,
+      session,
+      nomination,
+      nominationsUrl: buildStudentNominationsUrl(session?._id || session?.id || null),
+    });
+
+    return this.dispatch({
+      to: student.email,
+      subject,
+      html,
+      tenant,
+      critical: false,
+    });
+  }
+
   async sendPasswordReset(student, resetCode, tenant = null) {
     const { html, subject } = buildPasswordResetEmail({
       branding: {
@@ -0,0 +1,63 @@
+const Student = require("../models/Student");
+const { getEligibleStudentFilter } = require("./liveSessionService");
+const {
+  buildParticipantLookupFilter,
+  getTenantSettings,
+} = require("../utils/tenantSettings");
+const { getLookupIdentifierTypes } = require("../utils/kioskBallot");
+
+function buildScopedFilter(tenantId, filter = {}) {
+  return tenantId ? { ...filter, tenant_id: tenantId } : filter;
+}
+
+/**
+ * Find a voter by one of the identifiers the tenant's identity policy
+ * allows, trying the primary identifier first. Returns
+ * `{ student, identifier_type }` or `{ error, code }`.
+ */
+async function findVoterByIdentifier(tenant, tenantId, identifier, identifierType) {
+  const types = getLookupIdentifierTypes(
+    getTenantSettings(tenant).identity,
+    identifierType,
+  );
+
+  if (!types) {
+    return {
+      error: "This identifier type is not allowed for this institution",
+      code: "IDENTIFIER_TYPE_NOT_ALLOWED",
+    };
+  }
+
+  for (const type of types) {
+    const lookup = buildParticipantLookupFilter(type, identifier);
+    if (!lookup) continue;
+
+    const student = await Student.findOne(buildScopedFilter(tenantId, lookup));
+    if (student) {
+      return { student, identifier_type: type };
+    }
+  }
+
+  return { error: "No voter matches this identifier", code: "VOTER_NOT_FOUND" };
+}
+
+/**
+ * Whether the student is in the session's electorate, or that of at least
+ * one of its positions
+ */
+async function isVoterEligible(tenant, session, student) {
+  const filter = await getEligibleStudentFilter(tenant, session);
+  return Boolean(await Student.exists({ $and: [filter, { _id: student._id }] }));
+}
+
+function hasVoted(student, session) {
+  return (student.has_voted_sessions || []).some(
+    (value) => value.toString() === session._id.toString(),
+  );
+}
+
+module.exports = {
+  findVoterByIdentifier,
+  isVoterEligible,
+  hasVoted,
+};
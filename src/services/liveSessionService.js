@@ -10,6 +10,52 @@ const cacheService = require("./cacheService");
 const {
   getTenantEligibilityPolicy,
 } = require("../utils/tenantSettings");
+const {
+  CANDIDATE_SUPPORT_MATCH,
+  getPositionSettings,
+  isResponseBallot,
+  listPositionSettings,
+} = require("../utils/ballotRules");
+const {
+  getRankedChoiceTallies,
+  applyRankedChoiceTally,
+  applySeatAllocation,
+  getReferendumTallies,
+  addReferendumGroups,
+  applyReferendumTally,
+  getTicketLookup,
+} = require("./tallyService");
+const { applyTicketDetails } = require("../utils/ticketRules");
+const { applyTieResolutions } = require("../utils/tieBreak");
+const { hasQuorumRules, evaluateQuorum } = require("../utils/quorumRules");
+const { getSeriesTimeline } = require("./electionSeriesService");
+const {
+  STUDENT_VISIBLE_FILTER,
+  resolveSessionStatus,
+} = require("../utils/sessionLifecycle");
+const {
+  RECEIPT_VERSION,
+  buildReceiptPayload,
+  formatReceiptCode,
+} = require("../utils/ballotReceipt");
+const {
+  isRevealComplete,
+  formatResultEmbargo,
+} = require("../utils/resultEmbargo");
+const { hasResultsHold } = require("../utils/petitionRules");
+const { hidesRunningCounts } = require("../utils/secretBallot");
+const { isCertificationPending } = require("../utils/certification");
+const { getPollingZones, formatPollingZone } = require("../utils/pollingZones");
+const {
+  isEncryptedSession,
+  isTallyPending,
+  getDecryptedCandidateCounts,
+} = require("../utils/encryptedBallot");
+const {
+  isCandidateDisqualified,
+  formatDisqualification,
+  applyDisqualifications,
+} = require("../utils/voteInvalidation");
 
 const PUBLIC_CODE_PREFIX = "univote";
 const UNKNOWN_GROUP = "Unassigned";
@@ -23,11 +69,9 @@ function normalizeGroupValue(value) {
   return normalized || UNKNOWN_GROUP;
 }
 
+// Admin-held statuses (draft, paused, cancelled) win over the clock
 function calculateSessionStatus(session) {
-  const now = new Date();
-  if (now < session.start_time) return "upcoming";
-  if (now >= session.start_time && now <= session.end_time) return "active";
-  return "ended";
+  return resolveSessionStatus(session);
 }
 
 function buildScopedFilter(tenantId, filter = {}) {
@@ -111,10 +155,8 @@ async function resolveEligibleDepartmentNames(tenantId, eligibleDepartmentIds =
   return rows.map((row) => row.name).filter(Boolean);
 }
 
-async function buildEligibilityContext(tenant, session) {
-  const tenantId = tenant?._id || session?.tenant_id || null;
-  const eligibilityFilter = buildScopedFilter(tenantId, { is_active: true });
-  const eligibilityPolicy = getTenantEligibilityPolicy(tenant || null);
+async function resolveEligibilityRules(tenantId, eligibilityPolicy, rules = {}) {
+  const filter = {};
   const scope = {
     tenant_wide: true,
     college: null,
@@ -122,24 +164,24 @@ async function buildEligibilityContext(tenant, session) {
     levels: [],
   };
 
-  if (eligibilityPolicy.college && session.eligible_college) {
-    eligibilityFilter.college = session.eligible_college;
+  if (eligibilityPolicy.college && rules.college) {
+    filter.college = rules.college;
     scope.tenant_wide = false;
-    scope.college = session.eligible_college;
+    scope.college = rules.college;
   }
 
   if (
     eligibilityPolicy.department &&
-    session.eligible_departments &&
-    session.eligible_departments.length > 0
+    rules.departments &&
+    rules.departments.length > 0
   ) {
     const departmentNames = await resolveEligibleDepartmentNames(
       tenantId,
-      session.eligible_departments,
+      rules.departments,
     );
 
     if (departmentNames.length > 0) {
-      eligibilityFilter.department = { $in: departmentNames };
+      filter.department = { $in: departmentNames };
       scope.tenant_wide = false;
       scope.departments = departmentNames;
     }
@@ -147,17 +189,50 @@ async function buildEligibilityContext(tenant, session) {
 
   if (
     eligibilityPolicy.level &&
-    session.eligible_levels &&
-    session.eligible_levels.length > 0
+    rules.levels &&
+    rules.levels.length > 0
   ) {
-    eligibilityFilter.level = { $in: session.eligible_levels };
+    filter.level = { $in: rules.levels };
     scope.tenant_wide = false;
-    scope.levels = session.eligible_levels.map(String);
+    scope.levels = rules.levels.map(String);
+  }
+
+  return { filter, scope };
+}
+
+async function buildEligibilityContext(tenant, session) {
+  const tenantId = tenant?._id || session?.tenant_id || null;
+  const eligibilityPolicy = getTenantEligibilityPolicy(tenant || null);
+  const sessionRules = await resolveEligibilityRules(tenantId, eligibilityPolicy, {
+    college: session.eligible_college,
+    departments: session.eligible_departments,
+    levels: session.eligible_levels,
+  });
+  const eligibilityFilter = buildScopedFilter(tenantId, {
+    is_active: true,
+    ...sessionRules.filter,
+  });
+
+  // Positions with their own filter narrow the session-wide one; the rest
+  // share the session's electorate (filter null).
+  const positions = [];
+  for (const settings of listPositionSettings(session)) {
+    const positionRules = settings.eligibility
+      ? await resolveEligibilityRules(tenantId, eligibilityPolicy, settings.eligibility)
+      : null;
+    const restricted = Boolean(positionRules && !positionRules.scope.tenant_wide);
+
+    positions.push({
+      position: settings.position,
+      filter: restricted ? { $and: [eligibilityFilter, positionRules.filter] } : null,
+      scope: restricted ? positionRules.scope : null,
+    });
   }
 
   return {
     filter: eligibilityFilter,
-    scope,
+    scope: sessionRules.scope,
+    positions,
   };
 }
 
@@ -169,11 +244,12 @@ function sortBreakdown(rows) {
   });
 }
 
+// Turnout is read from Student.has_voted_sessions rather than Vote rows so
+// that secret-ballot sessions, whose ballots carry no student_id, count too.
 async function getDistinctVoterIds(tenantId, sessionId) {
   const sessionObjectId = new mongoose.Types.ObjectId(sessionId);
-  return Vote.distinct("student_id", buildScopedFilter(tenantId, {
-    session_id: sessionObjectId,
-    status: "valid",
+  return Student.distinct("_id", buildScopedFilter(tenantId, {
+    has_voted_sessions: sessionObjectId,
   }));
 }
 
@@ -259,7 +335,51 @@ function mergeBreakdownRows(eligibleRows = [], votedRows = []) {
   );
 }
 
-async function getTurnoutBreakdowns(tenantId, eligibilityFilter, voterIds) {
+function buildTurnoutRow(eligible, voted) {
+  return {
+    eligible,
+    voted,
+    not_voted: Math.max(eligible - voted, 0),
+    turnout_percentage:
+      eligible > 0 ? Number(((voted / eligible) * 100).toFixed(2)) : 0,
+  };
+}
+
+/**
+ * Turnout for each position. A voter counts towards every position they were
+ * eligible for, so restricted positions are measured against their own
+ * electorate rather than the whole session's.
+ */
+async function getPositionTurnout(voterIds, sessionTotals, positions = []) {
+  return Promise.all(
+    positions.map(async ({ position, filter, scope }) => {
+      if (!filter) {
+        return {
+          position,
+          restricted: false,
+          eligibility: null,
+          ...buildTurnoutRow(sessionTotals.eligible, sessionTotals.voted),
+        };
+      }
+
+      const [eligible, voted] = await Promise.all([
+        Student.countDocuments(filter),
+        voterIds.length
+          ? Student.countDocuments({ $and: [filter, { _id: { $in: voterIds } }] })
+          : Promise.resolve(0),
+      ]);
+
+      return {
+        position,
+        restricted: true,
+        eligibility: scope,
+        ...buildTurnoutRow(eligible, voted),
+      };
+    }),
+  );
+}
+
+async function getTurnoutBreakdowns(tenantId, eligibilityFilter, voterIds, positions = []) {
   const votedFilter = buildScopedFilter(tenantId, {
     _id: { $in: voterIds },
   });
@@ -269,8 +389,14 @@ async function getTurnoutBreakdowns(tenantId, eligibilityFilter, voterIds) {
       ? aggregateStudentBreakdowns(votedFilter, "voted")
       : Promise.resolve({ colleges: [], departments: [], levels: [] }),
   ]);
+  // Every eligible student falls into exactly one college row
+  const sessionTotals = {
+    eligible: eligibleBreakdowns.colleges.reduce((sum, row) => sum + row.eligible, 0),
+    voted: voterIds.length,
+  };
 
   return {
+    positions: await getPositionTurnout(voterIds, sessionTotals, positions),
     colleges: mergeBreakdownRows(
       eligibleBreakdowns.colleges,
       votedBreakdowns.colleges,
@@ -286,9 +412,23 @@ async function getTurnoutBreakdowns(tenantId, eligibilityFilter, voterIds) {
   };
 }
 
-async function buildPublicLivePayload({ tenant, session }) {
+/**
+ * Students who can vote on at least one position of the session.
+ */
+async function getEligibleStudentFilter(tenant, session) {
+  const eligibility = await buildEligibilityContext(tenant, session);
+  const positionFilters = eligibility.positions.map((entry) => entry.filter);
+
+  // A position without its own filter is open to the whole electorate
+  if (positionFilters.length === 0 || positionFilters.some((filter) => !filter)) {
+    return eligibility.filter;
+  }
+
+  return { $or: positionFilters };
+}
+
+async function getSessionTurnout(tenant, session) {
   const tenantId = tenant?._id || session.tenant_id || null;
-  const status = calculateSessionStatus(session);
   const [eligibility, voterIds] = await Promise.all([
     buildEligibilityContext(tenant, session),
     getDistinctVoterIds(tenantId, session._id),
@@ -296,10 +436,62 @@ async function buildPublicLivePayload({ tenant, session }) {
   const eligibleFilter = eligibility.filter;
   const [totalEligible, breakdowns] = await Promise.all([
     Student.countDocuments(eligibleFilter),
-    getTurnoutBreakdowns(tenantId, eligibleFilter, voterIds),
+    getTurnoutBreakdowns(tenantId, eligibleFilter, voterIds, eligibility.positions),
   ]);
   const totalVoted = voterIds.length;
 
+  return {
+    eligibility,
+    totals: {
+      eligible: totalEligible,
+      voted: totalVoted,
+      not_voted: Math.max(totalEligible - totalVoted, 0),
+      turnout_percentage:
+        totalEligible > 0 ? Number(((totalVoted / totalEligible) * 100).toFixed(2)) : 0,
+    },
+    breakdowns,
+  };
+}
+
+/**
+ * Check the session's minimum turnout rules against its current turnout.
+ * Null when the session has no quorum rules.
+ */
+async function getSessionQuorum(tenant, session) {
+  if (!hasQuorumRules(session)) {
+    return null;
+  }
+
+  return evaluateQuorum(session.quorum, await getSessionTurnout(tenant, session));
+}
+
+function buildQuorumSummary(session, turnout) {
+  if (!hasQuorumRules(session)) {
+    return null;
+  }
+
+  // Once the session has ended the recorded verdict is final
+  const verdict = session.quorum_result?.checked_at
+    ? session.quorum_result
+    : evaluateQuorum(session.quorum, turnout);
+
+  return {
+    overall_percentage: session.quorum.overall_percentage ?? null,
+    position_percentage: session.quorum.position_percentage ?? null,
+    college_percentage: session.quorum.college_percentage ?? null,
+    met: verdict.met,
+    failures: verdict.failures,
+    final: Boolean(session.quorum_result?.checked_at),
+  };
+}
+
+async function buildPublicLivePayload({ tenant, session }) {
+  const status = calculateSessionStatus(session);
+  const [{ eligibility, totals, breakdowns }, series] = await Promise.all([
+    getSessionTurnout(tenant, session),
+    getSeriesTimeline(session),
+  ]);
+
   return {
     organization: {
       id: tenant?._id || null,
@@ -316,21 +508,28 @@ async function buildPublicLivePayload({ tenant, session }) {
       end_time: session.end_time,
       live_public_code: session.live_public_code,
       is_live: status === "active",
+      runoff_of: session.runoff_of || null,
     },
-    totals: {
-      eligible: totalEligible,
-      voted: totalVoted,
-      not_voted: Math.max(totalEligible - totalVoted, 0),
-      turnout_percentage:
-        totalEligible > 0 ? Number(((totalVoted / totalEligible) * 100).toFixed(2)) : 0,
-    },
+    // Release schedule for a results countdown; counts are never shown here
+    release: formatResultEmbargo(session),
+    series,
+    totals,
     eligibility: eligibility.scope,
     breakdowns,
+    quorum: buildQuorumSummary(session, { totals, breakdowns }),
+    ballot_items: listPositionSettings(session)
+      .filter((settings) => isResponseBallot(settings.ballot_type))
+      .map((settings) => ({
+        position: settings.position,
+        ballot_type: settings.ballot_type,
+        question: settings.question,
+        pass_threshold: settings.pass_threshold,
+      })),
     last_updated: new Date().toISOString(),
   };
 }
 
-async function getPublicLivePayload(tenantSlug, liveCode) {
+async function findPublicLiveSession(tenantSlug, liveCode) {
   const slug = String(tenantSlug || "").trim().toLowerCase();
   const code = String(liveCode || "").trim().toLowerCase();
   const tenant = await Tenant.findOne({
@@ -346,13 +545,180 @@ async function getPublicLivePayload(tenantSlug, liveCode) {
   const session = await VotingSession.findOne({
     tenant_id: tenant._id,
     live_public_code: code,
+    ...STUDENT_VISIBLE_FILTER,
   }).lean();
 
   if (!session) {
     return null;
   }
 
-  return buildPublicLivePayload({ tenant, session });
+  return { tenant, session };
+}
+
+async function getPublicLivePayload(tenantSlug, liveCode) {
+  const context = await findPublicLiveSession(tenantSlug, liveCode);
+
+  if (!context) {
+    return null;
+  }
+
+  return buildPublicLivePayload(context);
+}
+
+function tallyPublishedBallots(ballots) {
+  const positions = new Map();
+
+  ballots.forEach((ballot) => {
+    ballot.selections.forEach((selection) => {
+      if (!positions.has(selection.position)) {
+        positions.set(selection.position, {
+          position: selection.position,
+          candidates: {},
+          responses: { yes: 0, no: 0, abstain: 0 },
+        });
+      }
+
+      const entry = positions.get(selection.position);
+      if (selection.response) {
+        entry.responses[selection.response] += 1;
+      } else if (selection.candidate_id) {
+        entry.candidates[selection.candidate_id] =
+          (entry.candidates[selection.candidate_id] || 0) + 1;
+      }
+    });
+  });
+
+  return Array.from(positions.values());
+}
+
+async function buildBulletinBoard(tenantId, session) {
+  const status = calculateSessionStatus(session);
+  // Ballot contents add up to the results, so they wait for certification,
+  // the full reveal and for any petition hold to be lifted, and stay hidden
+  // when the session was voided for missing quorum
+  const contentsPublished =
+    status === "ended" &&
+    session.quorum_result?.met !== false &&
+    !isCertificationPending(session) &&
+    isRevealComplete(session) &&
+    !hasResultsHold(session);
+  const baseFilter = buildScopedFilter(tenantId, {
+    session_id: session._id,
+    status: "valid",
+  });
+  const [rows, unreceiptedRows] = await Promise.all([
+    Vote.find({ ...baseFilter, receipt_hash: { $ne: null } })
+      .select(
+        contentsPublished
+          ? "ballot_id receipt_hash position selection_index candidate_id preferences response ciphertexts"
+          : "receipt_hash",
+      )
+      .lean(),
+    Vote.countDocuments({ ...baseFilter, receipt_hash: null }),
+  ]);
+
+  const ballotsByHash = new Map();
+  rows.forEach((row) => {
+    if (!ballotsByHash.has(row.receipt_hash)) {
+      ballotsByHash.set(row.receipt_hash, {
+        receipt_hash: row.receipt_hash,
+        ballot_id: row.ballot_id,
+        rows: [],
+      });
+    }
+    ballotsByHash.get(row.receipt_hash).rows.push(row);
+  });
+
+  // Sorted by hash so the listing order says nothing about when ballots were cast
+  const ballots = Array.from(ballotsByHash.values())
+    .sort((left, right) => (left.receipt_hash < right.receipt_hash ? -1 : 1))
+    .map((ballot) => {
+      const entry = {
+        receipt_hash: ballot.receipt_hash,
+        receipt_code: formatReceiptCode(ballot.receipt_hash),
+      };
+
+      if (contentsPublished) {
+        entry.ballot_id = ballot.ballot_id;
+        entry.selections = buildReceiptPayload({
+          sessionId: session._id,
+          ballotId: ballot.ballot_id,
+          selections: ballot.rows,
+        }).selections;
+      }
+
+      return entry;
+    });
+
+  return {
+    session: {
+      id: session._id,
+      title: session.title,
+      status,
+      live_public_code: session.live_public_code,
+    },
+    receipt_scheme: {
+      algorithm: "sha256",
+      version: RECEIPT_VERSION,
+      canonical_form:
+        "JSON of { v, session_id, ballot_id, selections } with selections sorted by position then selection_index; each selection is { position, selection_index, candidate_id, preferences?, response?, ciphertexts? }",
+    },
+    contents_published: contentsPublished,
+    total_ballots: ballots.length,
+    unreceipted_vote_rows: unreceiptedRows,
+    ballots,
+    encrypted: isEncryptedSession(session),
+    totals: !contentsPublished
+      ? null
+      : isEncryptedSession(session)
+        ? session.encryption?.tally?.results || null
+        : tallyPublishedBallots(ballots),
+    last_updated: new Date().toISOString(),
+  };
+}
+
+/**
+ * Public bulletin board for a session: every receipt hash while voting is
+ * open, and the full ballot contents plus recomputable totals once it ends.
+ * `receiptLookup` is a normalised hex prefix to filter to a single receipt.
+ */
+async function getPublicBulletinPayload(tenantSlug, liveCode, receiptLookup = null) {
+  const context = await findPublicLiveSession(tenantSlug, liveCode);
+
+  if (!context) {
+    return null;
+  }
+
+  const { tenant, session } = context;
+  const cacheKey = `public:bulletin:${tenant._id}:${session._id}`;
+  let board = await cacheService.get(cacheKey);
+
+  if (!board) {
+    board = await buildBulletinBoard(tenant._id, session);
+    await cacheService.set(
+      cacheKey,
+      board,
+      board.contents_published ? 300 : 30,
+    );
+  }
+
+  const payload = {
+    organization: {
+      id: tenant._id,
+      name: tenant.name,
+      slug: tenant.slug,
+    },
+    ...board,
+  };
+
+  if (receiptLookup) {
+    payload.ballots = board.ballots.filter((ballot) =>
+      ballot.receipt_hash.startsWith(receiptLookup),
+    );
+    payload.receipt_found = payload.ballots.length > 0;
+  }
+
+  return payload;
 }
 
 function confidenceBand(value) {
@@ -372,31 +738,56 @@ function deviceSignal(value) {
   return value ? "provided" : "missing";
 }
 
-async function getCandidateStandings(tenantId, sessionId, totalVoteRows) {
-  const sessionObjectId = new mongoose.Types.ObjectId(sessionId);
+function isStandingsSealed(session) {
+  return (
+    isTallyPending(session) ||
+    hidesRunningCounts(session, calculateSessionStatus(session))
+  );
+}
+
+async function getCandidateStandings(tenantId, session, totalVoteRows) {
+  // Nobody, admins included, sees running counts for an encrypted session
+  // or for a secret ballot that is still open
+  if (isStandingsSealed(session)) {
+    return [];
+  }
+
+  const sessionObjectId = new mongoose.Types.ObjectId(session._id);
   const [candidates, votesByCandidate] = await Promise.all([
     Candidate.find(buildScopedFilter(tenantId, { session_id: sessionObjectId }))
-      .select("name position photo_url")
+      .select("name position photo_url disqualification")
       .lean(),
-    Vote.aggregate([
-      {
-        $match: buildScopedFilter(tenantId, {
-          session_id: sessionObjectId,
-          status: "valid",
-        }),
-      },
-      {
-        $group: {
-          _id: "$candidate_id",
-          count: { $sum: 1 },
-        },
-      },
-    ]),
+    isEncryptedSession(session)
+      ? getDecryptedCandidateCounts(session)
+      : Vote.aggregate([
+          {
+            $match: buildScopedFilter(tenantId, {
+              session_id: sessionObjectId,
+              status: "valid",
+              ...CANDIDATE_SUPPORT_MATCH,
+            }),
+          },
+          {
+            $group: {
+              _id: "$candidate_id",
+              count: { $sum: 1 },
+            },
+          },
+        ]),
   ]);
 
   const voteMap = new Map(
     votesByCandidate.map((entry) => [entry._id.toString(), entry.count]),
   );
+  const [rankedTallies, referendumTallies, ticketLookup] = await Promise.all([
+    getRankedChoiceTallies({
+      tenantId,
+      session,
+      candidates,
+    }),
+    getReferendumTallies({ tenantId, session }),
+    getTicketLookup({ tenantId, session }),
+  ]);
 
   const standings = candidates.map((candidate) => {
     const voteCount = voteMap.get(candidate._id.toString()) || 0;
@@ -406,6 +797,8 @@ async function getCandidateStandings(tenantId, sessionId, totalVoteRows) {
       position: candidate.position,
       photo_url: candidate.photo_url,
       vote_count: voteCount,
+      disqualified: isCandidateDisqualified(candidate),
+      disqualification: formatDisqualification(candidate),
       percentage:
         totalVoteRows > 0
           ? Number(((voteCount / totalVoteRows) * 100).toFixed(2))
@@ -425,18 +818,25 @@ async function getCandidateStandings(tenantId, sessionId, totalVoteRows) {
     acc[candidate.position].candidates.push(candidate);
     return acc;
   }, {});
+  addReferendumGroups(grouped, session);
 
   Object.values(grouped).forEach((group) => {
-    const maxVotes = Math.max(0, ...group.candidates.map((candidate) => candidate.vote_count));
-    group.candidates = group.candidates
-      .map((candidate) => ({
-        ...candidate,
-        is_leading: candidate.vote_count === maxVotes && maxVotes > 0,
-      }))
-      .sort((left, right) => right.vote_count - left.vote_count);
+    const settings = getPositionSettings(session, group.position);
+    group.candidates.sort((left, right) => right.vote_count - left.vote_count);
+    group.ballot_type = settings.ballot_type;
+    applySeatAllocation(group, settings, "is_leading");
+    applyRankedChoiceTally(group, rankedTallies.get(group.position), "is_leading");
+    applyReferendumTally(
+      group,
+      referendumTallies.get(group.position),
+      settings,
+      "is_leading",
+    );
   });
 
-  return Object.values(grouped);
+  applyTieResolutions(Object.values(grouped), session.tie_resolutions, "is_leading");
+  applyDisqualifications(Object.values(grouped), "is_leading");
+  return applyTicketDetails(Object.values(grouped), ticketLookup);
 }
 
 async function getVerificationSummary(tenantId, sessionId) {
@@ -460,6 +860,9 @@ async function getVerificationSummary(tenantId, sessionId) {
         lockouts: {
           $sum: { $cond: [{ $eq: ["$lockout_triggered", true] }, 1, 0] },
         },
+        location_flags: {
+          $sum: { $cond: [{ $eq: ["$location_integrity.flagged", true] }, 1, 0] },
+        },
       },
     },
   ]);
@@ -469,6 +872,7 @@ async function getVerificationSummary(tenantId, sessionId) {
     accepted: 0,
     rejected: 0,
     lockouts: 0,
+    location_flags: 0,
   };
 
   return {
@@ -480,6 +884,67 @@ async function getVerificationSummary(tenantId, sessionId) {
   };
 }
 
+/**
+ * Voters per polling zone, from the zone of each student's latest accepted
+ * ballot. Voters outside every zone (off-campus sessions) are counted apart.
+ */
+async function getZoneTurnout(tenantId, session) {
+  const rows = await VerificationLog.aggregate([
+    {
+      $match: buildScopedFilter(tenantId, {
+        session_id: session._id,
+        result: "accepted",
+        user_id: { $ne: null },
+      }),
+    },
+    { $sort: { timestamp: 1 } },
+    {
+      $group: {
+        _id: "$user_id",
+        zone_id: { $last: "$polling_zone.zone_id" },
+        zone_name: { $last: "$polling_zone.name" },
+      },
+    },
+    {
+      $group: {
+        _id: { zone_id: "$zone_id", name: "$zone_name" },
+        voters: { $sum: 1 },
+      },
+    },
+  ]);
+
+  const totalVoters = rows.reduce((sum, row) => sum + row.voters, 0);
+  const share = (voters) =>
+    totalVoters > 0 ? Number(((voters / totalVoters) * 100).toFixed(2)) : 0;
+  // Legacy sessions have one unnamed zone, so rows are matched by name too
+  const votersFor = (zone) =>
+    rows
+      .filter((row) =>
+        zone._id
+          ? row._id.zone_id?.toString() === zone._id.toString()
+          : !row._id.zone_id && row._id.name === zone.name,
+      )
+      .reduce((sum, row) => sum + row.voters, 0);
+
+  const zones = getPollingZones(session).map((zone) => {
+    const voters = votersFor(zone);
+    return {
+      ...formatPollingZone(zone),
+      voters,
+      share_percent: share(voters),
+    };
+  });
+  const outsideZones =
+    totalVoters - zones.reduce((sum, zone) => sum + zone.voters, 0);
+
+  return {
+    total_voters: totalVoters,
+    zones,
+    outside_zones: outsideZones,
+    outside_zones_share_percent: share(outsideZones),
+  };
+}
+
 async function getAuditSafeLogs(tenantId, sessionId, limit = 25) {
   const logs = await VerificationLog.find(buildScopedFilter(tenantId, {
     session_id: sessionId,
@@ -539,11 +1004,12 @@ async function getAdminLivePayload(req, sessionId) {
       status: "valid",
     }),
   );
-  const [candidate_standings, verification_summary, recent_logs] =
+  const [candidate_standings, verification_summary, recent_logs, zone_turnout] =
     await Promise.all([
-      getCandidateStandings(tenantId, sessionId, totalVoteRows),
+      getCandidateStandings(tenantId, session, totalVoteRows),
       getVerificationSummary(tenantId, sessionId),
       getAuditSafeLogs(tenantId, sessionId),
+      getZoneTurnout(tenantId, session),
     ]);
 
   const payload = {
@@ -553,7 +1019,9 @@ async function getAdminLivePayload(req, sessionId) {
       vote_rows: totalVoteRows,
     },
     candidate_standings,
+    standings_sealed: isStandingsSealed(session),
     verification_summary,
+    zone_turnout,
     recent_logs,
     cached: false,
   };
@@ -565,6 +1033,9 @@ async function getAdminLivePayload(req, sessionId) {
 module.exports = {
   formatLivePublicCode,
   assignLivePublicCode,
+  getEligibleStudentFilter,
+  getSessionQuorum,
   getPublicLivePayload,
+  getPublicBulletinPayload,
   getAdminLivePayload,
 };
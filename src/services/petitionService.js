@@ -0,0 +1,101 @@
+const VotingSession = require("../models/VotingSession");
+const Student = require("../models/Student");
+const Tenant = require("../models/Tenant");
+const { createNotifications } = require("./notificationService");
+const {
+  assignLivePublicCode,
+  getEligibleStudentFilter,
+} = require("./liveSessionService");
+const { copyCandidates } = require("./sessionTemplateService");
+const { createLotSeed } = require("../utils/tieBreak");
+const { getPresencePolicy } = require("../utils/presenceCode");
+
+/**
+ * Create the re-run of the given positions ordered by an upheld petition.
+ * It inherits the original eligibility, geofence, ballot, tie-break,
+ * quorum, certification and petition settings, and every candidate still
+ * standing for those positions.
+ *
+ * @returns {Promise<Object>} The new VotingSession
+ */
+async function createRerunSession(session, positions, { start_time, end_time, createdBy }) {
+  const tieBreak = {
+    policy: session.tie_break?.policy || "committee",
+    runoff_delay_minutes: session.tie_break?.runoff_delay_minutes,
+    runoff_duration_minutes: session.tie_break?.runoff_duration_minutes,
+  };
+  if (tieBreak.policy === "lot") {
+    const { seed, commitment } = createLotSeed();
+    tieBreak.lot_seed = seed;
+    tieBreak.lot_seed_commitment = commitment;
+  }
+
+  const rerun = new VotingSession({
+    tenant_id: session.tenant_id || null,
+    title: `${session.title} - Re-run`,
+    description: `Re-run of ${positions.join(", ")} in ${session.title}, ordered on petition.`,
+    start_time,
+    end_time,
+    eligible_college: session.eligible_college,
+    eligible_departments: session.eligible_departments,
+    eligible_levels: session.eligible_levels,
+    categories: positions,
+    position_settings: (session.position_settings || []).filter((settings) =>
+      positions.includes(settings.position),
+    ),
+    location: session.location,
+    polling_zones: session.polling_zones,
+    is_off_campus_allowed: session.is_off_campus_allowed,
+    location_integrity: session.location_integrity,
+    presence: getPresencePolicy(session),
+    secret_ballot: session.secret_ballot,
+    allow_revote: session.allow_revote,
+    tie_break: tieBreak,
+    quorum: session.quorum,
+    certification: {
+      required_approvals: session.certification?.required_approvals || 0,
+    },
+    petitions: session.petitions,
+    rerun_of: session._id,
+    created_by: createdBy || session.created_by,
+  });
+  await rerun.save();
+  await copyCandidates(session, rerun);
+  await assignLivePublicCode(rerun);
+
+  return rerun;
+}
+
+/**
+ * Tell every student eligible for the re-run when it opens.
+ */
+async function notifyRerunScheduled(session, rerun) {
+  const tenant = session.tenant_id ? await Tenant.findById(session.tenant_id) : null;
+  const filter = await getEligibleStudentFilter(tenant, rerun);
+  const students = await Student.find(filter).select("_id").lean();
+
+  await createNotifications(
+    students.map((student) => ({
+      tenant_id: session.tenant_id || null,
+      recipient_type: "student",
+      recipient_student_id: student._id,
+      type: "session.rerun_scheduled",
+      title: `Re-run scheduled: ${session.title}`,
+      message: `The election committee ordered a re-run of ${rerun.categories.join(", ")}. Voting opens on ${rerun.start_time.toUTCString()}.`,
+      link: `/students/vote/${rerun._id}`,
+      priority: "high",
+      metadata: {
+        session_id: rerun._id,
+        rerun_of: session._id,
+        positions: rerun.categories,
+      },
+    })),
+  );
+
+  return students.length;
+}
+
+module.exports = {
+  createRerunSession,
+  notifyRerunScheduled,
+};
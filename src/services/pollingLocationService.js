@@ -0,0 +1,148 @@
+const PollingLocation = require("../models/PollingLocation");
+const VotingSession = require("../models/VotingSession");
+const {
+  sanitizePollingZones,
+  buildCoveringLocation,
+} = require("../utils/pollingZones");
+
+function toId(value) {
+  if (!value) return null;
+  return value.toString();
+}
+
+function buildScopedFilter(tenantId, filter = {}) {
+  return tenantId ? { ...filter, tenant_id: tenantId } : filter;
+}
+
+/**
+ * Polling zone fields of a saved location
+ */
+function toPollingZone(location) {
+  return {
+    location_id: location._id,
+    name: location.name,
+    shape: location.shape,
+    ...(location.shape === "circle"
+      ? {
+          center: { lat: location.center.lat, lng: location.center.lng },
+          radius_meters: location.radius_meters,
+        }
+      : {
+          polygon: {
+            type: "Polygon",
+            coordinates: location.polygon.coordinates,
+          },
+        }),
+  };
+}
+
+/**
+ * Fill in zones given as `{ location_id }` from the tenant's saved
+ * locations, then validate the whole list. Returns `{ polling_zones }` or
+ * `{ error, code }`.
+ */
+async function resolvePollingZones(tenantId, zones) {
+  if (!Array.isArray(zones)) {
+    return sanitizePollingZones(zones);
+  }
+
+  const locationIds = zones.map((zone) => zone?.location_id).filter(Boolean);
+  const locations = locationIds.length
+    ? await PollingLocation.find(
+        buildScopedFilter(tenantId, { _id: { $in: locationIds } }),
+      ).lean()
+    : [];
+  const locationsById = new Map(
+    locations.map((location) => [toId(location._id), location]),
+  );
+
+  const resolved = [];
+  for (const zone of zones) {
+    if (!zone?.location_id) {
+      resolved.push(zone);
+      continue;
+    }
+
+    const location = locationsById.get(toId(zone.location_id));
+    if (!location) {
+      return {
+        error: "Saved polling location not found",
+        code: "POLLING_LOCATION_NOT_FOUND",
+        location_id: zone.location_id,
+      };
+    }
+    resolved.push(toPollingZone(location));
+  }
+
+  return sanitizePollingZones(resolved);
+}
+
+/**
+ * Sessions that have not started and use the location. Live and past
+ * sessions keep the zone they were run with.
+ */
+function findUpcomingSessionsUsing(tenantId, locationId, now = new Date()) {
+  return VotingSession.find(
+    buildScopedFilter(tenantId, {
+      "polling_zones.location_id": locationId,
+      status: { $in: ["draft", "upcoming"] },
+      start_time: { $gt: now },
+    }),
+  );
+}
+
+/**
+ * Copy an edited location into every upcoming session that uses it and
+ * redraw their covering `location` circle. A session where the new name
+ * clashes with another of its zones is left alone and reported.
+ *
+ * @returns {Promise<{updated: Object[], skipped: Object[]}>}
+ */
+async function syncUpcomingSessions(location) {
+  const sessions = await findUpcomingSessionsUsing(location.tenant_id, location._id);
+  const replacement = toPollingZone(location);
+  const updated = [];
+  const skipped = [];
+
+  for (const session of sessions) {
+    const zones = session.polling_zones.map((zone) =>
+      toId(zone.location_id) === toId(location._id) ? replacement : zone.toObject(),
+    );
+    const sanitized = sanitizePollingZones(zones);
+
+    if (sanitized.error) {
+      skipped.push({ id: session._id, title: session.title, error: sanitized.error });
+      continue;
+    }
+
+    session.polling_zones = sanitized.polling_zones;
+    session.location = buildCoveringLocation(sanitized.polling_zones);
+    await session.save();
+    updated.push({ id: session._id, title: session.title });
+  }
+
+  return { updated, skipped };
+}
+
+/**
+ * Sessions that are not over and use the location, which keep it from
+ * being deleted
+ */
+function findOpenSessionsUsing(tenantId, locationId) {
+  return VotingSession.find(
+    buildScopedFilter(tenantId, {
+      "polling_zones.location_id": locationId,
+      status: { $nin: ["ended", "cancelled"] },
+      end_time: { $gt: new Date() },
+    }),
+  )
+    .select("title status start_time end_time")
+    .lean();
+}
+
+module.exports = {
+  toPollingZone,
+  resolvePollingZones,
+  syncUpcomingSessions,
+  findOpenSessionsUsing,
+};
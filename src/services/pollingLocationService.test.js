@@ -0,0 +1,102 @@
+jest.mock("../models/PollingLocation", () => ({
+  find: jest.fn(),
+}));
+jest.mock("../models/VotingSession", () => ({
+  find: jest.fn(),
+}));
+
+const PollingLocation = require("../models/PollingLocation");
+const VotingSession = require("../models/VotingSession");
+const {
+  resolvePollingZones,
+  syncUpcomingSessions,
+} = require("./pollingLocationService");
+
+function circleZone(name, extra = {}) {
+  return {
+    name,
+    shape: "circle",
+    center: { lat: 7.8525, lng: 4.2811 },
+    radius_meters: 100,
+    ...extra,
+  };
+}
+
+function sessionDoc(id, zones) {
+  return {
+    _id: id,
+    title: `Election ${id}`,
+    polling_zones: zones.map((zone) => ({ ...zone, toObject: () => zone })),
+    save: jest.fn().mockResolvedValue(undefined),
+  };
+}
+
+describe("pollingLocationService", () => {
+  const savedLocations = [
+    { _id: "loc-1", tenant_id: "tenant-a", ...circleZone("Main Hall") },
+    { _id: "loc-2", tenant_id: "tenant-b", ...circleZone("Sports Centre") },
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    PollingLocation.find.mockImplementation((filter) => ({
+      lean: jest
+        .fn()
+        .mockResolvedValue(
+          savedLocations.filter(
+            (location) =>
+              location.tenant_id === filter.tenant_id &&
+              filter._id.$in.includes(location._id),
+          ),
+        ),
+    }));
+  });
+
+  it("fills in zones from the tenant's saved locations", async () => {
+    const result = await resolvePollingZones("tenant-a", [
+      { location_id: "loc-1" },
+      circleZone("Library"),
+    ]);
+
+    expect(result.polling_zones.map((zone) => zone.name)).toEqual(["Main Hall", "Library"]);
+    expect(result.polling_zones[0].location_id).toBe("loc-1");
+  });
+
+  it("rejects unknown locations and locations of another tenant", async () => {
+    const unknown = await resolvePollingZones("tenant-a", [{ location_id: "loc-9" }]);
+    const otherTenant = await resolvePollingZones("tenant-a", [{ location_id: "loc-2" }]);
+
+    expect(unknown).toMatchObject({
+      code: "POLLING_LOCATION_NOT_FOUND",
+      location_id: "loc-9",
+    });
+    expect(otherTenant).toMatchObject({
+      code: "POLLING_LOCATION_NOT_FOUND",
+      location_id: "loc-2",
+    });
+  });
+
+  it("skips an upcoming session where the edited name clashes with another zone", async () => {
+    const clashing = sessionDoc("s-1", [
+      circleZone("Main Hall", { location_id: "loc-1" }),
+      circleZone("Library", { location_id: null }),
+    ]);
+    const clean = sessionDoc("s-2", [circleZone("Main Hall", { location_id: "loc-1" })]);
+    VotingSession.find.mockResolvedValue([clashing, clean]);
+
+    const result = await syncUpcomingSessions({
+      _id: "loc-1",
+      tenant_id: "tenant-a",
+      ...circleZone("Library"),
+    });
+
+    expect(result.skipped).toEqual([
+      expect.objectContaining({ id: "s-1", error: expect.stringContaining("listed twice") }),
+    ]);
+    expect(result.updated).toEqual([{ id: "s-2", title: "Election s-2" }]);
+    expect(clashing.save).not.toHaveBeenCalled();
+    expect(clean.save).toHaveBeenCalled();
+    expect(clean.polling_zones.map((zone) => zone.name)).toEqual(["Library"]);
+    expect(clean.location).toBeTruthy();
+  });
+});
@@ -0,0 +1,99 @@
+const mongoose = require("mongoose");
+const Candidate = require("../models/Candidate");
+const Vote = require("../models/Vote");
+const Recount = require("../models/Recount");
+const { CANDIDATE_SUPPORT_MATCH } = require("../utils/ballotRules");
+const { reconcileVoteCounts } = require("../utils/recount");
+
+/**
+ * Recount a session's candidate totals from its valid votes and record the
+ * result, optionally overwriting the stored counters. Callers check that
+ * the session is not encrypted first.
+ *
+ * @param {Object} options
+ * @param {*} options.tenantId - Tenant the session belongs to, or null
+ * @param {Object} options.session - VotingSession with `_id`
+ * @param {Object} options.performedBy - `{ id, name }` of the admin
+ * @returns {Promise<Object>} The Recount document
+ */
+async function recountSession({ tenantId = null, session, performedBy, repair = false, reason = null }) {
+  const scope = tenantId ? { tenant_id: tenantId } : {};
+
+  // Counting, repairing and recording in one transaction means a vote
+  // landing mid-recount either conflicts and aborts it, or is not seen
+  // by either side of the comparison
+  const mongoSession = await mongoose.startSession();
+  try {
+    mongoSession.startTransaction();
+
+    const candidates = await Candidate.find({ ...scope, session_id: session._id })
+      .select("name position vote_count")
+      .session(mongoSession)
+      .lean();
+    const recountedCounts = await Vote.aggregate([
+      {
+        $match: {
+          ...scope,
+          session_id: session._id,
+          status: "valid",
+          ...CANDIDATE_SUPPORT_MATCH,
+        },
+      },
+      { $group: { _id: "$candidate_id", count: { $sum: 1 } } },
+    ]).session(mongoSession);
+    const totalValidVotes = await Vote.countDocuments({
+      ...scope,
+      session_id: session._id,
+      status: "valid",
+    }).session(mongoSession);
+
+    const report = reconcileVoteCounts(candidates, recountedCounts);
+    const repaired = repair === true && report.discrepancies.length > 0;
+
+    if (repaired) {
+      await Candidate.bulkWrite(
+        report.discrepancies.map((row) => ({
+          updateOne: {
+            filter: { ...scope, _id: row.candidate_id, session_id: session._id },
+            update: { $set: { vote_count: row.recounted_count } },
+          },
+        })),
+        { session: mongoSession },
+      );
+    }
+
+    const [recount] = await Recount.create(
+      [
+        {
+          ...scope,
+          session_id: session._id,
+          performed_by: performedBy.id,
+          performed_by_name: performedBy.name || null,
+          reason: reason || null,
+          repaired,
+          total_valid_votes: totalValidVotes,
+          candidates_checked: report.candidates.length,
+          stored_total: report.stored_total,
+          recounted_total: report.recounted_total,
+          discrepancies: report.discrepancies,
+          orphaned: report.orphaned,
+        },
+      ],
+      { session: mongoSession },
+    );
+
+    await mongoSession.commitTransaction();
+    return recount;
+  } catch (error) {
+    if (mongoSession.inTransaction()) {
+      await mongoSession.abortTransaction();
+    }
+    throw error;
+  } finally {
+    mongoSession.endSession();
+  }
+}
+
+module.exports = {
+  recountSession,
+};
@@ -0,0 +1,174 @@
+const mongoose = require("mongoose");
+const Vote = require("../models/Vote");
+const Student = require("../models/Student");
+const {
+  getTenantId,
+  getTenantScopedFilter,
+  prependTenantMatch,
+} = require("../utils/tenantScope");
+const {
+  CANDIDATE_SUPPORT_MATCH,
+  getPositionSettings,
+} = require("../utils/ballotRules");
+const {
+  getRankedChoiceTallies,
+  applyRankedChoiceTally,
+  applySeatAllocation,
+  getReferendumTallies,
+  addReferendumGroups,
+  applyReferendumTally,
+  getTicketLookup,
+} = require("./tallyService");
+const { applyTicketDetails } = require("../utils/ticketRules");
+const { applyTieResolutions } = require("../utils/tieBreak");
+const {
+  isEncryptedSession,
+  getDecryptedCandidateCounts,
+} = require("../utils/encryptedBallot");
+const { getCertifiedCandidateCounts } = require("../utils/certification");
+const {
+  isCandidateDisqualified,
+  formatDisqualification,
+  applyDisqualifications,
+} = require("../utils/voteInvalidation");
+
+function buildEligibilityFilter(req, session, departmentNames) {
+  const filter = getTenantScopedFilter(req, { is_active: true });
+
+  if (session.eligible_college) {
+    filter.college = session.eligible_college;
+  }
+
+  if (departmentNames.length > 0) {
+    filter.department = { $in: departmentNames };
+  }
+
+  if (session.eligible_levels && session.eligible_levels.length > 0) {
+    filter.level = { $in: session.eligible_levels };
+  }
+
+  return filter;
+}
+
+/**
+ * Final results of an ended session grouped by position, with seat, runoff,
+ * referendum, tie-break and ticket outcomes applied. Certified sessions
+ * report the counts that were signed off. `session.candidates` must be
+ * populated.
+ */
+async function buildSessionResults(req, session, departmentNames) {
+  const sessionObjectId = new mongoose.Types.ObjectId(session._id);
+  const certifiedCounts = getCertifiedCandidateCounts(session);
+  const [
+    votesByCandidate,
+    totalVotes,
+    totalEligible,
+    rankedTallies,
+    referendumTallies,
+    ticketLookup,
+  ] = await Promise.all([
+    certifiedCounts ||
+    (isEncryptedSession(session)
+      ? getDecryptedCandidateCounts(session)
+      : Vote.aggregate(
+          prependTenantMatch(req, [
+            {
+              $match: {
+                session_id: sessionObjectId,
+                status: "valid",
+                ...CANDIDATE_SUPPORT_MATCH,
+              },
+            },
+            {
+              $group: {
+                _id: "$candidate_id",
+                count: { $sum: 1 },
+              },
+            },
+          ]),
+        )),
+    certifiedCounts
+      ? session.certification.snapshot.total_valid_votes
+      : Vote.countDocuments(
+          getTenantScopedFilter(req, {
+            session_id: session._id,
+            status: "valid",
+          }),
+        ),
+    Student.countDocuments(
+      buildEligibilityFilter(req, session, departmentNames),
+    ),
+    getRankedChoiceTallies({
+      tenantId: getTenantId(req),
+      session,
+      candidates: session.candidates,
+    }),
+    getReferendumTallies({ tenantId: getTenantId(req), session }),
+    getTicketLookup({ tenantId: getTenantId(req), session }),
+  ]);
+
+  const candidatesWithVotes = session.candidates.map((candidate) => {
+    const voteData = votesByCandidate.find(
+      (entry) => entry._id.toString() === candidate._id.toString(),
+    );
+    const voteCount = voteData ? voteData.count : 0;
+    const percentage =
+      totalVotes > 0 ? ((voteCount / totalVotes) * 100).toFixed(2) : 0;
+
+    return {
+      id: candidate._id,
+      name: candidate.name,
+      position: candidate.position,
+      photo_url: candidate.photo_url,
+      bio: candidate.bio,
+      manifesto: candidate.manifesto,
+      vote_count: voteCount,
+      percentage: parseFloat(percentage),
+      disqualified: isCandidateDisqualified(candidate),
+      disqualification: formatDisqualification(candidate),
+    };
+  });
+
+  const resultsByPosition = candidatesWithVotes.reduce((acc, candidate) => {
+    if (!acc[candidate.position]) {
+      acc[candidate.position] = {
+        position: candidate.position,
+        total_votes: 0,
+        candidates: [],
+      };
+    }
+
+    acc[candidate.position].candidates.push(candidate);
+    acc[candidate.position].total_votes += candidate.vote_count;
+
+    return acc;
+  }, {});
+  addReferendumGroups(resultsByPosition, session);
+
+  Object.values(resultsByPosition).forEach((position) => {
+    const settings = getPositionSettings(session, position.position);
+    position.candidates.sort((a, b) => b.vote_count - a.vote_count);
+    position.ballot_type = settings.ballot_type;
+    applySeatAllocation(position, settings);
+    applyRankedChoiceTally(position, rankedTallies.get(position.position));
+    applyReferendumTally(
+      position,
+      referendumTallies.get(position.position),
+      settings,
+    );
+  });
+  applyTieResolutions(Object.values(resultsByPosition), session.tie_resolutions);
+  applyDisqualifications(Object.values(resultsByPosition));
+  applyTicketDetails(Object.values(resultsByPosition), ticketLookup);
+
+  return {
+    totalVotes,
+    totalEligible,
+    results: Object.values(resultsByPosition),
+  };
+}
+
+module.exports = {
+  buildEligibilityFilter,
+  buildSessionResults,
+};
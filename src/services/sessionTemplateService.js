@@ -0,0 +1,120 @@
+const VotingSession = require("../models/VotingSession");
+const Candidate = require("../models/Candidate");
+const Ticket = require("../models/Ticket");
+const { assignLivePublicCode } = require("./liveSessionService");
+const { buildSessionFromTemplate } = require("../utils/sessionTemplate");
+const { createLotSeed } = require("../utils/tieBreak");
+
+function toId(value) {
+  if (!value) return null;
+  return value.toString();
+}
+
+/**
+ * Create a session from template settings on new dates. A lot tie-break
+ * gets its own seed and the session its own live public code.
+ *
+ * @returns {Promise<{session: Object}|{error: string, code: string}>}
+ */
+async function createSessionFromSettings(
+  settings,
+  { tenantId = null, title, description, start_time, end_time, draft, createdBy },
+) {
+  const built = buildSessionFromTemplate(settings, {
+    title,
+    description,
+    start_time,
+    end_time,
+  });
+  if (built.error) {
+    return built;
+  }
+
+  const fields = built.session;
+  if (fields.tie_break.policy === "lot") {
+    const { seed, commitment } = createLotSeed();
+    fields.tie_break.lot_seed = seed;
+    fields.tie_break.lot_seed_commitment = commitment;
+  }
+
+  const session = new VotingSession({
+    tenant_id: tenantId,
+    ...fields,
+    ...(draft === true ? { status: "draft" } : {}),
+    created_by: createdBy,
+  });
+  await session.save();
+  await assignLivePublicCode(session);
+
+  return { session };
+}
+
+/**
+ * Copy the candidates of `source` that stand for positions on `target`'s
+ * ballot, and the tickets they run on. Vote counts and nomination links
+ * stay with the original candidates; disqualified candidates are not copied.
+ *
+ * @returns {Promise<{candidates: number, tickets: number}>}
+ */
+async function copyCandidates(source, target) {
+  const candidates = await Candidate.find({
+    tenant_id: source.tenant_id || null,
+    session_id: source._id,
+    position: { $in: target.categories },
+    disqualification: null,
+  })
+    .sort({ createdAt: 1 })
+    .lean();
+
+  if (candidates.length === 0) {
+    return { candidates: 0, tickets: 0 };
+  }
+
+  const copies = await Candidate.insertMany(
+    candidates.map((candidate) => ({
+      tenant_id: target.tenant_id || null,
+      session_id: target._id,
+      name: candidate.name,
+      position: candidate.position,
+      photo_url: candidate.photo_url,
+      bio: candidate.bio,
+      manifesto: candidate.manifesto,
+    })),
+  );
+  const copyIds = new Map(
+    candidates.map((candidate, index) => [toId(candidate._id), copies[index]._id]),
+  );
+
+  target.candidates = copies.map((copy) => copy._id);
+  await target.save();
+
+  const tickets = await Ticket.find({
+    tenant_id: source.tenant_id || null,
+    session_id: source._id,
+  }).lean();
+  const ticketCopies = tickets
+    .filter((ticket) =>
+      ticket.members.every((member) => copyIds.has(toId(member.candidate_id))),
+    )
+    .map((ticket) => ({
+      tenant_id: target.tenant_id || null,
+      session_id: target._id,
+      name: ticket.name,
+      positions: ticket.positions,
+      members: ticket.members.map((member) => ({
+        candidate_id: copyIds.get(toId(member.candidate_id)),
+        position: member.position,
+      })),
+    }));
+
+  if (ticketCopies.length > 0) {
+    await Ticket.insertMany(ticketCopies);
+  }
+
+  return { candidates: copies.length, tickets: ticketCopies.length };
+}
+
+module.exports = {
+  createSessionFromSettings,
+  copyCandidates,
+};
@@ -0,0 +1,449 @@
+const mongoose = require("mongoose");
+const Vote = require("../models/Vote");
+const Candidate = require("../models/Candidate");
+const Ticket = require("../models/Ticket");
+const {
+  CANDIDATE_SUPPORT_MATCH,
+  getPositionSettings,
+  isResponseBallot,
+} = require("../utils/ballotRules");
+const {
+  runInstantRunoff,
+  rankSeatWinners,
+  evaluateReferendum,
+} = require("../utils/ballotTally");
+const { addCiphertexts } = require("../utils/electionCrypto");
+const {
+  digestAggregate,
+  isEncryptedSession,
+  getDecryptedCandidateCounts,
+} = require("../utils/encryptedBallot");
+const { buildTicketLookup } = require("../utils/ticketRules");
+const { isCandidateDisqualified } = require("../utils/voteInvalidation");
+
+function toId(value) {
+  if (!value) return null;
+  return value.toString();
+}
+
+async function loadRankedBallots(tenantId, sessionId, positions) {
+  const filter = {
+    session_id: new mongoose.Types.ObjectId(sessionId),
+    status: "valid",
+    position: { $in: positions },
+  };
+
+  if (tenantId) {
+    filter.tenant_id = tenantId;
+  }
+
+  return Vote.find(filter).select("position candidate_id preferences").lean();
+}
+
+/**
+ * Run the instant-runoff count for every ranked-choice position in a session.
+ * Returns a Map keyed by position name; plurality positions are omitted.
+ * Disqualified candidates are left out, so their ballots transfer to the
+ * next preference.
+ */
+async function getRankedChoiceTallies({ tenantId, session, candidates = [] }) {
+  const rankedPositions = (session?.categories || []).filter(
+    (position) => getPositionSettings(session, position).ballot_type === "ranked_choice",
+  );
+
+  if (rankedPositions.length === 0) {
+    return new Map();
+  }
+
+  const ballots = await loadRankedBallots(
+    tenantId || session.tenant_id || null,
+    session._id,
+    rankedPositions,
+  );
+
+  return new Map(
+    rankedPositions.map((position) => {
+      const positionCandidates = candidates
+        .filter(
+          (candidate) =>
+            candidate.position === position &&
+            !candidate.disqualified &&
+            !isCandidateDisqualified(candidate),
+        )
+        .map((candidate) => toId(candidate._id || candidate.id));
+      const positionBallots = ballots
+        .filter((ballot) => ballot.position === position)
+        .map((ballot) =>
+          ballot.preferences?.length ? ballot.preferences : [ballot.candidate_id],
+        );
+
+      return [position, runInstantRunoff(positionCandidates, positionBallots)];
+    }),
+  );
+}
+
+/**
+ * Attach elimination rounds to a grouped position result and flag the
+ * instant-runoff winner with `flagField` (is_winner / is_leading).
+ */
+function applyRankedChoiceTally(group, tally, flagField = "is_winner") {
+  if (!tally) {
+    return group;
+  }
+
+  const names = new Map(
+    group.candidates.map((candidate) => [toId(candidate.id || candidate._id), candidate.name]),
+  );
+  const eliminatedInRound = new Map();
+  tally.rounds.forEach((round) => {
+    round.eliminated.forEach((id) => eliminatedInRound.set(id, round.round));
+  });
+  const finalRound = tally.rounds[tally.rounds.length - 1];
+  const finalVotes = new Map(
+    (finalRound?.tallies || []).map((entry) => [entry.candidate_id, entry.votes]),
+  );
+
+  group.ballot_type = "ranked_choice";
+  group.tied = tally.tied;
+  group.rounds = tally.rounds.map((round) => ({
+    ...round,
+    tallies: round.tallies.map((entry) => ({
+      ...entry,
+      name: names.get(entry.candidate_id) || null,
+    })),
+  }));
+  group.candidates.forEach((candidate) => {
+    const id = toId(candidate.id || candidate._id);
+    candidate[flagField] = tally.winner_id === id;
+    candidate.eliminated_in_round = eliminatedInRound.get(id) || null;
+    candidate.final_round_votes = finalVotes.has(id) ? finalVotes.get(id) : null;
+  });
+  group.candidates.sort((left, right) => {
+    if (left[flagField] !== right[flagField]) return left[flagField] ? -1 : 1;
+    const leftRound = left.eliminated_in_round || Infinity;
+    const rightRound = right.eliminated_in_round || Infinity;
+    if (leftRound !== rightRound) return rightRound - leftRound;
+    return right.vote_count - left.vote_count;
+  });
+
+  return group;
+}
+
+/**
+ * Flag the elected candidates of a plurality or approval position. When
+ * candidates are level at the last seat none of them is flagged; they are
+ * marked `is_tied` and the group reports how many seats remain contested.
+ * Candidates marked `disqualified` never take a seat.
+ */
+function applySeatAllocation(group, settings, flagField = "is_winner") {
+  const seats = settings?.seats || 1;
+  const allocation = rankSeatWinners(
+    group.candidates.filter((candidate) => !candidate.disqualified),
+    seats,
+  );
+  const elected = new Set(allocation.elected);
+  const tied = new Set(allocation.tied);
+
+  group.seats = seats;
+  group.max_selections = settings?.max_selections || 1;
+  group.tied = tied.size > 0;
+  group.tied_seats = allocation.tied_seats;
+  group.unfilled_seats = allocation.unfilled_seats;
+  group.candidates.forEach((candidate) => {
+    const id = toId(candidate.id || candidate._id);
+    candidate[flagField] = elected.has(id);
+    candidate.is_tied = tied.has(id);
+  });
+
+  return group;
+}
+
+function listResponsePositions(session) {
+  return (session?.categories || []).filter((position) =>
+    isResponseBallot(getPositionSettings(session, position).ballot_type),
+  );
+}
+
+/**
+ * Count yes/no/abstain responses for every referendum and confirmation item
+ * in a session. Returns a Map keyed by position name.
+ */
+async function getReferendumTallies({ tenantId, session }) {
+  const responsePositions = listResponsePositions(session);
+
+  if (responsePositions.length === 0) {
+    return new Map();
+  }
+
+  const match = {
+    session_id: new mongoose.Types.ObjectId(session._id),
+    status: "valid",
+    position: { $in: responsePositions },
+    response: { $ne: null },
+  };
+  const scopedTenantId = tenantId || session.tenant_id || null;
+  if (scopedTenantId) {
+    match.tenant_id = scopedTenantId;
+  }
+
+  const rows = await Vote.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { position: "$position", response: "$response" },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+
+  return new Map(
+    responsePositions.map((position) => {
+      const counts = rows
+        .filter((row) => row._id.position === position)
+        .reduce((acc, row) => ({ ...acc, [row._id.response]: row.count }), {});
+
+      return [
+        position,
+        evaluateReferendum(counts, getPositionSettings(session, position).pass_threshold),
+      ];
+    }),
+  );
+}
+
+/**
+ * Referendums have no candidates, so they never appear when results are
+ * grouped from candidates. Add an empty group for each so it is reported.
+ */
+function addReferendumGroups(groups, session) {
+  listResponsePositions(session).forEach((position) => {
+    if (!groups[position]) {
+      groups[position] = { position, total_votes: 0, candidates: [] };
+    }
+  });
+
+  return groups;
+}
+
+/**
+ * Attach the yes/no/abstain outcome to a grouped position result. A confirmed
+ * candidate is flagged with `flagField` only when the item passes.
+ */
+function applyReferendumTally(group, tally, settings, flagField = "is_winner") {
+  if (!tally) {
+    return group;
+  }
+
+  group.ballot_type = settings.ballot_type;
+  group.question = settings.question || null;
+  group.pass_threshold = tally.pass_threshold;
+  group.responses = {
+    yes: tally.yes,
+    no: tally.no,
+    abstain: tally.abstain,
+  };
+  group.yes_percentage = tally.yes_percentage;
+  group.no_percentage = tally.no_percentage;
+  group.total_votes = tally.total;
+  group.passed = tally.passed;
+  group.tied = false;
+  group.candidates.forEach((candidate) => {
+    candidate[flagField] = tally.passed;
+    candidate.is_tied = false;
+  });
+
+  return group;
+}
+
+/**
+ * Running-mate details for every ticketed candidate of a session, keyed by
+ * candidate id (see utils/ticketRules.buildTicketLookup).
+ */
+async function getTicketLookup({ tenantId, session }) {
+  const filter = { session_id: new mongoose.Types.ObjectId(session._id) };
+
+  if (tenantId) {
+    filter.tenant_id = tenantId;
+  }
+
+  const tickets = await Ticket.find(filter)
+    .populate("members.candidate_id", "name photo_url bio manifesto")
+    .lean();
+
+  return buildTicketLookup(tickets);
+}
+
+/**
+ * Multiply together the ciphertexts of every valid encrypted ballot in a
+ * session, giving one encrypted total per candidate. Rows are streamed so
+ * large elections are never loaded into memory at once.
+ */
+async function computeEncryptedAggregate({ tenantId, session }) {
+  const scopedTenantId = tenantId || session.tenant_id || null;
+  const sessionObjectId = new mongoose.Types.ObjectId(session._id);
+  const scope = scopedTenantId ? { tenant_id: scopedTenantId } : {};
+  const candidates = await Candidate.find({ ...scope, session_id: sessionObjectId })
+    .select("_id position")
+    .lean();
+
+  const totals = new Map();
+  const ballotsByPosition = new Map();
+  candidates.forEach((candidate) => {
+    totals.set(`${candidate.position}\u0000${toId(candidate._id)}`, {
+      position: candidate.position,
+      option: toId(candidate._id),
+      ciphertext: addCiphertexts([]),
+    });
+  });
+
+  const cursor = Vote.find({
+    ...scope,
+    session_id: sessionObjectId,
+    status: "valid",
+    is_encrypted: true,
+  })
+    .select("position ciphertexts")
+    .lean()
+    .cursor();
+
+  for await (const row of cursor) {
+    ballotsByPosition.set(row.position, (ballotsByPosition.get(row.position) || 0) + 1);
+    (row.ciphertexts || []).forEach((entry) => {
+      const total = totals.get(`${row.position}\u0000${entry.option}`);
+      if (total) {
+        total.ciphertext = addCiphertexts([total.ciphertext, entry]);
+      }
+    });
+  }
+
+  const ciphertexts = Array.from(totals.values())
+    .sort((left, right) =>
+      left.position === right.position
+        ? left.option.localeCompare(right.option)
+        : left.position.localeCompare(right.position),
+    )
+    .map(({ position, option, ciphertext }) => ({
+      position,
+      option,
+      c1: ciphertext.c1,
+      c2: ciphertext.c2,
+      ballots: ballotsByPosition.get(position) || 0,
+    }));
+
+  return {
+    ciphertexts,
+    digest: digestAggregate(session._id, ciphertexts),
+  };
+}
+
+/**
+ * Valid supporting votes per candidate as `[{ _id, count }]`, read from the
+ * decrypted tally for encrypted sessions.
+ */
+async function getCandidateVoteCounts({ tenantId, session }) {
+  if (isEncryptedSession(session)) {
+    return getDecryptedCandidateCounts(session);
+  }
+
+  const match = {
+    session_id: new mongoose.Types.ObjectId(session._id),
+    status: "valid",
+    ...CANDIDATE_SUPPORT_MATCH,
+  };
+  const scopedTenantId = tenantId || session.tenant_id || null;
+  if (scopedTenantId) {
+    match.tenant_id = scopedTenantId;
+  }
+
+  return Vote.aggregate([
+    { $match: match },
+    { $group: { _id: "$candidate_id", count: { $sum: 1 } } },
+  ]);
+}
+
+/**
+ * Freeze a session's outcome for certification: every candidate's count and
+ * standing, the instant-runoff and referendum outcomes and the valid ballot
+ * total.
+ * Ids and dates are strings so the snapshot hashes the same once stored.
+ */
+async function buildResultSnapshot({ tenantId, session }) {
+  const scopedTenantId = tenantId || session.tenant_id || null;
+  const candidateFilter = { session_id: session._id };
+  if (scopedTenantId) {
+    candidateFilter.tenant_id = scopedTenantId;
+  }
+
+  const candidates = await Candidate.find(candidateFilter)
+    .select("name position disqualification")
+    .lean();
+  const [voteCounts, totalValidVotes, rankedTallies, referendumTallies] =
+    await Promise.all([
+      getCandidateVoteCounts({ tenantId: scopedTenantId, session }),
+      Vote.countDocuments({
+        ...(scopedTenantId ? { tenant_id: scopedTenantId } : {}),
+        session_id: session._id,
+        status: "valid",
+      }),
+      getRankedChoiceTallies({ tenantId: scopedTenantId, session, candidates }),
+      getReferendumTallies({ tenantId: scopedTenantId, session }),
+    ]);
+  const countsById = new Map(
+    voteCounts.map((entry) => [toId(entry._id), entry.count]),
+  );
+
+  return {
+    session_id: toId(session._id),
+    title: session.title,
+    start_time: new Date(session.start_time).toISOString(),
+    end_time: new Date(session.end_time).toISOString(),
+    total_valid_votes: totalValidVotes,
+    positions: (session.categories || []).map((position) => {
+      const settings = getPositionSettings(session, position);
+      const rankedTally = rankedTallies.get(position);
+      const referendumTally = referendumTallies.get(position);
+
+      return {
+        position,
+        ballot_type: settings.ballot_type,
+        seats: settings.seats,
+        candidates: candidates
+          .filter((candidate) => candidate.position === position)
+          .map((candidate) => ({
+            candidate_id: toId(candidate._id),
+            name: candidate.name,
+            vote_count: countsById.get(toId(candidate._id)) || 0,
+            disqualified: isCandidateDisqualified(candidate),
+          }))
+          .sort((left, right) => left.candidate_id.localeCompare(right.candidate_id)),
+        ranked_choice: rankedTally
+          ? {
+              winner_id: rankedTally.winner_id || null,
+              tied: rankedTally.tied,
+              rounds: rankedTally.rounds.length,
+            }
+          : null,
+        referendum: referendumTally
+          ? {
+              yes: referendumTally.yes,
+              no: referendumTally.no,
+              abstain: referendumTally.abstain,
+              passed: referendumTally.passed,
+            }
+          : null,
+      };
+    }),
+  };
+}
+
+module.exports = {
+  getRankedChoiceTallies,
+  applyRankedChoiceTally,
+  applySeatAllocation,
+  getReferendumTallies,
+  addReferendumGroups,
+  applyReferendumTally,
+  getTicketLookup,
+  computeEncryptedAggregate,
+  getCandidateVoteCounts,
+  buildResultSnapshot,
+};
@@ -0,0 +1,328 @@
+const mongoose = require("mongoose");
+const VotingSession = require("../models/VotingSession");
+const Candidate = require("../models/Candidate");
+const Student = require("../models/Student");
+const Tenant = require("../models/Tenant");
+const {
+  createNotifications,
+  notifyTenantAdmins,
+} = require("./notificationService");
+const {
+  assignLivePublicCode,
+  getEligibleStudentFilter,
+} = require("./liveSessionService");
+const { getPositionSettings } = require("../utils/ballotRules");
+const {
+  createLotSeed,
+  drawLots,
+  buildRunoffSchedule,
+} = require("../utils/tieBreak");
+const { getPresencePolicy } = require("../utils/presenceCode");
+const { isEncryptedSession } = require("../utils/encryptedBallot");
+
+function toId(value) {
+  if (!value) return null;
+  return value.toString();
+}
+
+function isDuplicateKeyError(error) {
+  if (error?.code === 11000) return true;
+  const writeErrors = error?.writeErrors || [];
+  return (
+    writeErrors.length > 0 &&
+    writeErrors.every((entry) => (entry.err?.code ?? entry.code) === 11000)
+  );
+}
+
+/**
+ * Ids for a runoff and its candidate copies, picked before anything is
+ * written so they can be recorded on the tie resolutions first
+ */
+function planRunoff(ties) {
+  const tiedIds = ties.flatMap((tie) => tie.candidate_ids);
+
+  return {
+    runoffId: new mongoose.Types.ObjectId(),
+    copyIds: new Map(tiedIds.map((id) => [toId(id), new mongoose.Types.ObjectId()])),
+  };
+}
+
+/**
+ * Create the follow-up session for tied positions under the ids the
+ * resolutions already point to. It carries only the tied candidates and
+ * inherits the original eligibility, geofence, ballot and encryption
+ * settings; a tie in the runoff itself goes to the committee. Candidates go
+ * in first and existing documents are kept, so a retry after a partial write
+ * completes the runoff instead of creating another one.
+ *
+ * @returns {Promise<{runoff: Object, created: boolean}>}
+ */
+async function createRunoffSession(session, resolutions, now = new Date()) {
+  const runoffId = resolutions[0].runoff_session_id;
+  const existing = await VotingSession.findById(runoffId);
+  if (existing) {
+    await assignLivePublicCode(existing);
+    return { runoff: existing, created: false };
+  }
+
+  const tiedIds = resolutions.flatMap((resolution) => resolution.candidate_ids);
+  const copyIds = resolutions.flatMap((resolution) => resolution.runoff_candidate_ids);
+  const candidates = await Candidate.find({
+    tenant_id: session.tenant_id || null,
+    session_id: session._id,
+    _id: { $in: tiedIds },
+  }).lean();
+  const candidatesById = new Map(
+    candidates.map((candidate) => [candidate._id.toString(), candidate]),
+  );
+  const positions = session.categories.filter((position) =>
+    resolutions.some((resolution) => resolution.position === position),
+  );
+
+  try {
+    await Candidate.insertMany(
+      tiedIds.map((id, index) => {
+        const candidate = candidatesById.get(toId(id));
+        return {
+          _id: copyIds[index],
+          tenant_id: session.tenant_id || null,
+          session_id: runoffId,
+          name: candidate.name,
+          position: candidate.position,
+          photo_url: candidate.photo_url,
+          bio: candidate.bio,
+          manifesto: candidate.manifesto,
+        };
+      }),
+      { ordered: false },
+    );
+  } catch (error) {
+    if (!isDuplicateKeyError(error)) throw error;
+  }
+
+  const runoff = new VotingSession({
+    _id: runoffId,
+    tenant_id: session.tenant_id || null,
+    title: `${session.title} - Runoff`,
+    description: `Runoff for ${positions.join(", ")} after a tie in ${session.title}.`,
+    ...buildRunoffSchedule(session, now),
+    eligible_college: session.eligible_college,
+    eligible_departments: session.eligible_departments,
+    eligible_levels: session.eligible_levels,
+    categories: positions,
+    candidates: copyIds,
+    position_settings: positions.map((position) => {
+      const settings = getPositionSettings(session, position);
+      const { seats } = resolutions.find((resolution) => resolution.position === position);
+
+      return {
+        position,
+        ballot_type: settings.ballot_type,
+        seats,
+        max_selections: settings.ballot_type === "approval" ? seats : 1,
+        eligibility: settings.eligibility,
+      };
+    }),
+    location: session.location,
+    polling_zones: session.polling_zones,
+    is_off_campus_allowed: session.is_off_campus_allowed,
+    location_integrity: session.location_integrity,
+    presence: getPresencePolicy(session),
+    secret_ballot: session.secret_ballot,
+    allow_revote: session.allow_revote,
+    // The trustees hold shares of the same key, so they can decrypt the
+    // runoff tally just as they do the original one
+    encryption: isEncryptedSession(session)
+      ? {
+          enabled: true,
+          threshold: session.encryption.threshold,
+          public_key: session.encryption.public_key,
+          trustees: session.encryption.trustees,
+        }
+      : { enabled: false },
+    tie_break: { policy: "committee" },
+    runoff_of: session._id,
+    created_by: session.created_by,
+  });
+
+  try {
+    await runoff.save();
+  } catch (error) {
+    if (!isDuplicateKeyError(error)) throw error;
+    const saved = await VotingSession.findById(runoffId);
+    await assignLivePublicCode(saved);
+    return { runoff: saved, created: false };
+  }
+  await assignLivePublicCode(runoff);
+
+  return { runoff, created: true };
+}
+
+/**
+ * Tell every student eligible for the runoff that it has been scheduled.
+ */
+async function notifyRunoffScheduled(session, runoff) {
+  const tenant = session.tenant_id ? await Tenant.findById(session.tenant_id) : null;
+  const filter = await getEligibleStudentFilter(tenant, runoff);
+  const students = await Student.find(filter).select("_id").lean();
+
+  await createNotifications(
+    students.map((student) => ({
+      tenant_id: session.tenant_id || null,
+      recipient_type: "student",
+      recipient_student_id: student._id,
+      type: "session.runoff_scheduled",
+      title: `Runoff scheduled: ${session.title}`,
+      message: `${runoff.categories.join(", ")} ended in a tie. A runoff opens on ${runoff.start_time.toUTCString()}.`,
+      link: `/students/vote/${runoff._id}`,
+      priority: "high",
+      metadata: {
+        session_id: runoff._id,
+        runoff_of: session._id,
+        positions: runoff.categories,
+      },
+    })),
+  );
+
+  return students.length;
+}
+
+/**
+ * Record how each newly detected tie is settled, following the session's
+ * tie-break policy. Positions that already have a resolution are left alone,
+ * so calling this again for the same session is safe.
+ *
+ * @param {Object} session - VotingSession document
+ * @param {Array<{position: string, candidate_ids: Array<string>, seats: number}>} ties
+ * @returns {Promise<Array>} The session's tie resolutions
+ */
+async function resolveSessionTies(session, ties = [], now = new Date()) {
+  const resolved = new Set((session.tie_resolutions || []).map((entry) => entry.position));
+  const newTies = ties.filter((tie) => !resolved.has(tie.position));
+  const policy = session.tie_break?.policy || "committee";
+  const resolutions = newTies.map((tie) => ({
+    position: tie.position,
+    policy,
+    status: "pending",
+    seats: tie.seats,
+    candidate_ids: tie.candidate_ids,
+  }));
+
+  if (resolutions.length > 0 && policy === "lot") {
+    const stored = await VotingSession.findById(session._id)
+      .select("+tie_break.lot_seed")
+      .lean();
+    // Sessions created before lots were configured have no committed seed
+    const seed = stored?.tie_break?.lot_seed || createLotSeed().seed;
+
+    resolutions.forEach((resolution) => {
+      const draw = drawLots(seed, resolution.position, resolution.candidate_ids, resolution.seats);
+      Object.assign(resolution, {
+        status: "resolved",
+        winner_ids: draw.winner_ids,
+        draw_order: draw.draw_order,
+        lot_seed: seed,
+        decided_at: now,
+        note: "Decided by drawing lots",
+      });
+    });
+  }
+
+  if (resolutions.length > 0 && policy === "runoff") {
+    const { runoffId, copyIds } = planRunoff(newTies);
+    resolutions.forEach((resolution) => {
+      resolution.runoff_session_id = runoffId;
+      resolution.runoff_candidate_ids = resolution.candidate_ids.map((id) =>
+        copyIds.get(toId(id)),
+      );
+    });
+  }
+
+  // The resolutions are the claim: once saved, a retry sees these positions
+  // as handled and only finishes a runoff that was not fully written
+  if (resolutions.length > 0) {
+    session.tie_resolutions.push(...resolutions);
+    await session.save();
+  }
+
+  const pendingRunoffs = (session.tie_resolutions || []).filter(
+    (entry) => entry.status === "pending" && entry.runoff_session_id,
+  );
+  const runoffIds = [...new Set(pendingRunoffs.map((entry) => toId(entry.runoff_session_id)))];
+  const createdRunoffs = [];
+  for (const runoffId of runoffIds) {
+    const { runoff, created } = await createRunoffSession(
+      session,
+      pendingRunoffs.filter((entry) => toId(entry.runoff_session_id) === runoffId),
+      now,
+    );
+    if (created) createdRunoffs.push(runoff);
+  }
+
+  try {
+    for (const runoff of createdRunoffs) {
+      const notified = await notifyRunoffScheduled(session, runoff);
+      console.log(
+        `🔁 Runoff "${runoff.title}" scheduled for ${runoff.start_time.toISOString()} - ${notified} student(s) notified`,
+      );
+    }
+
+    if (resolutions.length > 0 && policy === "committee" && session.tenant_id) {
+      await notifyTenantAdmins({
+        tenantId: session.tenant_id,
+        type: "session.tie_pending",
+        title: `Tie needs a committee decision: ${session.title}`,
+        message: `${resolutions.map((resolution) => resolution.position).join(", ")} ended in a tie.`,
+        link: `/dashboard/sessions/${session._id}`,
+        priority: "high",
+        metadata: {
+          session_id: session._id,
+          positions: resolutions.map((resolution) => resolution.position),
+        },
+      });
+    }
+  } catch (error) {
+    console.error(`❌ Tie-break notification error for session ${session._id}:`, error);
+  }
+
+  return session.tie_resolutions;
+}
+
+/**
+ * Carry the winners of a runoff position (or its own committee decision)
+ * back to the tie it was held for.
+ */
+async function settleParentTie(runoff, position, runoffWinnerIds = [], { decidedBy = null, now = new Date() } = {}) {
+  if (!runoff.runoff_of) {
+    return null;
+  }
+
+  const parent = await VotingSession.findById(runoff.runoff_of);
+  const resolution = parent?.tie_resolutions.find(
+    (entry) =>
+      entry.position === position &&
+      entry.status === "pending" &&
+      toId(entry.runoff_session_id) === toId(runoff._id),
+  );
+
+  if (!resolution || runoffWinnerIds.length !== resolution.seats) {
+    return null;
+  }
+
+  const copies = resolution.runoff_candidate_ids.map(toId);
+  resolution.winner_ids = runoffWinnerIds.map(
+    (id) => resolution.candidate_ids[copies.indexOf(toId(id))],
+  );
+  resolution.status = "resolved";
+  resolution.decided_by = decidedBy;
+  resolution.decided_at = now;
+  resolution.note = "Decided by runoff";
+  await parent.save();
+
+  return parent;
+}
+
+module.exports = {
+  resolveSessionTies,
+  settleParentTie,
+};
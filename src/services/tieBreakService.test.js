@@ -0,0 +1,150 @@
+jest.mock("../models/VotingSession", () => {
+  const VotingSession = jest.fn(function VotingSession(doc) {
+    Object.assign(this, doc);
+    this.save = jest.fn().mockResolvedValue(this);
+  });
+  VotingSession.findById = jest.fn();
+  return VotingSession;
+});
+jest.mock("../models/Candidate", () => ({
+  find: jest.fn(),
+  insertMany: jest.fn(),
+}));
+jest.mock("../models/Student", () => ({
+  find: jest.fn(),
+}));
+jest.mock("../models/Tenant", () => ({
+  findById: jest.fn(),
+}));
+jest.mock("./notificationService", () => ({
+  createNotifications: jest.fn(),
+  notifyTenantAdmins: jest.fn(),
+}));
+jest.mock("./liveSessionService", () => ({
+  assignLivePublicCode: jest.fn(async (session) => session),
+  getEligibleStudentFilter: jest.fn(async () => ({})),
+}));
+
+const VotingSession = require("../models/VotingSession");
+const Candidate = require("../models/Candidate");
+const Student = require("../models/Student");
+const { createNotifications } = require("./notificationService");
+const { resolveSessionTies } = require("./tieBreakService");
+
+const tie = { position: "President", candidate_ids: ["cand-1", "cand-2"], seats: 1 };
+
+function sessionDoc(extra = {}) {
+  return {
+    _id: "session-1",
+    tenant_id: "tenant-a",
+    title: "SU Election",
+    categories: ["President", "Secretary"],
+    start_time: new Date("2026-03-01T08:00:00Z"),
+    end_time: new Date("2026-03-01T18:00:00Z"),
+    tie_break: { policy: "runoff", runoff_delay_minutes: 60 },
+    tie_resolutions: [],
+    save: jest.fn().mockResolvedValue(undefined),
+    ...extra,
+  };
+}
+
+describe("tieBreakService runoffs", () => {
+  const now = new Date("2026-03-01T18:05:00Z");
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Candidate.find.mockReturnValue({
+      lean: jest.fn().mockResolvedValue([
+        { _id: "cand-1", name: "Ada", position: "President" },
+        { _id: "cand-2", name: "Bola", position: "President" },
+      ]),
+    });
+    Candidate.insertMany.mockResolvedValue([]);
+    Student.find.mockReturnValue({
+      select: () => ({ lean: jest.fn().mockResolvedValue([{ _id: "student-1" }]) }),
+    });
+  });
+
+  it("records the tie before writing the runoff under the ids it names", async () => {
+    const session = sessionDoc();
+    VotingSession.findById.mockResolvedValue(null);
+
+    await resolveSessionTies(session, [tie], now);
+
+    const [resolution] = session.tie_resolutions;
+    const [copies] = Candidate.insertMany.mock.calls[0];
+    const runoff = VotingSession.mock.instances[0];
+
+    expect(session.save.mock.invocationCallOrder[0]).toBeLessThan(
+      Candidate.insertMany.mock.invocationCallOrder[0],
+    );
+    expect(runoff._id).toBe(resolution.runoff_session_id);
+    expect(copies.map((copy) => copy._id)).toEqual(resolution.runoff_candidate_ids);
+    expect(copies.every((copy) => copy.session_id === resolution.runoff_session_id)).toBe(true);
+    expect(createNotifications).toHaveBeenCalledTimes(1);
+  });
+
+  it("does not create a second runoff when settling is retried", async () => {
+    const session = sessionDoc();
+    VotingSession.findById.mockResolvedValue(null);
+    await resolveSessionTies(session, [tie], now);
+    jest.clearAllMocks();
+
+    const existing = { _id: session.tie_resolutions[0].runoff_session_id };
+    VotingSession.findById.mockResolvedValue(existing);
+    await resolveSessionTies(session, [tie], now);
+
+    expect(session.tie_resolutions).toHaveLength(1);
+    expect(VotingSession).not.toHaveBeenCalled();
+    expect(Candidate.insertMany).not.toHaveBeenCalled();
+    expect(createNotifications).not.toHaveBeenCalled();
+  });
+
+  it("finishes a runoff whose candidates were written before a failure", async () => {
+    const session = sessionDoc();
+    VotingSession.findById.mockResolvedValue(null);
+    Candidate.insertMany.mockRejectedValueOnce(
+      Object.assign(new Error("E11000 duplicate key"), {
+        writeErrors: [{ err: { code: 11000 } }, { err: { code: 11000 } }],
+      }),
+    );
+    session.tie_resolutions.push({
+      position: "President",
+      policy: "runoff",
+      status: "pending",
+      seats: 1,
+      candidate_ids: ["cand-1", "cand-2"],
+      runoff_session_id: "runoff-1",
+      runoff_candidate_ids: ["copy-1", "copy-2"],
+    });
+
+    await resolveSessionTies(session, [tie], now);
+
+    expect(session.save).not.toHaveBeenCalled();
+    expect(VotingSession.mock.instances[0]).toMatchObject({
+      _id: "runoff-1",
+      candidates: ["copy-1", "copy-2"],
+      categories: ["President"],
+    });
+  });
+
+  it("carries the election key over to the runoff of an encrypted session", async () => {
+    const encryption = {
+      enabled: true,
+      threshold: 2,
+      public_key: "public-key",
+      trustees: [{ admin_id: "admin-1", index: 1, verification_key: "vk-1" }],
+      tally: { decrypted_at: new Date("2026-03-01T19:00:00Z") },
+    };
+    VotingSession.findById.mockResolvedValue(null);
+
+    await resolveSessionTies(sessionDoc({ encryption }), [tie], now);
+
+    expect(VotingSession.mock.instances[0].encryption).toEqual({
+      enabled: true,
+      threshold: 2,
+      public_key: "public-key",
+      trustees: encryption.trustees,
+    });
+  });
+});
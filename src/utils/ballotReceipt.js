@@ -0,0 +1,117 @@
+const crypto = require("crypto");
+
+const RECEIPT_VERSION = 1;
+const RECEIPT_CODE_LENGTH = 20;
+
+function toId(value) {
+  if (!value) return null;
+  return value.toString();
+}
+
+function createBallotNonce() {
+  return crypto.randomBytes(16).toString("hex");
+}
+
+function compareSelections(left, right) {
+  if (left.position !== right.position) {
+    return left.position < right.position ? -1 : 1;
+  }
+  return left.selection_index - right.selection_index;
+}
+
+/**
+ * Build the canonical ballot document that a receipt hash commits to. Keys
+ * are emitted in a fixed order and selections sorted by position so anyone
+ * holding the published ballot can rebuild the exact same JSON.
+ */
+function buildReceiptPayload({ sessionId, ballotId, selections = [] }) {
+  return {
+    v: RECEIPT_VERSION,
+    session_id: toId(sessionId),
+    ballot_id: ballotId,
+    selections: selections
+      .map((selection) => {
+        const entry = {
+          position: String(selection.position || "").trim(),
+          selection_index: Number(selection.selection_index) || 0,
+          candidate_id: toId(selection.candidate_id),
+        };
+
+        if (selection.preferences?.length) {
+          entry.preferences = selection.preferences.map(toId);
+        }
+        if (selection.response) {
+          entry.response = selection.response;
+        }
+        if (selection.ciphertexts?.length) {
+          entry.ciphertexts = selection.ciphertexts.map(({ option, c1, c2 }) => ({
+            option,
+            c1,
+            c2,
+          }));
+        }
+
+        return entry;
+      })
+      .sort(compareSelections),
+  };
+}
+
+function hashReceiptPayload(payload) {
+  return crypto.createHash("sha256").update(JSON.stringify(payload)).digest("hex");
+}
+
+/**
+ * Short, human-friendly form of a receipt hash: the first 20 hex digits in
+ * groups of four, e.g. `3F9A-0C1D-77E2-B4A0-5C6D`.
+ */
+function formatReceiptCode(receiptHash) {
+  return String(receiptHash || "")
+    .slice(0, RECEIPT_CODE_LENGTH)
+    .toUpperCase()
+    .match(/.{1,4}/g)
+    ?.join("-") || null;
+}
+
+/**
+ * Normalise a receipt code or hash typed by a voter into a lowercase hex
+ * prefix that can be matched against published hashes.
+ */
+function normalizeReceiptLookup(value) {
+  const hex = String(value || "").replace(/[^0-9a-f]/gi, "").toLowerCase();
+  return hex.length >= RECEIPT_CODE_LENGTH ? hex : null;
+}
+
+/**
+ * Stamp a set of vote rows from one ballot with a shared ballot id and the
+ * receipt hash over their contents.
+ */
+function issueBallotReceipt(sessionId, voteRecords = []) {
+  const ballotId = createBallotNonce();
+  const payload = buildReceiptPayload({
+    sessionId,
+    ballotId,
+    selections: voteRecords,
+  });
+  const receiptHash = hashReceiptPayload(payload);
+
+  voteRecords.forEach((record) => {
+    record.ballot_id = ballotId;
+    record.receipt_hash = receiptHash;
+  });
+
+  return {
+    ballot_id: ballotId,
+    receipt_hash: receiptHash,
+    receipt_code: formatReceiptCode(receiptHash),
+  };
+}
+
+module.exports = {
+  RECEIPT_VERSION,
+  buildReceiptPayload,
+  hashReceiptPayload,
+  formatReceiptCode,
+  normalizeReceiptLookup,
+  issueBallotReceipt,
+};
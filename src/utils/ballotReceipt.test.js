@@ -0,0 +1,71 @@
+const {
+  buildReceiptPayload,
+  hashReceiptPayload,
+  formatReceiptCode,
+  normalizeReceiptLookup,
+  issueBallotReceipt,
+} = require("./ballotReceipt");
+
+describe("ballotReceipt", () => {
+  const rows = () => [
+    {
+      position: "Treasurer",
+      selection_index: 0,
+      candidate_id: "c3",
+      response: "yes",
+    },
+    {
+      position: "President",
+      selection_index: 0,
+      candidate_id: "c1",
+      preferences: ["c1", "c2"],
+    },
+  ];
+
+  it("produces the same hash regardless of selection order", () => {
+    const forward = buildReceiptPayload({
+      sessionId: "s1",
+      ballotId: "b1",
+      selections: rows(),
+    });
+    const reversed = buildReceiptPayload({
+      sessionId: "s1",
+      ballotId: "b1",
+      selections: rows().reverse(),
+    });
+
+    expect(forward.selections.map((entry) => entry.position)).toEqual([
+      "President",
+      "Treasurer",
+    ]);
+    expect(hashReceiptPayload(forward)).toBe(hashReceiptPayload(reversed));
+  });
+
+  it("stamps every row with the ballot id and a recomputable hash", () => {
+    const records = rows();
+    const receipt = issueBallotReceipt("s1", records);
+
+    expect(records.every((row) => row.ballot_id === receipt.ballot_id)).toBe(true);
+    expect(records.every((row) => row.receipt_hash === receipt.receipt_hash)).toBe(
+      true,
+    );
+    expect(
+      hashReceiptPayload(
+        buildReceiptPayload({
+          sessionId: "s1",
+          ballotId: receipt.ballot_id,
+          selections: records,
+        }),
+      ),
+    ).toBe(receipt.receipt_hash);
+  });
+
+  it("formats and parses receipt codes", () => {
+    const hash = "3f9a0c1d77e2b4a05c6d" + "0".repeat(44);
+    const code = formatReceiptCode(hash);
+
+    expect(code).toBe("3F9A-0C1D-77E2-B4A0-5C6D");
+    expect(normalizeReceiptLookup(code)).toBe("3f9a0c1d77e2b4a05c6d");
+    expect(normalizeReceiptLookup("3F9A-0C1D")).toBeNull();
+  });
+});
@@ -0,0 +1,544 @@
+const { isCandidateDisqualified } = require("./voteInvalidation");
+
+const BALLOT_TYPES = [
+  "plurality",
+  "ranked_choice",
+  "approval",
+  "referendum",
+  "confirmation",
+];
+
+const DEFAULT_BALLOT_TYPE = "plurality";
+
+// Yes / No items: referendums have no candidates, confirmations have exactly one
+const RESPONSE_BALLOT_TYPES = ["referendum", "confirmation"];
+const RESPONSE_OPTIONS = ["yes", "no", "abstain"];
+const PASS_THRESHOLDS = ["simple_majority", "two_thirds"];
+const DEFAULT_PASS_THRESHOLD = "simple_majority";
+
+// Vote rows that count towards a candidate's total: ordinary selections and
+// "yes" responses on confirmation items.
+const CANDIDATE_SUPPORT_MATCH = {
+  candidate_id: { $ne: null },
+  response: { $in: [null, "yes"] },
+};
+
+/**
+ * In-memory counterpart of CANDIDATE_SUPPORT_MATCH for a single vote row.
+ */
+function countsTowardsCandidate(row) {
+  return Boolean(row?.candidate_id) && (!row.response || row.response === "yes");
+}
+
+function toId(value) {
+  if (!value) return null;
+  return value.toString();
+}
+
+function normalizePositionName(value) {
+  return String(value || "").trim();
+}
+
+function isResponseBallot(ballotType) {
+  return RESPONSE_BALLOT_TYPES.includes(ballotType);
+}
+
+/**
+ * Reduce a position's eligibility filter to `{ college, departments, levels }`,
+ * or null when it does not restrict anything.
+ */
+function normalizePositionEligibility(value) {
+  const college = String(value?.college || "").trim() || null;
+  const departments = Array.isArray(value?.departments)
+    ? value.departments.map(toId).filter(Boolean)
+    : [];
+  const levels = Array.isArray(value?.levels)
+    ? value.levels.map((level) => String(level || "").trim()).filter(Boolean)
+    : [];
+
+  if (!college && departments.length === 0 && levels.length === 0) {
+    return null;
+  }
+
+  return { college, departments, levels };
+}
+
+/**
+ * Resolve the ballot rules for a single position, falling back to a
+ * single-choice plurality ballot when the session does not configure one.
+ */
+function getPositionSettings(session, position) {
+  const name = normalizePositionName(position);
+  const configured = (session?.position_settings || []).find(
+    (entry) => normalizePositionName(entry?.position) === name,
+  );
+
+  const ballotType = configured?.ballot_type || DEFAULT_BALLOT_TYPE;
+  const seats = Math.max(1, Number(configured?.seats) || 1);
+
+  const settings = {
+    position: name,
+    ballot_type: ballotType,
+    seats,
+    max_selections:
+      ballotType === "approval"
+        ? Math.max(1, Number(configured?.max_selections) || seats)
+        : 1,
+  };
+
+  if (isResponseBallot(ballotType)) {
+    settings.question = configured?.question || null;
+    settings.pass_threshold = configured?.pass_threshold || DEFAULT_PASS_THRESHOLD;
+  }
+
+  const eligibility = normalizePositionEligibility(configured?.eligibility);
+  if (eligibility) {
+    settings.eligibility = eligibility;
+  }
+
+  return settings;
+}
+
+function listPositionSettings(session) {
+  return (session?.categories || []).map((position) =>
+    getPositionSettings(session, position),
+  );
+}
+
+function isRankedChoicePosition(session, position) {
+  return getPositionSettings(session, position).ballot_type === "ranked_choice";
+}
+
+/**
+ * Validate admin supplied position settings against the session categories.
+ * Mirrors sanitizeSessionEligibility: returns `{ error, code }` on failure.
+ */
+function sanitizePositionSettings(categories = [], payload) {
+  if (payload === undefined || payload === null) {
+    return { position_settings: [] };
+  }
+
+  if (!Array.isArray(payload)) {
+    return {
+      error: "Position settings must be an array",
+      code: "INVALID_POSITION_SETTINGS",
+    };
+  }
+
+  const knownPositions = new Set(
+    (categories || []).map((category) => normalizePositionName(category)),
+  );
+  const seen = new Set();
+  const sanitized = [];
+
+  for (const entry of payload) {
+    const position = normalizePositionName(entry?.position);
+
+    if (!position || !knownPositions.has(position)) {
+      return {
+        error: `Position settings reference an unknown category: ${position || "(blank)"}`,
+        code: "INVALID_POSITION_SETTINGS",
+      };
+    }
+
+    if (seen.has(position)) {
+      return {
+        error: `Position settings for ${position} were supplied more than once`,
+        code: "INVALID_POSITION_SETTINGS",
+      };
+    }
+
+    const ballotType = entry?.ballot_type || DEFAULT_BALLOT_TYPE;
+    if (!BALLOT_TYPES.includes(ballotType)) {
+      return {
+        error: `Unsupported ballot type for ${position}: ${ballotType}`,
+        code: "INVALID_POSITION_SETTINGS",
+      };
+    }
+
+    const seats = entry?.seats === undefined || entry?.seats === null
+      ? 1
+      : Number(entry.seats);
+    if (!Number.isInteger(seats) || seats < 1) {
+      return {
+        error: `Seats for ${position} must be a whole number of at least 1`,
+        code: "INVALID_POSITION_SETTINGS",
+      };
+    }
+
+    if (ballotType === "ranked_choice" && seats > 1) {
+      return {
+        error: `Ranked-choice ballots elect a single seat. Use an approval ballot for ${position}.`,
+        code: "INVALID_POSITION_SETTINGS",
+      };
+    }
+
+    if (isResponseBallot(ballotType) && seats > 1) {
+      return {
+        error: `Yes/No items decide a single question. Remove the seat count for ${position}.`,
+        code: "INVALID_POSITION_SETTINGS",
+      };
+    }
+
+    let maxSelections = 1;
+    if (ballotType === "approval") {
+      maxSelections =
+        entry?.max_selections === undefined || entry?.max_selections === null
+          ? seats
+          : Number(entry.max_selections);
+
+      if (!Number.isInteger(maxSelections) || maxSelections < 1) {
+        return {
+          error: `Maximum selections for ${position} must be a whole number of at least 1`,
+          code: "INVALID_POSITION_SETTINGS",
+        };
+      }
+    } else if (
+      entry?.max_selections !== undefined &&
+      entry?.max_selections !== null &&
+      Number(entry.max_selections) !== 1
+    ) {
+      return {
+        error: `Only approval ballots accept more than one selection for ${position}`,
+        code: "INVALID_POSITION_SETTINGS",
+      };
+    }
+
+    const entrySettings = {
+      position,
+      ballot_type: ballotType,
+      seats,
+      max_selections: maxSelections,
+    };
+
+    if (isResponseBallot(ballotType)) {
+      const passThreshold = entry?.pass_threshold || DEFAULT_PASS_THRESHOLD;
+      if (!PASS_THRESHOLDS.includes(passThreshold)) {
+        return {
+          error: `Unsupported pass threshold for ${position}: ${passThreshold}`,
+          code: "INVALID_POSITION_SETTINGS",
+        };
+      }
+
+      const question = String(entry?.question || "").trim();
+      if (ballotType === "referendum" && !question) {
+        return {
+          error: `Referendum ${position} needs the question voters are answering`,
+          code: "INVALID_POSITION_SETTINGS",
+        };
+      }
+
+      entrySettings.question = question || null;
+      entrySettings.pass_threshold = passThreshold;
+    }
+
+    if (entry?.eligibility !== undefined && entry?.eligibility !== null) {
+      const { eligibility } = entry;
+      if (
+        typeof eligibility !== "object" ||
+        Array.isArray(eligibility) ||
+        (eligibility.departments != null && !Array.isArray(eligibility.departments)) ||
+        (eligibility.levels != null && !Array.isArray(eligibility.levels))
+      ) {
+        return {
+          error: `Eligibility for ${position} must list a college, departments and/or levels`,
+          code: "INVALID_POSITION_SETTINGS",
+        };
+      }
+
+      const normalizedEligibility = normalizePositionEligibility(eligibility);
+      if (normalizedEligibility) {
+        entrySettings.eligibility = normalizedEligibility;
+      }
+    }
+
+    seen.add(position);
+    sanitized.push(entrySettings);
+  }
+
+  return { position_settings: sanitized };
+}
+
+/**
+ * Check that a position can take another candidate: referendums take none and
+ * confirmation items exactly one. `standingCount` excludes the new candidate.
+ */
+function validateCandidatePlacement(session, position, standingCount = 0) {
+  const settings = getPositionSettings(session, position);
+
+  if (settings.ballot_type === "referendum") {
+    return {
+      error: "Referendum items do not take candidates",
+      code: "REFERENDUM_HAS_NO_CANDIDATES",
+    };
+  }
+
+  if (settings.ballot_type === "confirmation" && standingCount >= 1) {
+    return {
+      error: `${settings.position} is a confirmation vote and already has its candidate`,
+      code: "CONFIRMATION_CANDIDATE_LIMIT",
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Resolve a yes/no/abstain choice for a referendum or confirmation item. The
+ * item is identified by `category`, or by the confirmed candidate's id.
+ */
+function buildResponseSelection(session, choice, candidateMap) {
+  const chosenCandidate = candidateMap.get(toId(choice?.candidate_id)) || null;
+  const position = normalizePositionName(
+    choice?.category || chosenCandidate?.position,
+  );
+  const knownPositions = (session?.categories || []).map(normalizePositionName);
+
+  if (!position || !knownPositions.includes(position)) {
+    return {
+      error: `Unknown ballot item: ${choice?.category || choice?.candidate_id}`,
+      code: "INVALID_CANDIDATE_SELECTION",
+    };
+  }
+
+  const settings = getPositionSettings(session, position);
+
+  if (!isResponseBallot(settings.ballot_type)) {
+    return {
+      error: `${position} is not a Yes/No item. Select a candidate instead.`,
+      code: "RESPONSE_NOT_ALLOWED",
+    };
+  }
+
+  const response = String(choice?.response || "").trim().toLowerCase();
+  if (!RESPONSE_OPTIONS.includes(response)) {
+    return {
+      error: `Answer ${position} with one of: ${RESPONSE_OPTIONS.join(", ")}`,
+      code: "INVALID_RESPONSE",
+    };
+  }
+
+  let candidate = null;
+  if (settings.ballot_type === "confirmation") {
+    const standing = (session?.candidates || []).filter(
+      (entry) => normalizePositionName(entry?.position) === position,
+    );
+
+    candidate = chosenCandidate || (standing.length === 1 ? standing[0] : null);
+
+    if (
+      !candidate ||
+      normalizePositionName(candidate.position) !== position ||
+      standing.length > 1
+    ) {
+      return {
+        error: `${position} must have exactly one candidate to confirm`,
+        code: "INVALID_CANDIDATE_SELECTION",
+      };
+    }
+  } else if (chosenCandidate) {
+    return {
+      error: `Referendum ${position} does not take a candidate`,
+      code: "INVALID_CANDIDATE_SELECTION",
+    };
+  }
+
+  return {
+    position,
+    selection: {
+      position,
+      ballot_type: settings.ballot_type,
+      selection_index: 0,
+      candidate,
+      preferences: null,
+      response,
+    },
+  };
+}
+
+/**
+ * Turn the raw `choices` array from POST /api/vote into vote rows. Plurality
+ * choices carry `candidate_id`; ranked choices carry an ordered `preferences`
+ * array whose first entry is recorded as `candidate_id`; approval choices
+ * carry `candidate_ids` and produce one row per selected candidate; Yes/No
+ * items carry `response`.
+ */
+function buildBallotSelections(session, choices = [], candidates = []) {
+  const candidateMap = new Map(
+    candidates.map((candidate) => [toId(candidate._id), candidate]),
+  );
+  const seenPositions = new Set();
+  const selections = [];
+
+  // Disqualified candidates can no longer be chosen or ranked
+  const disqualified = candidates.find((candidate) => isCandidateDisqualified(candidate));
+  if (disqualified) {
+    return {
+      error: `${disqualified.name} has been disqualified from ${disqualified.position}`,
+      code: "CANDIDATE_DISQUALIFIED",
+    };
+  }
+
+  for (const choice of choices) {
+    const categorySettings = choice?.category
+      ? getPositionSettings(session, choice.category)
+      : null;
+
+    if (
+      (choice?.response !== undefined && choice?.response !== null) ||
+      isResponseBallot(categorySettings?.ballot_type)
+    ) {
+      const result = buildResponseSelection(session, choice, candidateMap);
+      if (result.error) {
+        return result;
+      }
+
+      if (seenPositions.has(result.position)) {
+        return {
+          error: `Only one ballot entry is allowed for ${result.position}`,
+          code: "DUPLICATE_POSITION_CHOICE",
+        };
+      }
+      seenPositions.add(result.position);
+      selections.push(result.selection);
+      continue;
+    }
+
+    const listedIds = Array.isArray(choice?.preferences)
+      ? choice.preferences
+      : Array.isArray(choice?.candidate_ids)
+        ? choice.candidate_ids
+        : null;
+    const rankedIds = listedIds ? listedIds.map(toId).filter(Boolean) : null;
+    const firstCandidate = candidateMap.get(
+      toId(rankedIds ? rankedIds[0] : choice?.candidate_id),
+    );
+
+    if (!firstCandidate) {
+      return {
+        error: `Invalid candidate: ${rankedIds ? rankedIds[0] : choice?.candidate_id}`,
+        code: "INVALID_CANDIDATE_SELECTION",
+      };
+    }
+
+    const position = normalizePositionName(firstCandidate.position);
+
+    if (choice?.category && normalizePositionName(choice.category) !== position) {
+      return {
+        error: `Candidate ${firstCandidate.name} is not running for ${choice.category}`,
+        code: "INVALID_CANDIDATE_SELECTION",
+      };
+    }
+
+    if (seenPositions.has(position)) {
+      return {
+        error: `Only one ballot entry is allowed for ${position}`,
+        code: "DUPLICATE_POSITION_CHOICE",
+      };
+    }
+    seenPositions.add(position);
+
+    const settings = getPositionSettings(session, position);
+
+    if (isResponseBallot(settings.ballot_type)) {
+      return {
+        error: `${position} is a Yes/No item. Submit a response of yes, no or abstain.`,
+        code: "RESPONSE_REQUIRED",
+      };
+    }
+
+    if (rankedIds && new Set(rankedIds).size !== rankedIds.length) {
+      return {
+        error: `Each candidate can only be selected once for ${position}`,
+        code: "INVALID_RANKING",
+      };
+    }
+
+    const listedCandidates = (rankedIds || []).map((id) => candidateMap.get(id));
+    if (
+      listedCandidates.some(
+        (candidate) =>
+          !candidate || normalizePositionName(candidate.position) !== position,
+      )
+    ) {
+      return {
+        error: `Every selected candidate must be running for ${position}`,
+        code: "INVALID_CANDIDATE_SELECTION",
+      };
+    }
+
+    if (settings.ballot_type === "ranked_choice") {
+      if (!Array.isArray(choice?.preferences) || rankedIds.length === 0) {
+        return {
+          error: `${position} uses a ranked ballot. Submit an ordered preferences list.`,
+          code: "RANKED_PREFERENCES_REQUIRED",
+        };
+      }
+
+      selections.push({
+        position,
+        ballot_type: settings.ballot_type,
+        selection_index: 0,
+        candidate: firstCandidate,
+        preferences: listedCandidates,
+      });
+      continue;
+    }
+
+    if (settings.ballot_type === "approval") {
+      const approved = rankedIds ? listedCandidates : [firstCandidate];
+
+      if (approved.length > settings.max_selections) {
+        return {
+          error: `You can select up to ${settings.max_selections} candidate${settings.max_selections === 1 ? "" : "s"} for ${position}`,
+          code: "TOO_MANY_SELECTIONS",
+        };
+      }
+
+      approved.forEach((candidate, index) => {
+        selections.push({
+          position,
+          ballot_type: settings.ballot_type,
+          selection_index: index,
+          candidate,
+          preferences: null,
+        });
+      });
+      continue;
+    }
+
+    if (rankedIds && rankedIds.length > 1) {
+      return {
+        error: `${position} accepts a single choice only`,
+        code: "TOO_MANY_SELECTIONS",
+      };
+    }
+
+    selections.push({
+      position,
+      ballot_type: settings.ballot_type,
+      selection_index: 0,
+      candidate: firstCandidate,
+      preferences: null,
+    });
+  }
+
+  return { selections };
+}
+
+module.exports = {
+  BALLOT_TYPES,
+  DEFAULT_BALLOT_TYPE,
+  RESPONSE_OPTIONS,
+  PASS_THRESHOLDS,
+  CANDIDATE_SUPPORT_MATCH,
+  countsTowardsCandidate,
+  isResponseBallot,
+  normalizePositionEligibility,
+  validateCandidatePlacement,
+  getPositionSettings,
+  listPositionSettings,
+  isRankedChoicePosition,
+  sanitizePositionSettings,
+  buildBallotSelections,
+};
@@ -0,0 +1,180 @@
+const {
+  getPositionSettings,
+  sanitizePositionSettings,
+  validateCandidatePlacement,
+  buildBallotSelections,
+} = require("./ballotRules");
+
+describe("ballotRules", () => {
+  const candidates = [
+    { _id: "pres-1", name: "Ada", position: "President" },
+    { _id: "pres-2", name: "Bola", position: "President" },
+    { _id: "sen-1", name: "Chidi", position: "Senate" },
+    { _id: "sen-2", name: "Dayo", position: "Senate" },
+    { _id: "sen-3", name: "Efe", position: "Senate" },
+    { _id: "sec-1", name: "Femi", position: "Secretary" },
+    { _id: "sec-2", name: "Gbenga", position: "Secretary" },
+    { _id: "tre-1", name: "Halima", position: "Treasurer" },
+  ];
+  const session = {
+    categories: ["President", "Senate", "Secretary", "Treasurer", "Dues Increase"],
+    candidates,
+    position_settings: [
+      { position: "Senate", ballot_type: "approval", seats: 2, max_selections: 2 },
+      { position: "Secretary", ballot_type: "ranked_choice" },
+      { position: "Treasurer", ballot_type: "confirmation" },
+      {
+        position: "Dues Increase",
+        ballot_type: "referendum",
+        question: "Raise dues by 10%?",
+        pass_threshold: "two_thirds",
+      },
+    ],
+  };
+
+  function build(choices) {
+    return buildBallotSelections(session, choices, candidates);
+  }
+
+  it("turns every ballot type into vote rows", () => {
+    const { selections } = build([
+      { candidate_id: "pres-1" },
+      { category: "Senate", candidate_ids: ["sen-1", "sen-3"] },
+      { category: "Secretary", preferences: ["sec-2", "sec-1"] },
+      { category: "Treasurer", response: "YES" },
+      { category: "Dues Increase", response: "abstain" },
+    ]);
+
+    expect(
+      selections.map(({ position, selection_index, candidate, response }) => ({
+        position,
+        selection_index,
+        candidate_id: candidate?._id || null,
+        response: response || null,
+      })),
+    ).toEqual([
+      { position: "President", selection_index: 0, candidate_id: "pres-1", response: null },
+      { position: "Senate", selection_index: 0, candidate_id: "sen-1", response: null },
+      { position: "Senate", selection_index: 1, candidate_id: "sen-3", response: null },
+      { position: "Secretary", selection_index: 0, candidate_id: "sec-2", response: null },
+      { position: "Treasurer", selection_index: 0, candidate_id: "tre-1", response: "yes" },
+      { position: "Dues Increase", selection_index: 0, candidate_id: null, response: "abstain" },
+    ]);
+    expect(selections[3].preferences.map((candidate) => candidate._id)).toEqual([
+      "sec-2",
+      "sec-1",
+    ]);
+  });
+
+  it("enforces the selection limit of each position", () => {
+    expect(build([{ candidate_ids: ["sen-1", "sen-2", "sen-3"] }]).code).toBe(
+      "TOO_MANY_SELECTIONS",
+    );
+    expect(build([{ candidate_ids: ["pres-1", "pres-2"] }]).code).toBe("TOO_MANY_SELECTIONS");
+    expect(build([{ candidate_ids: ["sen-1"] }]).selections).toHaveLength(1);
+  });
+
+  it("rejects malformed rankings and approvals", () => {
+    expect(build([{ candidate_id: "sec-1" }]).code).toBe("RANKED_PREFERENCES_REQUIRED");
+    expect(build([{ preferences: ["sec-1", "sec-1"] }]).code).toBe("INVALID_RANKING");
+    expect(build([{ preferences: ["sec-1", "pres-1"] }]).code).toBe(
+      "INVALID_CANDIDATE_SELECTION",
+    );
+    expect(build([{ candidate_ids: ["sen-1", "unknown"] }]).code).toBe(
+      "INVALID_CANDIDATE_SELECTION",
+    );
+  });
+
+  it("rejects choices that do not match their position", () => {
+    expect(build([{ candidate_id: "missing" }]).code).toBe("INVALID_CANDIDATE_SELECTION");
+    expect(build([{ category: "Senate", candidate_id: "pres-1" }]).code).toBe(
+      "INVALID_CANDIDATE_SELECTION",
+    );
+    expect(build([{ candidate_id: "pres-1" }, { candidate_id: "pres-2" }]).code).toBe(
+      "DUPLICATE_POSITION_CHOICE",
+    );
+    expect(build([{ candidate_id: "tre-1" }]).code).toBe("RESPONSE_REQUIRED");
+    expect(build([{ category: "President", response: "yes" }]).code).toBe(
+      "RESPONSE_NOT_ALLOWED",
+    );
+    expect(build([{ category: "Dues Increase", response: "maybe" }]).code).toBe(
+      "INVALID_RESPONSE",
+    );
+  });
+
+  it("refuses ballots naming a disqualified candidate", () => {
+    const withDisqualified = candidates.map((candidate) =>
+      candidate._id === "pres-2"
+        ? { ...candidate, disqualification: { disqualified_at: new Date() } }
+        : candidate,
+    );
+
+    expect(
+      buildBallotSelections(session, [{ candidate_id: "pres-1" }], withDisqualified).code,
+    ).toBe("CANDIDATE_DISQUALIFIED");
+  });
+
+  it("validates position settings and their eligibility", () => {
+    const categories = ["President", "Senate", "Faculty Rep"];
+
+    expect(
+      sanitizePositionSettings(categories, [
+        { position: "Senate", ballot_type: "approval", seats: 3 },
+        {
+          position: "Faculty Rep",
+          eligibility: { college: " Science ", departments: [], levels: ["300", ""] },
+        },
+      ]),
+    ).toEqual({
+      position_settings: [
+        { position: "Senate", ballot_type: "approval", seats: 3, max_selections: 3 },
+        {
+          position: "Faculty Rep",
+          ballot_type: "plurality",
+          seats: 1,
+          max_selections: 1,
+          eligibility: { college: "Science", departments: [], levels: ["300"] },
+        },
+      ],
+    });
+
+    const codeFor = (payload) => sanitizePositionSettings(categories, payload).code;
+    expect(codeFor({ position: "Senate" })).toBe("INVALID_POSITION_SETTINGS");
+    expect(codeFor([{ position: "Dean" }])).toBe("INVALID_POSITION_SETTINGS");
+    expect(codeFor([{ position: "President" }, { position: "President" }])).toBe(
+      "INVALID_POSITION_SETTINGS",
+    );
+    expect(codeFor([{ position: "President", ballot_type: "ranked_choice", seats: 2 }])).toBe(
+      "INVALID_POSITION_SETTINGS",
+    );
+    expect(codeFor([{ position: "President", max_selections: 2 }])).toBe(
+      "INVALID_POSITION_SETTINGS",
+    );
+    expect(codeFor([{ position: "Senate", ballot_type: "approval", max_selections: 0 }])).toBe(
+      "INVALID_POSITION_SETTINGS",
+    );
+    expect(codeFor([{ position: "Faculty Rep", eligibility: { levels: "300" } }])).toBe(
+      "INVALID_POSITION_SETTINGS",
+    );
+  });
+
+  it("falls back to a single-choice ballot and limits candidates per item", () => {
+    expect(getPositionSettings(session, "President")).toEqual({
+      position: "President",
+      ballot_type: "plurality",
+      seats: 1,
+      max_selections: 1,
+    });
+    expect(getPositionSettings(session, "Dues Increase")).toMatchObject({
+      question: "Raise dues by 10%?",
+      pass_threshold: "two_thirds",
+    });
+    expect(validateCandidatePlacement(session, "Dues Increase").code).toBe(
+      "REFERENDUM_HAS_NO_CANDIDATES",
+    );
+    expect(validateCandidatePlacement(session, "Treasurer", 1).code).toBe(
+      "CONFIRMATION_CANDIDATE_LIMIT",
+    );
+    expect(validateCandidatePlacement(session, "Treasurer", 0)).toBeNull();
+  });
+});
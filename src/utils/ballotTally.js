@@ -0,0 +1,185 @@
+function toId(value) {
+  if (!value) return null;
+  return value.toString();
+}
+
+function countRound(ballots, continuing) {
+  const tallies = new Map(Array.from(continuing, (id) => [id, 0]));
+  let exhausted = 0;
+
+  ballots.forEach((ballot) => {
+    const nextPreference = ballot.find((id) => continuing.has(id));
+    if (nextPreference) {
+      tallies.set(nextPreference, tallies.get(nextPreference) + 1);
+    } else {
+      exhausted += 1;
+    }
+  });
+
+  return { tallies, exhausted };
+}
+
+/**
+ * Pick the candidates to eliminate in a round. Ties for last place are broken
+ * by the earlier round counts (latest first); candidates that stay level
+ * through every round are eliminated together.
+ */
+function selectEliminated(tallies, history) {
+  let lowest = Array.from(tallies.keys());
+  const minimum = Math.min(...lowest.map((id) => tallies.get(id)));
+  lowest = lowest.filter((id) => tallies.get(id) === minimum);
+
+  for (let index = history.length - 1; index >= 0 && lowest.length > 1; index -= 1) {
+    const previous = history[index];
+    const previousMinimum = Math.min(...lowest.map((id) => previous.get(id) || 0));
+    lowest = lowest.filter((id) => (previous.get(id) || 0) === previousMinimum);
+  }
+
+  return lowest;
+}
+
+/**
+ * Run an instant-runoff count.
+ *
+ * @param {Array<string>} candidateIds - Candidates standing for the position
+ * @param {Array<Array<string>>} ballots - Ordered preference lists
+ * @returns {{ rounds: Array, winner_id: string|null, tied: boolean }}
+ */
+function runInstantRunoff(candidateIds = [], ballots = []) {
+  const continuing = new Set(candidateIds.map(toId).filter(Boolean));
+  const normalizedBallots = ballots.map((ballot) =>
+    (ballot || []).map(toId).filter((id) => continuing.has(id)),
+  );
+  const rounds = [];
+  const history = [];
+
+  if (continuing.size === 0) {
+    return { rounds, winner_id: null, tied: false };
+  }
+
+  while (continuing.size > 0) {
+    const { tallies, exhausted } = countRound(normalizedBallots, continuing);
+    const activeBallots = normalizedBallots.length - exhausted;
+    const round = {
+      round: rounds.length + 1,
+      tallies: Array.from(tallies, ([candidate_id, votes]) => ({
+        candidate_id,
+        votes,
+        percentage:
+          activeBallots > 0 ? Number(((votes / activeBallots) * 100).toFixed(2)) : 0,
+      })).sort((left, right) => right.votes - left.votes),
+      active_ballots: activeBallots,
+      exhausted_ballots: exhausted,
+      eliminated: [],
+      elected: null,
+    };
+    rounds.push(round);
+
+    if (activeBallots === 0) {
+      return { rounds, winner_id: null, tied: false };
+    }
+
+    const leader = round.tallies[0];
+    if (leader.votes * 2 > activeBallots || continuing.size === 1) {
+      round.elected = leader.candidate_id;
+      return { rounds, winner_id: leader.candidate_id, tied: false };
+    }
+
+    const eliminated = selectEliminated(tallies, history);
+    if (eliminated.length === continuing.size) {
+      return { rounds, winner_id: null, tied: true };
+    }
+
+    round.eliminated = eliminated;
+    eliminated.forEach((id) => continuing.delete(id));
+    history.push(tallies);
+  }
+
+  return { rounds, winner_id: null, tied: false };
+}
+
+/**
+ * Fill `seats` from a vote-count ranking. Candidates level with the last
+ * available seat are reported as tied instead of being elected, and seats
+ * without a candidate holding at least one vote stay unfilled.
+ *
+ * @param {Array<{id: string, vote_count: number}>} candidates
+ * @param {number} seats
+ * @returns {{ elected: Array<string>, tied: Array<string>, tied_seats: number, unfilled_seats: number }}
+ */
+function rankSeatWinners(candidates = [], seats = 1) {
+  const ranked = candidates
+    .map((candidate) => ({
+      id: toId(candidate.id || candidate._id),
+      votes: Number(candidate.vote_count) || 0,
+    }))
+    .filter((candidate) => candidate.id && candidate.votes > 0)
+    .sort((left, right) => right.votes - left.votes);
+  const seatCount = Math.max(1, Number(seats) || 1);
+
+  if (ranked.length <= seatCount) {
+    return {
+      elected: ranked.map((candidate) => candidate.id),
+      tied: [],
+      tied_seats: 0,
+      unfilled_seats: seatCount - ranked.length,
+    };
+  }
+
+  const cutoffVotes = ranked[seatCount - 1].votes;
+  const clearWinners = ranked.filter((candidate) => candidate.votes > cutoffVotes);
+  const atCutoff = ranked.filter((candidate) => candidate.votes === cutoffVotes);
+  const remainingSeats = seatCount - clearWinners.length;
+
+  if (atCutoff.length <= remainingSeats) {
+    return {
+      elected: clearWinners.concat(atCutoff).map((candidate) => candidate.id),
+      tied: [],
+      tied_seats: 0,
+      unfilled_seats: 0,
+    };
+  }
+
+  return {
+    elected: clearWinners.map((candidate) => candidate.id),
+    tied: atCutoff.map((candidate) => candidate.id),
+    tied_seats: remainingSeats,
+    unfilled_seats: 0,
+  };
+}
+
+/**
+ * Decide a Yes/No item. Abstentions are reported but do not count towards
+ * the threshold: a simple majority needs more yes than no, two-thirds needs
+ * at least two yes for every no.
+ *
+ * @param {{yes?: number, no?: number, abstain?: number}} counts
+ * @param {"simple_majority"|"two_thirds"} threshold
+ */
+function evaluateReferendum(counts = {}, threshold = "simple_majority") {
+  const yes = Number(counts.yes) || 0;
+  const no = Number(counts.no) || 0;
+  const abstain = Number(counts.abstain) || 0;
+  const decisive = yes + no;
+  const passed =
+    threshold === "two_thirds"
+      ? decisive > 0 && yes * 3 >= decisive * 2
+      : yes > no;
+
+  return {
+    yes,
+    no,
+    abstain,
+    total: decisive + abstain,
+    yes_percentage: decisive > 0 ? Number(((yes / decisive) * 100).toFixed(2)) : 0,
+    no_percentage: decisive > 0 ? Number(((no / decisive) * 100).toFixed(2)) : 0,
+    pass_threshold: threshold,
+    passed,
+  };
+}
+
+module.exports = {
+  runInstantRunoff,
+  rankSeatWinners,
+  evaluateReferendum,
+};
@@ -0,0 +1,152 @@
+const {
+  runInstantRunoff,
+  rankSeatWinners,
+  evaluateReferendum,
+} = require("./ballotTally");
+
+describe("ballotTally", () => {
+  describe("runInstantRunoff", () => {
+    it("elects a first-round majority without eliminations", () => {
+      const result = runInstantRunoff(
+        ["a", "b", "c"],
+        [["a"], ["a", "b"], ["a", "c"], ["b"], ["c"]],
+      );
+
+      expect(result.winner_id).toBe("a");
+      expect(result.tied).toBe(false);
+      expect(result.rounds).toHaveLength(1);
+      expect(result.rounds[0].elected).toBe("a");
+    });
+
+    it("transfers preferences from eliminated candidates", () => {
+      const result = runInstantRunoff(
+        ["a", "b", "c"],
+        [
+          ["a", "c"],
+          ["a", "c"],
+          ["a"],
+          ["b", "c"],
+          ["b", "c"],
+          ["b"],
+          ["b"],
+          ["c", "b"],
+          ["c", "b"],
+          ["c", "b"],
+          ["c", "b"],
+        ],
+      );
+
+      expect(result.rounds).toHaveLength(2);
+      expect(result.rounds[0].eliminated).toEqual(["a"]);
+      expect(result.rounds[1].exhausted_ballots).toBe(1);
+      expect(result.winner_id).toBe("c");
+      expect(result.rounds[1].tallies[0]).toMatchObject({
+        candidate_id: "c",
+        votes: 6,
+      });
+    });
+
+    it("breaks last-place ties using earlier rounds", () => {
+      const result = runInstantRunoff(
+        ["a", "b", "c", "d"],
+        [
+          ["a"],
+          ["a"],
+          ["a"],
+          ["b"],
+          ["b"],
+          ["b"],
+          ["c", "b"],
+          ["c", "b"],
+          ["d", "c"],
+        ],
+      );
+
+      expect(result.rounds[0].eliminated).toEqual(["d"]);
+      expect(result.rounds[1].eliminated).toEqual(["c"]);
+      expect(result.rounds[2].exhausted_ballots).toBe(1);
+      expect(result.winner_id).toBe("b");
+    });
+
+    it("reports a tie when every remaining candidate is level", () => {
+      const result = runInstantRunoff(["a", "b"], [["a"], ["b"]]);
+
+      expect(result.winner_id).toBeNull();
+      expect(result.tied).toBe(true);
+    });
+
+    it("ignores preferences for candidates outside the position", () => {
+      const result = runInstantRunoff(["a", "b"], [["x", "a"], ["b"], ["a"]]);
+
+      expect(result.winner_id).toBe("a");
+      expect(result.rounds[0].tallies).toEqual([
+        { candidate_id: "a", votes: 2, percentage: 66.67 },
+        { candidate_id: "b", votes: 1, percentage: 33.33 },
+      ]);
+    });
+  });
+
+  describe("rankSeatWinners", () => {
+    const candidates = (counts) =>
+      Object.entries(counts).map(([id, vote_count]) => ({ id, vote_count }));
+
+    it("elects the top candidates for every seat", () => {
+      const result = rankSeatWinners(candidates({ a: 9, b: 7, c: 4, d: 2 }), 2);
+
+      expect(result).toEqual({
+        elected: ["a", "b"],
+        tied: [],
+        tied_seats: 0,
+        unfilled_seats: 0,
+      });
+    });
+
+    it("reports candidates level at the cutoff seat as tied", () => {
+      const result = rankSeatWinners(candidates({ a: 9, b: 5, c: 5, d: 5 }), 3);
+
+      expect(result.elected).toEqual(["a"]);
+      expect(result.tied).toEqual(["b", "c", "d"]);
+      expect(result.tied_seats).toBe(2);
+    });
+
+    it("elects everyone level above the cutoff when seats allow", () => {
+      const result = rankSeatWinners(candidates({ a: 6, b: 6, c: 1 }), 2);
+
+      expect(result.elected).toEqual(["a", "b"]);
+      expect(result.tied).toEqual([]);
+    });
+
+    it("leaves seats unfilled when too few candidates received votes", () => {
+      const result = rankSeatWinners(candidates({ a: 3, b: 0 }), 3);
+
+      expect(result.elected).toEqual(["a"]);
+      expect(result.unfilled_seats).toBe(2);
+    });
+  });
+
+  describe("evaluateReferendum", () => {
+    it("passes a simple majority on more yes than no, ignoring abstentions", () => {
+      const result = evaluateReferendum({ yes: 4, no: 3, abstain: 10 });
+
+      expect(result.passed).toBe(true);
+      expect(result.total).toBe(17);
+      expect(result.yes_percentage).toBe(57.14);
+    });
+
+    it("fails a simple majority on a level vote", () => {
+      expect(evaluateReferendum({ yes: 5, no: 5 }).passed).toBe(false);
+    });
+
+    it("requires two yes for every no under a two-thirds threshold", () => {
+      expect(evaluateReferendum({ yes: 6, no: 3 }, "two_thirds").passed).toBe(true);
+      expect(evaluateReferendum({ yes: 6, no: 4 }, "two_thirds").passed).toBe(false);
+    });
+
+    it("does not pass when nobody voted yes or no", () => {
+      const result = evaluateReferendum({ abstain: 3 }, "two_thirds");
+
+      expect(result.passed).toBe(false);
+      expect(result.yes_percentage).toBe(0);
+    });
+  });
+});
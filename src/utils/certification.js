@@ -0,0 +1,140 @@
+const crypto = require("crypto");
+
+const MAX_REQUIRED_APPROVALS = 10;
+
+function requiresCertification(session) {
+  return Number(session?.certification?.required_approvals) > 0;
+}
+
+/**
+ * True while an ended session's results wait for sign-off. Sessions without
+ * a certification rule are never pending.
+ */
+function isCertificationPending(session) {
+  return requiresCertification(session) && session.certification.status !== "certified";
+}
+
+/**
+ * Validate the number of certifying admins a session needs. 0 publishes
+ * results as soon as the session ends. Returns `{ certification }` or
+ * `{ error, code }`.
+ */
+function sanitizeCertificationSettings(payload) {
+  const raw = payload?.required_approvals;
+  const requiredApprovals =
+    raw === undefined || raw === null || raw === "" ? 0 : Number(raw);
+
+  if (
+    !Number.isInteger(requiredApprovals) ||
+    requiredApprovals < 0 ||
+    requiredApprovals > MAX_REQUIRED_APPROVALS
+  ) {
+    return {
+      error: `Required approvals must be a whole number between 0 and ${MAX_REQUIRED_APPROVALS}`,
+      code: "INVALID_CERTIFICATION",
+    };
+  }
+
+  return { certification: { required_approvals: requiredApprovals } };
+}
+
+// JSON with object keys sorted, so a snapshot hashes the same after a round
+// trip through the database
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+
+  if (value && typeof value === "object" && !(value instanceof Date)) {
+    return `{${Object.keys(value)
+      .sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(",")}}`;
+  }
+
+  return JSON.stringify(value);
+}
+
+function hashResultSnapshot(snapshot) {
+  return crypto.createHash("sha256").update(stableStringify(snapshot)).digest("hex");
+}
+
+/**
+ * Digest binding one approval to the snapshot it was given for. Recomputing
+ * it shows the approval has not been moved to another result.
+ */
+function digestApproval({ snapshotHash, adminId, signature, comment, approvedAt }) {
+  return crypto
+    .createHash("sha256")
+    .update(
+      stableStringify({
+        snapshot_hash: snapshotHash,
+        admin_id: String(adminId),
+        signature,
+        comment,
+        approved_at: new Date(approvedAt).toISOString(),
+      }),
+    )
+    .digest("hex");
+}
+
+/**
+ * Candidate counts from the certified snapshot as `[{ _id, count }]`, so the
+ * published results are exactly the ones that were signed off. Null until
+ * the session is certified.
+ */
+function getCertifiedCandidateCounts(session) {
+  const certification = session?.certification;
+  if (!requiresCertification(session) || certification.status !== "certified") {
+    return null;
+  }
+
+  return (certification.snapshot?.positions || []).flatMap((position) =>
+    position.candidates.map((candidate) => ({
+      _id: candidate.candidate_id,
+      count: candidate.vote_count,
+    })),
+  );
+}
+
+/**
+ * Certification details safe to show with the results.
+ */
+function formatCertification(session) {
+  if (!requiresCertification(session)) {
+    return null;
+  }
+
+  const certification = session.certification;
+  return {
+    // The rule is set but nothing has been frozen until the session ends
+    status:
+      !certification.status || certification.status === "not_required"
+        ? "awaiting_close"
+        : certification.status,
+    required_approvals: certification.required_approvals,
+    approvals_count: (certification.approvals || []).length,
+    snapshot_hash: certification.snapshot_hash || null,
+    certified_at: certification.certified_at || null,
+    approvals: (certification.approvals || []).map((approval) => ({
+      admin_id: approval.admin_id,
+      signed_by: approval.signed_by,
+      signature: approval.signature,
+      comment: approval.comment,
+      approved_at: approval.approved_at,
+      digest: approval.digest,
+    })),
+  };
+}
+
+module.exports = {
+  MAX_REQUIRED_APPROVALS,
+  requiresCertification,
+  isCertificationPending,
+  sanitizeCertificationSettings,
+  hashResultSnapshot,
+  digestApproval,
+  getCertifiedCandidateCounts,
+  formatCertification,
+};
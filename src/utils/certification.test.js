@@ -0,0 +1,60 @@
+const {
+  isCertificationPending,
+  sanitizeCertificationSettings,
+  hashResultSnapshot,
+  digestApproval,
+} = require("./certification");
+
+describe("certification", () => {
+  it("validates the number of required approvals", () => {
+    expect(sanitizeCertificationSettings(undefined).certification).toEqual({
+      required_approvals: 0,
+    });
+    expect(sanitizeCertificationSettings({ required_approvals: "3" }).certification).toEqual({
+      required_approvals: 3,
+    });
+    expect(sanitizeCertificationSettings({ required_approvals: 1.5 }).code).toBe(
+      "INVALID_CERTIFICATION",
+    );
+    expect(sanitizeCertificationSettings({ required_approvals: 11 }).code).toBe(
+      "INVALID_CERTIFICATION",
+    );
+  });
+
+  it("holds results until the session is certified", () => {
+    expect(isCertificationPending({})).toBe(false);
+    expect(isCertificationPending({ certification: { required_approvals: 2, status: "pending" } })).toBe(true);
+    expect(
+      isCertificationPending({ certification: { required_approvals: 2, status: "certified" } }),
+    ).toBe(false);
+  });
+
+  it("hashes snapshots independently of key order", () => {
+    const snapshot = {
+      session_id: "s1",
+      positions: [{ position: "President", candidates: [{ candidate_id: "c1", vote_count: 4 }] }],
+    };
+    const reordered = {
+      positions: [{ candidates: [{ vote_count: 4, candidate_id: "c1" }], position: "President" }],
+      session_id: "s1",
+    };
+
+    expect(hashResultSnapshot(snapshot)).toBe(hashResultSnapshot(reordered));
+    expect(hashResultSnapshot(snapshot)).not.toBe(
+      hashResultSnapshot({ ...snapshot, session_id: "s2" }),
+    );
+  });
+
+  it("binds each approval to the snapshot it signs", () => {
+    const approval = {
+      snapshotHash: "abc",
+      adminId: "a1",
+      signature: "J. Doe",
+      comment: "Counts verified",
+      approvedAt: "2026-03-11T09:00:00.000Z",
+    };
+
+    expect(digestApproval(approval)).toBe(digestApproval({ ...approval }));
+    expect(digestApproval(approval)).not.toBe(digestApproval({ ...approval, snapshotHash: "abd" }));
+  });
+});
@@ -0,0 +1,331 @@
+const crypto = require("crypto");
+
+/**
+ * Threshold exponential ElGamal over the 2048-bit MODP group from RFC 3526.
+ *
+ * Ballots encrypt g^0 or g^1 per option, so multiplying ciphertexts adds the
+ * votes underneath. The election secret is Shamir-shared between trustees:
+ * any `threshold` of them can publish partial decryptions of the aggregate,
+ * each with a Chaum-Pedersen proof, and nobody ever reassembles the key.
+ *
+ * Group elements and scalars are exchanged as lowercase hex strings.
+ */
+const P = BigInt(
+  "0x" +
+    "FFFFFFFFFFFFFFFFC90FDAA22168C234C4C6628B80DC1CD1" +
+    "29024E088A67CC74020BBEA63B139B22514A08798E3404DD" +
+    "EF9519B3CD3A431B302B0A6DF25F14374FE1356D6D51C245" +
+    "E485B576625E7EC6F44C42E9A637ED6B0BFF5CB6F406B7ED" +
+    "EE386BFB5A899FA5AE9F24117C4B1FE649286651ECE45B3D" +
+    "C2007CB8A163BF0598DA48361C55D39A69163FA8FD24CF5F" +
+    "83655D23DCA3AD961C62F356208552BB9ED529077096966D" +
+    "670C354E4ABC9804F1746C08CA18217C32905E462E36CE3B" +
+    "E39E772C180E86039B2783A2EC07A28FB5C55DF06F4C52C9" +
+    "DE2BCBF6955817183995497CEA956AE515D2261898FA0510" +
+    "15728E5A8AACAA68FFFFFFFFFFFFFFFF",
+);
+const Q = (P - 1n) / 2n;
+const G = 4n;
+
+// Short exponents are enough for ballot randomness in a 2048-bit group and
+// keep encryption fast enough to run inside the vote request.
+const ENCRYPTION_NONCE_BYTES = 32;
+
+const GROUP = {
+  name: "rfc3526-modp-2048",
+  p: P.toString(16),
+  q: Q.toString(16),
+  g: G.toString(16),
+};
+
+function toHex(value) {
+  return value.toString(16);
+}
+
+function fromHex(value) {
+  const hex = String(value || "").trim().toLowerCase().replace(/^0x/, "");
+  if (!/^[0-9a-f]+$/.test(hex)) {
+    throw new Error("Invalid hex value");
+  }
+  return BigInt(`0x${hex}`);
+}
+
+function mod(value, modulus) {
+  const result = value % modulus;
+  return result >= 0n ? result : result + modulus;
+}
+
+function modPow(base, exponent, modulus = P) {
+  let result = 1n;
+  let factor = mod(base, modulus);
+  let remaining = exponent;
+
+  while (remaining > 0n) {
+    if (remaining & 1n) {
+      result = (result * factor) % modulus;
+    }
+    factor = (factor * factor) % modulus;
+    remaining >>= 1n;
+  }
+
+  return result;
+}
+
+function modInverse(value, modulus) {
+  let [oldR, r] = [mod(value, modulus), modulus];
+  let [oldS, s] = [1n, 0n];
+
+  while (r !== 0n) {
+    const quotient = oldR / r;
+    [oldR, r] = [r, oldR - quotient * r];
+    [oldS, s] = [s, oldS - quotient * s];
+  }
+
+  if (oldR !== 1n) {
+    throw new Error("Value is not invertible");
+  }
+
+  return mod(oldS, modulus);
+}
+
+function randomBigInt(bytes) {
+  return BigInt(`0x${crypto.randomBytes(bytes).toString("hex")}`);
+}
+
+function randomScalar() {
+  // 64 bits beyond the size of q make the bias from reducing negligible
+  return mod(randomBigInt(264), Q - 1n) + 1n;
+}
+
+function isGroupElement(value) {
+  try {
+    const element = typeof value === "bigint" ? value : fromHex(value);
+    return element >= 1n && element < P && modPow(element, Q) === 1n;
+  } catch {
+    return false;
+  }
+}
+
+function hashToScalar(...parts) {
+  const digest = crypto
+    .createHash("sha256")
+    .update(parts.map((part) => (typeof part === "bigint" ? toHex(part) : String(part))).join("|"))
+    .digest("hex");
+  return mod(BigInt(`0x${digest}`), Q);
+}
+
+/**
+ * Encrypt a 0/1 vote for one option under the election public key.
+ */
+function encryptVote(publicKey, value) {
+  const h = fromHex(publicKey);
+  const r = randomBigInt(ENCRYPTION_NONCE_BYTES);
+  const c1 = modPow(G, r);
+  const c2 = (modPow(G, BigInt(value ? 1 : 0)) * modPow(h, r)) % P;
+
+  return { c1: toHex(c1), c2: toHex(c2) };
+}
+
+/**
+ * Homomorphically add ciphertexts. An empty list yields the encryption of 0
+ * with no randomness, so positions nobody voted on still decrypt to zero.
+ */
+function addCiphertexts(ciphertexts = []) {
+  return ciphertexts.reduce(
+    (sum, ciphertext) => ({
+      c1: toHex((fromHex(sum.c1) * fromHex(ciphertext.c1)) % P),
+      c2: toHex((fromHex(sum.c2) * fromHex(ciphertext.c2)) % P),
+    }),
+    { c1: "1", c2: "1" },
+  );
+}
+
+/**
+ * Split a secret into `count` Shamir shares, any `threshold` of which can
+ * reconstruct it. Trustee indexes start at 1.
+ */
+function splitSecret(secret, threshold, count) {
+  const coefficients = [secret];
+  for (let index = 1; index < threshold; index += 1) {
+    coefficients.push(randomScalar());
+  }
+
+  return Array.from({ length: count }, (_, offset) => {
+    const x = BigInt(offset + 1);
+    const share = coefficients.reduceRight(
+      (accumulator, coefficient) => mod(accumulator * x + coefficient, Q),
+      0n,
+    );
+    return { index: offset + 1, share };
+  });
+}
+
+/**
+ * Run a trusted-dealer key ceremony. Only the public key and per-trustee
+ * verification keys should ever reach the server; the shares go to the
+ * trustees and the secret itself is never returned.
+ */
+function generateElectionKeys(threshold, trusteeCount) {
+  if (!Number.isInteger(threshold) || threshold < 1) {
+    throw new Error("Threshold must be a positive integer");
+  }
+  if (!Number.isInteger(trusteeCount) || trusteeCount < threshold) {
+    throw new Error("Trustee count must be at least the threshold");
+  }
+
+  const secret = randomScalar();
+  const shares = splitSecret(secret, threshold, trusteeCount);
+
+  return {
+    group: GROUP,
+    threshold,
+    public_key: toHex(modPow(G, secret)),
+    trustees: shares.map(({ index, share }) => ({
+      index,
+      share: toHex(share),
+      verification_key: toHex(modPow(G, share)),
+    })),
+  };
+}
+
+function lagrangeCoefficient(index, indexes, at = 0n) {
+  const xi = BigInt(index);
+  let numerator = 1n;
+  let denominator = 1n;
+
+  indexes.forEach((other) => {
+    const xj = BigInt(other);
+    if (xj === xi) return;
+    numerator = mod(numerator * (at - xj), Q);
+    denominator = mod(denominator * (xi - xj), Q);
+  });
+
+  return mod(numerator * modInverse(denominator, Q), Q);
+}
+
+function interpolateInExponent(points, at) {
+  const indexes = points.map((point) => point.index);
+  return points.reduce(
+    (product, point) =>
+      (product *
+        modPow(fromHex(point.value), lagrangeCoefficient(point.index, indexes, at))) %
+      P,
+    1n,
+  );
+}
+
+/**
+ * Check that the trustee verification keys all lie on one polynomial of
+ * degree `threshold - 1` whose value at zero is the public key, so that any
+ * `threshold` trustees can decrypt and fewer cannot.
+ */
+function verifyKeyShares(publicKey, threshold, trustees = []) {
+  if (threshold < 1 || trustees.length < threshold) {
+    return false;
+  }
+
+  try {
+    const basis = trustees.slice(0, threshold).map((trustee) => ({
+      index: trustee.index,
+      value: trustee.verification_key,
+    }));
+
+    if (interpolateInExponent(basis, 0n) !== fromHex(publicKey)) {
+      return false;
+    }
+
+    return trustees
+      .slice(threshold)
+      .every(
+        (trustee) =>
+          interpolateInExponent(basis, BigInt(trustee.index)) ===
+          fromHex(trustee.verification_key),
+      );
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Compute a trustee's partial decryption of `c1` with a Chaum-Pedersen proof
+ * that it used the same share as its published verification key. `context`
+ * binds the proof to one session, position and option.
+ */
+function createPartialDecryption(shareHex, c1Hex, context = "") {
+  const share = fromHex(shareHex);
+  const c1 = fromHex(c1Hex);
+  const verificationKey = modPow(G, share);
+  const d = modPow(c1, share);
+  const w = randomScalar();
+  const a = modPow(G, w);
+  const b = modPow(c1, w);
+  const challenge = hashToScalar(context, verificationKey, c1, d, a, b);
+  const z = mod(w + challenge * share, Q);
+
+  return {
+    d: toHex(d),
+    proof: { a: toHex(a), b: toHex(b), z: toHex(z) },
+  };
+}
+
+function verifyPartialDecryption(verificationKeyHex, c1Hex, partial, context = "") {
+  try {
+    const verificationKey = fromHex(verificationKeyHex);
+    const c1 = fromHex(c1Hex);
+    const d = fromHex(partial.d);
+    const a = fromHex(partial.proof.a);
+    const b = fromHex(partial.proof.b);
+    const z = fromHex(partial.proof.z);
+
+    if (!isGroupElement(d) || a <= 0n || a >= P || b <= 0n || b >= P || z >= Q) {
+      return false;
+    }
+
+    const challenge = hashToScalar(context, verificationKey, c1, d, a, b);
+    return (
+      modPow(G, z) === (a * modPow(verificationKey, challenge)) % P &&
+      modPow(c1, z) === (b * modPow(d, challenge)) % P
+    );
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Combine `threshold` partial decryptions and recover the small plaintext
+ * count by searching g^0..g^maxValue.
+ *
+ * @param {{c1: string, c2: string}} ciphertext
+ * @param {Array<{index: number, d: string}>} partials
+ * @param {number} maxValue - Upper bound, e.g. the number of ballots cast
+ * @returns {number|null} null when the count is outside [0, maxValue]
+ */
+function combinePartialDecryptions(ciphertext, partials, maxValue) {
+  const mask = interpolateInExponent(
+    partials.map((partial) => ({ index: partial.index, value: partial.d })),
+    0n,
+  );
+  const target = (fromHex(ciphertext.c2) * modInverse(mask, P)) % P;
+
+  let candidate = 1n;
+  for (let value = 0; value <= maxValue; value += 1) {
+    if (candidate === target) {
+      return value;
+    }
+    candidate = (candidate * G) % P;
+  }
+
+  return null;
+}
+
+module.exports = {
+  GROUP,
+  isGroupElement,
+  encryptVote,
+  addCiphertexts,
+  generateElectionKeys,
+  verifyKeyShares,
+  createPartialDecryption,
+  verifyPartialDecryption,
+  combinePartialDecryptions,
+};
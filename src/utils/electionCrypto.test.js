@@ -0,0 +1,61 @@
+const {
+  encryptVote,
+  addCiphertexts,
+  generateElectionKeys,
+  verifyKeyShares,
+  createPartialDecryption,
+  verifyPartialDecryption,
+  combinePartialDecryptions,
+} = require("./electionCrypto");
+
+describe("electionCrypto", () => {
+  const keys = generateElectionKeys(2, 3);
+  const [first, second, third] = keys.trustees;
+
+  const decryptWith = (trustees, ciphertext, maxValue, context = "ctx") =>
+    combinePartialDecryptions(
+      ciphertext,
+      trustees.map((trustee) => ({
+        index: trustee.index,
+        ...createPartialDecryption(trustee.share, ciphertext.c1, context),
+      })),
+      maxValue,
+    );
+
+  it("accepts verification keys that interpolate to the public key", () => {
+    expect(verifyKeyShares(keys.public_key, 2, keys.trustees)).toBe(true);
+
+    const tampered = keys.trustees.map((trustee) => ({ ...trustee }));
+    tampered[2].verification_key = first.verification_key;
+    expect(verifyKeyShares(keys.public_key, 2, tampered)).toBe(false);
+  });
+
+  it("decrypts the sum of encrypted votes with any threshold of trustees", () => {
+    const aggregate = addCiphertexts(
+      [1, 0, 1, 1, 0].map((value) => encryptVote(keys.public_key, value)),
+    );
+
+    expect(decryptWith([first, second], aggregate, 5)).toBe(3);
+    expect(decryptWith([second, third], aggregate, 5)).toBe(3);
+    expect(decryptWith([first], aggregate, 5)).toBeNull();
+  });
+
+  it("decrypts an empty aggregate to zero", () => {
+    expect(decryptWith([first, third], addCiphertexts([]), 0)).toBe(0);
+  });
+
+  it("rejects partial decryptions from the wrong trustee or context", () => {
+    const ciphertext = encryptVote(keys.public_key, 1);
+    const partial = createPartialDecryption(first.share, ciphertext.c1, "s1:President:a");
+
+    expect(
+      verifyPartialDecryption(first.verification_key, ciphertext.c1, partial, "s1:President:a"),
+    ).toBe(true);
+    expect(
+      verifyPartialDecryption(second.verification_key, ciphertext.c1, partial, "s1:President:a"),
+    ).toBe(false);
+    expect(
+      verifyPartialDecryption(first.verification_key, ciphertext.c1, partial, "s1:President:b"),
+    ).toBe(false);
+  });
+});
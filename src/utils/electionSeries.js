@@ -0,0 +1,167 @@
+const { resolveSessionStatus } = require("./sessionLifecycle");
+
+const MIN_SERIES_STAGES = 2;
+const MAX_PROMOTE_TOP = 50;
+
+function toId(value) {
+  if (!value) return null;
+  return value.toString();
+}
+
+/**
+ * Order a position's candidates for promotion. Plurality and approval
+ * positions rank by votes; ranked-choice positions rank by how long a
+ * candidate survived the instant-runoff count, then by their votes in the
+ * last round they took part in.
+ *
+ * @returns {Array<{id: string, round: number, votes: number}>}
+ */
+function rankForPromotion(candidates = [], rankedTally = null) {
+  if (!rankedTally) {
+    return candidates
+      .map((candidate) => ({
+        id: toId(candidate.id || candidate._id),
+        round: 0,
+        votes: Number(candidate.vote_count) || 0,
+      }))
+      .sort((left, right) => right.votes - left.votes);
+  }
+
+  const lastSeen = new Map();
+  (rankedTally.rounds || []).forEach((round) => {
+    round.tallies.forEach((entry) => {
+      lastSeen.set(toId(entry.candidate_id), { round: round.round, votes: entry.votes });
+    });
+  });
+
+  return candidates
+    .map((candidate) => {
+      const id = toId(candidate.id || candidate._id);
+      return { id, ...(lastSeen.get(id) || { round: 0, votes: 0 }) };
+    })
+    .sort((left, right) => right.round - left.round || right.votes - left.votes);
+}
+
+/**
+ * Candidates a finished stage sends to the next one: the top `topK` with at
+ * least one vote. Candidates level with the last place all go through, so a
+ * tie never has to be broken just to draw up a shortlist.
+ */
+function selectPromotedCandidates(candidates, topK, rankedTally = null) {
+  const ranked = rankForPromotion(candidates, rankedTally).filter(
+    (candidate) => candidate.votes > 0,
+  );
+
+  if (ranked.length <= topK) {
+    return ranked.map((candidate) => candidate.id);
+  }
+
+  const cutoff = ranked[topK - 1];
+  return ranked
+    .filter(
+      (candidate, index) =>
+        index < topK || (candidate.round === cutoff.round && candidate.votes === cutoff.votes),
+    )
+    .map((candidate) => candidate.id);
+}
+
+/**
+ * Validate the stages of a new series against their sessions. Stages run in
+ * array order, each after the previous one ends, and every stage but the
+ * last says how many candidates per position move on. Returns
+ * `{ stages }` or `{ error, code }`.
+ */
+function sanitizeSeriesStages(stages, sessionsById) {
+  if (!Array.isArray(stages) || stages.length < MIN_SERIES_STAGES) {
+    return {
+      error: `A series needs at least ${MIN_SERIES_STAGES} stages`,
+      code: "INVALID_SERIES",
+    };
+  }
+
+  const seen = new Set();
+  const sanitized = [];
+
+  for (const [index, stage] of stages.entries()) {
+    const sessionId = toId(stage?.session_id);
+    const session = sessionsById.get(sessionId);
+    const isLast = index === stages.length - 1;
+
+    if (!session) {
+      return { error: `Stage ${index + 1} election not found`, code: "INVALID_SERIES" };
+    }
+    if (seen.has(sessionId)) {
+      return { error: "An election can only appear once in a series", code: "INVALID_SERIES" };
+    }
+    seen.add(sessionId);
+
+    const promoteTop = isLast ? null : Number(stage.promote_top);
+    if (!isLast && !(Number.isInteger(promoteTop) && promoteTop >= 1 && promoteTop <= MAX_PROMOTE_TOP)) {
+      return {
+        error: `Stage ${index + 1} must promote between 1 and ${MAX_PROMOTE_TOP} candidates per position`,
+        code: "INVALID_SERIES",
+      };
+    }
+
+    const previous = index > 0 ? sessionsById.get(toId(stages[index - 1].session_id)) : null;
+    if (previous && new Date(session.start_time) < new Date(previous.end_time)) {
+      return {
+        error: `Stage ${index + 1} must start after stage ${index} ends`,
+        code: "INVALID_SERIES",
+      };
+    }
+
+    sanitized.push({ session_id: session._id, order: index + 1, promote_top: promoteTop });
+  }
+
+  return { stages: sanitized };
+}
+
+/**
+ * The series' stages in order with each session's current status. Draft
+ * stages are left out unless `includeDrafts` is set (admin views).
+ */
+function buildSeriesTimeline(series, sessions = [], { currentSessionId, includeDrafts = false, now } = {}) {
+  const sessionsById = new Map(sessions.map((session) => [toId(session._id), session]));
+
+  return {
+    id: series._id,
+    name: series.name,
+    description: series.description || "",
+    stages: [...(series.stages || [])]
+      .sort((left, right) => left.order - right.order)
+      .map((stage) => {
+        const session = sessionsById.get(toId(stage.session_id));
+        if (!session) return null;
+
+        const status = resolveSessionStatus(session, now);
+        if (status === "draft" && !includeDrafts) return null;
+
+        return {
+          stage: stage.order,
+          session_id: session._id,
+          title: session.title,
+          status,
+          start_time: session.start_time,
+          end_time: session.end_time,
+          live_public_code: session.live_public_code || null,
+          promote_top: stage.promote_top ?? null,
+          promoted_at: stage.promoted_at || null,
+          promoted_candidates: (stage.promotions || []).reduce(
+            (sum, promotion) => sum + (promotion.promoted_ids || []).length,
+            0,
+          ),
+          is_current: toId(session._id) === toId(currentSessionId),
+        };
+      })
+      .filter(Boolean),
+  };
+}
+
+module.exports = {
+  MAX_PROMOTE_TOP,
+  rankForPromotion,
+  selectPromotedCandidates,
+  sanitizeSeriesStages,
+  buildSeriesTimeline,
+};
@@ -0,0 +1,100 @@
+const {
+  selectPromotedCandidates,
+  sanitizeSeriesStages,
+  buildSeriesTimeline,
+} = require("./electionSeries");
+
+describe("electionSeries", () => {
+  it("promotes the top candidates and everyone level with the last place", () => {
+    const candidates = [
+      { _id: "a", vote_count: 40 },
+      { _id: "b", vote_count: 25 },
+      { _id: "c", vote_count: 25 },
+      { _id: "d", vote_count: 10 },
+      { _id: "e", vote_count: 0 },
+    ];
+
+    expect(selectPromotedCandidates(candidates, 1)).toEqual(["a"]);
+    expect(selectPromotedCandidates(candidates, 2)).toEqual(["a", "b", "c"]);
+    expect(selectPromotedCandidates(candidates, 10)).toEqual(["a", "b", "c", "d"]);
+  });
+
+  it("ranks ranked-choice candidates by how long they stayed in the count", () => {
+    const rankedTally = {
+      rounds: [
+        {
+          round: 1,
+          tallies: [
+            { candidate_id: "a", votes: 5 },
+            { candidate_id: "b", votes: 4 },
+            { candidate_id: "c", votes: 3 },
+          ],
+        },
+        {
+          round: 2,
+          tallies: [
+            { candidate_id: "b", votes: 7 },
+            { candidate_id: "a", votes: 5 },
+          ],
+        },
+      ],
+    };
+
+    expect(
+      selectPromotedCandidates([{ _id: "a" }, { _id: "b" }, { _id: "c" }], 2, rankedTally),
+    ).toEqual(["b", "a"]);
+  });
+
+  it("checks stage order and promotion counts", () => {
+    const sessionsById = new Map([
+      ["s1", { _id: "s1", start_time: "2026-03-01T08:00:00Z", end_time: "2026-03-01T16:00:00Z" }],
+      ["s2", { _id: "s2", start_time: "2026-03-08T08:00:00Z", end_time: "2026-03-08T16:00:00Z" }],
+    ]);
+
+    expect(
+      sanitizeSeriesStages(
+        [{ session_id: "s1", promote_top: 3 }, { session_id: "s2" }],
+        sessionsById,
+      ).stages,
+    ).toEqual([
+      { session_id: "s1", order: 1, promote_top: 3 },
+      { session_id: "s2", order: 2, promote_top: null },
+    ]);
+    expect(
+      sanitizeSeriesStages([{ session_id: "s1" }, { session_id: "s2" }], sessionsById).code,
+    ).toBe("INVALID_SERIES");
+    expect(
+      sanitizeSeriesStages(
+        [{ session_id: "s2", promote_top: 3 }, { session_id: "s1" }],
+        sessionsById,
+      ).code,
+    ).toBe("INVALID_SERIES");
+  });
+
+  it("builds the timeline without draft stages", () => {
+    const timeline = buildSeriesTimeline(
+      {
+        _id: "series",
+        name: "SRC 2026",
+        stages: [
+          { session_id: "s2", order: 2 },
+          { session_id: "s1", order: 1, promote_top: 2, promotions: [{ promoted_ids: ["x", "y"] }] },
+        ],
+      },
+      [
+        { _id: "s1", title: "Primary", status: "ended", start_time: "2026-03-01T08:00:00Z", end_time: "2026-03-01T16:00:00Z" },
+        { _id: "s2", title: "General", status: "draft", start_time: "2026-03-08T08:00:00Z", end_time: "2026-03-08T16:00:00Z" },
+      ],
+      { currentSessionId: "s1", now: new Date("2026-03-02T00:00:00Z") },
+    );
+
+    expect(timeline.stages).toHaveLength(1);
+    expect(timeline.stages[0]).toMatchObject({
+      stage: 1,
+      title: "Primary",
+      status: "ended",
+      promoted_candidates: 2,
+      is_current: true,
+    });
+  });
+});
@@ -0,0 +1,129 @@
+const crypto = require("crypto");
+const { getPositionSettings } = require("./ballotRules");
+const { encryptVote } = require("./electionCrypto");
+
+// Ballot types whose totals are plain per-candidate sums and can therefore be
+// counted homomorphically. Ranked and yes/no items need the individual rows.
+const ENCRYPTABLE_BALLOT_TYPES = ["plurality", "approval"];
+
+function toId(value) {
+  if (!value) return null;
+  return value.toString();
+}
+
+function isEncryptedSession(session) {
+  return session?.encryption?.enabled === true;
+}
+
+/**
+ * True while an encrypted session's totals have not been decrypted yet; no
+ * counts may be shown in that state.
+ */
+function isTallyPending(session) {
+  return isEncryptedSession(session) && !session.encryption?.tally?.decrypted_at;
+}
+
+function validateEncryptablePositions(session) {
+  const unsupported = (session?.categories || []).filter(
+    (position) =>
+      !ENCRYPTABLE_BALLOT_TYPES.includes(getPositionSettings(session, position).ballot_type),
+  );
+
+  if (unsupported.length > 0) {
+    return {
+      error: `Encrypted ballots only support ${ENCRYPTABLE_BALLOT_TYPES.join(" and ")} positions`,
+      code: "ENCRYPTION_UNSUPPORTED_BALLOT",
+      positions: unsupported,
+    };
+  }
+
+  return null;
+}
+
+function buildProofContext(sessionId, position, option) {
+  return `${toId(sessionId)}:${position}:${option}`;
+}
+
+function digestAggregate(sessionId, ciphertexts = []) {
+  return crypto
+    .createHash("sha256")
+    .update(
+      JSON.stringify({
+        session_id: toId(sessionId),
+        ciphertexts: ciphertexts.map(({ position, option, c1, c2, ballots }) => ({
+          position,
+          option,
+          c1,
+          c2,
+          ballots,
+        })),
+      }),
+    )
+    .digest("hex");
+}
+
+/**
+ * Replace the plaintext rows of one ballot with a single encrypted row per
+ * position. Every candidate standing for the position gets a ciphertext so
+ * the stored row does not reveal which one was chosen.
+ *
+ * @param {Object} session - Session with `candidates` populated
+ * @param {Array<Object>} voteRecords - Plaintext rows built for the ballot
+ */
+function sealVoteRecords(session, voteRecords = []) {
+  const publicKey = session.encryption.public_key;
+  const rowsByPosition = new Map();
+
+  voteRecords.forEach((record) => {
+    if (!rowsByPosition.has(record.position)) {
+      rowsByPosition.set(record.position, []);
+    }
+    rowsByPosition.get(record.position).push(record);
+  });
+
+  return Array.from(rowsByPosition, ([position, rows]) => {
+    const selected = new Set(rows.map((row) => toId(row.candidate_id)));
+    const options = (session.candidates || [])
+      .filter((candidate) => candidate.position === position)
+      .map((candidate) => toId(candidate._id))
+      .sort();
+    // The ticket would reveal the choice just like the candidate
+    const { candidate_id, preferences, response, ticket_id, ...base } = rows[0];
+
+    return {
+      ...base,
+      candidate_id: null,
+      selection_index: 0,
+      is_encrypted: true,
+      ciphertexts: options.map((option) => ({
+        option,
+        ...encryptVote(publicKey, selected.has(option)),
+      })),
+    };
+  });
+}
+
+/**
+ * Decrypted totals in the same `{ _id, count }` shape as a Vote aggregate
+ * grouped by candidate_id. Empty until the trustees have run the tally.
+ */
+function getDecryptedCandidateCounts(session) {
+  if (isTallyPending(session)) {
+    return [];
+  }
+
+  return (session.encryption?.tally?.results || [])
+    .filter((entry) => entry.candidate_id)
+    .map((entry) => ({ _id: entry.candidate_id, count: entry.count }));
+}
+
+module.exports = {
+  ENCRYPTABLE_BALLOT_TYPES,
+  isEncryptedSession,
+  isTallyPending,
+  validateEncryptablePositions,
+  buildProofContext,
+  digestAggregate,
+  sealVoteRecords,
+  getDecryptedCandidateCounts,
+};
@@ -41,6 +41,84 @@ function isWithinGeofence(
   return distance <= radiusMeters;
 }
 
+/**
+ * Check if a location is inside a polygon ring (even-odd rule). Points
+ * exactly on an edge may fall either side.
+ * @param {number} userLat - User's latitude
+ * @param {number} userLng - User's longitude
+ * @param {Array<Array<number>>} ring - GeoJSON ring of [lng, lat] positions
+ * @returns {boolean} True if inside the ring
+ */
+function isWithinRing(userLat, userLng, ring) {
+  let inside = false;
+
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [lngI, latI] = ring[i];
+    const [lngJ, latJ] = ring[j];
+    const crosses =
+      latI > userLat !== latJ > userLat &&
+      userLng < ((lngJ - lngI) * (userLat - latI)) / (latJ - latI) + lngI;
+
+    if (crosses) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+}
+
+/**
+ * Check if a location is inside a GeoJSON polygon: within its outer ring
+ * and outside every hole
+ * @param {number} userLat - User's latitude
+ * @param {number} userLng - User's longitude
+ * @param {Object} polygon - GeoJSON Polygon `{ type, coordinates }`
+ * @returns {boolean} True if within the polygon
+ */
+function isWithinPolygon(userLat, userLng, polygon) {
+  const [outerRing, ...holes] = polygon?.coordinates || [];
+
+  if (!outerRing || !isWithinRing(userLat, userLng, outerRing)) {
+    return false;
+  }
+
+  return !holes.some((hole) => isWithinRing(userLat, userLng, hole));
+}
+
+/**
+ * Distance from a location to the nearest edge of a polygon ring, on a flat
+ * projection around the location (accurate enough over a campus)
+ * @param {number} userLat - User's latitude
+ * @param {number} userLng - User's longitude
+ * @param {Array<Array<number>>} ring - GeoJSON ring of [lng, lat] positions
+ * @returns {number} Distance in meters
+ */
+function distanceToRing(userLat, userLng, ring) {
+  const metersPerDegree = 111320;
+  const lngScale = Math.cos((userLat * Math.PI) / 180);
+  const project = ([lng, lat]) => ({
+    x: (lng - userLng) * metersPerDegree * lngScale,
+    y: (lat - userLat) * metersPerDegree,
+  });
+
+  let nearest = Infinity;
+  for (let i = 0; i < ring.length - 1; i++) {
+    const a = project(ring[i]);
+    const b = project(ring[i + 1]);
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSquared = dx * dx + dy * dy;
+    const t =
+      lengthSquared === 0
+        ? 0
+        : Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / lengthSquared));
+
+    nearest = Math.min(nearest, Math.hypot(a.x + t * dx, a.y + t * dy));
+  }
+
+  return nearest;
+}
+
 /**
  * Validate latitude and longitude
  * @param {number} lat - Latitude
@@ -61,5 +139,7 @@ function isValidCoordinates(lat, lng) {
 module.exports = {
   calculateDistance,
   isWithinGeofence,
+  isWithinPolygon,
+  distanceToRing,
   isValidCoordinates,
 };
@@ -0,0 +1,65 @@
+const crypto = require("crypto");
+const { normalizeIdentifierKey } = require("./tenantSettings");
+
+// How the poll worker checked the voter's identity before opening a ballot
+const KIOSK_VERIFICATION_METHODS = ["manual", "face"];
+
+// Long enough to fill in a ballot, short enough that an abandoned kiosk
+// does not leave one open
+const KIOSK_BALLOT_TTL_SECONDS = 10 * 60;
+
+function createKioskBallotId() {
+  return crypto.randomBytes(16).toString("hex");
+}
+
+function buildKioskBallotKey(tenantNamespace, ballotId) {
+  return `kiosk_ballot:${tenantNamespace}:${ballotId}`;
+}
+
+/**
+ * Identifier types a poll worker may look a voter up by, primary first.
+ * A requested type must be one the tenant allows. Returns null when it is
+ * not.
+ */
+function getLookupIdentifierTypes(identity, requestedType) {
+  const allowed = [
+    identity.primary_identifier,
+    ...(identity.allowed_identifiers || []),
+  ]
+    .map(normalizeIdentifierKey)
+    .filter((type, index, types) => types.indexOf(type) === index);
+
+  if (!requestedType) {
+    return allowed;
+  }
+
+  const type = String(requestedType).trim().toLowerCase();
+  return allowed.includes(type) ? [type] : null;
+}
+
+/**
+ * Only the poll worker who opened a ballot may submit or cancel it
+ */
+function isKioskBallotOwner(ballot, adminId) {
+  return Boolean(ballot?.worker_id && adminId) && ballot.worker_id === adminId.toString();
+}
+
+// Device recorded for a kiosk vote: the station when the ballot has one
+function getKioskDeviceId(stationId) {
+  return stationId ? `kiosk:${stationId}` : "kiosk";
+}
+
+function getKioskDecisionSource(method) {
+  return method === "face" ? "poll_worker_camera" : "poll_worker_manual";
+}
+
+module.exports = {
+  KIOSK_VERIFICATION_METHODS,
+  KIOSK_BALLOT_TTL_SECONDS,
+  createKioskBallotId,
+  buildKioskBallotKey,
+  getLookupIdentifierTypes,
+  isKioskBallotOwner,
+  getKioskDecisionSource,
+  getKioskDeviceId,
+};
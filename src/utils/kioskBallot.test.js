@@ -0,0 +1,42 @@
+const {
+  buildKioskBallotKey,
+  getLookupIdentifierTypes,
+  isKioskBallotOwner,
+  getKioskDecisionSource,
+  getKioskDeviceId,
+} = require("./kioskBallot");
+
+describe("kioskBallot", () => {
+  it("tries the primary identifier first, then the other allowed ones", () => {
+    expect(
+      getLookupIdentifierTypes({
+        primary_identifier: "email",
+        allowed_identifiers: ["matric_no", "email"],
+      }),
+    ).toEqual(["email", "matric_no"]);
+  });
+
+  it("only looks up by identifier types the tenant allows", () => {
+    const identity = { primary_identifier: "matric_no", allowed_identifiers: ["matric_no"] };
+
+    expect(getLookupIdentifierTypes(identity, "MATRIC_NO")).toEqual(["matric_no"]);
+    expect(getLookupIdentifierTypes(identity, "email")).toBeNull();
+  });
+
+  it("names ballots per tenant and records how identity was checked", () => {
+    expect(buildKioskBallotKey("tenant-a", "abc")).toBe("kiosk_ballot:tenant-a:abc");
+    expect(getKioskDecisionSource("face")).toBe("poll_worker_camera");
+    expect(getKioskDecisionSource("manual")).toBe("poll_worker_manual");
+    expect(getKioskDeviceId("65f1c0ffee0000000000aaaa")).toBe("kiosk:65f1c0ffee0000000000aaaa");
+    expect(getKioskDeviceId(null)).toBe("kiosk");
+  });
+
+  it("only lets the poll worker who opened a ballot use or cancel it", () => {
+    const ballot = { id: "abc", worker_id: "65f1c0ffee0000000000aaaa" };
+    const owner = { toString: () => "65f1c0ffee0000000000aaaa" };
+
+    expect(isKioskBallotOwner(ballot, owner)).toBe(true);
+    expect(isKioskBallotOwner(ballot, "65f1c0ffee0000000000bbbb")).toBe(false);
+    expect(isKioskBallotOwner({ id: "abc" }, owner)).toBe(false);
+  });
+});
@@ -0,0 +1,177 @@
+const { calculateDistance } = require("./geofence");
+
+// What a session does with a fix scoring below its min_score
+const LOCATION_INTEGRITY_POLICIES = ["flag", "reject"];
+
+const DEFAULT_MIN_SCORE = 60;
+const MAX_FIX_AGE_MS = 2 * 60 * 1000;
+const MAX_CLOCK_SKEW_MS = 30 * 1000;
+// Faster than a car on a highway between the location check and the vote
+const MAX_TRAVEL_SPEED_MPS = 55;
+// GPS jitter alone can look like a jump over a few seconds
+const MIN_TRAVEL_DISTANCE_METERS = 200;
+const PERFECT_ACCURACY_METERS = 1;
+const POOR_ACCURACY_METERS = 500;
+
+const SIGNAL_PENALTIES = {
+  MOCK_LOCATION: 100,
+  IMPOSSIBLE_TRAVEL: 50,
+  STALE_FIX: 30,
+  FUTURE_FIX: 30,
+  PERFECT_ACCURACY: 25,
+  ZERO_ALTITUDE: 10,
+  POOR_ACCURACY: 15,
+  NO_METADATA: 10,
+};
+
+// Accepts dates, ISO strings and epoch milliseconds (as numbers or strings)
+function toDate(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const epoch = typeof value === "string" && /^\d+$/.test(value) ? Number(value) : value;
+  const parsed = new Date(epoch);
+  return Number.isNaN(parsed.getTime()) ? null : parsed;
+}
+
+function toNumber(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+/**
+ * Normalize the client's location metadata: `accuracy_meters`,
+ * `altitude_meters`, `captured_at` (ISO string or epoch ms) and `is_mock`.
+ * Unreadable values become null.
+ */
+function normalizeLocationMeta(meta) {
+  if (!meta || typeof meta !== "object") {
+    return null;
+  }
+
+  return {
+    accuracy_meters: toNumber(meta.accuracy_meters),
+    altitude_meters: toNumber(meta.altitude_meters),
+    captured_at: toDate(meta.captured_at),
+    is_mock: meta.is_mock === true,
+  };
+}
+
+/**
+ * Score how plausible a location fix is, from 100 (nothing odd) down to 0.
+ * `previousFix` is the student's last fix for the session
+ * (`{ lat, lng, captured_at }`), used to spot impossible travel.
+ *
+ * @returns {{ score: number, signals: string[] }}
+ */
+function scoreLocationFix({ lat, lng, meta, previousFix = null, now = new Date() }) {
+  const signals = [];
+
+  if (!meta) {
+    signals.push("NO_METADATA");
+  } else {
+    if (meta.is_mock) {
+      signals.push("MOCK_LOCATION");
+    }
+
+    if (meta.captured_at) {
+      const age = now.getTime() - meta.captured_at.getTime();
+      if (age > MAX_FIX_AGE_MS) {
+        signals.push("STALE_FIX");
+      } else if (age < -MAX_CLOCK_SKEW_MS) {
+        signals.push("FUTURE_FIX");
+      }
+    }
+
+    if (meta.accuracy_meters !== null) {
+      if (meta.accuracy_meters <= PERFECT_ACCURACY_METERS) {
+        signals.push("PERFECT_ACCURACY");
+      } else if (meta.accuracy_meters > POOR_ACCURACY_METERS) {
+        signals.push("POOR_ACCURACY");
+      }
+    }
+
+    // Emulators commonly report a flawless fix at exactly sea level
+    if (meta.altitude_meters === 0 && signals.includes("PERFECT_ACCURACY")) {
+      signals.push("ZERO_ALTITUDE");
+    }
+  }
+
+  const previousAt = toDate(previousFix?.captured_at);
+  if (previousFix && previousAt) {
+    const currentAt = meta?.captured_at || now;
+    const distance = calculateDistance(previousFix.lat, previousFix.lng, lat, lng);
+    const seconds = Math.max(1, (currentAt.getTime() - previousAt.getTime()) / 1000);
+
+    if (distance >= MIN_TRAVEL_DISTANCE_METERS && distance / seconds > MAX_TRAVEL_SPEED_MPS) {
+      signals.push("IMPOSSIBLE_TRAVEL");
+    }
+  }
+
+  const penalty = signals.reduce((sum, signal) => sum + SIGNAL_PENALTIES[signal], 0);
+
+  return { score: Math.max(0, 100 - penalty), signals };
+}
+
+function getLocationIntegrityPolicy(session) {
+  return {
+    policy: session?.location_integrity?.policy || "flag",
+    min_score: session?.location_integrity?.min_score ?? DEFAULT_MIN_SCORE,
+  };
+}
+
+/**
+ * Whether a scored fix is suspicious for the session, and whether the
+ * session rejects it
+ */
+function evaluateLocationFix(session, result) {
+  const { policy, min_score: minScore } = getLocationIntegrityPolicy(session);
+  const flagged = result.score < minScore;
+
+  return {
+    ...result,
+    flagged,
+    rejected: flagged && policy === "reject",
+  };
+}
+
+/**
+ * Validate the admin supplied location integrity settings. Returns
+ * `{ location_integrity }` or `{ error, code }` like the other session
+ * setting sanitizers.
+ */
+function sanitizeLocationIntegritySettings(payload) {
+  if (payload === undefined || payload === null) {
+    return { location_integrity: { policy: "flag", min_score: DEFAULT_MIN_SCORE } };
+  }
+
+  const policy = payload.policy || "flag";
+  const minScore =
+    payload.min_score === undefined || payload.min_score === null
+      ? DEFAULT_MIN_SCORE
+      : Number(payload.min_score);
+
+  if (!LOCATION_INTEGRITY_POLICIES.includes(policy)) {
+    return {
+      error: "Location integrity policy must be flag or reject",
+      code: "INVALID_LOCATION_INTEGRITY",
+    };
+  }
+
+  if (!Number.isInteger(minScore) || minScore < 1 || minScore > 100) {
+    return {
+      error: "Location integrity min_score must be a whole number from 1 to 100",
+      code: "INVALID_LOCATION_INTEGRITY",
+    };
+  }
+
+  return { location_integrity: { policy, min_score: minScore } };
+}
+
+module.exports = {
+  LOCATION_INTEGRITY_POLICIES,
+  normalizeLocationMeta,
+  scoreLocationFix,
+  evaluateLocationFix,
+  getLocationIntegrityPolicy,
+  sanitizeLocationIntegritySettings,
+};
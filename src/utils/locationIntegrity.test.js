@@ -0,0 +1,72 @@
+const {
+  normalizeLocationMeta,
+  scoreLocationFix,
+  evaluateLocationFix,
+  sanitizeLocationIntegritySettings,
+} = require("./locationIntegrity");
+
+describe("locationIntegrity", () => {
+  const now = new Date("2026-03-01T10:00:00.000Z");
+  const fix = { lat: 7.8525, lng: 4.2811 };
+
+  it("scores an ordinary phone fix as plausible", () => {
+    const meta = normalizeLocationMeta({
+      accuracy_meters: 12.4,
+      altitude_meters: 311,
+      captured_at: "2026-03-01T09:59:50.000Z",
+      is_mock: false,
+    });
+
+    expect(scoreLocationFix({ ...fix, meta, now })).toEqual({ score: 100, signals: [] });
+  });
+
+  it("penalizes mock, stale and suspiciously perfect fixes", () => {
+    expect(
+      scoreLocationFix({ ...fix, meta: normalizeLocationMeta({ is_mock: true }), now }).score,
+    ).toBe(0);
+
+    const stalePerfect = scoreLocationFix({
+      ...fix,
+      meta: normalizeLocationMeta({
+        accuracy_meters: 0,
+        altitude_meters: 0,
+        captured_at: String(now.getTime() - 10 * 60 * 1000),
+      }),
+      now,
+    });
+    expect(stalePerfect.signals).toEqual(["STALE_FIX", "PERFECT_ACCURACY", "ZERO_ALTITUDE"]);
+    expect(stalePerfect.score).toBe(35);
+  });
+
+  it("spots impossible travel since the location check", () => {
+    const previousFix = { lat: 6.5244, lng: 3.3792, captured_at: "2026-03-01T09:55:00.000Z" };
+    const meta = normalizeLocationMeta({ accuracy_meters: 8, captured_at: now.toISOString() });
+
+    expect(scoreLocationFix({ ...fix, meta, previousFix, now }).signals).toEqual([
+      "IMPOSSIBLE_TRAVEL",
+    ]);
+    expect(
+      scoreLocationFix({
+        ...fix,
+        meta,
+        previousFix: { lat: 7.853, lng: 4.2812, captured_at: "2026-03-01T09:59:58.000Z" },
+        now,
+      }).signals,
+    ).toEqual([]);
+  });
+
+  it("rejects low scores only when the session says so", () => {
+    const low = { score: 40, signals: ["STALE_FIX"] };
+
+    expect(evaluateLocationFix({}, low)).toMatchObject({ flagged: true, rejected: false });
+    expect(
+      evaluateLocationFix({ location_integrity: { policy: "reject", min_score: 30 } }, low),
+    ).toMatchObject({ flagged: false, rejected: false });
+    expect(
+      evaluateLocationFix({ location_integrity: { policy: "reject", min_score: 60 } }, low),
+    ).toMatchObject({ flagged: true, rejected: true });
+    expect(sanitizeLocationIntegritySettings({ policy: "block" }).code).toBe(
+      "INVALID_LOCATION_INTEGRITY",
+    );
+  });
+});
@@ -0,0 +1,130 @@
+const NOMINATION_STATUSES = [
+  "awaiting_seconders",
+  "pending_review",
+  "approved",
+  "rejected",
+  "withdrawn",
+];
+
+// Nominations that still hold the student's place in the session
+const ACTIVE_NOMINATION_STATUSES = ["awaiting_seconders", "pending_review", "approved"];
+
+const MAX_SECONDERS_REQUIRED = 50;
+
+function toDate(value) {
+  if (!value) return null;
+  const parsed = new Date(value);
+  return Number.isNaN(parsed.getTime()) ? null : parsed;
+}
+
+function isNominationEnabled(session) {
+  return session?.nomination?.enabled === true;
+}
+
+/**
+ * "disabled", "not_open", "open" or "closed" for the session's nomination
+ * window at `now`.
+ */
+function getNominationWindowState(session, now = new Date()) {
+  if (!isNominationEnabled(session)) {
+    return "disabled";
+  }
+
+  const opensAt = toDate(session.nomination.opens_at);
+  const closesAt = toDate(session.nomination.closes_at);
+
+  if (opensAt && now < opensAt) {
+    return "not_open";
+  }
+
+  if (closesAt && now > closesAt) {
+    return "closed";
+  }
+
+  return "open";
+}
+
+/**
+ * Validate the admin supplied nomination phase. The window has to close
+ * before voting starts so approved candidates are on the ballot in time.
+ * Mirrors sanitizePositionSettings: returns `{ error, code }` on failure.
+ */
+function sanitizeNominationSettings(payload, { start_time } = {}) {
+  if (payload === undefined || payload === null || payload.enabled !== true) {
+    return {
+      nomination: {
+        enabled: false,
+        opens_at: null,
+        closes_at: null,
+        seconders_required: 0,
+      },
+    };
+  }
+
+  const opensAt = toDate(payload.opens_at);
+  const closesAt = toDate(payload.closes_at);
+  const startTime = toDate(start_time);
+
+  if (!opensAt || !closesAt) {
+    return {
+      error: "Nomination window needs valid opening and closing times",
+      code: "INVALID_NOMINATION_WINDOW",
+    };
+  }
+
+  if (closesAt <= opensAt) {
+    return {
+      error: "Nominations must close after they open",
+      code: "INVALID_NOMINATION_WINDOW",
+    };
+  }
+
+  if (startTime && closesAt > startTime) {
+    return {
+      error: "Nominations must close before voting starts",
+      code: "INVALID_NOMINATION_WINDOW",
+    };
+  }
+
+  const secondersRequired =
+    payload.seconders_required === undefined || payload.seconders_required === null
+      ? 0
+      : Number(payload.seconders_required);
+
+  if (
+    !Number.isInteger(secondersRequired) ||
+    secondersRequired < 0 ||
+    secondersRequired > MAX_SECONDERS_REQUIRED
+  ) {
+    return {
+      error: `Seconders required must be a whole number between 0 and ${MAX_SECONDERS_REQUIRED}`,
+      code: "INVALID_NOMINATION_SETTINGS",
+    };
+  }
+
+  return {
+    nomination: {
+      enabled: true,
+      opens_at: opensAt,
+      closes_at: closesAt,
+      seconders_required: secondersRequired,
+    },
+  };
+}
+
+/**
+ * Status a nomination waiting on admins should be in, given its seconders.
+ */
+function resolveSecondingStatus(session, secondersCount = 0) {
+  const required = Number(session?.nomination?.seconders_required) || 0;
+  return secondersCount >= required ? "pending_review" : "awaiting_seconders";
+}
+
+module.exports = {
+  NOMINATION_STATUSES,
+  ACTIVE_NOMINATION_STATUSES,
+  isNominationEnabled,
+  getNominationWindowState,
+  sanitizeNominationSettings,
+  resolveSecondingStatus,
+};
@@ -0,0 +1,73 @@
+const {
+  getNominationWindowState,
+  sanitizeNominationSettings,
+  resolveSecondingStatus,
+} = require("./nominationRules");
+
+describe("nominationRules", () => {
+  const start_time = "2026-03-10T08:00:00.000Z";
+
+  it("accepts a window that closes before voting starts", () => {
+    const result = sanitizeNominationSettings(
+      {
+        enabled: true,
+        opens_at: "2026-03-01T08:00:00.000Z",
+        closes_at: "2026-03-05T17:00:00.000Z",
+        seconders_required: 3,
+      },
+      { start_time },
+    );
+
+    expect(result.error).toBeUndefined();
+    expect(result.nomination.seconders_required).toBe(3);
+    expect(sanitizeNominationSettings(undefined).nomination.enabled).toBe(false);
+  });
+
+  it("rejects windows that overlap voting or have a bad seconder count", () => {
+    expect(
+      sanitizeNominationSettings(
+        {
+          enabled: true,
+          opens_at: "2026-03-01T08:00:00.000Z",
+          closes_at: "2026-03-11T08:00:00.000Z",
+        },
+        { start_time },
+      ).code,
+    ).toBe("INVALID_NOMINATION_WINDOW");
+    expect(
+      sanitizeNominationSettings(
+        {
+          enabled: true,
+          opens_at: "2026-03-01T08:00:00.000Z",
+          closes_at: "2026-03-05T08:00:00.000Z",
+          seconders_required: -1,
+        },
+        { start_time },
+      ).code,
+    ).toBe("INVALID_NOMINATION_SETTINGS");
+  });
+
+  it("tracks the window and seconding progress", () => {
+    const session = {
+      nomination: {
+        enabled: true,
+        opens_at: new Date("2026-03-01T08:00:00.000Z"),
+        closes_at: new Date("2026-03-05T17:00:00.000Z"),
+        seconders_required: 2,
+      },
+    };
+
+    expect(getNominationWindowState(session, new Date("2026-02-28T00:00:00.000Z"))).toBe(
+      "not_open",
+    );
+    expect(getNominationWindowState(session, new Date("2026-03-02T00:00:00.000Z"))).toBe(
+      "open",
+    );
+    expect(getNominationWindowState(session, new Date("2026-03-06T00:00:00.000Z"))).toBe(
+      "closed",
+    );
+    expect(getNominationWindowState({}, new Date())).toBe("disabled");
+    expect(resolveSecondingStatus(session, 1)).toBe("awaiting_seconders");
+    expect(resolveSecondingStatus(session, 2)).toBe("pending_review");
+  });
+});
@@ -0,0 +1,183 @@
+const PETITION_STATUSES = [
+  "filed",
+  "under_review",
+  "hearing_scheduled",
+  "upheld",
+  "dismissed",
+  "withdrawn",
+];
+
+// Petitions the committee still has to decide
+const OPEN_PETITION_STATUSES = ["filed", "under_review", "hearing_scheduled"];
+
+// What an upheld petition can order; several can be combined
+const PETITION_REMEDIES = ["hold_results", "recount", "rerun"];
+
+const MAX_PETITION_WINDOW_HOURS = 720;
+const MAX_EVIDENCE_ITEMS = 10;
+
+function toDate(value) {
+  if (!value) return null;
+  const parsed = new Date(value);
+  return Number.isNaN(parsed.getTime()) ? null : parsed;
+}
+
+function isPetitionEnabled(session) {
+  return session?.petitions?.enabled === true;
+}
+
+/**
+ * The filing window opens when voting closes and stays open for the
+ * session's `window_hours`.
+ */
+function getPetitionWindow(session) {
+  if (!isPetitionEnabled(session)) {
+    return { opens_at: null, closes_at: null };
+  }
+
+  const opensAt = toDate(session.end_time);
+  const hours = Number(session.petitions.window_hours) || 0;
+
+  return {
+    opens_at: opensAt,
+    closes_at: opensAt ? new Date(opensAt.getTime() + hours * 60 * 60 * 1000) : null,
+  };
+}
+
+/**
+ * "disabled", "not_open", "open" or "closed" for the session's petition
+ * window at `now`.
+ */
+function getPetitionWindowState(session, now = new Date()) {
+  if (!isPetitionEnabled(session)) {
+    return "disabled";
+  }
+
+  const { opens_at: opensAt, closes_at: closesAt } = getPetitionWindow(session);
+
+  if (!opensAt || now < opensAt) {
+    return "not_open";
+  }
+
+  if (now > closesAt) {
+    return "closed";
+  }
+
+  return "open";
+}
+
+/**
+ * Validate the admin supplied petition settings. Returns `{ petitions }` or
+ * `{ error, code }` like the other session setting sanitizers.
+ */
+function sanitizePetitionSettings(payload) {
+  if (payload === undefined || payload === null || payload.enabled !== true) {
+    return { petitions: { enabled: false, window_hours: 0 } };
+  }
+
+  const windowHours = Number(payload.window_hours);
+
+  if (
+    !Number.isInteger(windowHours) ||
+    windowHours < 1 ||
+    windowHours > MAX_PETITION_WINDOW_HOURS
+  ) {
+    return {
+      error: `Petition window must be a whole number of hours between 1 and ${MAX_PETITION_WINDOW_HOURS}`,
+      code: "INVALID_PETITION_SETTINGS",
+    };
+  }
+
+  return { petitions: { enabled: true, window_hours: windowHours } };
+}
+
+/**
+ * Validate evidence links being added to a petition that already holds
+ * `existingCount` items. Returns `{ evidence }` or `{ error, code }`.
+ */
+function sanitizeEvidence(items, existingCount = 0) {
+  const list = Array.isArray(items) ? items : [];
+
+  if (existingCount + list.length > MAX_EVIDENCE_ITEMS) {
+    return {
+      error: `A petition can hold at most ${MAX_EVIDENCE_ITEMS} evidence items`,
+      code: "TOO_MUCH_EVIDENCE",
+    };
+  }
+
+  const evidence = [];
+  for (const item of list) {
+    const url = typeof item?.url === "string" ? item.url.trim() : "";
+    let parsed = null;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      parsed = null;
+    }
+
+    if (!parsed || !["http:", "https:"].includes(parsed.protocol)) {
+      return {
+        error: "Evidence must be an http(s) link to the uploaded file",
+        code: "INVALID_EVIDENCE",
+      };
+    }
+
+    evidence.push({
+      url,
+      label: typeof item.label === "string" ? item.label.trim().slice(0, 200) : "",
+    });
+  }
+
+  return { evidence };
+}
+
+/**
+ * Check the positions and candidates a petition names against the session.
+ * Candidates must stand for the session; when positions are named too they
+ * must stand for one of them.
+ */
+function validatePetitionTargets(session, { positions = [], candidateIds = [] }, candidates = []) {
+  const unknownPosition = positions.find(
+    (position) => !(session.categories || []).includes(position),
+  );
+  if (unknownPosition) {
+    return {
+      error: `${unknownPosition} is not contested in this election`,
+      code: "INVALID_PETITION_TARGET",
+    };
+  }
+
+  const candidatesById = new Map(
+    candidates.map((candidate) => [candidate._id.toString(), candidate]),
+  );
+  const unknownCandidate = candidateIds.find((id) => {
+    const candidate = candidatesById.get(id.toString());
+    return !candidate || (positions.length > 0 && !positions.includes(candidate.position));
+  });
+  if (unknownCandidate) {
+    return {
+      error: "Candidates named in a petition must stand in this election for the positions petitioned",
+      code: "INVALID_PETITION_TARGET",
+    };
+  }
+
+  return null;
+}
+
+function hasResultsHold(session) {
+  return Boolean(session?.results_hold?.held_at);
+}
+
+module.exports = {
+  PETITION_STATUSES,
+  OPEN_PETITION_STATUSES,
+  PETITION_REMEDIES,
+  MAX_PETITION_WINDOW_HOURS,
+  isPetitionEnabled,
+  getPetitionWindow,
+  getPetitionWindowState,
+  sanitizePetitionSettings,
+  sanitizeEvidence,
+  validatePetitionTargets,
+  hasResultsHold,
+};
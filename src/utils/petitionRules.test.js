@@ -0,0 +1,61 @@
+const {
+  getPetitionWindowState,
+  sanitizePetitionSettings,
+  sanitizeEvidence,
+  validatePetitionTargets,
+} = require("./petitionRules");
+
+describe("petitionRules", () => {
+  const session = {
+    end_time: "2026-03-01T18:00:00.000Z",
+    categories: ["President", "Secretary"],
+    petitions: { enabled: true, window_hours: 48 },
+  };
+
+  it("opens the filing window when voting closes", () => {
+    expect(getPetitionWindowState(session, new Date("2026-03-01T17:00:00.000Z"))).toBe("not_open");
+    expect(getPetitionWindowState(session, new Date("2026-03-02T09:00:00.000Z"))).toBe("open");
+    expect(getPetitionWindowState(session, new Date("2026-03-03T18:00:01.000Z"))).toBe("closed");
+    expect(getPetitionWindowState({ ...session, petitions: { enabled: false } })).toBe("disabled");
+  });
+
+  it("requires a window length when petitions are enabled", () => {
+    expect(sanitizePetitionSettings({ enabled: true, window_hours: 0 }).code).toBe(
+      "INVALID_PETITION_SETTINGS",
+    );
+    expect(sanitizePetitionSettings({ enabled: true, window_hours: "72" })).toEqual({
+      petitions: { enabled: true, window_hours: 72 },
+    });
+    expect(sanitizePetitionSettings(undefined).petitions.enabled).toBe(false);
+  });
+
+  it("accepts only http(s) evidence links within the limit", () => {
+    expect(sanitizeEvidence([{ url: "javascript:alert(1)" }]).code).toBe("INVALID_EVIDENCE");
+    expect(sanitizeEvidence([{ url: "https://files.example.com/a.pdf" }], 10).code).toBe(
+      "TOO_MUCH_EVIDENCE",
+    );
+    expect(
+      sanitizeEvidence([{ url: " https://files.example.com/a.pdf ", label: "Tally sheet" }]),
+    ).toEqual({
+      evidence: [{ url: "https://files.example.com/a.pdf", label: "Tally sheet" }],
+    });
+  });
+
+  it("only names candidates standing for the petitioned positions", () => {
+    const candidates = [{ _id: "c1", position: "President" }];
+
+    expect(validatePetitionTargets(session, { positions: ["Treasurer"] }, candidates).code).toBe(
+      "INVALID_PETITION_TARGET",
+    );
+    expect(
+      validatePetitionTargets(
+        session,
+        { positions: ["Secretary"], candidateIds: ["c1"] },
+        candidates,
+      ).code,
+    ).toBe("INVALID_PETITION_TARGET");
+    expect(
+      validatePetitionTargets(session, { positions: ["President"], candidateIds: ["c1"] }, candidates),
+    ).toBeNull();
+  });
+});
@@ -0,0 +1,284 @@
+const {
+  calculateDistance,
+  isWithinGeofence,
+  isWithinPolygon,
+  distanceToRing,
+  isValidCoordinates,
+} = require("./geofence");
+
+const POLLING_ZONE_SHAPES = ["circle", "polygon"];
+
+const MAX_POLLING_ZONES = 20;
+const MAX_POLYGON_POSITIONS = 500;
+const MIN_ZONE_RADIUS_METERS = 10;
+const MAX_ZONE_RADIUS_METERS = 50000;
+const DEFAULT_ZONE_NAME = "Main polling area";
+
+function zoneError(error) {
+  return { error, code: "INVALID_POLLING_ZONES" };
+}
+
+function toId(value) {
+  return value ? value.toString() : null;
+}
+
+function sanitizeRing(ring) {
+  if (!Array.isArray(ring)) return null;
+
+  const positions = ring.map((position) =>
+    Array.isArray(position) ? [Number(position[0]), Number(position[1])] : null,
+  );
+  if (
+    positions.some(
+      (position) => !position || !isValidCoordinates(position[1], position[0]),
+    )
+  ) {
+    return null;
+  }
+
+  // GeoJSON rings repeat their first position at the end
+  const [first] = positions;
+  const last = positions[positions.length - 1];
+  if (first && (first[0] !== last[0] || first[1] !== last[1])) {
+    positions.push([...first]);
+  }
+
+  return positions.length >= 4 ? positions : null;
+}
+
+/**
+ * Validate the admin supplied polling zones. Each zone is a named circle
+ * (`center` and `radius_meters`) or GeoJSON `polygon`; a `location_id`
+ * linking it to a saved polling location is kept. Returns
+ * `{ polling_zones }` or `{ error, code }` like the other session setting
+ * sanitizers.
+ */
+function sanitizePollingZones(payload) {
+  if (payload === undefined || payload === null) {
+    return { polling_zones: [] };
+  }
+
+  if (!Array.isArray(payload) || payload.length > MAX_POLLING_ZONES) {
+    return zoneError(`Polling zones must be a list of at most ${MAX_POLLING_ZONES}`);
+  }
+
+  const names = new Set();
+  const zones = [];
+
+  for (const zone of payload) {
+    const name = String(zone?.name || "").trim();
+    if (!name) {
+      return zoneError("Every polling zone needs a name");
+    }
+    if (names.has(name.toLowerCase())) {
+      return zoneError(`Polling zone "${name}" is listed twice`);
+    }
+    names.add(name.toLowerCase());
+
+    if (!POLLING_ZONE_SHAPES.includes(zone.shape)) {
+      return zoneError(`Polling zone "${name}" must be a circle or a polygon`);
+    }
+
+    if (zone.shape === "circle") {
+      const lat = Number(zone.center?.lat);
+      const lng = Number(zone.center?.lng);
+      const radius = Number(zone.radius_meters);
+
+      if (!isValidCoordinates(lat, lng)) {
+        return zoneError(`Polling zone "${name}" has an invalid center`);
+      }
+      if (
+        !Number.isFinite(radius) ||
+        radius < MIN_ZONE_RADIUS_METERS ||
+        radius > MAX_ZONE_RADIUS_METERS
+      ) {
+        return zoneError(
+          `Polling zone "${name}" needs a radius between ${MIN_ZONE_RADIUS_METERS} and ${MAX_ZONE_RADIUS_METERS} meters`,
+        );
+      }
+
+      zones.push({
+        location_id: zone.location_id || null,
+        name,
+        shape: "circle",
+        center: { lat, lng },
+        radius_meters: radius,
+      });
+      continue;
+    }
+
+    const polygon = zone.polygon;
+    const rings =
+      polygon?.type === "Polygon" && Array.isArray(polygon.coordinates)
+        ? polygon.coordinates.map(sanitizeRing)
+        : [];
+    const positionCount = rings.reduce((sum, ring) => sum + (ring?.length || 0), 0);
+
+    if (rings.length === 0 || rings.some((ring) => !ring)) {
+      return zoneError(
+        `Polling zone "${name}" needs a GeoJSON Polygon with rings of at least three [lng, lat] positions`,
+      );
+    }
+    if (positionCount > MAX_POLYGON_POSITIONS) {
+      return zoneError(
+        `Polling zone "${name}" has more than ${MAX_POLYGON_POSITIONS} positions`,
+      );
+    }
+
+    zones.push({
+      location_id: zone.location_id || null,
+      name,
+      shape: "polygon",
+      polygon: { type: "Polygon", coordinates: rings },
+    });
+  }
+
+  return { polling_zones: zones };
+}
+
+/**
+ * The zones students may vote from. Sessions without polling zones have
+ * their single `location` circle as the only zone.
+ */
+function getPollingZones(session) {
+  if (session?.polling_zones?.length > 0) {
+    return session.polling_zones;
+  }
+
+  if (!session?.location || !isValidCoordinates(session.location.lat, session.location.lng)) {
+    return [];
+  }
+
+  return [
+    {
+      _id: null,
+      name: DEFAULT_ZONE_NAME,
+      shape: "circle",
+      center: { lat: session.location.lat, lng: session.location.lng },
+      radius_meters: session.location.radius_meters,
+    },
+  ];
+}
+
+/**
+ * Center of a zone: a circle's center or the mean of a polygon's outer
+ * ring positions. Null when the zone has no usable geometry.
+ */
+function getZoneCenter(zone) {
+  if (zone?.shape === "circle") {
+    return isValidCoordinates(zone.center?.lat, zone.center?.lng)
+      ? { lat: zone.center.lat, lng: zone.center.lng }
+      : null;
+  }
+
+  const ring = (zone?.polygon?.coordinates?.[0] || []).slice(0, -1);
+  if (ring.length === 0) {
+    return null;
+  }
+
+  return {
+    lat: ring.reduce((sum, [, lat]) => sum + lat, 0) / ring.length,
+    lng: ring.reduce((sum, [lng]) => sum + lng, 0) / ring.length,
+  };
+}
+
+/**
+ * Circle that covers every polling zone, kept in `location` for clients
+ * that only read a single geofence.
+ */
+function buildCoveringLocation(zones) {
+  const points = zones.flatMap((zone) =>
+    zone.shape === "circle"
+      ? [{ ...zone.center, radius: zone.radius_meters }]
+      : zone.polygon.coordinates[0].map(([lng, lat]) => ({ lat, lng, radius: 0 })),
+  );
+  const center = {
+    lat: points.reduce((sum, point) => sum + point.lat, 0) / points.length,
+    lng: points.reduce((sum, point) => sum + point.lng, 0) / points.length,
+  };
+  const radius = Math.max(
+    ...points.map(
+      (point) => calculateDistance(center.lat, center.lng, point.lat, point.lng) + point.radius,
+    ),
+  );
+
+  return {
+    lat: center.lat,
+    lng: center.lng,
+    radius_meters: Math.max(MIN_ZONE_RADIUS_METERS, Math.ceil(radius)),
+  };
+}
+
+function distanceToZone(lat, lng, zone) {
+  if (zone.shape === "circle") {
+    return Math.max(
+      0,
+      calculateDistance(lat, lng, zone.center.lat, zone.center.lng) - zone.radius_meters,
+    );
+  }
+
+  if (isWithinPolygon(lat, lng, zone.polygon)) {
+    return 0;
+  }
+
+  // Inside a hole the nearest way in is through the hole's edge
+  return Math.min(
+    ...zone.polygon.coordinates.map((ring) => distanceToRing(lat, lng, ring)),
+  );
+}
+
+function isWithinZone(lat, lng, zone) {
+  return zone.shape === "circle"
+    ? isWithinGeofence(lat, lng, zone.center.lat, zone.center.lng, zone.radius_meters)
+    : isWithinPolygon(lat, lng, zone.polygon);
+}
+
+function formatPollingZone(zone) {
+  if (!zone) return null;
+
+  return {
+    id: toId(zone._id),
+    location_id: toId(zone.location_id),
+    name: zone.name,
+    shape: zone.shape,
+  };
+}
+
+/**
+ * Find the polling zone a location falls in. Returns `{ zone, nearest,
+ * distance_meters }`: the first matching zone (in the session's order) or
+ * null, the closest zone, and how far outside it the location is.
+ */
+function matchPollingZone(session, lat, lng) {
+  const zones = getPollingZones(session);
+  let nearest = null;
+  let nearestDistance = null;
+
+  for (const zone of zones) {
+    if (isWithinZone(lat, lng, zone)) {
+      return { zone, nearest: zone, distance_meters: 0 };
+    }
+
+    const distance = distanceToZone(lat, lng, zone);
+    if (nearestDistance === null || distance < nearestDistance) {
+      nearest = zone;
+      nearestDistance = distance;
+    }
+  }
+
+  return {
+    zone: null,
+    nearest,
+    distance_meters: nearestDistance === null ? null : Math.round(nearestDistance),
+  };
+}
+
+module.exports = {
+  POLLING_ZONE_SHAPES,
+  sanitizePollingZones,
+  getPollingZones,
+  getZoneCenter,
+  buildCoveringLocation,
+  matchPollingZone,
+  formatPollingZone,
+};
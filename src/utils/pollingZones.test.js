@@ -0,0 +1,93 @@
+const {
+  sanitizePollingZones,
+  matchPollingZone,
+  buildCoveringLocation,
+  getZoneCenter,
+} = require("./pollingZones");
+
+describe("pollingZones", () => {
+  // A square block roughly 1.1km on each side with a courtyard cut out
+  const hospital = {
+    name: "Teaching Hospital",
+    shape: "polygon",
+    polygon: {
+      type: "Polygon",
+      coordinates: [
+        [
+          [3.9, 7.4],
+          [3.91, 7.4],
+          [3.91, 7.41],
+          [3.9, 7.41],
+        ],
+        [
+          [3.904, 7.404],
+          [3.906, 7.404],
+          [3.906, 7.406],
+          [3.904, 7.406],
+        ],
+      ],
+    },
+  };
+  const mainCampus = {
+    name: "Main Campus",
+    shape: "circle",
+    center: { lat: 7.5, lng: 3.9 },
+    radius_meters: 500,
+  };
+
+  it("closes polygon rings and rejects malformed zones", () => {
+    const { polling_zones: zones } = sanitizePollingZones([mainCampus, hospital]);
+
+    expect(zones[1].polygon.coordinates[0]).toHaveLength(5);
+    expect(zones[1].polygon.coordinates[0][4]).toEqual([3.9, 7.4]);
+    expect(sanitizePollingZones([mainCampus, { ...mainCampus }]).code).toBe(
+      "INVALID_POLLING_ZONES",
+    );
+    expect(
+      sanitizePollingZones([
+        { ...hospital, polygon: { type: "Polygon", coordinates: [[[3.9, 7.4], [3.91, 7.4]]] } },
+      ]).code,
+    ).toBe("INVALID_POLLING_ZONES");
+    expect(sanitizePollingZones([{ ...mainCampus, radius_meters: 0 }]).code).toBe(
+      "INVALID_POLLING_ZONES",
+    );
+  });
+
+  it("reports the zone a location falls in", () => {
+    const session = sanitizePollingZones([mainCampus, hospital]);
+
+    expect(matchPollingZone(session, 7.402, 3.902).zone.name).toBe("Teaching Hospital");
+    expect(matchPollingZone(session, 7.501, 3.9).zone.name).toBe("Main Campus");
+
+    const inCourtyard = matchPollingZone(session, 7.405, 3.905);
+    expect(inCourtyard.zone).toBeNull();
+    expect(inCourtyard.nearest.name).toBe("Teaching Hospital");
+    expect(inCourtyard.distance_meters).toBeGreaterThan(100);
+    expect(inCourtyard.distance_meters).toBeLessThan(120);
+  });
+
+  it("falls back to the session location circle", () => {
+    const session = { polling_zones: [], location: { lat: 7.5, lng: 3.9, radius_meters: 200 } };
+
+    expect(matchPollingZone(session, 7.5005, 3.9).zone.name).toBe("Main polling area");
+    expect(matchPollingZone(session, 7.51, 3.9).zone).toBeNull();
+  });
+
+  it("covers every zone with the legacy location circle", () => {
+    const { polling_zones: zones } = sanitizePollingZones([mainCampus, hospital]);
+    const location = buildCoveringLocation(zones);
+
+    expect(matchPollingZone({ location }, 7.5045, 3.9).zone).not.toBeNull();
+    expect(matchPollingZone({ location }, 7.4, 3.91).zone).not.toBeNull();
+  });
+
+  it("has no center for a zone without usable geometry", () => {
+    expect(getZoneCenter({ shape: "circle", center: { lat: 7.5, lng: 3.9 } })).toEqual({
+      lat: 7.5,
+      lng: 3.9,
+    });
+    expect(getZoneCenter({ shape: "circle", center: null })).toBeNull();
+    expect(getZoneCenter({ shape: "polygon", polygon: { coordinates: [] } })).toBeNull();
+    expect(getZoneCenter(null)).toBeNull();
+  });
+});
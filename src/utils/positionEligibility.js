@@ -0,0 +1,84 @@
+const { getPositionSettings, listPositionSettings } = require("./ballotRules");
+
+function hasPositionEligibility(session) {
+  return listPositionSettings(session).some((settings) => Boolean(settings.eligibility));
+}
+
+/**
+ * Check a student against a `{ college, departments, levels }` filter.
+ * Dimensions the tenant has switched off are ignored. Returns the reason the
+ * student is excluded, or null.
+ *
+ * @param {Object} options
+ * @param {Object} options.policy - Tenant eligibility policy
+ * @param {Object} options.departmentNameMap - Department id to name lookup
+ */
+function getEligibilityFailure(rules, student, options = {}) {
+  const { policy = {}, departmentNameMap = {} } = options;
+
+  if (!rules) {
+    return null;
+  }
+
+  if (policy.college && rules.college && student?.college !== rules.college) {
+    return "College not eligible";
+  }
+
+  const departments = rules.departments || [];
+  if (policy.department && departments.length > 0) {
+    const departmentNames = departments
+      .map((departmentId) => departmentNameMap[String(departmentId)])
+      .filter(Boolean);
+
+    if (!departmentNames.includes(student?.department)) {
+      return "Department not eligible";
+    }
+  }
+
+  const levels = (rules.levels || []).map(String);
+  if (policy.level && levels.length > 0 && !levels.includes(String(student?.level || ""))) {
+    return "Level not eligible";
+  }
+
+  return null;
+}
+
+function getPositionEligibilityFailure(session, position, student, options = {}) {
+  return getEligibilityFailure(
+    getPositionSettings(session, position).eligibility,
+    student,
+    options,
+  );
+}
+
+/**
+ * Whether a student may vote on a position at all: the session-wide rules
+ * first, then the position's own filter.
+ */
+function getVoterEligibilityFailure(session, position, student, options = {}) {
+  return (
+    getEligibilityFailure(
+      {
+        college: session?.eligible_college,
+        departments: session?.eligible_departments,
+        levels: session?.eligible_levels,
+      },
+      student,
+      options,
+    ) || getPositionEligibilityFailure(session, position, student, options)
+  );
+}
+
+function listEligiblePositions(session, student, options = {}) {
+  return (session?.categories || []).filter(
+    (position) => !getPositionEligibilityFailure(session, position, student, options),
+  );
+}
+
+module.exports = {
+  hasPositionEligibility,
+  getEligibilityFailure,
+  getPositionEligibilityFailure,
+  getVoterEligibilityFailure,
+  listEligiblePositions,
+};
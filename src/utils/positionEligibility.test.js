@@ -0,0 +1,50 @@
+const {
+  hasPositionEligibility,
+  getPositionEligibilityFailure,
+  listEligiblePositions,
+} = require("./positionEligibility");
+
+describe("positionEligibility", () => {
+  const session = {
+    categories: ["President", "Faculty Rep", "Computer Science Rep", "Final Year Rep"],
+    position_settings: [
+      { position: "Faculty Rep", eligibility: { college: "Science" } },
+      { position: "Computer Science Rep", eligibility: { departments: ["dept-cs"] } },
+      { position: "Final Year Rep", eligibility: { levels: ["400", "500"] } },
+    ],
+  };
+  const policy = { college: true, department: true, level: true };
+  const departmentNameMap = { "dept-cs": "Computer Science", "dept-law": "Law" };
+  const options = { policy, departmentNameMap };
+
+  it("only offers the positions a student matches", () => {
+    const scienceFresher = { college: "Science", department: "Computer Science", level: "100" };
+    const lawFinalist = { college: "Law", department: "Law", level: "500" };
+
+    expect(hasPositionEligibility(session)).toBe(true);
+    expect(listEligiblePositions(session, scienceFresher, options)).toEqual([
+      "President",
+      "Faculty Rep",
+      "Computer Science Rep",
+    ]);
+    expect(listEligiblePositions(session, lawFinalist, options)).toEqual([
+      "President",
+      "Final Year Rep",
+    ]);
+    expect(
+      getPositionEligibilityFailure(session, "Computer Science Rep", lawFinalist, options),
+    ).toBe("Department not eligible");
+  });
+
+  it("ignores dimensions the tenant has disabled", () => {
+    const student = { college: "Law", department: "Law", level: "100" };
+
+    expect(
+      listEligiblePositions(session, student, {
+        policy: { college: false, department: false, level: false },
+        departmentNameMap,
+      }),
+    ).toEqual(session.categories);
+    expect(hasPositionEligibility({ categories: ["President"] })).toBe(false);
+  });
+});
@@ -0,0 +1,215 @@
+const crypto = require("crypto");
+const { getPollingZones } = require("./pollingZones");
+
+// How a session proves a voter is at a polling station: GPS geofence,
+// a scanned station QR code instead of it, or both
+const PRESENCE_MODES = ["geofence", "qr", "geofence_and_qr"];
+
+const PRESENCE_CODE_VERSION = 1;
+const DEFAULT_ROTATION_SECONDS = 30;
+const DEFAULT_GRACE_SECONDS = 90;
+const SIGNATURE_LENGTH = 22;
+// Station ID of the single zone drawn from a session's legacy `location`
+const DEFAULT_STATION_ID = "main";
+
+function toId(value) {
+  if (!value) return null;
+  return value.toString();
+}
+
+function createPresenceSecret() {
+  return crypto.randomBytes(32).toString("hex");
+}
+
+function getPresencePolicy(session) {
+  return {
+    mode: session?.presence?.mode || "geofence",
+    rotation_seconds: session?.presence?.rotation_seconds || DEFAULT_ROTATION_SECONDS,
+    grace_seconds: session?.presence?.grace_seconds ?? DEFAULT_GRACE_SECONDS,
+  };
+}
+
+function requiresPresenceCode(session) {
+  return getPresencePolicy(session).mode !== "geofence";
+}
+
+function usesGeofence(session) {
+  return getPresencePolicy(session).mode !== "qr";
+}
+
+/**
+ * Whether voters must be at a polling station: the session checks station
+ * codes, or geofences voters to its zones
+ */
+function requiresPresenceStation(session) {
+  return (
+    requiresPresenceCode(session) ||
+    (usesGeofence(session) && session?.is_off_campus_allowed !== true)
+  );
+}
+
+/**
+ * Polling stations a session can display codes at: one per polling zone
+ */
+function getPresenceStations(session) {
+  return getPollingZones(session).map((zone) => ({
+    id: toId(zone._id) || DEFAULT_STATION_ID,
+    name: zone.name,
+    zone,
+  }));
+}
+
+function findPresenceStation(session, stationId) {
+  return (
+    getPresenceStations(session).find((station) => station.id === toId(stationId)) || null
+  );
+}
+
+function getPresenceWindow(now, rotationSeconds) {
+  return Math.floor(now.getTime() / 1000 / rotationSeconds);
+}
+
+function signPresenceCode(secret, sessionId, stationId, window) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${PRESENCE_CODE_VERSION}:${toId(sessionId)}:${stationId}:${window}`)
+    .digest("base64url")
+    .slice(0, SIGNATURE_LENGTH);
+}
+
+/**
+ * The code a station displays for the current rotation window, as
+ * `<session>.<station>.<window>.<signature>`
+ */
+function issuePresenceCode({ secret, session, stationId, now = new Date() }) {
+  const { rotation_seconds: rotationSeconds, grace_seconds: graceSeconds } =
+    getPresencePolicy(session);
+  const window = getPresenceWindow(now, rotationSeconds);
+  const rotatesAt = new Date((window + 1) * rotationSeconds * 1000);
+
+  return {
+    code: [
+      toId(session._id),
+      stationId,
+      window,
+      signPresenceCode(secret, session._id, stationId, window),
+    ].join("."),
+    issued_at: now,
+    rotates_at: rotatesAt,
+    expires_at: new Date(rotatesAt.getTime() + graceSeconds * 1000),
+    refresh_in_seconds: Math.max(1, Math.ceil((rotatesAt.getTime() - now.getTime()) / 1000)),
+  };
+}
+
+/**
+ * Check a scanned code against the session. A code stays valid for
+ * `grace_seconds` after its window rotates, which leaves the voter time to
+ * finish face verification. Returns `{ station }` or `{ error, code }`.
+ */
+function verifyPresenceCode({ secret, session, code, now = new Date() }) {
+  const invalid = {
+    error: "This polling station code is not valid for this election. Scan the code on the station display again.",
+    code: "PRESENCE_CODE_INVALID",
+  };
+
+  if (!secret || typeof code !== "string") {
+    return invalid;
+  }
+
+  const parts = code.trim().split(".");
+  if (parts.length !== 4 || !/^\d+$/.test(parts[2])) {
+    return invalid;
+  }
+
+  const [sessionId, stationId, windowValue, signature] = parts;
+  const window = Number(windowValue);
+  const expected = Buffer.from(signPresenceCode(secret, session._id, stationId, window));
+  // Compared as bytes: a signature with multibyte characters can match the
+  // expected string length and still make timingSafeEqual throw
+  const received = Buffer.from(signature);
+
+  if (
+    sessionId !== toId(session._id) ||
+    received.length !== expected.length ||
+    !crypto.timingSafeEqual(received, expected)
+  ) {
+    return invalid;
+  }
+
+  const { rotation_seconds: rotationSeconds, grace_seconds: graceSeconds } =
+    getPresencePolicy(session);
+  const expiresAt = ((window + 1) * rotationSeconds + graceSeconds) * 1000;
+
+  if (window > getPresenceWindow(now, rotationSeconds) || now.getTime() > expiresAt) {
+    return {
+      error: "This polling station code has expired. Scan the code on the station display again.",
+      code: "PRESENCE_CODE_EXPIRED",
+    };
+  }
+
+  const station = findPresenceStation(session, stationId);
+  if (!station) {
+    return invalid;
+  }
+
+  return { station };
+}
+
+/**
+ * Validate the admin supplied presence settings. Returns `{ presence }` or
+ * `{ error, code }` like the other session setting sanitizers.
+ */
+function sanitizePresenceSettings(payload) {
+  if (payload === undefined || payload === null) {
+    return { presence: getPresencePolicy(null) };
+  }
+
+  const mode = payload.mode || "geofence";
+  const rotationSeconds =
+    payload.rotation_seconds === undefined || payload.rotation_seconds === null
+      ? DEFAULT_ROTATION_SECONDS
+      : Number(payload.rotation_seconds);
+  const graceSeconds =
+    payload.grace_seconds === undefined || payload.grace_seconds === null
+      ? DEFAULT_GRACE_SECONDS
+      : Number(payload.grace_seconds);
+
+  if (!PRESENCE_MODES.includes(mode)) {
+    return {
+      error: "Presence mode must be geofence, qr or geofence_and_qr",
+      code: "INVALID_PRESENCE_SETTINGS",
+    };
+  }
+
+  if (!Number.isInteger(rotationSeconds) || rotationSeconds < 10 || rotationSeconds > 300) {
+    return {
+      error: "Presence code rotation_seconds must be a whole number from 10 to 300",
+      code: "INVALID_PRESENCE_SETTINGS",
+    };
+  }
+
+  if (!Number.isInteger(graceSeconds) || graceSeconds < 0 || graceSeconds > 600) {
+    return {
+      error: "Presence code grace_seconds must be a whole number from 0 to 600",
+      code: "INVALID_PRESENCE_SETTINGS",
+    };
+  }
+
+  return {
+    presence: { mode, rotation_seconds: rotationSeconds, grace_seconds: graceSeconds },
+  };
+}
+
+module.exports = {
+  PRESENCE_MODES,
+  createPresenceSecret,
+  getPresencePolicy,
+  requiresPresenceCode,
+  usesGeofence,
+  requiresPresenceStation,
+  getPresenceStations,
+  findPresenceStation,
+  issuePresenceCode,
+  verifyPresenceCode,
+  sanitizePresenceSettings,
+};
@@ -0,0 +1,135 @@
+const {
+  requiresPresenceStation,
+  getPresenceStations,
+  issuePresenceCode,
+  verifyPresenceCode,
+  sanitizePresenceSettings,
+} = require("./presenceCode");
+
+describe("presenceCode", () => {
+  const secret = "a".repeat(64);
+  const session = {
+    _id: "65f1c0ffee0000000000abcd",
+    presence: { mode: "qr", rotation_seconds: 30, grace_seconds: 60 },
+    polling_zones: [
+      {
+        _id: "65f1c0ffee0000000000aaaa",
+        name: "Main Hall",
+        shape: "circle",
+        center: { lat: 7.8525, lng: 4.2811 },
+        radius_meters: 100,
+      },
+      {
+        _id: "65f1c0ffee0000000000bbbb",
+        name: "Library",
+        shape: "circle",
+        center: { lat: 7.855, lng: 4.283 },
+        radius_meters: 80,
+      },
+    ],
+  };
+  const now = new Date("2026-03-01T10:00:05.000Z");
+
+  it("issues a code that verifies for its station", () => {
+    const issued = issuePresenceCode({
+      secret,
+      session,
+      stationId: "65f1c0ffee0000000000bbbb",
+      now,
+    });
+
+    expect(issued.rotates_at).toEqual(new Date("2026-03-01T10:00:30.000Z"));
+    expect(issued.expires_at).toEqual(new Date("2026-03-01T10:01:30.000Z"));
+    expect(issued.refresh_in_seconds).toBe(25);
+
+    const verified = verifyPresenceCode({ secret, session, code: issued.code, now });
+    expect(verified.station).toMatchObject({ id: "65f1c0ffee0000000000bbbb", name: "Library" });
+  });
+
+  it("rejects tampered codes and codes from another election", () => {
+    const { code } = issuePresenceCode({
+      secret,
+      session,
+      stationId: "65f1c0ffee0000000000aaaa",
+      now,
+    });
+    const [sessionId, , window, signature] = code.split(".");
+
+    expect(
+      verifyPresenceCode({
+        secret,
+        session,
+        code: [sessionId, "65f1c0ffee0000000000bbbb", window, signature].join("."),
+        now,
+      }).code,
+    ).toBe("PRESENCE_CODE_INVALID");
+    expect(
+      verifyPresenceCode({ secret, session: { ...session, _id: "other" }, code, now }).code,
+    ).toBe("PRESENCE_CODE_INVALID");
+    expect(verifyPresenceCode({ secret: "b".repeat(64), session, code, now }).code).toBe(
+      "PRESENCE_CODE_INVALID",
+    );
+  });
+
+  it("rejects a signature of the right length in multibyte characters", () => {
+    const { code } = issuePresenceCode({
+      secret,
+      session,
+      stationId: "65f1c0ffee0000000000aaaa",
+      now,
+    });
+    const [sessionId, stationId, window, signature] = code.split(".");
+
+    expect(
+      verifyPresenceCode({
+        secret,
+        session,
+        code: [sessionId, stationId, window, "é".repeat(signature.length)].join("."),
+        now,
+      }).code,
+    ).toBe("PRESENCE_CODE_INVALID");
+  });
+
+  it("accepts a rotated code only within the grace period", () => {
+    const { code } = issuePresenceCode({
+      secret,
+      session,
+      stationId: "65f1c0ffee0000000000aaaa",
+      now,
+    });
+
+    expect(
+      verifyPresenceCode({ secret, session, code, now: new Date("2026-03-01T10:01:29.000Z") })
+        .station,
+    ).toBeTruthy();
+    expect(
+      verifyPresenceCode({ secret, session, code, now: new Date("2026-03-01T10:01:31.000Z") })
+        .code,
+    ).toBe("PRESENCE_CODE_EXPIRED");
+  });
+
+  it("falls back to one station for a single-location election and validates settings", () => {
+    const legacy = { location: { lat: 7.8525, lng: 4.2811, radius_meters: 500 } };
+
+    expect(getPresenceStations(legacy).map(({ id, name }) => ({ id, name }))).toEqual([
+      { id: "main", name: "Main polling area" },
+    ]);
+    expect(sanitizePresenceSettings(undefined)).toEqual({
+      presence: { mode: "geofence", rotation_seconds: 30, grace_seconds: 90 },
+    });
+    expect(sanitizePresenceSettings({ mode: "qr", rotation_seconds: 5 }).code).toBe(
+      "INVALID_PRESENCE_SETTINGS",
+    );
+    expect(sanitizePresenceSettings({ mode: "nfc" }).code).toBe("INVALID_PRESENCE_SETTINGS");
+  });
+
+  it("only holds voters to a station when codes or a geofence are checked", () => {
+    expect(requiresPresenceStation({ presence: { mode: "qr" }, is_off_campus_allowed: true })).toBe(
+      true,
+    );
+    expect(requiresPresenceStation({ presence: { mode: "geofence" } })).toBe(true);
+    expect(
+      requiresPresenceStation({ presence: { mode: "geofence" }, is_off_campus_allowed: true }),
+    ).toBe(false);
+  });
+});
@@ -0,0 +1,94 @@
+const QUORUM_FIELDS = [
+  "overall_percentage",
+  "position_percentage",
+  "college_percentage",
+];
+
+function toPercentage(value) {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+
+  const percentage = Number(value);
+  return Number.isFinite(percentage) ? percentage : NaN;
+}
+
+function hasQuorumRules(session) {
+  return QUORUM_FIELDS.some((field) => Number(session?.quorum?.[field]) > 0);
+}
+
+/**
+ * Validate the minimum turnout rules for a session. Each threshold is a
+ * percentage of the eligible roll, or null for no minimum. Returns
+ * `{ quorum }` or `{ error, code }`.
+ */
+function sanitizeQuorumSettings(payload) {
+  const quorum = {};
+
+  for (const field of QUORUM_FIELDS) {
+    const percentage = toPercentage(payload?.[field]);
+    if (Number.isNaN(percentage) || (percentage !== null && (percentage <= 0 || percentage > 100))) {
+      return {
+        error: `${field.replace(/_/g, " ")} must be a turnout percentage above 0 and up to 100`,
+        code: "INVALID_QUORUM",
+      };
+    }
+    quorum[field] = percentage;
+  }
+
+  return { quorum };
+}
+
+function checkRow(scope, name, row, required) {
+  if (row.turnout_percentage >= required) {
+    return null;
+  }
+
+  return {
+    scope,
+    name,
+    eligible: row.eligible,
+    voted: row.voted,
+    turnout_percentage: row.turnout_percentage,
+    required_percentage: required,
+  };
+}
+
+/**
+ * Compare a session's turnout with its quorum rules.
+ *
+ * @param {Object} quorum - Session quorum settings
+ * @param {Object} turnout - `{ totals, breakdowns }` as built for the live page
+ * @returns {{ met: boolean, failures: Array }}
+ */
+function evaluateQuorum(quorum = {}, { totals, breakdowns = {} } = {}) {
+  const failures = [];
+
+  if (quorum.overall_percentage > 0 && totals) {
+    failures.push(checkRow("overall", null, totals, quorum.overall_percentage));
+  }
+
+  if (quorum.position_percentage > 0) {
+    (breakdowns.positions || []).forEach((row) => {
+      failures.push(checkRow("position", row.position, row, quorum.position_percentage));
+    });
+  }
+
+  // Colleges with nobody on the roll cannot fall short
+  if (quorum.college_percentage > 0) {
+    (breakdowns.colleges || [])
+      .filter((row) => row.eligible > 0)
+      .forEach((row) => {
+        failures.push(checkRow("college", row.name, row, quorum.college_percentage));
+      });
+  }
+
+  const shortfalls = failures.filter(Boolean);
+  return { met: shortfalls.length === 0, failures: shortfalls };
+}
+
+module.exports = {
+  hasQuorumRules,
+  sanitizeQuorumSettings,
+  evaluateQuorum,
+};
@@ -0,0 +1,51 @@
+const {
+  hasQuorumRules,
+  sanitizeQuorumSettings,
+  evaluateQuorum,
+} = require("./quorumRules");
+
+describe("quorumRules", () => {
+  it("validates turnout thresholds", () => {
+    expect(sanitizeQuorumSettings({ overall_percentage: 30 }).quorum).toEqual({
+      overall_percentage: 30,
+      position_percentage: null,
+      college_percentage: null,
+    });
+    expect(sanitizeQuorumSettings({ college_percentage: 120 }).code).toBe("INVALID_QUORUM");
+    expect(sanitizeQuorumSettings({ position_percentage: "half" }).code).toBe("INVALID_QUORUM");
+    expect(hasQuorumRules({ quorum: { overall_percentage: null } })).toBe(false);
+    expect(hasQuorumRules({ quorum: { college_percentage: 10 } })).toBe(true);
+  });
+
+  it("reports every scope that falls short", () => {
+    const turnout = {
+      totals: { eligible: 100, voted: 35, turnout_percentage: 35 },
+      breakdowns: {
+        positions: [
+          { position: "President", eligible: 100, voted: 35, turnout_percentage: 35 },
+          { position: "Faculty Rep", eligible: 20, voted: 4, turnout_percentage: 20 },
+        ],
+        colleges: [
+          { name: "Science", eligible: 60, voted: 30, turnout_percentage: 50 },
+          { name: "Arts", eligible: 40, voted: 5, turnout_percentage: 12.5 },
+          { name: "Law", eligible: 0, voted: 0, turnout_percentage: 0 },
+        ],
+      },
+    };
+
+    expect(evaluateQuorum({ overall_percentage: 30 }, turnout)).toEqual({
+      met: true,
+      failures: [],
+    });
+
+    const result = evaluateQuorum(
+      { overall_percentage: 30, position_percentage: 25, college_percentage: 25 },
+      turnout,
+    );
+    expect(result.met).toBe(false);
+    expect(result.failures.map((failure) => [failure.scope, failure.name])).toEqual([
+      ["position", "Faculty Rep"],
+      ["college", "Arts"],
+    ]);
+  });
+});
@@ -0,0 +1,69 @@
+function toId(value) {
+  if (!value) return null;
+  return value.toString();
+}
+
+/**
+ * Compare each candidate's stored `vote_count` with the count recomputed
+ * from valid votes. Votes pointing at a candidate that no longer exists are
+ * reported separately since there is no counter to repair.
+ *
+ * @param {Array} candidates - Candidates with `_id`, `name`, `position`, `vote_count`
+ * @param {Array<{_id: *, count: number}>} recountedCounts - Valid supporting votes per candidate
+ */
+function reconcileVoteCounts(candidates = [], recountedCounts = []) {
+  const countsById = new Map(
+    recountedCounts.map((entry) => [toId(entry._id), entry.count]),
+  );
+  const knownIds = new Set(candidates.map((candidate) => toId(candidate._id)));
+
+  const rows = candidates.map((candidate) => {
+    const storedCount = Number(candidate.vote_count) || 0;
+    const recountedCount = countsById.get(toId(candidate._id)) || 0;
+
+    return {
+      candidate_id: toId(candidate._id),
+      name: candidate.name,
+      position: candidate.position,
+      stored_count: storedCount,
+      recounted_count: recountedCount,
+      difference: recountedCount - storedCount,
+    };
+  });
+
+  return {
+    candidates: rows,
+    discrepancies: rows.filter((row) => row.difference !== 0),
+    orphaned: recountedCounts
+      .filter((entry) => !knownIds.has(toId(entry._id)))
+      .map((entry) => ({ candidate_id: toId(entry._id), recounted_count: entry.count })),
+    stored_total: rows.reduce((sum, row) => sum + row.stored_count, 0),
+    recounted_total: rows.reduce((sum, row) => sum + row.recounted_count, 0),
+  };
+}
+
+/**
+ * A recount record as shown to admins and on session analytics.
+ */
+function formatRecount(recount) {
+  return {
+    id: recount._id,
+    session_id: recount.session_id,
+    performed_by: recount.performed_by,
+    performed_by_name: recount.performed_by_name,
+    reason: recount.reason || null,
+    repaired: recount.repaired,
+    total_valid_votes: recount.total_valid_votes,
+    candidates_checked: recount.candidates_checked,
+    stored_total: recount.stored_total,
+    recounted_total: recount.recounted_total,
+    discrepancies: recount.discrepancies || [],
+    orphaned: recount.orphaned || [],
+    created_at: recount.createdAt,
+  };
+}
+
+module.exports = {
+  reconcileVoteCounts,
+  formatRecount,
+};
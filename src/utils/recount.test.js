@@ -0,0 +1,49 @@
+const { reconcileVoteCounts } = require("./recount");
+
+describe("recount", () => {
+  const candidates = [
+    { _id: "c1", name: "Ada", position: "President", vote_count: 12 },
+    { _id: "c2", name: "Bayo", position: "President", vote_count: 9 },
+    { _id: "c3", name: "Chi", position: "Secretary", vote_count: 0 },
+  ];
+
+  it("reports candidates whose counter differs from the valid votes", () => {
+    const report = reconcileVoteCounts(candidates, [
+      { _id: "c1", count: 12 },
+      { _id: "c2", count: 7 },
+      { _id: "c3", count: 1 },
+    ]);
+
+    expect(report.discrepancies).toEqual([
+      {
+        candidate_id: "c2",
+        name: "Bayo",
+        position: "President",
+        stored_count: 9,
+        recounted_count: 7,
+        difference: -2,
+      },
+      {
+        candidate_id: "c3",
+        name: "Chi",
+        position: "Secretary",
+        stored_count: 0,
+        recounted_count: 1,
+        difference: 1,
+      },
+    ]);
+    expect(report.stored_total).toBe(21);
+    expect(report.recounted_total).toBe(20);
+  });
+
+  it("separates votes for candidates that no longer exist", () => {
+    const report = reconcileVoteCounts(candidates, [
+      { _id: "c1", count: 12 },
+      { _id: "c2", count: 9 },
+      { _id: "gone", count: 3 },
+    ]);
+
+    expect(report.discrepancies).toEqual([]);
+    expect(report.orphaned).toEqual([{ candidate_id: "gone", recounted_count: 3 }]);
+  });
+});
@@ -0,0 +1,188 @@
+const { isCertificationPending } = require("./certification");
+const { hasResultsHold } = require("./petitionRules");
+const { isTallyPending } = require("./encryptedBallot");
+
+const MAX_REVEAL_INTERVAL_MINUTES = 24 * 60;
+
+function toDate(value) {
+  if (!value) return null;
+  const parsed = new Date(value);
+  return Number.isNaN(parsed.getTime()) ? null : parsed;
+}
+
+/**
+ * When results may first be shown: the embargo time, or the close of voting
+ * when there is none. A session extended past its embargo releases at the
+ * new close.
+ */
+function getResultsReleaseTime(session) {
+  const endTime = toDate(session?.end_time);
+  const releaseAt = toDate(session?.results_release_at);
+
+  if (!releaseAt || (endTime && releaseAt < endTime)) {
+    return endTime;
+  }
+
+  return releaseAt;
+}
+
+function hasResultsEmbargo(session) {
+  return Boolean(session?.results_release_at) || (session?.results_reveal?.order || []).length > 0;
+}
+
+/**
+ * Reveal time of every position. Positions in `results_reveal.order` come
+ * out one per `interval_minutes` after release; the rest are shown at
+ * release together with the first of them.
+ */
+function getRevealSchedule(session) {
+  const releaseTime = getResultsReleaseTime(session);
+  const order = session?.results_reveal?.order || [];
+  const intervalMs = (Number(session?.results_reveal?.interval_minutes) || 0) * 60 * 1000;
+
+  return (session?.categories || []).map((position) => {
+    const index = order.indexOf(position);
+    return {
+      position,
+      reveal_at: new Date(releaseTime.getTime() + Math.max(index, 0) * intervalMs),
+    };
+  });
+}
+
+function getFinalRevealTime(session) {
+  return getRevealSchedule(session).reduce(
+    (latest, entry) => (entry.reveal_at > latest ? entry.reveal_at : latest),
+    getResultsReleaseTime(session),
+  );
+}
+
+function isResultsEmbargoed(session, now = new Date()) {
+  return new Date(now) < getResultsReleaseTime(session);
+}
+
+function isRevealComplete(session, now = new Date()) {
+  return new Date(now) >= getFinalRevealTime(session);
+}
+
+function getRevealedPositions(session, now = new Date()) {
+  const current = new Date(now);
+  return new Set(
+    getRevealSchedule(session)
+      .filter((entry) => entry.reveal_at <= current)
+      .map((entry) => entry.position),
+  );
+}
+
+/**
+ * Why students cannot see an ended session's results yet, as the code
+ * GET /api/results answers with, or null once they are published
+ */
+function getResultsWithheldCode(session, now = new Date()) {
+  if (session.quorum_result?.met === false) return "QUORUM_NOT_MET";
+  if (hasResultsHold(session)) return "RESULTS_ON_HOLD";
+  if (isTallyPending(session)) return "RESULTS_AWAITING_DECRYPTION";
+  if (isCertificationPending(session)) return "RESULTS_PENDING_CERTIFICATION";
+  if (isResultsEmbargoed(session, now)) return "RESULTS_EMBARGOED";
+  return null;
+}
+
+/**
+ * Validate the embargo fields of a create or update payload against the
+ * session's close and positions. Returns `{ results_release_at,
+ * results_reveal }` or `{ error, code }`.
+ */
+function sanitizeResultEmbargo({ results_release_at, results_reveal } = {}, { categories = [], end_time } = {}) {
+  const invalid = (error) => ({ error, code: "INVALID_RESULTS_EMBARGO" });
+
+  let releaseAt = null;
+  if (results_release_at !== undefined && results_release_at !== null && results_release_at !== "") {
+    releaseAt = toDate(results_release_at);
+    if (!releaseAt) {
+      return invalid("Results release time must be a valid date");
+    }
+
+    const endTime = toDate(end_time);
+    if (endTime && releaseAt < endTime) {
+      return invalid("Results cannot be released before voting closes");
+    }
+  }
+
+  if (results_reveal !== undefined && results_reveal !== null && typeof results_reveal !== "object") {
+    return invalid("Reveal settings must be an object");
+  }
+
+  const order = Array.isArray(results_reveal?.order)
+    ? results_reveal.order.map((position) => String(position).trim())
+    : [];
+  const intervalRaw = results_reveal?.interval_minutes;
+  const intervalMinutes =
+    intervalRaw === undefined || intervalRaw === null || intervalRaw === ""
+      ? 0
+      : Number(intervalRaw);
+
+  if (new Set(order).size !== order.length) {
+    return invalid("A position can only appear once in the reveal order");
+  }
+
+  const unknown = order.find((position) => !categories.includes(position));
+  if (unknown) {
+    return invalid(`"${unknown}" is not a position in this election`);
+  }
+
+  if (
+    !Number.isInteger(intervalMinutes) ||
+    intervalMinutes < 0 ||
+    intervalMinutes > MAX_REVEAL_INTERVAL_MINUTES
+  ) {
+    return invalid(
+      `Reveal interval must be a whole number of minutes between 0 and ${MAX_REVEAL_INTERVAL_MINUTES}`,
+    );
+  }
+
+  if (order.length > 0 && intervalMinutes === 0) {
+    return invalid("A reveal order needs an interval between positions");
+  }
+
+  return {
+    results_release_at: releaseAt,
+    results_reveal: { order, interval_minutes: intervalMinutes },
+  };
+}
+
+/**
+ * Release state shown with results and on the public live page.
+ */
+function formatResultEmbargo(session, now = new Date()) {
+  const current = new Date(now);
+  const schedule = getRevealSchedule(session);
+  const upcoming = schedule
+    .map((entry) => entry.reveal_at)
+    .filter((revealAt) => revealAt > current)
+    .sort((left, right) => left - right);
+
+  return {
+    release_at: getResultsReleaseTime(session),
+    embargoed: isResultsEmbargoed(session, current),
+    complete: isRevealComplete(session, current),
+    next_reveal_at: upcoming[0] || null,
+    positions: schedule.map((entry) => ({
+      position: entry.position,
+      reveal_at: entry.reveal_at,
+      revealed: entry.reveal_at <= current,
+    })),
+  };
+}
+
+module.exports = {
+  MAX_REVEAL_INTERVAL_MINUTES,
+  getResultsReleaseTime,
+  hasResultsEmbargo,
+  getRevealSchedule,
+  getFinalRevealTime,
+  isResultsEmbargoed,
+  isRevealComplete,
+  getRevealedPositions,
+  getResultsWithheldCode,
+  sanitizeResultEmbargo,
+  formatResultEmbargo,
+};
@@ -0,0 +1,85 @@
+const {
+  getResultsReleaseTime,
+  isResultsEmbargoed,
+  isRevealComplete,
+  getRevealedPositions,
+  getResultsWithheldCode,
+  sanitizeResultEmbargo,
+} = require("./resultEmbargo");
+
+const session = {
+  end_time: "2026-05-01T17:00:00.000Z",
+  results_release_at: "2026-05-01T20:00:00.000Z",
+  categories: ["President", "Secretary", "Treasurer"],
+  results_reveal: { order: ["Treasurer", "President"], interval_minutes: 10 },
+};
+
+describe("resultEmbargo", () => {
+  it("holds results until the release time, never before voting closes", () => {
+    expect(getResultsReleaseTime(session).toISOString()).toBe("2026-05-01T20:00:00.000Z");
+    expect(isResultsEmbargoed(session, "2026-05-01T19:59:00.000Z")).toBe(true);
+    expect(isResultsEmbargoed(session, "2026-05-01T20:00:00.000Z")).toBe(false);
+
+    const extended = { ...session, end_time: "2026-05-01T21:00:00.000Z" };
+    expect(getResultsReleaseTime(extended).toISOString()).toBe("2026-05-01T21:00:00.000Z");
+    expect(getResultsReleaseTime({ end_time: session.end_time }).toISOString()).toBe(
+      session.end_time,
+    );
+  });
+
+  it("reveals positions in order, unlisted ones first", () => {
+    expect([...getRevealedPositions(session, "2026-05-01T20:00:00.000Z")]).toEqual([
+      "Secretary",
+      "Treasurer",
+    ]);
+    expect(isRevealComplete(session, "2026-05-01T20:09:00.000Z")).toBe(false);
+    expect(getRevealedPositions(session, "2026-05-01T20:10:00.000Z").has("President")).toBe(true);
+    expect(isRevealComplete(session, "2026-05-01T20:10:00.000Z")).toBe(true);
+  });
+
+  it("withholds results the way GET /api/results does", () => {
+    const released = "2026-05-01T21:00:00.000Z";
+
+    expect(getResultsWithheldCode(session, released)).toBeNull();
+    expect(getResultsWithheldCode(session, "2026-05-01T19:00:00.000Z")).toBe(
+      "RESULTS_EMBARGOED",
+    );
+    expect(
+      getResultsWithheldCode({ ...session, quorum_result: { met: false } }, released),
+    ).toBe("QUORUM_NOT_MET");
+    expect(
+      getResultsWithheldCode({ ...session, results_hold: { held_at: new Date() } }, released),
+    ).toBe("RESULTS_ON_HOLD");
+    expect(
+      getResultsWithheldCode(
+        { ...session, encryption: { enabled: true, tally: { decrypted_at: null } } },
+        released,
+      ),
+    ).toBe("RESULTS_AWAITING_DECRYPTION");
+    expect(
+      getResultsWithheldCode(
+        { ...session, certification: { required_approvals: 2, status: "pending" } },
+        released,
+      ),
+    ).toBe("RESULTS_PENDING_CERTIFICATION");
+  });
+
+  it("validates release times and reveal orders", () => {
+    const context = { categories: session.categories, end_time: session.end_time };
+
+    expect(sanitizeResultEmbargo({}, context)).toEqual({
+      results_release_at: null,
+      results_reveal: { order: [], interval_minutes: 0 },
+    });
+    expect(
+      sanitizeResultEmbargo({ results_release_at: "2026-05-01T16:00:00.000Z" }, context).code,
+    ).toBe("INVALID_RESULTS_EMBARGO");
+    expect(
+      sanitizeResultEmbargo({ results_reveal: { order: ["Dean"], interval_minutes: 5 } }, context)
+        .code,
+    ).toBe("INVALID_RESULTS_EMBARGO");
+    expect(
+      sanitizeResultEmbargo({ results_reveal: { order: ["President"] } }, context).code,
+    ).toBe("INVALID_RESULTS_EMBARGO");
+  });
+});
@@ -0,0 +1,90 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+
+// Vote fields that could tie a ballot back to the student who cast it
+const IDENTIFYING_VOTE_FIELDS = [
+  "student_id",
+  "geo_location",
+  "device_id",
+  "ip_address",
+  "face_match_score",
+  "aws_matched_face_id",
+  "assisted_by",
+];
+
+function isSecretBallot(session) {
+  return session?.secret_ballot === true;
+}
+
+/**
+ * Revote sessions let a student replace their ballot until end_time. Secret
+ * ballots cannot be traced back to the student, so they never allow it.
+ */
+function isRevoteAllowed(session) {
+  return session?.allow_revote === true && !isSecretBallot(session);
+}
+
+/**
+ * Whether a student is turned away for having voted already: they have a
+ * ballot in the session and it does not allow revotes
+ */
+function isAlreadyVoted(session, student) {
+  const sessionId = session._id.toString();
+  return (
+    !isRevoteAllowed(session) &&
+    (student.has_voted_sessions || []).some((value) => value.toString() === sessionId)
+  );
+}
+
+/**
+ * Running counts of a secret ballot stay hidden until voting closes. Lined
+ * up with the time of each accepted verification, every change in a count
+ * would show how that student voted.
+ */
+function hidesRunningCounts(session, status) {
+  return isSecretBallot(session) && status !== "ended";
+}
+
+/**
+ * ObjectIds embed their creation second, which would let anyone line a ballot
+ * up with the voter's verification log. Anonymous ballots use the session
+ * start time plus random bytes instead.
+ */
+function createAnonymousBallotId(referenceDate) {
+  const seconds = Math.floor(new Date(referenceDate || 0).getTime() / 1000);
+  const buffer = Buffer.alloc(12);
+  buffer.writeUInt32BE(Math.max(0, seconds), 0);
+  crypto.randomBytes(8).copy(buffer, 4);
+  return new mongoose.Types.ObjectId(buffer.toString("hex"));
+}
+
+/**
+ * Strip identity and timing from a vote row before it is stored for a
+ * secret-ballot session. Turnout is tracked on Student.has_voted_sessions.
+ */
+function anonymizeVoteRecord(record, session) {
+  const ballotTime = new Date(session.start_time);
+  const anonymous = { ...record };
+
+  IDENTIFYING_VOTE_FIELDS.forEach((field) => {
+    delete anonymous[field];
+  });
+
+  return {
+    ...anonymous,
+    _id: createAnonymousBallotId(ballotTime),
+    is_anonymous: true,
+    timestamp: ballotTime,
+    createdAt: ballotTime,
+    updatedAt: ballotTime,
+  };
+}
+
+module.exports = {
+  isSecretBallot,
+  isRevoteAllowed,
+  isAlreadyVoted,
+  hidesRunningCounts,
+  createAnonymousBallotId,
+  anonymizeVoteRecord,
+};
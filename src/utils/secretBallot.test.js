@@ -0,0 +1,74 @@
+const {
+  anonymizeVoteRecord,
+  createAnonymousBallotId,
+  isAlreadyVoted,
+  hidesRunningCounts,
+} = require("./secretBallot");
+
+describe("secretBallot", () => {
+  const session = { start_time: new Date("2026-03-02T08:00:00.000Z") };
+
+  it("drops identifying fields and pins the ballot to the session start", () => {
+    const record = anonymizeVoteRecord(
+      {
+        student_id: "student-1",
+        session_id: "session-1",
+        candidate_id: "candidate-1",
+        position: "President",
+        geo_location: { lat: 7.1, lng: 4.2 },
+        device_id: "device-1",
+        ip_address: "10.0.0.1",
+        face_match_score: 98,
+        aws_matched_face_id: "face-1",
+        status: "valid",
+      },
+      session,
+    );
+
+    expect(record).toMatchObject({
+      session_id: "session-1",
+      candidate_id: "candidate-1",
+      position: "President",
+      is_anonymous: true,
+      timestamp: session.start_time,
+      createdAt: session.start_time,
+    });
+    [
+      "student_id",
+      "geo_location",
+      "device_id",
+      "ip_address",
+      "face_match_score",
+      "aws_matched_face_id",
+    ].forEach((field) => expect(record).not.toHaveProperty(field));
+    expect(record._id.getTimestamp()).toEqual(session.start_time);
+  });
+
+  it("generates distinct ids that share the reference time", () => {
+    const first = createAnonymousBallotId(session.start_time);
+    const second = createAnonymousBallotId(session.start_time);
+
+    expect(first.toString()).not.toBe(second.toString());
+    expect(first.getTimestamp()).toEqual(second.getTimestamp());
+  });
+
+  it("lets a student who voted change their ballot only in open revote sessions", () => {
+    const sessionId = "65f1c0ffee0000000000abcd";
+    const voted = { has_voted_sessions: [sessionId] };
+    const notVoted = { has_voted_sessions: [] };
+
+    expect(isAlreadyVoted({ _id: sessionId, allow_revote: true }, voted)).toBe(false);
+    expect(isAlreadyVoted({ _id: sessionId, allow_revote: false }, voted)).toBe(true);
+    expect(
+      isAlreadyVoted({ _id: sessionId, allow_revote: true, secret_ballot: true }, voted),
+    ).toBe(true);
+    expect(isAlreadyVoted({ _id: sessionId, allow_revote: false }, notVoted)).toBe(false);
+  });
+
+  it("hides running counts of a secret ballot until it closes", () => {
+    expect(hidesRunningCounts({ secret_ballot: true }, "active")).toBe(true);
+    expect(hidesRunningCounts({ secret_ballot: true }, "paused")).toBe(true);
+    expect(hidesRunningCounts({ secret_ballot: true }, "ended")).toBe(false);
+    expect(hidesRunningCounts({ secret_ballot: false }, "active")).toBe(false);
+  });
+});
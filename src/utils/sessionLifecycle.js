@@ -0,0 +1,141 @@
+// Statuses set by an admin. The clock never moves a session out of them;
+// every other status is derived from start_time and end_time.
+const HELD_STATUSES = ["draft", "paused", "cancelled"];
+
+const SESSION_STATUSES = ["draft", "upcoming", "active", "paused", "ended", "cancelled"];
+
+// Filter for sessions students may see
+const STUDENT_VISIBLE_FILTER = { status: { $ne: "draft" } };
+
+function getClockStatus(session, now = new Date()) {
+  if (now < new Date(session.start_time)) {
+    return "upcoming";
+  }
+
+  if (now <= new Date(session.end_time)) {
+    return "active";
+  }
+
+  return "ended";
+}
+
+/**
+ * Effective status of a session: the admin-held status when there is one,
+ * otherwise the one implied by the clock.
+ */
+function resolveSessionStatus(session, now = new Date()) {
+  if (HELD_STATUSES.includes(session?.status)) {
+    return session.status;
+  }
+
+  return getClockStatus(session, now);
+}
+
+/**
+ * Why ballots are refused right now, or null while the session is active.
+ * Paused and cancelled sessions get their own codes so clients can tell an
+ * incident apart from a closed poll.
+ */
+function getVotingClosedReason(session, now = new Date()) {
+  const status = resolveSessionStatus(session, now);
+
+  if (status === "active") {
+    return null;
+  }
+
+  if (status === "paused") {
+    return {
+      code: "SESSION_PAUSED",
+      status,
+      message: "Voting in this election is paused. Please try again once it resumes.",
+    };
+  }
+
+  if (status === "cancelled") {
+    return {
+      code: "SESSION_CANCELLED",
+      status,
+      message: "This election was cancelled.",
+    };
+  }
+
+  return {
+    code: "SESSION_INACTIVE",
+    status,
+    message: `Election is ${status}. You can only vote during active elections.`,
+  };
+}
+
+const TRANSITION_RULES = {
+  publish: {
+    from: ["draft"],
+    error: "Only draft elections can be published",
+  },
+  pause: {
+    from: ["active"],
+    error: "Only a running election can be paused",
+  },
+  resume: {
+    from: ["paused"],
+    error: "Only a paused election can be resumed",
+  },
+  cancel: {
+    from: ["draft", "upcoming", "active", "paused"],
+    error: "Ended or cancelled elections cannot be cancelled",
+  },
+  extend: {
+    from: ["upcoming", "active", "paused"],
+    error: "Only an election that has not closed can be extended",
+  },
+};
+
+/**
+ * Check an admin lifecycle action against the session's current status.
+ * Returns `{ error, code, status }` when the action is not allowed.
+ */
+function getTransitionError(session, action, now = new Date()) {
+  const rule = TRANSITION_RULES[action];
+  const status = resolveSessionStatus(session, now);
+
+  if (!rule || !rule.from.includes(status)) {
+    return {
+      error: rule ? rule.error : `Unknown action: ${action}`,
+      code: "INVALID_SESSION_TRANSITION",
+      status,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Validate a new end time for an extension. It must move the close later
+ * and lie in the future.
+ */
+function validateExtension(session, endTime, now = new Date()) {
+  const nextEnd = new Date(endTime);
+
+  if (Number.isNaN(nextEnd.getTime())) {
+    return { error: "A valid end time is required", code: "INVALID_END_TIME" };
+  }
+
+  if (nextEnd <= new Date(session.end_time) || nextEnd <= now) {
+    return {
+      error: "The new end time must be later than the current one and in the future",
+      code: "INVALID_END_TIME",
+    };
+  }
+
+  return null;
+}
+
+module.exports = {
+  HELD_STATUSES,
+  SESSION_STATUSES,
+  STUDENT_VISIBLE_FILTER,
+  getClockStatus,
+  resolveSessionStatus,
+  getVotingClosedReason,
+  getTransitionError,
+  validateExtension,
+};
@@ -0,0 +1,51 @@
+const {
+  resolveSessionStatus,
+  getVotingClosedReason,
+  getTransitionError,
+  validateExtension,
+} = require("./sessionLifecycle");
+
+describe("sessionLifecycle", () => {
+  const now = new Date("2026-03-10T12:00:00.000Z");
+  const running = {
+    status: "active",
+    start_time: "2026-03-10T08:00:00.000Z",
+    end_time: "2026-03-10T16:00:00.000Z",
+  };
+
+  it("keeps admin-held statuses and derives the rest from the clock", () => {
+    expect(resolveSessionStatus({ ...running, status: "upcoming" }, now)).toBe("active");
+    expect(resolveSessionStatus({ ...running, status: "paused" }, now)).toBe("paused");
+    expect(resolveSessionStatus({ ...running, status: "draft" }, now)).toBe("draft");
+    expect(
+      resolveSessionStatus({ ...running, status: "active" }, new Date("2026-03-11T00:00:00.000Z")),
+    ).toBe("ended");
+  });
+
+  it("explains why ballots are refused", () => {
+    expect(getVotingClosedReason(running, now)).toBeNull();
+    expect(getVotingClosedReason({ ...running, status: "paused" }, now).code).toBe(
+      "SESSION_PAUSED",
+    );
+    expect(getVotingClosedReason({ ...running, start_time: "2026-03-11T08:00:00.000Z" }, now))
+      .toMatchObject({ code: "SESSION_INACTIVE", status: "upcoming" });
+  });
+
+  it("only allows transitions from the right status", () => {
+    expect(getTransitionError(running, "pause", now)).toBeNull();
+    expect(getTransitionError({ ...running, status: "paused" }, "resume", now)).toBeNull();
+    expect(getTransitionError({ ...running, status: "draft" }, "publish", now)).toBeNull();
+    expect(getTransitionError(running, "resume", now).code).toBe("INVALID_SESSION_TRANSITION");
+    expect(getTransitionError({ ...running, status: "cancelled" }, "cancel", now).status).toBe(
+      "cancelled",
+    );
+  });
+
+  it("requires extensions to move the close later", () => {
+    expect(validateExtension(running, "2026-03-10T18:00:00.000Z", now)).toBeNull();
+    expect(validateExtension(running, "2026-03-10T15:00:00.000Z", now).code).toBe(
+      "INVALID_END_TIME",
+    );
+    expect(validateExtension(running, "soon", now).code).toBe("INVALID_END_TIME");
+  });
+});
@@ -1,8 +1,47 @@
 const VotingSession = require("../models/VotingSession");
 const Student = require("../models/Student");
+const Tenant = require("../models/Tenant");
 const emailService = require("../services/emailService");
+const {
+  getRankedChoiceTallies,
+  getReferendumTallies,
+  buildResultSnapshot,
+} = require("../services/tallyService");
+const { CANDIDATE_SUPPORT_MATCH, getPositionSettings } = require("./ballotRules");
+const { rankSeatWinners } = require("./ballotTally");
+const { detectPositionTie } = require("./tieBreak");
+const {
+  resolveSessionTies,
+  settleParentTie,
+} = require("../services/tieBreakService");
+const { getSessionQuorum } = require("../services/liveSessionService");
+const { notifyTenantAdmins } = require("../services/notificationService");
+const { promoteSeriesStage } = require("../services/electionSeriesService");
+const { hasQuorumRules } = require("./quorumRules");
+const {
+  isResultsEmbargoed,
+  isRevealComplete,
+} = require("./resultEmbargo");
+const {
+  requiresCertification,
+  isCertificationPending,
+  hashResultSnapshot,
+  getCertifiedCandidateCounts,
+} = require("./certification");
+const { hasResultsHold } = require("./petitionRules");
+const {
+  isEncryptedSession,
+  isTallyPending,
+  getDecryptedCandidateCounts,
+} = require("./encryptedBallot");
+const { isCandidateDisqualified } = require("./voteInvalidation");
+const { resolveSessionStatus } = require("./sessionLifecycle");
 const mongoose = require("mongoose");
 
+// How long one run may hold a session's outcome step before another run can
+// take it over
+const OUTCOME_CLAIM_MS = 5 * 60 * 1000;
+
 /**
  * Session Scheduler - Automatically ends sessions and sends result notifications
  * Runs every minute to check for sessions that have ended
@@ -76,22 +115,34 @@ class SessionScheduler {
 
       const now = new Date();
 
-      // Find sessions that have ended but status is still active or upcoming
+      // Find sessions past their end time that have not been closed yet.
+      // A request may already have marked one ended through updateStatus(),
+      // so ended sessions still waiting for their close steps are included.
+      // Sessions that ended before the marker existed have no field at all
+      // and are left alone. Drafts, paused and cancelled sessions are held
+      // by an admin and are never closed by the clock.
       const endedSessions = await VotingSession.find({
         end_time: { $lte: now },
-        status: { $in: ["active", "upcoming"] },
+        $or: [
+          { status: { $in: ["active", "upcoming"] } },
+          { status: "ended", close_processed_at: { $type: "null" } },
+        ],
       }).maxTimeMS(5000); // 5 second timeout
 
       // Reset error counter on successful query
       this.consecutiveErrors = 0;
 
-      if (endedSessions.length === 0) {
-        return; // No sessions to process
+      if (endedSessions.length > 0) {
+        console.log(`📊 Found ${endedSessions.length} session(s) to end`);
       }
 
-      console.log(`📊 Found ${endedSessions.length} session(s) to end`);
-
       for (const session of endedSessions) {
+        // The query works from the stored status; the clock has the last
+        // word, so a hold or extension that landed meanwhile is respected
+        if (resolveSessionStatus(session, now) !== "ended") {
+          continue;
+        }
+
         try {
           await this.endSessionAndNotify(session);
         } catch (error) {
@@ -101,6 +152,9 @@ class SessionScheduler {
           );
         }
       }
+
+      await this.releaseEmbargoedResults(now);
+      await this.finalizePendingResults();
     } catch (error) {
       this.consecutiveErrors++;
       console.error(
@@ -116,20 +170,503 @@ class SessionScheduler {
   }
 
   /**
-   * End a session and send result notifications to eligible students
+   * End a session and send result notifications to eligible students. The
+   * session is only marked closed once every close step has run, so a
+   * failure is retried on the next check.
    * @param {Object} session - VotingSession document
    */
   async endSessionAndNotify(session) {
     try {
       console.log(`📌 Ending session: "${session.title}" (ID: ${session._id})`);
 
-      // Update session status to ended and make results public
+      // Update session status to ended and make results public. Encrypted
+      // sessions stay sealed until the trustees decrypt the tally, sessions
+      // needing certification until enough admins sign off, embargoed ones
+      // until their release time, and a session that missed its quorum is
+      // held back altogether.
+      const awaitingDecryption = isTallyPending(session);
+      const awaitingCertification = requiresCertification(session);
+      const embargoed = isResultsEmbargoed(session);
+      const quorum = await this.checkQuorum(session);
       session.status = "ended";
-      session.results_public = true;
+      session.results_public =
+        !awaitingDecryption &&
+        !awaitingCertification &&
+        !embargoed &&
+        quorum?.met !== false;
+      if (quorum) {
+        session.quorum_result = { ...quorum, checked_at: new Date() };
+      }
       await session.save();
 
       console.log(`✅ Session "${session.title}" marked as ended`);
 
+      // A retried close keeps the snapshot (and approvals) it already froze
+      if (
+        !awaitingDecryption &&
+        awaitingCertification &&
+        quorum?.met !== false &&
+        !["pending", "certified"].includes(session.certification.status)
+      ) {
+        await this.holdForCertification(session);
+      }
+
+      const closed = await VotingSession.updateOne(
+        { _id: session._id, close_processed_at: null },
+        { $set: { close_processed_at: new Date() } }
+      );
+      if (closed.modifiedCount === 0) {
+        return;
+      }
+
+      if (quorum?.met === false) {
+        console.log(
+          `⚠️  Session "${session.title}" did not meet its quorum - results held`
+        );
+        await this.notifyQuorumNotMet(session, quorum);
+        return;
+      }
+
+      if (awaitingDecryption) {
+        console.log(
+          `🔒 Session "${session.title}" is encrypted - results will be announced after trustee decryption`
+        );
+        return;
+      }
+
+      if (awaitingCertification) {
+        return;
+      }
+
+      if (!isRevealComplete(session)) {
+        console.log(
+          `⏳ Session "${session.title}" results are embargoed until ${new Date(
+            session.results_release_at || session.end_time
+          ).toISOString()}`
+        );
+        return;
+      }
+
+      await this.finalizeResults(session);
+    } catch (error) {
+      console.error(
+        `❌ Error ending and notifying for session ${session._id}:`,
+        error
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Evaluate the session's quorum rules at close
+   * @param {Object} session - VotingSession document
+   * @returns {Promise<{met: boolean, failures: Array}|null>} null without rules
+   */
+  async checkQuorum(session) {
+    if (!hasQuorumRules(session)) {
+      return null;
+    }
+
+    const tenant = session.tenant_id
+      ? await Tenant.findById(session.tenant_id).lean()
+      : null;
+    return getSessionQuorum(tenant, session);
+  }
+
+  /**
+   * Tell tenant admins a session was voided for low turnout
+   * @param {Object} session - VotingSession document
+   * @param {Object} quorum - Quorum verdict
+   */
+  async notifyQuorumNotMet(session, quorum) {
+    if (!session.tenant_id) {
+      return;
+    }
+
+    const shortfalls = quorum.failures.map((failure) =>
+      failure.scope === "overall"
+        ? `overall turnout ${failure.turnout_percentage}% (needs ${failure.required_percentage}%)`
+        : `${failure.name} ${failure.turnout_percentage}% (needs ${failure.required_percentage}%)`
+    );
+
+    try {
+      await notifyTenantAdmins({
+        tenantId: session.tenant_id,
+        type: "session.quorum_not_met",
+        title: `Quorum not met: ${session.title}`,
+        message: `Results are held back. Shortfall: ${shortfalls.join("; ")}.`,
+        link: `/dashboard/sessions/${session._id}`,
+        priority: "high",
+        metadata: {
+          session_id: session._id,
+          failures: quorum.failures,
+        },
+      });
+    } catch (error) {
+      console.error(
+        `❌ Failed to notify admins about quorum for session ${session._id}:`,
+        error.message
+      );
+    }
+  }
+
+  /**
+   * Freeze the final counts of a session that needs certification and ask
+   * the tenant's admins to sign them off
+   * @param {Object} session - VotingSession document
+   */
+  async holdForCertification(session) {
+    const snapshot = await buildResultSnapshot({
+      tenantId: session.tenant_id || null,
+      session,
+    });
+
+    session.results_public = false;
+    session.certification.status = "pending";
+    session.certification.snapshot = snapshot;
+    session.certification.snapshot_hash = hashResultSnapshot(snapshot);
+    session.certification.snapshot_taken_at = new Date();
+    session.certification.approvals = [];
+    session.certification.certified_at = null;
+    session.markModified("certification.snapshot");
+    await session.save();
+
+    console.log(
+      `🖋️  Session "${session.title}" awaits ${session.certification.required_approvals} certification approval(s)`
+    );
+
+    if (!session.tenant_id) {
+      return;
+    }
+
+    try {
+      await notifyTenantAdmins({
+        tenantId: session.tenant_id,
+        type: "session.certification_pending",
+        title: `Results awaiting certification: ${session.title}`,
+        message: `${session.certification.required_approvals} approval(s) are needed before the results are published.`,
+        link: `/dashboard/sessions/${session._id}`,
+        priority: "high",
+        metadata: {
+          session_id: session._id,
+          snapshot_hash: session.certification.snapshot_hash,
+          required_approvals: session.certification.required_approvals,
+        },
+      });
+    } catch (error) {
+      console.error(
+        `❌ Failed to notify admins about certification for session ${session._id}:`,
+        error.message
+      );
+    }
+  }
+
+  /**
+   * Publish results whose embargo has lifted, and announce them once the
+   * last position has been revealed
+   * @param {Date} now - Time of this scheduler check
+   */
+  async releaseEmbargoedResults(now) {
+    const sessions = await VotingSession.find({
+      status: "ended",
+      results_released_at: null,
+      "quorum_result.met": { $ne: false },
+      "certification.status": { $ne: "pending" },
+      results_hold: null,
+      $or: [
+        { results_release_at: { $ne: null, $lte: now } },
+        { "results_reveal.order.0": { $exists: true } },
+      ],
+    }).maxTimeMS(5000);
+
+    for (const session of sessions) {
+      if (isTallyPending(session) || isResultsEmbargoed(session, now)) {
+        continue;
+      }
+
+      try {
+        if (!session.results_public) {
+          session.results_public = true;
+          await session.save();
+          console.log(`🔓 Results of "${session.title}" released`);
+        }
+
+        if (isRevealComplete(session, now)) {
+          await this.finalizeResults(session);
+        }
+      } catch (error) {
+        console.error(
+          `❌ Error releasing results for session ${session._id}:`,
+          error.message
+        );
+      }
+    }
+  }
+
+  /**
+   * Whether an ended session's results are final: quorum met, decrypted,
+   * certified, not held by a petition and fully revealed
+   * @param {Object} session - VotingSession document
+   */
+  isResultFinal(session) {
+    return (
+      session.quorum_result?.met !== false &&
+      !isTallyPending(session) &&
+      !isCertificationPending(session) &&
+      !hasResultsHold(session) &&
+      isRevealComplete(session)
+    );
+  }
+
+  /**
+   * Retry the outcome and announcement steps of closed sessions whose
+   * results became final, or whose steps failed on an earlier check
+   */
+  async finalizePendingResults() {
+    const sessions = await VotingSession.find({
+      status: "ended",
+      close_processed_at: { $ne: null },
+      "quorum_result.met": { $ne: false },
+      "certification.status": { $ne: "pending" },
+      results_hold: null,
+      $or: [{ outcomes_settled_at: null }, { results_released_at: null }],
+    }).maxTimeMS(5000);
+
+    for (const session of sessions) {
+      try {
+        await this.finalizeResults(session);
+      } catch (error) {
+        console.error(
+          `❌ Error finalizing results for session ${session._id}:`,
+          error.message
+        );
+      }
+    }
+  }
+
+  /**
+   * Settle the session's outcomes, then announce its results
+   * @param {Object} session - VotingSession document
+   */
+  async finalizeResults(session) {
+    await this.settleOutcomes(session);
+    await this.announceResults(session);
+  }
+
+  /**
+   * Count the final standings of an ended session: votes per candidate
+   * grouped by position, instant-runoff and referendum tallies, who is
+   * elected and which positions ended level. Certified sessions use the
+   * counts that were signed off.
+   * @param {Object} session - VotingSession document
+   */
+  async computeStandings(session) {
+    const Candidate = require("../models/Candidate");
+    const Vote = require("../models/Vote");
+
+    // Get all candidates still standing; disqualified ones can neither win
+    // nor be promoted to a later stage
+    const candidates = (
+      await Candidate.find({
+        session_id: session._id,
+      }).lean()
+    ).filter((candidate) => !isCandidateDisqualified(candidate));
+
+    // Count votes for each candidate
+    const voteCounts =
+      getCertifiedCandidateCounts(session) ||
+      (isEncryptedSession(session)
+        ? getDecryptedCandidateCounts(session)
+        : await Vote.aggregate([
+            {
+              $match: {
+                session_id: session._id,
+                status: "valid",
+                ...CANDIDATE_SUPPORT_MATCH,
+              },
+            },
+            {
+              $group: {
+                _id: "$candidate_id",
+                count: { $sum: 1 },
+              },
+            },
+          ]));
+
+    // Map vote counts to candidates
+    const candidatesWithVotes = candidates.map((candidate) => {
+      const voteData = voteCounts.find(
+        (v) => v._id.toString() === candidate._id.toString()
+      );
+      return {
+        ...candidate,
+        vote_count: voteData ? voteData.count : 0,
+      };
+    });
+
+    // Group by position
+    const positionsMap = {};
+    candidatesWithVotes.forEach((candidate) => {
+      if (!positionsMap[candidate.position]) {
+        positionsMap[candidate.position] = [];
+      }
+      positionsMap[candidate.position].push(candidate);
+    });
+
+    const [rankedTallies, referendumTallies] = await Promise.all([
+      getRankedChoiceTallies({
+        tenantId: session.tenant_id,
+        session,
+        candidates,
+      }),
+      getReferendumTallies({ tenantId: session.tenant_id, session }),
+    ]);
+
+    // Get winners (top seats, or instant-runoff winner) for each position
+    const electedByPosition = new Map();
+    const ties = [];
+    Object.keys(positionsMap).forEach((position) => {
+      const positionCandidates = positionsMap[position];
+      positionCandidates.sort((a, b) => b.vote_count - a.vote_count);
+      const rankedTally = rankedTallies.get(position);
+      const referendumTally = referendumTallies.get(position);
+      if (referendumTally) {
+        // Unopposed candidates are elected only if the confirmation passes
+        electedByPosition.set(
+          position,
+          referendumTally.passed
+            ? positionCandidates.map((candidate) => candidate._id.toString())
+            : [],
+        );
+        return;
+      }
+
+      const allocation = rankedTally
+        ? null
+        : rankSeatWinners(
+            positionCandidates,
+            getPositionSettings(session, position).seats,
+          );
+      const tie = detectPositionTie({ allocation, rankedTally });
+      if (tie) {
+        ties.push({ position, ...tie });
+      }
+      electedByPosition.set(
+        position,
+        rankedTally ? [rankedTally.winner_id].filter(Boolean) : allocation.elected,
+      );
+    });
+
+    return {
+      voteCounts,
+      positionsMap,
+      rankedTallies,
+      referendumTallies,
+      electedByPosition,
+      ties,
+    };
+  }
+
+  /**
+   * Settle level finishes by the session's tie-break policy (which may
+   * schedule a runoff), carry a finished runoff back to the tie it was held
+   * for, and promote a series stage's leaders to the next stage. Runs once
+   * the results are final. The session is only marked settled once every
+   * step has run, so a failure is retried on the next check; each step
+   * skips work that is already done.
+   * @param {Object} session - VotingSession document
+   * @param {Date} now - Time of this run
+   * @returns {Promise<boolean>} Whether this call settled the session
+   */
+  async settleOutcomes(session, now = new Date()) {
+    if (session.outcomes_settled_at || !this.isResultFinal(session)) {
+      return false;
+    }
+
+    // Claimed for a few minutes so the scheduler and an admin action do not
+    // settle the same session side by side; an abandoned claim lapses
+    const claimed = await VotingSession.updateOne(
+      {
+        _id: session._id,
+        outcomes_settled_at: null,
+        $or: [
+          { outcomes_claimed_until: null },
+          { outcomes_claimed_until: { $lte: now } },
+        ],
+      },
+      {
+        $set: {
+          outcomes_claimed_until: new Date(now.getTime() + OUTCOME_CLAIM_MS),
+        },
+      }
+    );
+    if (claimed.modifiedCount === 0) {
+      return false;
+    }
+
+    try {
+      const { positionsMap, rankedTallies, referendumTallies, electedByPosition, ties } =
+        await this.computeStandings(session);
+
+      const tieResolutions = await resolveSessionTies(session, ties, now);
+      const resolvedPositions = new Set(
+        tieResolutions.map((resolution) => resolution.position),
+      );
+
+      // A finished runoff settles the tie it was held for
+      if (session.runoff_of) {
+        for (const [position, electedIds] of electedByPosition) {
+          if (resolvedPositions.has(position)) continue;
+          await settleParentTie(session, position, electedIds);
+        }
+      }
+
+      // A finished stage of a series sends its leaders to the next stage.
+      // Confirmation votes have nobody to shortlist.
+      await promoteSeriesStage(session, {
+        positionsMap: Object.fromEntries(
+          Object.entries(positionsMap).filter(
+            ([position]) => !referendumTallies.has(position),
+          ),
+        ),
+        rankedTallies,
+      });
+
+      const settledAt = new Date();
+      await VotingSession.updateOne(
+        { _id: session._id },
+        { $set: { outcomes_settled_at: settledAt, outcomes_claimed_until: null } }
+      );
+      session.outcomes_settled_at = settledAt;
+      return true;
+    } catch (error) {
+      await VotingSession.updateOne(
+        { _id: session._id },
+        { $set: { outcomes_claimed_until: null } }
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Email the winners of an ended session to every student who voted in it.
+   * Runs once per session, after its outcomes are settled.
+   * @param {Object} session - VotingSession document
+   */
+  async announceResults(session) {
+    if (!session.outcomes_settled_at || !this.isResultFinal(session)) {
+      return;
+    }
+
+    const claimed = await VotingSession.updateOne(
+      { _id: session._id, results_released_at: null },
+      { $set: { results_released_at: new Date() } }
+    );
+    if (claimed.modifiedCount === 0) {
+      return;
+    }
+
+    try {
       // Build eligibility filter for students
       const eligibilityFilter = { is_active: true };
 
@@ -163,6 +700,81 @@ class SessionScheduler {
         eligibilityFilter.level = { $in: session.eligible_levels };
       }
 
+      const { voteCounts, positionsMap, referendumTallies, electedByPosition } =
+        await this.computeStandings(session);
+
+      // Ties were settled with the outcomes
+      const resolutionByPosition = new Map(
+        (session.tie_resolutions || []).map((resolution) => [
+          resolution.position,
+          resolution,
+        ]),
+      );
+
+      const winners = [];
+      Object.keys(positionsMap).forEach((position) => {
+        const positionCandidates = positionsMap[position];
+        const referendumTally = referendumTallies.get(position);
+        const resolution = resolutionByPosition.get(position);
+        let electedIds = electedByPosition.get(position);
+        if (resolution?.status === "resolved") {
+          electedIds = electedIds.concat(resolution.winner_ids.map(String));
+        }
+        const totalPositionVotes = positionCandidates.reduce(
+          (sum, c) => sum + c.vote_count,
+          0
+        );
+
+        positionCandidates
+          .filter((candidate) => electedIds.includes(candidate._id.toString()))
+          .forEach((winner) => {
+            if (winner.vote_count <= 0) return;
+            winners.push({
+              position: winner.position,
+              name: winner.name,
+              photo_url: winner.photo_url || "",
+              vote_count: winner.vote_count,
+              percentage: referendumTally
+                ? referendumTally.yes_percentage.toFixed(1)
+                : totalPositionVotes > 0
+                  ? ((winner.vote_count / totalPositionVotes) * 100).toFixed(1)
+                  : 0,
+            });
+          });
+
+        if (resolution?.status === "pending") {
+          const tiedVotes =
+            positionCandidates.find((candidate) =>
+              resolution.candidate_ids.some((id) => id.toString() === candidate._id.toString()),
+            )?.vote_count || 0;
+          winners.push({
+            position,
+            name:
+              resolution.policy === "runoff"
+                ? "Tied - runoff scheduled"
+                : "Tied - awaiting committee decision",
+            photo_url: "",
+            vote_count: tiedVotes,
+            percentage:
+              totalPositionVotes > 0
+                ? ((tiedVotes / totalPositionVotes) * 100).toFixed(1)
+                : 0,
+          });
+        }
+      });
+
+      // Referendums have no candidates; announce their outcome instead
+      referendumTallies.forEach((tally, position) => {
+        if (positionsMap[position] || tally.total === 0) return;
+        winners.push({
+          position,
+          name: tally.passed ? "Passed" : "Not passed",
+          photo_url: "",
+          vote_count: tally.yes,
+          percentage: tally.yes_percentage.toFixed(1),
+        });
+      });
+
       // Get all eligible students who voted in this session
       const studentsWhoVoted = await Student.find({
         tenant_id: session.tenant_id,
@@ -181,76 +793,6 @@ class SessionScheduler {
         `📧 Sending result notifications to ${studentsWhoVoted.length} student(s)...`
       );
 
-      // Get winners for each position
-      const Candidate = require("../models/Candidate");
-      const Vote = require("../models/Vote");
-
-      // Get all candidates with their vote counts
-      const candidates = await Candidate.find({
-        session_id: session._id,
-      }).lean();
-
-      // Count votes for each candidate
-      const voteCounts = await Vote.aggregate([
-        {
-          $match: {
-            session_id: session._id,
-            status: "valid",
-          },
-        },
-        {
-          $group: {
-            _id: "$candidate_id",
-            count: { $sum: 1 },
-          },
-        },
-      ]);
-
-      // Map vote counts to candidates
-      const candidatesWithVotes = candidates.map((candidate) => {
-        const voteData = voteCounts.find(
-          (v) => v._id.toString() === candidate._id.toString()
-        );
-        return {
-          ...candidate,
-          vote_count: voteData ? voteData.count : 0,
-        };
-      });
-
-      // Group by position and find winner for each
-      const positionsMap = {};
-      candidatesWithVotes.forEach((candidate) => {
-        if (!positionsMap[candidate.position]) {
-          positionsMap[candidate.position] = [];
-        }
-        positionsMap[candidate.position].push(candidate);
-      });
-
-      // Get winner (highest votes) for each position
-      const winners = [];
-      Object.keys(positionsMap).forEach((position) => {
-        const positionCandidates = positionsMap[position];
-        positionCandidates.sort((a, b) => b.vote_count - a.vote_count);
-        const winner = positionCandidates[0];
-
-        if (winner && winner.vote_count > 0) {
-          const totalPositionVotes = positionCandidates.reduce(
-            (sum, c) => sum + c.vote_count,
-            0
-          );
-          winners.push({
-            position: winner.position,
-            name: winner.name,
-            photo_url: winner.photo_url || "",
-            vote_count: winner.vote_count,
-            percentage:
-              totalPositionVotes > 0
-                ? ((winner.vote_count / totalPositionVotes) * 100).toFixed(1)
-                : 0,
-          });
-        }
-      });
-
       // Calculate total votes
       const totalVotes = voteCounts.reduce((sum, v) => sum + v.count, 0);
 
@@ -281,7 +823,7 @@ class SessionScheduler {
       console.log(`   📧 Emails sent: ${emailsSent}, Failed: ${emailsFailed}`);
     } catch (error) {
       console.error(
-        `❌ Error ending and notifying for session ${session._id}:`,
+        `❌ Error announcing results for session ${session._id}:`,
         error
       );
       throw error;
@@ -0,0 +1,78 @@
+jest.mock("../models/VotingSession", () => ({
+  find: jest.fn(),
+}));
+jest.mock("../models/Student", () => ({}));
+jest.mock("../models/Tenant", () => ({}));
+jest.mock("../services/emailService", () => ({}));
+jest.mock("../services/tallyService", () => ({}));
+jest.mock("../services/tieBreakService", () => ({}));
+jest.mock("../services/liveSessionService", () => ({}));
+jest.mock("../services/notificationService", () => ({}));
+jest.mock("../services/electionSeriesService", () => ({}));
+
+const mongoose = require("mongoose");
+const VotingSession = require("../models/VotingSession");
+const sessionScheduler = require("./sessionScheduler");
+
+describe("sessionScheduler lifecycle", () => {
+  const now = new Date("2026-03-10T18:00:00.000Z");
+  const closed = {
+    start_time: new Date("2026-03-10T08:00:00.000Z"),
+    end_time: new Date("2026-03-10T16:00:00.000Z"),
+  };
+
+  // The scheduler skips its run unless MongoDB reports a connection
+  beforeAll(() => {
+    mongoose.connection.readyState = mongoose.ConnectionStates.connected;
+  });
+
+  afterAll(() => {
+    mongoose.connection.readyState = mongoose.ConnectionStates.disconnected;
+  });
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now });
+    jest.spyOn(sessionScheduler, "endSessionAndNotify").mockResolvedValue(undefined);
+    jest.spyOn(sessionScheduler, "releaseEmbargoedResults").mockResolvedValue(undefined);
+    jest.spyOn(sessionScheduler, "finalizePendingResults").mockResolvedValue(undefined);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  function queueSessions(sessions) {
+    VotingSession.find.mockReturnValue({ maxTimeMS: jest.fn().mockResolvedValue(sessions) });
+  }
+
+  it("never queries for sessions an admin is holding", async () => {
+    queueSessions([]);
+
+    await sessionScheduler.checkAndEndSessions();
+
+    const [filter] = VotingSession.find.mock.calls[0];
+    const statuses = filter.$or.flatMap(({ status }) => status.$in || [status]);
+    expect(statuses).not.toEqual(expect.arrayContaining(["cancelled"]));
+    expect(statuses).not.toEqual(expect.arrayContaining(["paused"]));
+    expect(statuses).not.toEqual(expect.arrayContaining(["draft"]));
+  });
+
+  it("only closes sessions whose voting is over by the clock", async () => {
+    const expired = { ...closed, _id: "expired", status: "active" };
+    const cancelled = { ...closed, _id: "cancelled", status: "cancelled" };
+    const paused = { ...closed, _id: "paused", status: "paused" };
+    const extended = {
+      ...closed,
+      _id: "extended",
+      status: "active",
+      end_time: new Date("2026-03-10T20:00:00.000Z"),
+    };
+    queueSessions([expired, cancelled, paused, extended]);
+
+    await sessionScheduler.checkAndEndSessions();
+
+    expect(sessionScheduler.endSessionAndNotify).toHaveBeenCalledTimes(1);
+    expect(sessionScheduler.endSessionAndNotify).toHaveBeenCalledWith(expired);
+  });
+});
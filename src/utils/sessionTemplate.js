@@ -0,0 +1,177 @@
+const { getLocationIntegrityPolicy } = require("./locationIntegrity");
+const { getPresencePolicy } = require("./presenceCode");
+
+const MINUTE_MS = 60 * 1000;
+
+function toDate(value) {
+  if (!value) return null;
+  const parsed = new Date(value);
+  return Number.isNaN(parsed.getTime()) ? null : parsed;
+}
+
+function minutesBefore(value, start) {
+  const date = toDate(value);
+  return date ? Math.round((start.getTime() - date.getTime()) / MINUTE_MS) : null;
+}
+
+function toPlain(value) {
+  return value && typeof value.toObject === "function" ? value.toObject() : value;
+}
+
+/**
+ * Reusable settings of a session: ballot layout, eligibility, geofence and
+ * ballot rules. Dates are kept relative to start_time so a template can be
+ * placed on any calendar. Keys, tallies and the lot seed are never copied.
+ */
+function buildTemplateSettings(session) {
+  const start = new Date(session.start_time);
+  const nomination = session.nomination || {};
+  const tieBreak = session.tie_break || {};
+  const quorum = session.quorum || {};
+
+  return {
+    title: session.title,
+    description: session.description,
+    duration_minutes: Math.max(
+      1,
+      Math.round((new Date(session.end_time).getTime() - start.getTime()) / MINUTE_MS),
+    ),
+    categories: [...(session.categories || [])],
+    position_settings: (session.position_settings || []).map((entry) => toPlain(entry)),
+    eligible_college: session.eligible_college || null,
+    eligible_departments: [...(session.eligible_departments || [])],
+    eligible_levels: [...(session.eligible_levels || [])],
+    location: {
+      lat: session.location?.lat,
+      lng: session.location?.lng,
+      radius_meters: session.location?.radius_meters || 5000,
+    },
+    polling_zones: (session.polling_zones || []).map((zone) => {
+      const { _id, ...settings } = toPlain(zone);
+      return settings;
+    }),
+    is_off_campus_allowed: session.is_off_campus_allowed === true,
+    location_integrity: getLocationIntegrityPolicy(session),
+    presence: getPresencePolicy(session),
+    secret_ballot: session.secret_ballot === true,
+    allow_revote: session.allow_revote === true,
+    nomination: {
+      enabled: nomination.enabled === true,
+      seconders_required: nomination.seconders_required || 0,
+      opens_minutes_before_start: nomination.enabled
+        ? minutesBefore(nomination.opens_at, start)
+        : null,
+      closes_minutes_before_start: nomination.enabled
+        ? minutesBefore(nomination.closes_at, start)
+        : null,
+    },
+    tie_break: {
+      policy: tieBreak.policy || "committee",
+      runoff_delay_minutes: tieBreak.runoff_delay_minutes ?? 1440,
+      runoff_duration_minutes: tieBreak.runoff_duration_minutes || null,
+    },
+    quorum: {
+      overall_percentage: quorum.overall_percentage ?? null,
+      position_percentage: quorum.position_percentage ?? null,
+      college_percentage: quorum.college_percentage ?? null,
+    },
+    certification: {
+      required_approvals: session.certification?.required_approvals || 0,
+    },
+    petitions: {
+      enabled: session.petitions?.enabled === true,
+      window_hours: session.petitions?.window_hours || 0,
+    },
+    // Kept relative to the close, like the nomination window to the start
+    results_release_minutes_after_end: session.results_release_at
+      ? Math.max(
+          0,
+          -minutesBefore(session.results_release_at, new Date(session.end_time)),
+        )
+      : null,
+    results_reveal: {
+      order: [...(session.results_reveal?.order || [])],
+      interval_minutes: session.results_reveal?.interval_minutes || 0,
+    },
+    encryption_enabled: session.encryption?.enabled === true,
+  };
+}
+
+/**
+ * Place template settings on new dates. `end_time` defaults to the
+ * template's duration. Returns `{ session }` with the new session's fields
+ * or `{ error, code }`.
+ */
+function buildSessionFromTemplate(settings, { title, description, start_time, end_time } = {}) {
+  const start = toDate(start_time);
+  if (!start) {
+    return { error: "A valid start time is required", code: "INVALID_SESSION_DATES" };
+  }
+
+  const end = end_time
+    ? toDate(end_time)
+    : new Date(start.getTime() + settings.duration_minutes * MINUTE_MS);
+  if (!end || end <= start) {
+    return {
+      error: "The end time must be a valid time after the start time",
+      code: "INVALID_SESSION_DATES",
+    };
+  }
+
+  const nomination = settings.nomination || {};
+  const before = (minutes) => new Date(start.getTime() - minutes * MINUTE_MS);
+
+  return {
+    session: {
+      title: title || settings.title,
+      description: description || settings.description,
+      start_time: start,
+      end_time: end,
+      categories: [...settings.categories],
+      position_settings: settings.position_settings.map((entry) => ({ ...entry })),
+      eligible_college: settings.eligible_college,
+      eligible_departments: [...settings.eligible_departments],
+      eligible_levels: [...settings.eligible_levels],
+      location: { ...settings.location },
+      polling_zones: (settings.polling_zones || []).map((zone) => ({ ...zone })),
+      is_off_campus_allowed: settings.is_off_campus_allowed,
+      location_integrity: settings.location_integrity
+        ? { ...settings.location_integrity }
+        : undefined,
+      presence: settings.presence ? { ...settings.presence } : undefined,
+      secret_ballot: settings.secret_ballot,
+      allow_revote: settings.allow_revote,
+      nomination: nomination.enabled
+        ? {
+            enabled: true,
+            opens_at: before(nomination.opens_minutes_before_start),
+            closes_at: before(nomination.closes_minutes_before_start),
+            seconders_required: nomination.seconders_required,
+          }
+        : { enabled: false },
+      tie_break: { ...settings.tie_break },
+      quorum: { ...settings.quorum },
+      certification: {
+        required_approvals: settings.certification?.required_approvals || 0,
+      },
+      petitions: {
+        enabled: settings.petitions?.enabled === true,
+        window_hours: settings.petitions?.window_hours || 0,
+      },
+      results_release_at:
+        settings.results_release_minutes_after_end === null ||
+        settings.results_release_minutes_after_end === undefined
+          ? null
+          : new Date(end.getTime() + settings.results_release_minutes_after_end * MINUTE_MS),
+      results_reveal: {
+        order: [...(settings.results_reveal?.order || [])],
+        interval_minutes: settings.results_reveal?.interval_minutes || 0,
+      },
+    },
+  };
+}
+
+module.exports = {
+  buildTemplateSettings,
+  buildSessionFromTemplate,
+};
@@ -0,0 +1,65 @@
+const {
+  buildTemplateSettings,
+  buildSessionFromTemplate,
+} = require("./sessionTemplate");
+
+describe("sessionTemplate", () => {
+  const session = {
+    title: "SRC Elections 2026",
+    description: "Student Representative Council",
+    start_time: new Date("2026-03-10T08:00:00.000Z"),
+    end_time: new Date("2026-03-10T16:00:00.000Z"),
+    categories: ["President", "Senate"],
+    position_settings: [{ position: "Senate", ballot_type: "approval", seats: 3, max_selections: 3 }],
+    eligible_levels: ["300", "400"],
+    location: { lat: 6.5, lng: 3.4, radius_meters: 800 },
+    secret_ballot: true,
+    nomination: {
+      enabled: true,
+      opens_at: new Date("2026-03-01T08:00:00.000Z"),
+      closes_at: new Date("2026-03-08T08:00:00.000Z"),
+      seconders_required: 2,
+    },
+    tie_break: { policy: "lot", lot_seed: "secret", lot_seed_commitment: "abc" },
+    quorum: { overall_percentage: 25 },
+    encryption: { enabled: true, public_key: "pk" },
+  };
+
+  it("keeps reusable settings without seeds or keys", () => {
+    const settings = buildTemplateSettings(session);
+
+    expect(settings.duration_minutes).toBe(480);
+    expect(settings.nomination).toEqual({
+      enabled: true,
+      seconders_required: 2,
+      opens_minutes_before_start: 9 * 24 * 60,
+      closes_minutes_before_start: 2 * 24 * 60,
+    });
+    expect(settings.tie_break).toEqual({
+      policy: "lot",
+      runoff_delay_minutes: 1440,
+      runoff_duration_minutes: null,
+    });
+    expect(settings.encryption_enabled).toBe(true);
+    expect(JSON.stringify(settings)).not.toMatch(/"secret"|"pk"|lot_seed/);
+  });
+
+  it("places the settings on new dates", () => {
+    const { session: next } = buildSessionFromTemplate(buildTemplateSettings(session), {
+      start_time: "2026-09-15T09:00:00.000Z",
+    });
+
+    expect(next.title).toBe("SRC Elections 2026");
+    expect(next.end_time.toISOString()).toBe("2026-09-15T17:00:00.000Z");
+    expect(next.nomination.opens_at.toISOString()).toBe("2026-09-06T09:00:00.000Z");
+    expect(next.nomination.closes_at.toISOString()).toBe("2026-09-13T09:00:00.000Z");
+    expect(next.location).toEqual({ lat: 6.5, lng: 3.4, radius_meters: 800 });
+
+    expect(
+      buildSessionFromTemplate(buildTemplateSettings(session), {
+        start_time: "2026-09-15T09:00:00.000Z",
+        end_time: "2026-09-15T08:00:00.000Z",
+      }).code,
+    ).toBe("INVALID_SESSION_DATES");
+  });
+});
@@ -0,0 +1,237 @@
+const { getPositionSettings } = require("./ballotRules");
+
+function toId(value) {
+  if (!value) return null;
+  if (typeof value === "object" && value._id) return value._id.toString();
+  return value.toString();
+}
+
+function samePositions(left = [], right = []) {
+  return left.length === right.length && left.every((position) => right.includes(position));
+}
+
+/**
+ * Check a running-mate ticket before it is saved. A ticket puts exactly one
+ * candidate on each of two or more linked positions; every ticket touching
+ * one of those positions must cover the same set, and each position has to
+ * be a single-seat plurality race so one selection means one winner.
+ *
+ * @param {Object} session - Session with categories and position_settings
+ * @param {Array<{_id, position}>} candidates - The proposed members
+ * @param {Array<{_id, positions, members}>} otherTickets - Tickets already in the session
+ */
+function validateTicketMembers(session, candidates = [], otherTickets = []) {
+  const positions = candidates.map((candidate) => candidate.position);
+
+  if (candidates.length < 2) {
+    return {
+      error: "A ticket needs candidates for at least two positions",
+      code: "INVALID_TICKET",
+    };
+  }
+
+  if (new Set(positions).size !== positions.length) {
+    return {
+      error: "A ticket can only have one candidate per position",
+      code: "INVALID_TICKET",
+    };
+  }
+
+  const eligibilityKeys = new Set();
+  for (const position of positions) {
+    const settings = getPositionSettings(session, position);
+    if (settings.ballot_type !== "plurality" || settings.seats !== 1) {
+      return {
+        error: `${position} must be a single-seat plurality race to be part of a ticket`,
+        code: "TICKET_POSITION_UNSUPPORTED",
+      };
+    }
+    eligibilityKeys.add(JSON.stringify(settings.eligibility || null));
+  }
+
+  // Everyone who can vote on one linked position must be able to vote on all
+  if (eligibilityKeys.size > 1) {
+    return {
+      error: "Linked positions must have the same voter eligibility",
+      code: "TICKET_POSITION_UNSUPPORTED",
+    };
+  }
+
+  for (const ticket of otherTickets) {
+    const overlaps = (ticket.positions || []).some((position) => positions.includes(position));
+    if (overlaps && !samePositions(ticket.positions, positions)) {
+      return {
+        error: `Tickets in this election pair ${ticket.positions.join(" and ")}; a ticket must cover the same positions`,
+        code: "TICKET_POSITIONS_MISMATCH",
+      };
+    }
+
+    const taken = candidates.find((candidate) =>
+      (ticket.members || []).some(
+        (member) => toId(member.candidate_id) === toId(candidate._id),
+      ),
+    );
+    if (taken) {
+      return {
+        error: `${taken.name || "This candidate"} is already on the ${ticket.name} ticket`,
+        code: "CANDIDATE_ON_TICKET",
+      };
+    }
+  }
+
+  return null;
+}
+
+function indexTickets(tickets = []) {
+  const ticketsById = new Map();
+  const ticketByCandidate = new Map();
+  const linkedPositions = new Set();
+
+  tickets.forEach((ticket) => {
+    ticketsById.set(toId(ticket._id), ticket);
+    (ticket.positions || []).forEach((position) => linkedPositions.add(position));
+    (ticket.members || []).forEach((member) => {
+      ticketByCandidate.set(toId(member.candidate_id), ticket);
+    });
+  });
+
+  return { ticketsById, ticketByCandidate, linkedPositions };
+}
+
+/**
+ * Expand ticket selections on a submitted ballot into one plurality choice per
+ * linked position. Students can pick a ticket by `ticket_id` or by choosing
+ * any of its members; the running mates are added automatically.
+ */
+function expandTicketChoices(choices = [], tickets = []) {
+  if (tickets.length === 0) {
+    return { choices };
+  }
+
+  const { ticketsById, ticketByCandidate } = indexTickets(tickets);
+  const expanded = [];
+  const chosenTickets = new Map();
+
+  for (const choice of choices) {
+    const ticket = choice?.ticket_id
+      ? ticketsById.get(toId(choice.ticket_id))
+      : ticketByCandidate.get(toId(choice?.candidate_id));
+
+    if (choice?.ticket_id && !ticket) {
+      return {
+        error: `Invalid ticket: ${choice.ticket_id}`,
+        code: "INVALID_TICKET_SELECTION",
+      };
+    }
+
+    if (!ticket) {
+      expanded.push(choice);
+      continue;
+    }
+
+    // One ticket per group of linked positions
+    const groupKey = [...ticket.positions].sort().join("|");
+    const previous = chosenTickets.get(groupKey);
+    if (previous && toId(previous._id) !== toId(ticket._id)) {
+      return {
+        error: `Only one ticket can be chosen for ${ticket.positions.join(" and ")}`,
+        code: "TICKET_CONFLICT",
+      };
+    }
+    if (previous) {
+      continue;
+    }
+
+    chosenTickets.set(groupKey, ticket);
+    ticket.members.forEach((member) => {
+      expanded.push({
+        candidate_id: toId(member.candidate_id),
+        category: member.position,
+      });
+    });
+  }
+
+  return { choices: expanded };
+}
+
+/**
+ * Ticket each built ballot selection belongs to. Fails when a linked position
+ * was voted for with a candidate who is not on a ticket.
+ */
+function resolveSelectionTickets(selections = [], tickets = []) {
+  const { ticketByCandidate, linkedPositions } = indexTickets(tickets);
+  const ticketIds = [];
+
+  for (const selection of selections) {
+    const ticket = ticketByCandidate.get(toId(selection.candidate?._id)) || null;
+
+    if (!ticket && linkedPositions.has(selection.position)) {
+      return {
+        error: `${selection.position} is voted for as part of a ticket. Select a ticket instead.`,
+        code: "TICKET_REQUIRED",
+      };
+    }
+
+    ticketIds.push(ticket ? ticket._id : null);
+  }
+
+  return { ticketIds };
+}
+
+/**
+ * Map each ticketed candidate to the ticket's public description, with the
+ * running mates' photos and manifestos. Expects members' candidate_id to be
+ * populated with name, photo_url, bio and manifesto.
+ */
+function buildTicketLookup(tickets = []) {
+  const lookup = new Map();
+
+  tickets.forEach((ticket) => {
+    const members = (ticket.members || []).map((member) => ({
+      candidate_id: toId(member.candidate_id),
+      position: member.position,
+      name: member.candidate_id?.name || null,
+      photo_url: member.candidate_id?.photo_url || null,
+      bio: member.candidate_id?.bio || "",
+      manifesto: member.candidate_id?.manifesto || "",
+    }));
+
+    members.forEach((member) => {
+      lookup.set(member.candidate_id, {
+        id: ticket._id,
+        name: ticket.name,
+        positions: ticket.positions,
+        running_mates: members.filter(
+          (entry) => entry.candidate_id !== member.candidate_id,
+        ),
+      });
+    });
+  });
+
+  return lookup;
+}
+
+/**
+ * Add `ticket` to every candidate entry of grouped results or standings.
+ */
+function applyTicketDetails(groups = [], lookup = new Map()) {
+  if (lookup.size === 0) {
+    return groups;
+  }
+
+  groups.forEach((group) => {
+    (group.candidates || []).forEach((candidate) => {
+      candidate.ticket = lookup.get(toId(candidate.id || candidate._id)) || null;
+    });
+  });
+
+  return groups;
+}
+
+module.exports = {
+  validateTicketMembers,
+  expandTicketChoices,
+  resolveSelectionTickets,
+  buildTicketLookup,
+  applyTicketDetails,
+};
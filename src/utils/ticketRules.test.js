@@ -0,0 +1,125 @@
+const {
+  validateTicketMembers,
+  expandTicketChoices,
+  resolveSelectionTickets,
+  buildTicketLookup,
+} = require("./ticketRules");
+
+describe("ticketRules", () => {
+  const session = {
+    categories: ["President", "Vice President", "Senate"],
+    position_settings: [{ position: "Senate", ballot_type: "approval", seats: 3 }],
+  };
+  const unity = {
+    _id: "ticket-unity",
+    name: "Unity",
+    positions: ["President", "Vice President"],
+    members: [
+      { candidate_id: "pres-a", position: "President" },
+      { candidate_id: "vp-a", position: "Vice President" },
+    ],
+  };
+  const progress = {
+    _id: "ticket-progress",
+    name: "Progress",
+    positions: ["President", "Vice President"],
+    members: [
+      { candidate_id: "pres-b", position: "President" },
+      { candidate_id: "vp-b", position: "Vice President" },
+    ],
+  };
+
+  it("validates ticket membership and linked positions", () => {
+    expect(
+      validateTicketMembers(
+        session,
+        [
+          { _id: "pres-c", position: "President" },
+          { _id: "vp-c", position: "Vice President" },
+        ],
+        [unity],
+      ),
+    ).toBeNull();
+    expect(
+      validateTicketMembers(
+        session,
+        [
+          { _id: "pres-c", position: "President" },
+          { _id: "sen-c", position: "Senate" },
+        ],
+        [],
+      ).code,
+    ).toBe("TICKET_POSITION_UNSUPPORTED");
+    expect(
+      validateTicketMembers(
+        session,
+        [
+          { _id: "pres-a", name: "Ada", position: "President" },
+          { _id: "vp-c", position: "Vice President" },
+        ],
+        [unity],
+      ).code,
+    ).toBe("CANDIDATE_ON_TICKET");
+  });
+
+  it("expands a ticket selection to every linked position", () => {
+    const byTicket = expandTicketChoices([{ ticket_id: "ticket-unity" }], [unity, progress]);
+    const byMember = expandTicketChoices(
+      [{ candidate_id: "vp-b" }, { candidate_id: "pres-b" }, { candidate_id: "sen-1" }],
+      [unity, progress],
+    );
+
+    expect(byTicket.choices).toEqual([
+      { candidate_id: "pres-a", category: "President" },
+      { candidate_id: "vp-a", category: "Vice President" },
+    ]);
+    expect(byMember.choices.map((choice) => choice.candidate_id)).toEqual([
+      "pres-b",
+      "vp-b",
+      "sen-1",
+    ]);
+    expect(
+      expandTicketChoices([{ candidate_id: "pres-a" }, { candidate_id: "vp-b" }], [unity, progress])
+        .code,
+    ).toBe("TICKET_CONFLICT");
+  });
+
+  it("requires linked positions to be voted for by ticket", () => {
+    const selections = [
+      { position: "President", candidate: { _id: "pres-a" } },
+      { position: "Senate", candidate: { _id: "sen-1" } },
+    ];
+
+    expect(resolveSelectionTickets(selections, [unity]).ticketIds).toEqual([
+      "ticket-unity",
+      null,
+    ]);
+    expect(
+      resolveSelectionTickets([{ position: "President", candidate: { _id: "pres-z" } }], [unity])
+        .code,
+    ).toBe("TICKET_REQUIRED");
+  });
+
+  it("describes running mates for each member", () => {
+    const lookup = buildTicketLookup([
+      {
+        ...unity,
+        members: [
+          { candidate_id: { _id: "pres-a", name: "Ada", photo_url: "a.png" }, position: "President" },
+          { candidate_id: { _id: "vp-a", name: "Bola", photo_url: "b.png", manifesto: "More labs" }, position: "Vice President" },
+        ],
+      },
+    ]);
+
+    expect(lookup.get("pres-a").running_mates).toEqual([
+      {
+        candidate_id: "vp-a",
+        position: "Vice President",
+        name: "Bola",
+        photo_url: "b.png",
+        bio: "",
+        manifesto: "More labs",
+      },
+    ]);
+  });
+});
@@ -0,0 +1,209 @@
+const crypto = require("crypto");
+
+const TIE_BREAK_POLICIES = ["committee", "runoff", "lot"];
+
+const MAX_RUNOFF_DELAY_MINUTES = 30 * 24 * 60;
+const MIN_RUNOFF_DURATION_MINUTES = 15;
+
+function toId(value) {
+  if (!value) return null;
+  if (typeof value === "object" && value._id) return value._id.toString();
+  return value.toString();
+}
+
+function sha256(value) {
+  return crypto.createHash("sha256").update(value).digest("hex");
+}
+
+function toWholeMinutes(value, fallback) {
+  if (value === undefined || value === null || value === "") {
+    return fallback;
+  }
+
+  const minutes = Number(value);
+  return Number.isInteger(minutes) ? minutes : NaN;
+}
+
+/**
+ * Validate the admin supplied tie-break settings. Returns `{ tie_break }`
+ * or `{ error, code }` like the other session setting sanitizers.
+ */
+function sanitizeTieBreakSettings(payload) {
+  if (payload === undefined || payload === null) {
+    return {
+      tie_break: {
+        policy: "committee",
+        runoff_delay_minutes: 1440,
+        runoff_duration_minutes: null,
+      },
+    };
+  }
+
+  const policy = payload.policy || "committee";
+  if (!TIE_BREAK_POLICIES.includes(policy)) {
+    return {
+      error: `Tie-break policy must be one of: ${TIE_BREAK_POLICIES.join(", ")}`,
+      code: "INVALID_TIE_BREAK",
+    };
+  }
+
+  const delay = toWholeMinutes(payload.runoff_delay_minutes, 1440);
+  if (!(delay >= 0 && delay <= MAX_RUNOFF_DELAY_MINUTES)) {
+    return {
+      error: `Runoff delay must be a whole number of minutes between 0 and ${MAX_RUNOFF_DELAY_MINUTES}`,
+      code: "INVALID_TIE_BREAK",
+    };
+  }
+
+  const duration = toWholeMinutes(payload.runoff_duration_minutes, null);
+  if (duration !== null && !(duration >= MIN_RUNOFF_DURATION_MINUTES)) {
+    return {
+      error: `Runoff duration must be at least ${MIN_RUNOFF_DURATION_MINUTES} minutes`,
+      code: "INVALID_TIE_BREAK",
+    };
+  }
+
+  return {
+    tie_break: {
+      policy,
+      runoff_delay_minutes: delay,
+      runoff_duration_minutes: duration,
+    },
+  };
+}
+
+/**
+ * A fresh seed for drawing lots and the hash published before voting, so
+ * nobody can pick a seed once the tie is known.
+ */
+function createLotSeed() {
+  const seed = crypto.randomBytes(32).toString("hex");
+  return { seed, commitment: sha256(seed) };
+}
+
+/**
+ * The unresolved tie of one position, if any.
+ *
+ * @param {Object} outcome
+ * @param {{tied?: Array<string>, tied_seats?: number}} [outcome.allocation] - rankSeatWinners result
+ * @param {{tied?: boolean, rounds?: Array}} [outcome.rankedTally] - runInstantRunoff result
+ * @returns {{candidate_ids: Array<string>, seats: number}|null}
+ */
+function detectPositionTie({ allocation = null, rankedTally = null } = {}) {
+  if (rankedTally) {
+    if (!rankedTally.tied) return null;
+    // Everyone still standing in the last round finished level
+    const finalRound = rankedTally.rounds[rankedTally.rounds.length - 1];
+    return {
+      candidate_ids: (finalRound?.tallies || []).map((entry) => toId(entry.candidate_id)),
+      seats: 1,
+    };
+  }
+
+  if (allocation?.tied?.length > 0) {
+    return {
+      candidate_ids: allocation.tied.map(toId),
+      seats: allocation.tied_seats,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Draw lots between tied candidates. Each candidate is ordered by the hash
+ * of the seed, position and candidate ID, so anyone holding the published
+ * seed can repeat the draw.
+ */
+function drawLots(seed, position, candidateIds = [], seats = 1) {
+  const drawOrder = candidateIds
+    .map((id) => ({ id: toId(id), key: sha256(`${seed}:${position}:${toId(id)}`) }))
+    .sort((left, right) => left.key.localeCompare(right.key))
+    .map((entry) => entry.id);
+
+  return {
+    draw_order: drawOrder,
+    winner_ids: drawOrder.slice(0, Math.max(1, seats)),
+  };
+}
+
+/**
+ * When a runoff opens and closes: `runoff_delay_minutes` after the original
+ * session ends (or after `now` if that is later), for the original session's
+ * length unless `runoff_duration_minutes` is set.
+ */
+function buildRunoffSchedule(session, now = new Date()) {
+  const settings = session.tie_break || {};
+  const delayMs = (settings.runoff_delay_minutes ?? 1440) * 60 * 1000;
+  const durationMs = settings.runoff_duration_minutes
+    ? settings.runoff_duration_minutes * 60 * 1000
+    : new Date(session.end_time) - new Date(session.start_time);
+  const from = Math.max(new Date(session.end_time).getTime(), now.getTime());
+  const startTime = new Date(from + delayMs);
+
+  return {
+    start_time: startTime,
+    end_time: new Date(startTime.getTime() + durationMs),
+  };
+}
+
+/**
+ * Public description of a position's tie resolution.
+ */
+function formatTieResolution(resolution) {
+  return {
+    policy: resolution.policy,
+    status: resolution.status,
+    seats: resolution.seats,
+    candidate_ids: (resolution.candidate_ids || []).map(toId),
+    winner_ids: (resolution.winner_ids || []).map(toId),
+    runoff_session_id: resolution.runoff_session_id || null,
+    lot_seed: resolution.lot_seed || null,
+    draw_order: (resolution.draw_order || []).map(toId),
+    decided_at: resolution.decided_at || null,
+    note: resolution.note || "",
+  };
+}
+
+/**
+ * Attach `tie_break` to grouped results and flag candidates who won a
+ * resolved tie with `flagField`.
+ */
+function applyTieResolutions(groups = [], resolutions = [], flagField = "is_winner") {
+  if (!resolutions?.length) {
+    return groups;
+  }
+
+  const byPosition = new Map(
+    resolutions.map((resolution) => [resolution.position, resolution]),
+  );
+
+  groups.forEach((group) => {
+    const resolution = byPosition.get(group.position);
+    if (!resolution) return;
+
+    group.tie_break = formatTieResolution(resolution);
+    if (resolution.status !== "resolved") return;
+
+    const winners = new Set(group.tie_break.winner_ids);
+    group.candidates.forEach((candidate) => {
+      if (winners.has(toId(candidate.id || candidate._id))) {
+        candidate[flagField] = true;
+        candidate.won_tie_break = true;
+      }
+    });
+  });
+
+  return groups;
+}
+
+module.exports = {
+  TIE_BREAK_POLICIES,
+  sanitizeTieBreakSettings,
+  createLotSeed,
+  detectPositionTie,
+  drawLots,
+  buildRunoffSchedule,
+  formatTieResolution,
+  applyTieResolutions,
+};
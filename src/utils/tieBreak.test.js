@@ -0,0 +1,86 @@
+const {
+  sanitizeTieBreakSettings,
+  createLotSeed,
+  detectPositionTie,
+  drawLots,
+  buildRunoffSchedule,
+  applyTieResolutions,
+} = require("./tieBreak");
+const { rankSeatWinners, runInstantRunoff } = require("./ballotTally");
+
+describe("tieBreak", () => {
+  it("validates tie-break settings", () => {
+    expect(sanitizeTieBreakSettings(undefined).tie_break.policy).toBe("committee");
+    expect(
+      sanitizeTieBreakSettings({ policy: "runoff", runoff_delay_minutes: 60 }).tie_break,
+    ).toEqual({ policy: "runoff", runoff_delay_minutes: 60, runoff_duration_minutes: null });
+    expect(sanitizeTieBreakSettings({ policy: "coin" }).code).toBe("INVALID_TIE_BREAK");
+    expect(
+      sanitizeTieBreakSettings({ policy: "runoff", runoff_duration_minutes: 5 }).code,
+    ).toBe("INVALID_TIE_BREAK");
+  });
+
+  it("detects seat and instant-runoff ties", () => {
+    const allocation = rankSeatWinners(
+      [
+        { id: "a", vote_count: 10 },
+        { id: "b", vote_count: 7 },
+        { id: "c", vote_count: 7 },
+      ],
+      2,
+    );
+    const rankedTally = runInstantRunoff(["a", "b"], [["a"], ["b"]]);
+
+    expect(detectPositionTie({ allocation })).toEqual({ candidate_ids: ["b", "c"], seats: 1 });
+    expect(detectPositionTie({ rankedTally }).candidate_ids.sort()).toEqual(["a", "b"]);
+    expect(
+      detectPositionTie({ allocation: rankSeatWinners([{ id: "a", vote_count: 3 }], 1) }),
+    ).toBeNull();
+  });
+
+  it("draws reproducible lots from the committed seed", () => {
+    const { seed, commitment } = createLotSeed();
+    const first = drawLots(seed, "President", ["a", "b", "c"], 1);
+
+    expect(commitment).toHaveLength(64);
+    expect(drawLots(seed, "President", ["c", "b", "a"], 1)).toEqual(first);
+    expect(first.draw_order.sort()).toEqual(["a", "b", "c"]);
+    expect(first.winner_ids).toHaveLength(1);
+  });
+
+  it("schedules runoffs from the original session's timing", () => {
+    const session = {
+      start_time: "2026-03-10T08:00:00.000Z",
+      end_time: "2026-03-10T16:00:00.000Z",
+      tie_break: { runoff_delay_minutes: 60 },
+    };
+    const schedule = buildRunoffSchedule(session, new Date("2026-03-10T16:01:00.000Z"));
+
+    expect(schedule.start_time.toISOString()).toBe("2026-03-10T17:01:00.000Z");
+    expect(schedule.end_time.toISOString()).toBe("2026-03-11T01:01:00.000Z");
+  });
+
+  it("marks tie-break winners on grouped results", () => {
+    const groups = [
+      {
+        position: "President",
+        candidates: [
+          { id: "a", is_winner: false },
+          { id: "b", is_winner: false },
+        ],
+      },
+    ];
+    applyTieResolutions(groups, [
+      {
+        position: "President",
+        policy: "lot",
+        status: "resolved",
+        candidate_ids: ["a", "b"],
+        winner_ids: ["b"],
+      },
+    ]);
+
+    expect(groups[0].tie_break.policy).toBe("lot");
+    expect(groups[0].candidates.map((candidate) => candidate.is_winner)).toEqual([false, true]);
+  });
+});
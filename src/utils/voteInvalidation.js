@@ -0,0 +1,185 @@
+function toId(value) {
+  if (!value) return null;
+  return value.toString();
+}
+
+// Vote rows an admin struck as the student's own ballot. Rows that only went
+// with a candidate's disqualification say nothing about the voter.
+const INVALIDATED_BALLOT_MATCH = {
+  status: "rejected",
+  invalidation: { $ne: null },
+  "invalidation.candidate_disqualified": null,
+};
+
+const MAX_INVALIDATED_IDS = 500;
+const MAX_REASON_LENGTH = 1000;
+const MAX_REFERENCE_LENGTH = 200;
+const OBJECT_ID_PATTERN = /^[a-f\d]{24}$/i;
+
+function isNonEmptyString(value) {
+  return typeof value === "string" && value.trim().length > 0;
+}
+
+/**
+ * Validate the reason and reference an admin gives for striking votes.
+ * Returns `{ reason, reference }` or `{ error, code }`.
+ */
+function sanitizeInvalidationJustification({ reason, reference } = {}) {
+  if (!isNonEmptyString(reason) || reason.trim().length > MAX_REASON_LENGTH) {
+    return {
+      error: `A reason of at most ${MAX_REASON_LENGTH} characters is required`,
+      code: "INVALID_INVALIDATION_REASON",
+    };
+  }
+
+  if (!isNonEmptyString(reference) || reference.trim().length > MAX_REFERENCE_LENGTH) {
+    return {
+      error: `A supporting reference of at most ${MAX_REFERENCE_LENGTH} characters is required`,
+      code: "INVALID_INVALIDATION_REFERENCE",
+    };
+  }
+
+  return { reason: reason.trim(), reference: reference.trim() };
+}
+
+/**
+ * Validate an invalidation request: optional arrays of vote ObjectIds and
+ * ballot IDs plus the justification. Returns the de-duplicated selection
+ * with `{ reason, reference }`, or `{ error, code }`.
+ */
+function sanitizeInvalidationRequest({ vote_ids = [], ballot_ids = [], ...justification } = {}) {
+  if (
+    !Array.isArray(vote_ids) ||
+    vote_ids.length > MAX_INVALIDATED_IDS ||
+    !vote_ids.every((id) => typeof id === "string" && OBJECT_ID_PATTERN.test(id))
+  ) {
+    return {
+      error: `vote_ids must be an array of at most ${MAX_INVALIDATED_IDS} vote IDs`,
+      code: "INVALID_VOTE_IDS",
+    };
+  }
+
+  if (
+    !Array.isArray(ballot_ids) ||
+    ballot_ids.length > MAX_INVALIDATED_IDS ||
+    !ballot_ids.every(isNonEmptyString)
+  ) {
+    return {
+      error: `ballot_ids must be an array of at most ${MAX_INVALIDATED_IDS} ballot IDs`,
+      code: "INVALID_BALLOT_IDS",
+    };
+  }
+
+  const sanitized = sanitizeInvalidationJustification(justification);
+  if (sanitized.error) {
+    return sanitized;
+  }
+
+  return {
+    vote_ids: [...new Set(vote_ids.map((id) => id.toLowerCase()))],
+    ballot_ids: [...new Set(ballot_ids.map((id) => id.trim()))],
+    ...sanitized,
+  };
+}
+
+function isCandidateDisqualified(candidate) {
+  return Boolean(candidate?.disqualification?.disqualified_at);
+}
+
+/**
+ * Whether a vote row was added to its candidate's stored `vote_count` when
+ * it was cast (see CANDIDATE_SUPPORT_MATCH in utils/ballotRules).
+ */
+function countsTowardCandidate(row) {
+  return (
+    !row.is_encrypted &&
+    Boolean(row.candidate_id) &&
+    (!row.response || row.response === "yes")
+  );
+}
+
+/**
+ * What invalidating a set of vote rows undoes: the counter decrement for
+ * every candidate, the students to tell, and how many secret-ballot rows
+ * had nobody on record to tell.
+ *
+ * @param {Array} rows - Vote rows with `candidate_id`, `response`, `is_encrypted`, `student_id`, `ballot_id`
+ */
+function summarizeInvalidatedVotes(rows = []) {
+  const decrements = new Map();
+  const studentIds = new Set();
+  const anonymousBallots = new Set();
+
+  rows.forEach((row) => {
+    if (countsTowardCandidate(row)) {
+      const candidateId = toId(row.candidate_id);
+      decrements.set(candidateId, (decrements.get(candidateId) || 0) + 1);
+    }
+
+    if (row.student_id) {
+      studentIds.add(toId(row.student_id));
+    } else {
+      anonymousBallots.add(row.ballot_id || toId(row._id));
+    }
+  });
+
+  return {
+    votes_invalidated: rows.length,
+    decrements: Array.from(decrements, ([candidate_id, count]) => ({ candidate_id, count })),
+    student_ids: Array.from(studentIds),
+    anonymous_ballots: anonymousBallots.size,
+  };
+}
+
+function formatDisqualification(candidate) {
+  if (!isCandidateDisqualified(candidate)) {
+    return null;
+  }
+
+  const { disqualification } = candidate;
+  return {
+    reason: disqualification.reason,
+    reference: disqualification.reference,
+    disqualified_at: disqualification.disqualified_at,
+    votes_invalidated: disqualification.votes_invalidated || 0,
+  };
+}
+
+/**
+ * Mark disqualified candidates in grouped results. They keep their row so
+ * the outcome is explained, but are never flagged with `flagField`
+ * (is_winner / is_leading) and are listed after everyone still standing.
+ */
+function applyDisqualifications(groups = [], flagField = "is_winner") {
+  groups.forEach((group) => {
+    const standing = [];
+    const disqualified = [];
+
+    group.candidates.forEach((candidate) => {
+      if (!candidate.disqualified) {
+        standing.push(candidate);
+        return;
+      }
+
+      candidate[flagField] = false;
+      candidate.is_tied = false;
+      disqualified.push(candidate);
+    });
+
+    group.candidates = standing.concat(disqualified);
+    group.disqualified_candidates = disqualified.length;
+  });
+
+  return groups;
+}
+
+module.exports = {
+  INVALIDATED_BALLOT_MATCH,
+  sanitizeInvalidationJustification,
+  sanitizeInvalidationRequest,
+  isCandidateDisqualified,
+  countsTowardCandidate,
+  summarizeInvalidatedVotes,
+  formatDisqualification,
+  applyDisqualifications,
+};
@@ -0,0 +1,82 @@
+const {
+  sanitizeInvalidationRequest,
+  sanitizeInvalidationJustification,
+  summarizeInvalidatedVotes,
+  applyDisqualifications,
+} = require("./voteInvalidation");
+
+describe("voteInvalidation", () => {
+  it("only decrements counters the invalidated rows had incremented", () => {
+    const summary = summarizeInvalidatedVotes([
+      { _id: "v1", candidate_id: "c1", student_id: "s1", ballot_id: "b1" },
+      { _id: "v2", candidate_id: "c1", student_id: "s2", ballot_id: "b2" },
+      { _id: "v3", candidate_id: "c2", response: "no", student_id: "s2", ballot_id: "b2" },
+      { _id: "v4", is_encrypted: true, student_id: "s3", ballot_id: "b3" },
+      { _id: "v5", candidate_id: "c2", response: "yes", ballot_id: "b4" },
+      { _id: "v6", candidate_id: "c1", ballot_id: "b4" },
+    ]);
+
+    expect(summary.votes_invalidated).toBe(6);
+    expect(summary.decrements).toEqual([
+      { candidate_id: "c1", count: 3 },
+      { candidate_id: "c2", count: 1 },
+    ]);
+    expect(summary.student_ids).toEqual(["s1", "s2", "s3"]);
+    expect(summary.anonymous_ballots).toBe(1);
+  });
+
+  it("never flags a disqualified candidate and lists them last", () => {
+    const [group] = applyDisqualifications(
+      [
+        {
+          position: "President",
+          candidates: [
+            { id: "c1", is_leading: true, is_tied: false, disqualified: true },
+            { id: "c2", is_leading: false, is_tied: false, disqualified: false },
+          ],
+        },
+      ],
+      "is_leading",
+    );
+
+    expect(group.candidates.map((candidate) => candidate.id)).toEqual(["c2", "c1"]);
+    expect(group.candidates[1].is_leading).toBe(false);
+    expect(group.disqualified_candidates).toBe(1);
+  });
+
+  it("rejects malformed selections and justifications with a code", () => {
+    const justification = { reason: "Impersonation confirmed", reference: "EC/2026/014" };
+
+    const codeFor = (body) => sanitizeInvalidationRequest({ ...justification, ...body }).code;
+
+    expect(codeFor({ vote_ids: "65f1c0ffee0000000000abcd" })).toBe("INVALID_VOTE_IDS");
+    expect(codeFor({ vote_ids: ["not-an-id"] })).toBe("INVALID_VOTE_IDS");
+    expect(codeFor({ ballot_ids: [{ $ne: null }] })).toBe("INVALID_BALLOT_IDS");
+    expect(sanitizeInvalidationRequest({ ballot_ids: ["b1"], reason: "  " }).code).toBe(
+      "INVALID_INVALIDATION_REASON",
+    );
+    expect(
+      sanitizeInvalidationJustification({ reason: "Breach", reference: { toString: () => "x" } }).code,
+    ).toBe("INVALID_INVALIDATION_REFERENCE");
+  });
+
+  it("trims and de-duplicates an accepted selection", () => {
+    expect(
+      sanitizeInvalidationRequest({
+        vote_ids: ["65F1C0FFEE0000000000ABCD", "65f1c0ffee0000000000abcd"],
+        ballot_ids: [" b1 ", "b1"],
+        reason: " Impersonation confirmed ",
+        reference: "EC/2026/014",
+      }),
+    ).toEqual({
+      vote_ids: ["65f1c0ffee0000000000abcd"],
+      ballot_ids: ["b1"],
+      reason: "Impersonation confirmed",
+      reference: "EC/2026/014",
+    });
+    expect(sanitizeInvalidationRequest({ reason: "r", reference: "ref" })).toMatchObject({
+      vote_ids: [],
+      ballot_ids: [],
+    });
+  });
+});